@@ -0,0 +1,395 @@
+#!/usr/bin/env node
+/**
+ * habitat-harmony.js
+ *
+ * Headless validation + mission simulation for exported layouts
+ *
+ * Reads a LayoutExporter JSON file and a mission scenario, then runs:
+ * - ConstraintValidator.validateLayout (areas, bounds, overlaps, adjacency, paths);
+ *   AssemblyValidator for multi-element layouts (habitatAssembly: each element,
+ *   connectivity, hatch clearance, crew paths between hatches)
+ * - PrivacyValidator / RecreationValidator (crew auto-assigned to quarters)
+ * - MissionSimulator (scenario crew size, duration, comms profile, event schedule)
+ * - ConsumablesModel (mission consumables vs. Stowage module capacity)
+ * - EgressAnalyzer (routes to the Airlock / safe havens, quarters egress, single points of failure)
+ *
+ * Usage:
+ *   node bin/habitat-harmony.js <layout.json> [options]
+ *
+ * Options:
+ *   --scenario <id>       Mission scenario from mission-scenarios.json (default: hera_analog)
+ *   --events <id|none>    Event schedule (default: the scenario's schedule, if any)
+ *   --psych-model <id>    ModelRegistry psych model (default: hera-und)
+ *   --sleep-model <id>    ModelRegistry sleep model (default: mars-sim-sleep)
+ *   --lighting <mode>     global = lighting compliance default, schedule = per-module
+ *                         lighting schedules from the layout file (default: global)
+ *   --noise <mode>        adjacency = exercise-adjacency sleep penalty, acoustic = noise
+ *                         propagation levels in the crew quarters (default: adjacency)
+ *   --format <json|csv>   Report format (default: json)
+ *   --output <file>       Write the report to a file instead of stdout
+ *   --verbose             Progress logs from the shared modules (stdout: combine with --output)
+ *   --help                Print usage and exit
+ *
+ * Exit codes: 0 = no critical violations, 1 = critical violations, 2 = bad input
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+
+import { DataLoader } from '../src/data/DataLoader.js';
+import LayoutExporter from '../src/export/LayoutExporter.js';
+import LayoutModule from '../src/habitat/LayoutModule.js';
+import Door from '../src/habitat/Door.js';
+import ConstraintValidator from '../src/validation/ConstraintValidator.js';
+import { AssemblyValidator } from '../src/validation/AssemblyValidator.js';
+import { PrivacyValidator } from '../src/validation/PrivacyValidator.js';
+import { RecreationValidator } from '../src/validation/RecreationValidator.js';
+import { MissionSimulator } from '../src/simulation/MissionSimulator.js';
+import { EventSchedule } from '../src/simulation/EventSchedule.js';
+import { CircadianLightingModel } from '../src/simulation/CircadianLightingModel.js';
+import { AcousticModel } from '../src/simulation/AcousticModel.js';
+import { ConsumablesModel } from '../src/simulation/ConsumablesModel.js';
+import { EgressAnalyzer } from '../src/simulation/EgressAnalyzer.js';
+import TileSystem from '../src/scene/TileSystem.js';
+import HabitatAssembly from '../src/habitat/HabitatAssembly.js';
+import { CSVGenerator } from '../src/export/CSVGenerator.js';
+
+const DEFAULT_SCENARIO = 'hera_analog';
+
+const USAGE = 'Usage: node bin/habitat-harmony.js <layout.json> [--scenario id] [--events id|none] ' +
+  '[--psych-model id] [--sleep-model id] [--lighting global|schedule] [--noise adjacency|acoustic] ' +
+  '[--format json|csv] [--output file] [--verbose] [--help]';
+
+// Read src/data from disk instead of fetching it
+DataLoader.setReader(async (fileName) => {
+  const text = await readFile(new URL(`../src/data/${fileName}`, import.meta.url), 'utf8');
+  return JSON.parse(text);
+});
+
+/**
+ * Crew roster for the scenario's crew size (NASA default compositions)
+ * @param {Object} constraints - NASA constraints
+ * @param {Number} crewSize
+ * @returns {Array} - [{ id, name, role, gender }]
+ */
+function buildCrew(constraints, crewSize) {
+  const defaults = Object.values(constraints.crew_configuration_defaults || {});
+  const composition = (defaults.find(c => c.size === crewSize) || defaults[0])?.composition || [];
+
+  return Array.from({ length: crewSize }, (_, i) => ({
+    id: `crew-${i + 1}`,
+    name: composition[i]?.role || `Crew Member ${i + 1}`,
+    role: composition[i]?.role || 'Crew Member',
+    gender: composition[i]?.gender || (i % 2 === 0 ? 'M' : 'F')
+  }));
+}
+
+/**
+ * Assign crew to quarters, 1 per quarters, sharing (2 max) when short
+ * (same rule as the app's auto-assignment)
+ * @param {Array} crew
+ * @param {Array<LayoutModule>} modules
+ * @returns {Object} - { [crewId]: { moduleId, moduleName } }
+ */
+function assignQuarters(crew, modules) {
+  const assignments = {};
+  const quarters = modules.filter(m => m.moduleName === 'Crew Quarters');
+  if (quarters.length === 0) return assignments;
+
+  const occupancy = {};
+  let index = 0;
+
+  for (const member of crew) {
+    if (index >= quarters.length) index = 0;
+    const module = quarters[index];
+    occupancy[module.moduleId] = (occupancy[module.moduleId] || 0) + 1;
+    assignments[member.id] = { moduleId: module.moduleId, moduleName: module.moduleName };
+    if (occupancy[module.moduleId] >= 2) index++;
+  }
+
+  return assignments;
+}
+
+/**
+ * Mark a module footprint and its door tiles on a tile grid
+ * (module position is its first tile, as HabitatModule.placeAtTile sets it;
+ * door states and path costs from Door)
+ * @param {TileSystem} tiles
+ * @param {LayoutModule} module
+ * @param {Object} doorConfig - module_doors (nasa-constraints.json)
+ */
+function markModule(tiles, module, doorConfig) {
+  const { tileX, tileY } = tiles.worldToTile(module.position.x, module.position.z);
+  const tileWidth = Math.ceil(module.width / tiles.tileSize);
+  const tileHeight = Math.ceil(module.depth / tiles.tileSize);
+  tiles.markModuleOccupancy(tileX, tileY, tileWidth, tileHeight, module.moduleId, module.zone, module.level);
+
+  for (const door of module.getDoorLayout(tileWidth, tileHeight)) {
+    const state = door.state || Door.getDefaultState(doorConfig, module.moduleName);
+    const type = door.type || doorConfig?.default_type || 'door';
+    const pathCost = Door.getPathCostFor(doorConfig, type, state);
+
+    tiles.markDoorTile(tileX + door.dx, tileY + door.dy, module.moduleId, module.level, { state, type, pathCost });
+  }
+}
+
+/**
+ * Tile grid of the habitat shell with module footprints and doors marked (1 m tiles)
+ * @param {Object} shell - habitatShell ({ width, depth, levels?, floorHeight?, verticalLinks? })
+ * @param {Array<LayoutModule>} modules
+ * @param {Object} doorConfig - module_doors (nasa-constraints.json)
+ * @returns {TileSystem}
+ */
+function buildTileGrid(shell, modules, doorConfig) {
+  const tiles = new TileSystem(Math.ceil(shell.width), Math.ceil(shell.depth), 1.0,
+    shell.levels || 1, shell.floorHeight ?? 3.0);
+
+  for (const link of shell.verticalLinks || []) {
+    tiles.addVerticalLink(link.tileX, link.tileY, link.fromLevel, link.toLevel, link.type, link.cost);
+  }
+
+  for (const module of modules) {
+    markModule(tiles, module, doorConfig);
+  }
+
+  return tiles;
+}
+
+/**
+ * Habitat assembly of an exported multi-element layout, with module footprints
+ * and doors marked on the tile grid of each module's element
+ * @param {Object} assemblyData - habitatAssembly ({ elements, connections })
+ * @param {Object} connectionTypes - habitat-assemblies.json connection_types
+ * @param {Array<LayoutModule>} modules
+ * @param {Object} doorConfig - module_doors (nasa-constraints.json)
+ * @returns {HabitatAssembly}
+ */
+function buildAssembly(assemblyData, connectionTypes, modules, doorConfig) {
+  const assembly = HabitatAssembly.fromJSON(assemblyData, connectionTypes);
+
+  for (const module of modules) {
+    const tiles = assembly.getTileSystem(module.element);
+    if (!tiles) continue;
+
+    markModule(tiles, module, doorConfig);
+  }
+
+  return assembly;
+}
+
+/**
+ * Critical findings across all validators
+ * Area and bounds checks carry no severity; they are hard failures
+ */
+function collectCritical(constraintReport, privacyResult, recreationResult, egressResult) {
+  const isCritical = (v) => (v.severity || 'critical') === 'critical';
+  return [
+    ...constraintReport.violations.filter(isCritical).map(v => ({ validator: 'constraints', ...v })),
+    ...(privacyResult.violations || []).filter(isCritical).map(v => ({ validator: 'privacy', ...v })),
+    ...(recreationResult.violations || []).filter(isCritical).map(v => ({ validator: 'recreation', ...v })),
+    ...(egressResult?.violations || []).filter(isCritical).map(v => ({ validator: 'egress', ...v }))
+  ];
+}
+
+async function main() {
+  let values;
+  let positionals;
+  try {
+    ({ values, positionals } = parseArgs({
+      allowPositionals: true,
+      options: {
+        scenario: { type: 'string', default: DEFAULT_SCENARIO },
+        events: { type: 'string' },
+        'psych-model': { type: 'string' },
+        'sleep-model': { type: 'string' },
+        lighting: { type: 'string', default: 'global' },
+        noise: { type: 'string', default: 'adjacency' },
+        format: { type: 'string', default: 'json' },
+        output: { type: 'string' },
+        verbose: { type: 'boolean', default: false },
+        help: { type: 'boolean', default: false }
+      }
+    }));
+  } catch (error) {
+    // Unknown options / missing option values
+    if (!error.code?.startsWith('ERR_PARSE_ARGS')) throw error;
+    console.error(`❌ ${error.message}`);
+    console.error(USAGE);
+    return 2;
+  }
+
+  if (values.help) {
+    process.stdout.write(USAGE + '\n');
+    return 0;
+  }
+
+  const layoutPath = positionals[0];
+  if (!layoutPath || !['json', 'csv'].includes(values.format) || !['global', 'schedule'].includes(values.lighting) ||
+      !['adjacency', 'acoustic'].includes(values.noise)) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  // Data files
+  const constraints = await DataLoader.load('nasa-constraints.json');
+  const psychParams = await DataLoader.load('psych-model-params.json');
+  const moduleImpacts = await DataLoader.tryLoad('module-psychological-impacts.json');
+  const missionEvents = await DataLoader.tryLoad('mission-events.json');
+  const lightingConfig = values.lighting === 'schedule' ? await DataLoader.load('circadian-lighting.json') : null;
+  const acousticsConfig = values.noise === 'acoustic' ? await DataLoader.load('acoustics.json') : null;
+  const consumablesConfig = await DataLoader.tryLoad('consumables.json');
+  const { scenarios } = await DataLoader.load('mission-scenarios.json');
+
+  const scenario = scenarios.find(s => s.id === values.scenario);
+  if (!scenario) {
+    console.error(`❌ Unknown scenario "${values.scenario}". Available: ${scenarios.map(s => s.id).join(', ')}`);
+    return 2;
+  }
+
+  // Layout file (same structure checks as the in-app import)
+  let layoutData;
+  try {
+    layoutData = await new LayoutExporter({ verbose: values.verbose }).importLayout(await readFile(layoutPath, 'utf8'));
+  } catch (error) {
+    console.error(`❌ Could not import ${layoutPath}: ${error.error || error.message}`);
+    for (const detail of error.details || []) console.error(`   - ${detail}`);
+    return 2;
+  }
+
+  const modules = layoutData.modules.map(m => new LayoutModule(m));
+  for (const module of modules.filter(m => !m.known)) {
+    console.warn(`⚠️ Unknown module type: ${module.moduleName} (no NASA minimum area)`);
+  }
+
+  // Crew and layout for the privacy / recreation validators and the simulator
+  const crewSize = scenario.crew_size;
+  const missionDays = scenario.mission_duration_days;
+  const crew = buildCrew(constraints, crewSize);
+  const validator = new ConstraintValidator(constraints, { verbose: values.verbose });
+
+  let acoustics = null;
+  if (acousticsConfig) {
+    const acousticModel = new AcousticModel(acousticsConfig, buildTileGrid(layoutData.habitatShell, modules, constraints.module_doors));
+    acousticModel.compute(modules.map(m => ({ id: m.moduleId, tileId: m.moduleId, name: m.moduleName })));
+    acoustics = acousticModel.evaluate();
+  }
+
+  const layout = {
+    modules: modules.map(m => m.toLayoutEntry()),
+    crewAssignments: assignQuarters(crew, modules),
+    communications: scenario.mission_parameters?.communications || null,
+    lighting: lightingConfig ? CircadianLightingModel.layoutLighting(lightingConfig, modules.map(m => ({
+      id: m.moduleId,
+      name: m.moduleName,
+      lightingSchedule: m.lightingSchedule
+    }))) : null,
+    acoustics,
+    // Exported layouts carry modules only, so stowage = Stowage modules
+    logistics: consumablesConfig ? new ConsumablesModel(consumablesConfig).evaluate(
+      modules.map(m => ({ name: m.moduleName, dimensions: m.dimensions })), [], crewSize, missionDays) : null,
+    adjacencyCompliance: validator.calculateAdjacencyCompliance(modules)
+  };
+
+  // Validation (per element and across the assembly for multi-element layouts)
+  let constraintReport;
+  let grid;
+  if (layoutData.habitatAssembly) {
+    const assemblies = await DataLoader.load('habitat-assemblies.json');
+    grid = buildAssembly(layoutData.habitatAssembly, assemblies.connection_types, modules, constraints.module_doors);
+    constraintReport = new AssemblyValidator(validator, grid).validateLayout(modules);
+  } else {
+    grid = buildTileGrid(layoutData.habitatShell, modules, constraints.module_doors);
+    constraintReport = validator.validateLayout(modules, layoutData.habitatShell);
+  }
+  const privacyResult = new PrivacyValidator(constraints).validatePrivacy(layout, crew);
+  const recreationResult = new RecreationValidator(constraints).validateRecreationSpace(layout, crewSize);
+  const egressResult = constraints.emergency_egress ?
+    new EgressAnalyzer(constraints.emergency_egress, grid).analyze(modules.map(m => ({
+      id: m.moduleId,
+      tileId: m.moduleId,
+      name: m.moduleName,
+      safeHaven: m.safeHaven
+    }))) : null;
+
+  // Simulation
+  const scheduleId = values.events ?? (missionEvents?.schedules[scenario.id] ? scenario.id : 'none');
+  const eventSchedule = scheduleId !== 'none' && missionEvents ?
+    new EventSchedule(missionEvents, scheduleId) : null;
+
+  const simulator = new MissionSimulator(
+    layout,
+    {
+      crewSize,
+      missionDays,
+      names: crew.map(c => c.name),
+      roles: crew.map(c => c.role),
+      genders: crew.map(c => c.gender)
+    },
+    constraints,
+    psychParams,
+    moduleImpacts,
+    {
+      verbose: values.verbose,
+      eventSchedule,
+      psychModel: values['psych-model'],
+      sleepModel: values['sleep-model']
+    }
+  );
+  const simulationReport = simulator.run();
+
+  const critical = collectCritical(constraintReport, privacyResult, recreationResult, egressResult);
+
+  // Report
+  let output;
+  if (values.format === 'csv') {
+    output = CSVGenerator.generateCSV(
+      modules,
+      simulationReport.layoutConfig.designVariables,
+      simulationReport.dailyMetrics,
+      {
+        adjacencyCompliance: layout.adjacencyCompliance,
+        pathWidthOk: !constraintReport.violations.some(v => v.type === 'path_width')
+      },
+      simulationReport
+    );
+  } else {
+    output = JSON.stringify({
+      layoutFile: layoutPath,
+      scenario: { id: scenario.id, name: scenario.name, crewSize, missionDays },
+      eventSchedule: eventSchedule ? scheduleId : null,
+      passed: critical.length === 0,
+      criticalViolations: critical,
+      validation: {
+        constraints: constraintReport,
+        privacy: privacyResult,
+        recreation: recreationResult,
+        egress: egressResult
+      },
+      simulation: simulationReport
+    }, null, 2);
+  }
+
+  if (values.output) {
+    await writeFile(values.output, output);
+    console.error(`💾 Report written: ${values.output}`);
+  } else {
+    process.stdout.write(output + '\n');
+  }
+
+  console.error(critical.length === 0 ?
+    `✅ ${layoutPath}: no critical violations (PHI ${simulationReport.summary.phi.toFixed(1)})` :
+    `❌ ${layoutPath}: ${critical.length} critical violation(s)`);
+  for (const violation of critical) {
+    console.error(`   - [${violation.validator}] ${violation.message}`);
+  }
+
+  return critical.length === 0 ? 0 : 1;
+}
+
+// Exit code only: process.exit() would cut off a report still being written to a pipe
+main()
+  .then(code => { process.exitCode = code; })
+  .catch(error => {
+    console.error('❌ CLI failed:', error);
+    process.exitCode = 2;
+  });
@@ -8,6 +8,8 @@
  * - Bounds checking (habitat shell limits)
  * - Live validation during drag
  * - Visual feedback (valid/invalid placement)
+ * - Multi-level habitats: only modules on the active floor can be picked
+ * - Locked layout (isolation scenario in force): modules can be selected, not moved
  *
  * Uses Three.js Raycaster to project mouse position onto floor plane.
  */
@@ -32,6 +34,8 @@ export default class DragControls {
     this.isDragging = false;
     this.dragOffset = new THREE.Vector3();
     this.dragStartTile = { x: 0, y: 0 }; // Track starting tile position
+    this.activeLevel = 0; // Floor being edited (multi-level habitats)
+    this.locked = false; // Layout frozen: select only (setLocked)
 
     // Raycasting
     this.raycaster = new THREE.Raycaster();
@@ -78,7 +82,8 @@ export default class DragControls {
       }
 
       const meshes = this.modules
-        .filter(m => m && m.mesh)
+        .filter(m => m && m.mesh && m.visible && (m.level ?? 0) === this.activeLevel &&
+          (!this.tileSystem || !m.tileSystem || m.tileSystem === this.tileSystem))
         .map(m => m.mesh);
 
       if (meshes.length === 0) {
@@ -96,8 +101,14 @@ export default class DragControls {
           // Select this module
           this.selectModule(module);
 
-          // Start dragging
+          if (this.locked) {
+            Toast.warning('Clear the isolation scenario before moving modules');
+            return;
+          }
+
+          // Start dragging (on the module's floor)
           this.isDragging = true;
+          this.dragPlane.constant = -(module.position.y - module.dimensions.h / 2);
 
           // Store starting tile position if tile system available
           if (this.tileSystem && module.tileSystem) {
@@ -125,6 +136,14 @@ export default class DragControls {
     }
   }
 
+  /**
+   * Freeze or release the layout (modules stay selectable)
+   * @param {boolean} locked
+   */
+  setLocked(locked) {
+    this.locked = locked;
+  }
+
   /**
    * Handle mouse move - drag module if dragging
    * @param {MouseEvent} event
@@ -153,16 +172,15 @@ export default class DragControls {
 
         // Check if placement is valid at this tile
         const isValid = this.selectedModule.canPlaceAt(tileX, tileY);
+        const tileWorldPos = this.tileSystem.tileToWorld(tileX, tileY, this.selectedModule.level);
 
         if (isValid) {
           // Preview placement at this tile (visual update only)
-          const tileWorldPos = this.tileSystem.tileToWorld(tileX, tileY);
           this.selectedModule.position.x = tileWorldPos.x;
           this.selectedModule.position.z = tileWorldPos.z;
           this.selectedModule.setViolating(false);
         } else {
           // Invalid placement - show at tile position but mark as violating
-          const tileWorldPos = this.tileSystem.tileToWorld(tileX, tileY);
           this.selectedModule.position.x = tileWorldPos.x;
           this.selectedModule.position.z = tileWorldPos.z;
           this.selectedModule.setViolating(true);
@@ -287,7 +305,7 @@ export default class DragControls {
         return false;
       }
 
-      if (!module.isWithinBounds(habitatDims.width, habitatDims.depth)) {
+      if (!module.isWithinBounds(habitatDims.width, habitatDims.depth, habitatDims.originX, habitatDims.originZ)) {
         return false;
       }
 
@@ -372,6 +390,32 @@ export default class DragControls {
     this.modules = modules;
   }
 
+  /**
+   * Set the floor whose modules can be selected and dragged
+   * @param {number} level
+   */
+  setActiveLevel(level) {
+    this.activeLevel = level;
+
+    if (this.selectedModule && this.selectedModule.level !== level) {
+      this.deselectAll();
+    }
+  }
+
+  /**
+   * Edit another element of a habitat assembly: only its modules can be picked
+   * @param {TileSystem} tileSystem - Element tile grid
+   * @param {GridSystem} gridSystem - Element floor plates and bounds
+   */
+  setActiveElement(tileSystem, gridSystem) {
+    this.tileSystem = tileSystem;
+    this.gridSystem = gridSystem;
+
+    if (this.selectedModule && this.selectedModule.tileSystem !== tileSystem) {
+      this.deselectAll();
+    }
+  }
+
   /**
    * Dispose of resources and remove event listeners
    */
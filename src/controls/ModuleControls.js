@@ -5,7 +5,10 @@
  * - Module rotation (R key or button)
  * - Module deletion (Delete/Backspace key or button)
  * - Module deselection (Escape key)
+ * - Safe haven designation (button; used by the egress analysis)
+ * - SPE storm shelter designation and shielding (button + input; used by the shelter drill)
  * - Button state management (enable/disable based on selection)
+ * - Locked layout (isolation scenario in force): no rotation or deletion
  *
  * Validates operations to maintain NASA constraints.
  */
@@ -13,22 +16,36 @@
 import Toast from '../ui/Toast.js';
 
 export default class ModuleControls {
-  constructor(modules, scene, onUpdate) {
+  /**
+   * @param {Array} modules - Placed modules
+   * @param {THREE.Scene} scene
+   * @param {Function} onUpdate - Called after a module changes
+   * @param {Object} shelterConfig - spe_shelter (nasa-constraints.json), for default shielding
+   */
+  constructor(modules, scene, onUpdate, shelterConfig = null) {
     this.modules = modules;
     this.scene = scene;
     this.onUpdate = onUpdate;
+    this.shelterConfig = shelterConfig;
 
     // DOM elements
     this.rotateBtn = document.getElementById('rotateBtn');
     this.deleteBtn = document.getElementById('deleteBtn');
+    this.safeHavenBtn = document.getElementById('safeHavenBtn');
+    this.shelterBtn = document.getElementById('shelterBtn');
+    this.shieldingInput = document.getElementById('shelterShieldingInput');
 
     // Currently selected module (managed by DragControls)
     this.selectedModule = null;
+    this.locked = false; // Layout frozen (setLocked)
 
     // Event handlers (bound for removal)
     this.onKeyDownBound = this.onKeyDown.bind(this);
     this.onRotateClickBound = this.onRotateClick.bind(this);
     this.onDeleteClickBound = this.onDeleteClick.bind(this);
+    this.onSafeHavenClickBound = this.onSafeHavenClick.bind(this);
+    this.onShelterClickBound = this.onShelterClick.bind(this);
+    this.onShieldingChangeBound = this.onShieldingChange.bind(this);
 
     this.init();
   }
@@ -49,6 +66,18 @@ export default class ModuleControls {
       this.deleteBtn.addEventListener('click', this.onDeleteClickBound);
     }
 
+    if (this.safeHavenBtn) {
+      this.safeHavenBtn.addEventListener('click', this.onSafeHavenClickBound);
+    }
+
+    if (this.shelterBtn) {
+      this.shelterBtn.addEventListener('click', this.onShelterClickBound);
+    }
+
+    if (this.shieldingInput) {
+      this.shieldingInput.addEventListener('change', this.onShieldingChangeBound);
+    }
+
     // Initialize button states (disabled)
     this.updateButtonStates(null);
 
@@ -102,12 +131,96 @@ export default class ModuleControls {
     }
   }
 
+  /**
+   * Handle safe haven button click: toggle the designation
+   */
+  onSafeHavenClick() {
+    const module = this.selectedModule;
+    if (!module) return;
+
+    module.safeHaven = !module.safeHaven;
+    this.updateButtonStates(module);
+
+    Toast.success(module.safeHaven ?
+      `${module.moduleName} designated as safe haven` :
+      `${module.moduleName} no longer a safe haven`);
+    console.log(`🛟 Safe haven ${module.safeHaven ? 'set' : 'cleared'}: ${module.moduleName}`);
+
+    if (typeof this.onUpdate === 'function') {
+      this.onUpdate();
+    }
+  }
+
+  /**
+   * Handle shelter button click: toggle the storm shelter designation
+   * (new shelters take the shielding typed in, else the default for the module type)
+   */
+  onShelterClick() {
+    const module = this.selectedModule;
+    if (!module) return;
+
+    if (module.shelter) {
+      module.shelter = null;
+    } else {
+      const typed = parseFloat(this.shieldingInput?.value);
+      module.shelter = {
+        shieldingGCm2: typed > 0 ? typed : this.getDefaultShielding(module)
+      };
+    }
+    this.updateButtonStates(module);
+
+    Toast.success(module.shelter ?
+      `${module.moduleName} designated as storm shelter (${module.shelter.shieldingGCm2} g/cm²)` :
+      `${module.moduleName} no longer a storm shelter`);
+    console.log(`☢️ Storm shelter ${module.shelter ? 'set' : 'cleared'}: ${module.moduleName}`);
+
+    if (typeof this.onUpdate === 'function') {
+      this.onUpdate();
+    }
+  }
+
+  /**
+   * Handle shielding input change: update the selected shelter
+   */
+  onShieldingChange() {
+    const module = this.selectedModule;
+    if (!module?.shelter) return;
+
+    const shielding = parseFloat(this.shieldingInput.value);
+    if (!(shielding > 0)) {
+      Toast.warning('Shielding must be a positive areal density (g/cm²)');
+      this.updateButtonStates(module);
+      return;
+    }
+
+    module.shelter.shieldingGCm2 = shielding;
+    console.log(`☢️ Storm shelter shielding: ${module.moduleName} ${shielding} g/cm²`);
+
+    if (typeof this.onUpdate === 'function') {
+      this.onUpdate();
+    }
+  }
+
+  /**
+   * Default shelter shielding for a module type (spe_shelter.default_shielding_g_cm2)
+   * @param {HabitatModule} module
+   * @returns {Number} - g/cm²
+   */
+  getDefaultShielding(module) {
+    const defaults = this.shelterConfig?.default_shielding_g_cm2 || {};
+    return defaults[module.moduleName] ?? defaults.default ?? 0;
+  }
+
   /**
    * Rotate module 90 degrees clockwise
    * @param {HabitatModule} module - Module to rotate
    */
   rotateModule(module) {
     if (!module) return;
+    if (this.locked) {
+      Toast.warning('Clear the isolation scenario before rotating modules');
+      return;
+    }
 
     try {
       // Verify module has required methods
@@ -159,6 +272,10 @@ export default class ModuleControls {
    */
   deleteModule(module) {
     if (!module) return;
+    if (this.locked) {
+      Toast.warning('Clear the isolation scenario before deleting modules');
+      return;
+    }
 
     try {
       const moduleName = module.moduleName || 'Unknown Module';
@@ -221,6 +338,15 @@ export default class ModuleControls {
     this.updateButtonStates(module);
   }
 
+  /**
+   * Freeze or release the layout (rotate / delete)
+   * @param {boolean} locked
+   */
+  setLocked(locked) {
+    this.locked = locked;
+    this.updateButtonStates(this.selectedModule);
+  }
+
   /**
    * Update button states based on selection
    * @param {HabitatModule|null} module
@@ -229,11 +355,27 @@ export default class ModuleControls {
     const hasSelection = module !== null;
 
     if (this.rotateBtn) {
-      this.rotateBtn.disabled = !hasSelection;
+      this.rotateBtn.disabled = !hasSelection || this.locked;
     }
 
     if (this.deleteBtn) {
-      this.deleteBtn.disabled = !hasSelection;
+      this.deleteBtn.disabled = !hasSelection || this.locked;
+    }
+
+    if (this.safeHavenBtn) {
+      this.safeHavenBtn.disabled = !hasSelection;
+      this.safeHavenBtn.textContent = module?.safeHaven ? '🛟 Safe Haven ✓' : '🛟 Safe Haven';
+    }
+
+    if (this.shelterBtn) {
+      this.shelterBtn.disabled = !hasSelection;
+      this.shelterBtn.textContent = module?.shelter ? '☢️ Shelter ✓' : '☢️ Shelter';
+    }
+
+    if (this.shieldingInput) {
+      this.shieldingInput.disabled = !hasSelection;
+      this.shieldingInput.value = module ?
+        (module.shelter?.shieldingGCm2 ?? this.getDefaultShielding(module)) : '';
     }
   }
 
@@ -302,6 +444,18 @@ export default class ModuleControls {
       this.deleteBtn.removeEventListener('click', this.onDeleteClickBound);
     }
 
+    if (this.safeHavenBtn) {
+      this.safeHavenBtn.removeEventListener('click', this.onSafeHavenClickBound);
+    }
+
+    if (this.shelterBtn) {
+      this.shelterBtn.removeEventListener('click', this.onShelterClickBound);
+    }
+
+    if (this.shieldingInput) {
+      this.shieldingInput.removeEventListener('change', this.onShieldingChangeBound);
+    }
+
     console.log('🗑️ ModuleControls disposed');
   }
 }
@@ -0,0 +1,53 @@
+/**
+ * DataLoader.js
+ *
+ * Loads the JSON data files in src/data
+ *
+ * In the browser files are fetched from /src/data/ (Vite dev server / build).
+ * Headless callers (the Node CLI) install a file-system reader with setReader(),
+ * so simulation and validation code loads data the same way in both environments.
+ */
+
+let customReader = null;
+
+export class DataLoader {
+  /**
+   * Replace the browser fetch with another reader (e.g. fs.readFile in Node)
+   * @param {Function|null} reader - async (fileName) => parsed JSON; null restores fetch
+   */
+  static setReader(reader) {
+    customReader = reader;
+  }
+
+  /**
+   * Load and parse a data file
+   * @param {String} fileName - File name inside src/data (e.g. 'nasa-constraints.json')
+   * @returns {Promise<Object>} - Parsed JSON
+   * @throws {Error} - When the file cannot be read or parsed
+   */
+  static async load(fileName) {
+    if (customReader) {
+      return customReader(fileName);
+    }
+
+    const response = await fetch(`/src/data/${fileName}`);
+    if (!response.ok) {
+      throw new Error(`Failed to load ${fileName}: ${response.status} ${response.statusText}`);
+    }
+    return response.json();
+  }
+
+  /**
+   * Load a data file, returning null instead of throwing (optional data)
+   * @param {String} fileName - File name inside src/data
+   * @returns {Promise<Object|null>}
+   */
+  static async tryLoad(fileName) {
+    try {
+      return await DataLoader.load(fileName);
+    } catch (error) {
+      console.warn(`⚠️ Could not load ${fileName}:`, error.message);
+      return null;
+    }
+  }
+}
@@ -241,7 +241,9 @@ class CrewAI {
    * Wander to a random nearby location for exploration
    */
   wanderToRandomLocation() {
-    if (!this.world.tileSystem) return;
+    // Stay in the crew member's element of a habitat assembly
+    const tileSystem = this.world.assembly?.getTileSystem(this.crewMember.tileElement) ?? this.world.tileSystem;
+    if (!tileSystem) return;
 
     // Pick random tile within exploration radius
     const randomOffsetX = Math.floor((Math.random() - 0.5) * this.explorationRadius * 2);
@@ -251,7 +253,7 @@ class CrewAI {
     const targetTileY = this.crewMember.tileY + randomOffsetY;
 
     // Check if tile is walkable
-    const tile = this.world.tileSystem.getTile(targetTileX, targetTileY);
+    const tile = tileSystem.getTile(targetTileX, targetTileY, this.crewMember.tileLevel);
     if (!tile || !tile.walkable) {
       // Try again with smaller radius
       const smallOffsetX = Math.floor((Math.random() - 0.5) * 4);
@@ -259,7 +261,7 @@ class CrewAI {
       const newTargetX = this.crewMember.tileX + smallOffsetX;
       const newTargetY = this.crewMember.tileY + smallOffsetY;
 
-      const newTile = this.world.tileSystem.getTile(newTargetX, newTargetY);
+      const newTile = tileSystem.getTile(newTargetX, newTargetY, this.crewMember.tileLevel);
       if (newTile && newTile.walkable) {
         this.queueWalkAction(newTargetX, newTargetY);
         console.log(`${this.crewMember.name}: Wandering to tile (${newTargetX}, ${newTargetY})`);
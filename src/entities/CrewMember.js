@@ -17,7 +17,7 @@ import CrewAI from './CrewAI.js';
 import CrewSchedule from './CrewSchedule.js';
 
 class CrewMember extends THREE.Group {
-  constructor(world, name, tileX, tileY) {
+  constructor(world, name, tileX, tileY, tileLevel = 0, tileElement = null) {
     super();
 
     this.world = world;           // Reference to main app/world
@@ -26,6 +26,8 @@ class CrewMember extends THREE.Group {
     // Tile position
     this.tileX = tileX;
     this.tileY = tileY;
+    this.tileLevel = tileLevel;   // Floor (multi-level habitats)
+    this.tileElement = tileElement; // Element id (habitat assemblies), null = single shell
 
     // Visual properties
     this.facingDirection = 'south'; // north, south, east, west
@@ -58,7 +60,7 @@ class CrewMember extends THREE.Group {
     this.createVisual();
 
     // Position at tile
-    this.setTilePosition(tileX, tileY);
+    this.setTilePosition(tileX, tileY, tileLevel, tileElement);
   }
 
   /**
@@ -162,12 +164,14 @@ class CrewMember extends THREE.Group {
   /**
    * Set tile position and update world position
    */
-  setTilePosition(tileX, tileY) {
+  setTilePosition(tileX, tileY, tileLevel = this.tileLevel, tileElement = this.tileElement) {
     this.tileX = tileX;
     this.tileY = tileY;
+    this.tileLevel = tileLevel;
+    this.tileElement = tileElement;
 
-    const worldPos = this.world.tileSystem.tileToWorld(tileX, tileY);
-    this.position.set(worldPos.x, 0, worldPos.z);
+    const worldPos = (this.world.assembly ?? this.world.tileSystem).tileToWorld(tileX, tileY, tileLevel, tileElement);
+    this.position.set(worldPos.x, worldPos.y, worldPos.z);
   }
 
   /**
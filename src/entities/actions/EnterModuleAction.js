@@ -5,7 +5,7 @@
  *
  * Action for crew members to enter modules through doors:
  * 1. Walk to door's outside tile
- * 2. Use door (track usage)
+ * 2. Use door (track usage; closed doors and hatches take their cycle time)
  * 3. Walk to inside position (near target object if specified)
  * 4. Complete action
  *
@@ -24,6 +24,7 @@ class EnterModuleAction extends CrewAction {
     this.module = null;                 // Reference to module
     this.door = null;                   // Reference to door
     this.walkAction = null;             // Current walking sub-action
+    this.doorTimer = 0;                 // Seconds spent opening / cycling the door
     this.phase = 'walk_to_door';        // Phases: walk_to_door, use_door, walk_inside, complete
   }
 
@@ -40,11 +41,11 @@ class EnterModuleAction extends CrewAction {
       return;
     }
 
-    // Get module door
-    this.door = this.module.door;
+    // Nearest door crew can pass (closed doors and hatches take time to cycle)
+    this.door = this.module.getDoorFor(crewMember.tileX, crewMember.tileY);
 
     if (!this.door) {
-      console.warn(`Module ${this.module.moduleName} has no door`);
+      console.warn(`Module ${this.module.moduleName} has no usable door`);
       this.isComplete = true;
       return;
     }
@@ -53,7 +54,7 @@ class EnterModuleAction extends CrewAction {
     this.phase = 'walk_to_door';
     const outsideTile = this.door.getOutsideTile();
 
-    this.walkAction = new WalkAction(outsideTile.x, outsideTile.y);
+    this.walkAction = new WalkAction(outsideTile.x, outsideTile.y, this.module.level ?? 0, this.module.element ?? null);
     this.walkAction.start(crewMember);
 
     console.log(`${crewMember.name} entering ${this.module.moduleName} (walking to door)`);
@@ -106,9 +107,12 @@ class EnterModuleAction extends CrewAction {
   }
 
   /**
-   * Phase 2: Use door (track usage)
+   * Phase 2: Use door (wait for a closed door / hatch to cycle, track usage)
    */
   updateUseDoor(crewMember, deltaTime) {
+    this.doorTimer += deltaTime;
+    if (this.doorTimer < this.door.getTransitTime()) return false;
+
     // Use the door
     this.door.use();
 
@@ -147,7 +151,7 @@ class EnterModuleAction extends CrewAction {
         targetTile = this.door.getInsideTile();
       }
 
-      this.walkAction = new WalkAction(targetTile.x, targetTile.y);
+      this.walkAction = new WalkAction(targetTile.x, targetTile.y, this.module.level ?? 0, this.module.element ?? null);
       this.walkAction.start(crewMember);
 
       console.log(`${crewMember.name} walking inside ${this.module.moduleName} to tile (${targetTile.x}, ${targetTile.y})`);
@@ -5,7 +5,7 @@
  *
  * Action for crew members to exit modules through doors:
  * 1. Walk to door's inside tile
- * 2. Use door (track usage)
+ * 2. Use door (track usage; closed doors and hatches take their cycle time)
  * 3. Walk to outside position
  * 4. Remove from module crew list
  */
@@ -20,6 +20,7 @@ class ExitModuleAction extends CrewAction {
     this.module = null;     // Current module (from crew member)
     this.door = null;       // Module door
     this.walkAction = null; // Current walking sub-action
+    this.doorTimer = 0;     // Seconds spent opening / cycling the door
     this.phase = 'walk_to_door'; // Phases: walk_to_door, use_door, walk_outside, complete
   }
 
@@ -36,11 +37,11 @@ class ExitModuleAction extends CrewAction {
       return;
     }
 
-    // Get module door
-    this.door = this.module.door;
+    // Nearest door crew can pass (closed doors and hatches take time to cycle)
+    this.door = this.module.getDoorFor(crewMember.tileX, crewMember.tileY);
 
     if (!this.door) {
-      console.warn(`Module ${this.module.moduleName} has no door`);
+      console.warn(`Module ${this.module.moduleName} has no usable door`);
       this.isComplete = true;
       return;
     }
@@ -49,7 +50,7 @@ class ExitModuleAction extends CrewAction {
     this.phase = 'walk_to_door';
     const insideTile = this.door.getInsideTile();
 
-    this.walkAction = new WalkAction(insideTile.x, insideTile.y);
+    this.walkAction = new WalkAction(insideTile.x, insideTile.y, this.module.level ?? 0, this.module.element ?? null);
     this.walkAction.start(crewMember);
 
     console.log(`${crewMember.name} exiting ${this.module.moduleName} (walking to door)`);
@@ -102,9 +103,12 @@ class ExitModuleAction extends CrewAction {
   }
 
   /**
-   * Phase 2: Use door (track usage)
+   * Phase 2: Use door (wait for a closed door / hatch to cycle, track usage)
    */
   updateUseDoor(crewMember, deltaTime) {
+    this.doorTimer += deltaTime;
+    if (this.doorTimer < this.door.getTransitTime()) return false;
+
     // Use the door
     this.door.use();
 
@@ -129,7 +133,7 @@ class ExitModuleAction extends CrewAction {
     if (!this.walkAction) {
       const outsideTile = this.door.getOutsideTile();
 
-      this.walkAction = new WalkAction(outsideTile.x, outsideTile.y);
+      this.walkAction = new WalkAction(outsideTile.x, outsideTile.y, this.module.level ?? 0, this.module.element ?? null);
       this.walkAction.start(crewMember);
 
       console.log(`${crewMember.name} walking outside ${this.module.moduleName}`);
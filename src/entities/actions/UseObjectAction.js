@@ -21,6 +21,7 @@ class UseObjectAction extends CrewAction {
     this.duration = duration;       // How long to use object (seconds)
     this.elapsed = 0;
     this.object = null;             // Reference to actual object
+    this.user = null;               // Crew member using the object (released on interrupt)
   }
 
   /**
@@ -45,6 +46,7 @@ class UseObjectAction extends CrewAction {
 
     // Start using object
     this.object.use(crewMember);
+    this.user = crewMember;
 
     // Set crew animation state
     crewMember.isMoving = false;
@@ -107,6 +109,11 @@ class UseObjectAction extends CrewAction {
    */
   interrupt() {
     super.interrupt();
+
+    // Free the object for the rest of the crew (e.g. crew called away by a drill)
+    if (this.object && this.user) {
+      this.object.release(this.user);
+    }
     console.log('Object usage interrupted');
   }
 
@@ -4,18 +4,22 @@
  * Inspired by CorsixTH walk.lua
  *
  * Uses A* pathfinding to navigate crew members through the habitat.
- * Handles tile-by-tile movement with smooth interpolation.
+ * Handles tile-by-tile movement with smooth interpolation, including
+ * climbing ladders / hatches between floors and crossing the nodes / tunnels
+ * between the elements of a habitat assembly.
  */
 
 import * as THREE from 'three';
 import CrewAction from './Action.js';
 
 class WalkAction extends CrewAction {
-  constructor(targetTileX, targetTileY) {
+  constructor(targetTileX, targetTileY, targetLevel = null, targetElement = null) {
     super('walk');
 
     this.targetTileX = targetTileX;
     this.targetTileY = targetTileY;
+    this.targetLevel = targetLevel; // null = stay on the crew member's floor
+    this.targetElement = targetElement; // null = stay in the crew member's element
     this.path = null;
     this.pathIndex = 0;
     this.moveProgress = 0;
@@ -36,11 +40,22 @@ class WalkAction extends CrewAction {
       return;
     }
 
+    if (this.targetLevel === null) {
+      this.targetLevel = crewMember.tileLevel;
+    }
+    if (this.targetElement === null) {
+      this.targetElement = crewMember.tileElement;
+    }
+
     this.path = pathfinder.findPath(
       crewMember.tileX,
       crewMember.tileY,
       this.targetTileX,
-      this.targetTileY
+      this.targetTileY,
+      crewMember.tileLevel,
+      this.targetLevel,
+      crewMember.tileElement,
+      this.targetElement
     );
 
     if (!this.path || this.path.length === 0) {
@@ -76,7 +91,7 @@ class WalkAction extends CrewAction {
 
     // Check if reached destination
     if (this.pathIndex >= this.path.length - 1) {
-      crewMember.setTilePosition(this.targetTileX, this.targetTileY);
+      crewMember.setTilePosition(this.targetTileX, this.targetTileY, this.targetLevel, this.targetElement);
       crewMember.isMoving = false;
       crewMember.animationState = 'idle';
       this.isComplete = true;
@@ -100,6 +115,8 @@ class WalkAction extends CrewAction {
       // Reached next tile
       crewMember.tileX = this.nextTile.x;
       crewMember.tileY = this.nextTile.y;
+      crewMember.tileLevel = this.nextTile.level;
+      crewMember.tileElement = this.nextTile.element ?? null;
       this.pathIndex++;
       this.moveProgress = 0;
 
@@ -107,9 +124,9 @@ class WalkAction extends CrewAction {
       this.updateFacingDirection(crewMember, this.currentTile, this.nextTile);
     } else {
       // Smooth interpolation between tiles
-      const tileSystem = crewMember.world.tileSystem;
-      const currentWorld = tileSystem.tileToWorld(this.currentTile.x, this.currentTile.y);
-      const nextWorld = tileSystem.tileToWorld(this.nextTile.x, this.nextTile.y);
+      const tileSystem = crewMember.world.assembly ?? crewMember.world.tileSystem;
+      const currentWorld = tileSystem.tileToWorld(this.currentTile.x, this.currentTile.y, this.currentTile.level, this.currentTile.element);
+      const nextWorld = tileSystem.tileToWorld(this.nextTile.x, this.nextTile.y, this.nextTile.level, this.nextTile.element);
 
       // Linear interpolation
       crewMember.position.x = THREE.MathUtils.lerp(
@@ -122,6 +139,11 @@ class WalkAction extends CrewAction {
         nextWorld.z,
         this.moveProgress
       );
+      crewMember.position.y = THREE.MathUtils.lerp(
+        currentWorld.y,
+        nextWorld.y,
+        this.moveProgress
+      );
     }
 
     return false;
@@ -164,7 +186,7 @@ class WalkAction extends CrewAction {
    * Clone action
    */
   clone() {
-    return new WalkAction(this.targetTileX, this.targetTileY);
+    return new WalkAction(this.targetTileX, this.targetTileY, this.targetLevel, this.targetElement);
   }
 }
 
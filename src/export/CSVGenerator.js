@@ -8,6 +8,7 @@
  * 2. Design variables
  * 3. Daily psychological metrics (45-day simulation)
  * 4. NASA compliance summary
+ * 5. Monte Carlo confidence bands (when a stochastic run is available)
  */
 
 export class CSVGenerator {
@@ -18,9 +19,10 @@ export class CSVGenerator {
    * @param {Array} missionResults - Full 45-day simulation results
    * @param {Object} constraintReport - NASA constraint validation results
    * @param {Object} simulationReport - MissionSimulator full report (optional)
+   * @param {Object} monteCarloReport - MonteCarloSimulator report (optional)
    * @returns {String} - CSV formatted data
    */
-  static generateCSV(modules, designVariables, missionResults, constraintReport, simulationReport = null) {
+  static generateCSV(modules, designVariables, missionResults, constraintReport, simulationReport = null, monteCarloReport = null) {
     try {
       let csv = '';
 
@@ -36,12 +38,21 @@ export class CSVGenerator {
         csv += 'Parameter,Value\n';
         csv += `Crew Size,${simulationReport.missionConfig.crewSize}\n`;
         csv += `Mission Duration,${simulationReport.missionConfig.missionDays} days\n`;
+        const models = simulationReport.missionConfig.models;
+        if (models) {
+          csv += `Psych Model,${models.psych.name} (${models.psych.id} v${models.psych.version})\n`;
+          csv += `Sleep Model,${models.sleep.name} (${models.sleep.id} v${models.sleep.version})\n`;
+          csv += `Psych Parameters Version,${models.paramsVersion ?? 'N/A'}\n`;
+        }
         csv += '\n';
 
         csv += '# Crew Roster\n';
-        csv += 'ID,Name,Role,Gender\n';
+        csv += 'ID,Name,Role,Gender,Resilience,Sleep Need,Chronotype,Sociability\n';
         for (const member of simulationReport.missionConfig.crew) {
-          csv += `${member.id},${member.name},${member.role},${member.gender}\n`;
+          const traits = member.traits || {};
+          const trait = (key) => (traits[key] ?? 0.5).toFixed(2);
+          csv += `${member.id},${member.name},${member.role},${member.gender},`;
+          csv += `${trait('resilience')},${trait('sleepNeed')},${trait('chronotype')},${trait('sociability')}\n`;
         }
         csv += '\n';
       }
@@ -52,10 +63,13 @@ export class CSVGenerator {
 
       for (const module of modules) {
         const area = (module.width * module.depth).toFixed(2);
-        const rotation = (module.mesh.rotation.y * 180 / Math.PI).toFixed(1);
+        // Headless layouts (LayoutModule) have no mesh: use the module's own position / rotation
+        const rotation = module.mesh ?
+          (module.mesh.rotation.y * 180 / Math.PI).toFixed(1) : (module.rotationAngle || 0).toFixed(1);
+        const position = module.mesh ? module.mesh.position : module.position;
 
         csv += `${module.name},${module.width},${module.depth},${module.height},`;
-        csv += `${module.mesh.position.x.toFixed(2)},${module.mesh.position.z.toFixed(2)},`;
+        csv += `${position.x.toFixed(2)},${position.z.toFixed(2)},`;
         csv += `${rotation},${module.zone},${area}\n`;
       }
 
@@ -89,7 +103,7 @@ export class CSVGenerator {
 
       // Section 5: Daily Team Average Metrics
       csv += '# SECTION 5: DAILY TEAM AVERAGE METRICS\n';
-      csv += 'Day,Stress,Mood,Sleep Quality,Cohesion,Performance,Psych Health Index\n';
+      csv += 'Day,Stress,Mood,Sleep Quality,Cohesion,Performance,Psych Health Index,Events\n';
 
       for (const result of missionResults) {
         // Handle both direct properties and teamAverage structure
@@ -110,7 +124,8 @@ export class CSVGenerator {
         csv += `${sleepQuality.toFixed(2)},`;
         csv += `${cohesion.toFixed(2)},`;
         csv += `${perf.toFixed(3)},`;
-        csv += `${phi.toFixed(2)}\n`;
+        csv += `${phi.toFixed(2)},`;
+        csv += `${(result.events || []).map(e => e.name).join('; ')}\n`;
       }
 
       csv += '\n';
@@ -161,6 +176,79 @@ export class CSVGenerator {
         csv += '\n';
       }
 
+      // Section 9: Monte Carlo Confidence Bands (if available)
+      if (monteCarloReport?.dailyBands?.length > 0) {
+        csv += '# SECTION 9: MONTE CARLO CONFIDENCE BANDS\n';
+        csv += `# ${monteCarloReport.replicates} replicates, seed ${monteCarloReport.seed}\n`;
+        csv += 'Day,Stress Mean,Stress P5,Stress P50,Stress P95,PHI Mean,PHI P5,PHI P50,PHI P95,Performance P5\n';
+
+        for (const band of monteCarloReport.dailyBands) {
+          csv += `${band.day},`;
+          csv += `${band.stress.mean.toFixed(2)},${band.stress.p5.toFixed(2)},${band.stress.p50.toFixed(2)},${band.stress.p95.toFixed(2)},`;
+          csv += `${band.phi.mean.toFixed(2)},${band.phi.p5.toFixed(2)},${band.phi.p50.toFixed(2)},${band.phi.p95.toFixed(2)},`;
+          csv += `${band.performance.p5.toFixed(3)}\n`;
+        }
+
+        const probabilities = monteCarloReport.thresholdCrossingProbability;
+        csv += '\nThreshold,Probability of Crossing\n';
+        csv += `Stress > moderate threshold,${probabilities.stressModerate.toFixed(3)}\n`;
+        csv += `Stress > high threshold,${probabilities.stressHigh.toFixed(3)}\n`;
+        csv += `Sleep quality < threshold,${probabilities.sleepQuality.toFixed(3)}\n`;
+        csv += '\n';
+      }
+
+      // Section 10: Crew-Pair Relationships (if available)
+      if (simulationReport?.relationships?.pairs?.length > 0) {
+        const relationships = simulationReport.relationships;
+        csv += '# SECTION 10: CREW-PAIR RELATIONSHIPS\n';
+        csv += `# Team cohesion (mean pair affinity): ${relationships.teamCohesion.toFixed(2)}\n`;
+        csv += 'Crew A,Crew B,Initial Affinity,Final Affinity,Min Affinity,Change,Change vs Team,Drifting Apart\n';
+
+        for (const pair of relationships.pairs) {
+          const drifting = relationships.driftingPairs.includes(pair);
+          csv += `${pair.names[0]},${pair.names[1]},${pair.initial.toFixed(2)},${pair.final.toFixed(2)},`;
+          csv += `${pair.min.toFixed(2)},${pair.change.toFixed(2)},${pair.relativeChange.toFixed(2)},${drifting ? 'Yes' : 'No'}\n`;
+        }
+        csv += '\n';
+      }
+
+      // Section 11: Mission Events (if injected)
+      if (simulationReport?.events?.length > 0) {
+        const crewNames = simulationReport.missionConfig.crew.map(m => m.name);
+        csv += '# SECTION 11: MISSION EVENTS\n';
+        csv += 'Day,Event,Type,Crew Affected,Magnitude\n';
+
+        for (const event of simulationReport.events) {
+          const affected = event.crew ? event.crew.map(i => crewNames[i] || `Crew ${i + 1}`).join('; ') : 'All';
+          csv += `${event.day},${event.name},${event.type},${affected},${event.magnitude}\n`;
+        }
+        csv += '\n';
+      }
+
+      // Section 12: Earth Communications (if modeled)
+      if (simulationReport?.communications) {
+        const comms = simulationReport.communications;
+        const delay = Array.isArray(comms.oneWayDelaySeconds) ?
+          comms.oneWayDelaySeconds.map(([day, seconds]) => `day ${day}: ${seconds}s`).join('; ') :
+          `${comms.oneWayDelaySeconds}s`;
+
+        csv += '# SECTION 12: EARTH COMMUNICATIONS\n';
+        csv += 'Parameter,Value\n';
+        csv += `One-Way Light Delay,${delay}\n`;
+        csv += `Contact Hours per Day,${comms.contactHoursPerDay}\n`;
+        csv += `Blackout Periods,${comms.blackoutPeriods.map(p => `${p.reason || 'Blackout'} (days ${p.start_day}-${p.end_day})`).join('; ') || 'None'}\n`;
+        csv += `Family Conference Interval,${comms.conferenceIntervalDays ? `${comms.conferenceIntervalDays} days` : 'None'}\n`;
+        csv += `Family Conferences Held,${comms.conferencesHeld}\n`;
+        csv += `Family Conferences Missed,${comms.conferencesMissed}\n`;
+        if (comms.callQuality) {
+          csv += `Communications Stations,${comms.callQuality.stations}\n`;
+          csv += `Private Call Quality,${comms.callQuality.quality.toFixed(3)}\n`;
+          csv += `Call Capacity,${comms.callQuality.capacity.toFixed(3)}\n`;
+          csv += `Call Privacy,${comms.callQuality.privacy.toFixed(3)}\n`;
+        }
+        csv += '\n';
+      }
+
       csv += '# End of Export\n';
       csv += '# Mars-Sim inspired features: Performance degradation, sleep debt tracking\n';
       csv += '# NASA validated: All metrics traced to HERA, UND, TP-2020-220505, AIAA 2022\n';
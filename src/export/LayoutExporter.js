@@ -10,23 +10,30 @@
  *
  * JSON format includes:
  * - Module positions and rotations
+ * - Placed doors / hatches and their state (modules without doors key use the default front door)
+ * - Storm shelter designation and shielding (SPE drill)
  * - Validation report
  * - NASA source references
  * - Habitat dimensions
+ * - Assembly elements and connections (multi-element habitats)
  */
 
 import Toast from '../ui/Toast.js';
 
 export default class LayoutExporter {
-  constructor() {
+  /**
+   * @param {Object} options - { verbose } (false = no export / import logs, e.g. the CLI)
+   */
+  constructor(options = {}) {
     this.version = '1.0';
+    this.verbose = options.verbose !== false;
     this.nasaSources = [
       'NASA/TP-2020-220505',
       'AIAA ASCEND 2022',
       'HERA Facility 2019'
     ];
 
-    console.log('✅ LayoutExporter initialized');
+    if (this.verbose) console.log('✅ LayoutExporter initialized');
   }
 
   /**
@@ -44,8 +51,14 @@ export default class LayoutExporter {
       habitatShell: {
         width: shellDimensions.width,
         depth: shellDimensions.depth,
+        height: shellDimensions.height,
+        levels: shellDimensions.levels || 1,
+        floorHeight: shellDimensions.floorHeight,
+        verticalLinks: (shellDimensions.verticalLinks || []).map(({ id, ...link }) => link),
+        crossSection: shellDimensions.crossSection,
         units: 'meters'
       },
+      ...(shellDimensions.assembly && { habitatAssembly: shellDimensions.assembly }),
       modules: modules.map(m => m.toJSON()),
       validation: {
         compliancePercentage: validationReport.compliancePercentage,
@@ -62,7 +75,7 @@ export default class LayoutExporter {
       }
     };
 
-    console.log('📤 Layout exported:', exportData);
+    if (this.verbose) console.log('📤 Layout exported:', exportData);
     return exportData;
   }
 
@@ -122,6 +135,10 @@ export default class LayoutExporter {
       }
     }
 
+    if (data.habitatAssembly && !Array.isArray(data.habitatAssembly.elements)) {
+      errors.push('Invalid habitatAssembly.elements');
+    }
+
     if (!Array.isArray(data.modules)) {
       errors.push('Missing or invalid modules array');
     } else {
@@ -136,6 +153,12 @@ export default class LayoutExporter {
         if (!module.dimensions) {
           errors.push(`Module ${index}: Missing dimensions`);
         }
+        if (module.doors !== undefined && !Array.isArray(module.doors)) {
+          errors.push(`Module ${index}: Invalid doors`);
+        }
+        if (module.shelter !== undefined && !Number.isFinite(module.shelter?.shieldingGCm2)) {
+          errors.push(`Module ${index}: Invalid shelter shielding`);
+        }
       });
     }
 
@@ -172,7 +195,7 @@ export default class LayoutExporter {
           console.warn(`Version mismatch: File is ${data.version}, expected ${this.version}`);
         }
 
-        console.log('📥 Layout imported:', data);
+        if (this.verbose) console.log('📥 Layout imported:', data);
         resolve(data);
 
       } catch (error) {
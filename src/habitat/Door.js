@@ -7,27 +7,145 @@
  * - Mark specific tiles as entrances
  * - Provide inside/outside tile coordinates
  * - Visual representation (optional 3D model)
- * - State tracking (open/closed for future animations)
+ * - State: open, closed or locked; type: door or pressure hatch
  *
- * Each module automatically gets a door based on its orientation.
+ * A module has zero to N doors on its walls (HabitatModule.doorLayout); without
+ * a door layout it gets one door at its front, based on its orientation.
+ *
+ * Door types, path costs and the hatch cycle time come from
+ * nasa-constraints.json module_doors:
+ * - Pathfinding: the door tile costs the state's path cost; locked = impassable
+ * - Crew passing a closed door wait its transit time (hatch cycle time)
+ *
+ * NASA Sources:
+ * - NASA-TP-2020-220505: Closable crew quarters, odor isolation of hygiene / WCS
+ * - ISS heritage: Pressure hatches between modules
  */
 
 import * as THREE from 'three';
 
+const DOOR_STATES = ['open', 'closed', 'locked'];
+
 class Door extends THREE.Group {
-  constructor(module, tileX, tileY, direction = 'south') {
+  /**
+   * @param {HabitatModule} module - Module the door belongs to
+   * @param {number} tileX - Door tile X
+   * @param {number} tileY - Door tile Y
+   * @param {string} direction - Wall the door is on: north, south, east, west
+   * @param {Object} options - { state?, type? } (defaults from module_doors)
+   */
+  constructor(module, tileX, tileY, direction = 'south', options = {}) {
     super();
 
     this.module = module;
     this.tileX = tileX;        // Door tile position
     this.tileY = tileY;
+    this.level = module.level ?? 0; // Floor of the door tile
     this.direction = direction; // north, south, east, west
-    this.isOpen = true;         // Future: animation state
+    this.config = module.constraints?.module_doors || null;
+    this.type = options.type || this.config?.default_type || 'door';
+    this.state = options.state || Door.getDefaultState(this.config, module.moduleName);
     this.usageCount = 0;        // Track how many times used
 
     this.createVisual();
   }
 
+  /**
+   * State a new door of a module type starts in
+   * @param {Object|null} config - nasa-constraints.json module_doors
+   * @param {string} moduleName - Module type
+   * @returns {string}
+   */
+  static getDefaultState(config, moduleName) {
+    return config?.module_default_states?.[moduleName] || config?.default_state || 'open';
+  }
+
+  /**
+   * @returns {boolean} - Door stands open
+   */
+  get isOpen() {
+    return this.state === 'open';
+  }
+
+  /**
+   * Door type parameters (module_doors.door_types)
+   * @returns {Object}
+   */
+  getTypeSpec() {
+    return this.config?.door_types[this.type] || {};
+  }
+
+  /**
+   * Extra path cost of passing the door, in tile steps
+   * A closed hatch costs its cycle time (crew walk 1 tile/s)
+   * @returns {number} - Infinity when locked
+   */
+  getPathCost() {
+    return Door.getPathCostFor(this.config, this.type, this.state);
+  }
+
+  /**
+   * Path cost of a door type in a state (also used by the CLI, which marks
+   * door tiles without Door instances)
+   * @param {Object|null} config - nasa-constraints.json module_doors
+   * @param {string} type - module_doors.door_types key
+   * @param {string} state - 'open' | 'closed' | 'locked'
+   * @returns {number} - Infinity when locked
+   */
+  static getPathCostFor(config, type, state) {
+    const spec = config?.door_types?.[type] || {};
+
+    switch (state) {
+      case 'locked':
+        return Infinity;
+      case 'closed':
+        return spec.closed_path_cost ?? spec.cycle_time_s ?? 2.0;
+      default:
+        return spec.open_path_cost ?? 0.1;
+    }
+  }
+
+  /**
+   * Seconds crew wait at the door to pass it (0 when open)
+   * @returns {number}
+   */
+  getTransitTime() {
+    return this.state === 'open' ? 0 : this.getTypeSpec().cycle_time_s ?? this.getPathCost();
+  }
+
+  /**
+   * Change the door state and update its tile
+   * @param {string} state - 'open' | 'closed' | 'locked'
+   * @returns {boolean} - False for an unknown state
+   */
+  setState(state) {
+    if (!DOOR_STATES.includes(state)) return false;
+
+    this.state = state;
+    this.markTile();
+    return true;
+  }
+
+  /**
+   * Change the door type (door / pressure hatch) and update its tile
+   * @param {string} type - module_doors.door_types key
+   */
+  setType(type) {
+    this.type = type;
+    this.markTile();
+  }
+
+  /**
+   * Mark the door tile with the state, type and path cost
+   */
+  markTile() {
+    this.module.tileSystem?.markDoorTile(this.tileX, this.tileY, this.module.moduleId, this.level, {
+      state: this.state,
+      type: this.type,
+      pathCost: this.getPathCost()
+    });
+  }
+
   /**
    * Create door visual representation
    */
@@ -144,6 +262,8 @@ class Door extends THREE.Group {
    * @returns {boolean}
    */
   canUse(crewTileX, crewTileY) {
+    if (this.state === 'locked') return false;
+
     // Crew must be at door tile or adjacent outside tile
     if (crewTileX === this.tileX && crewTileY === this.tileY) {
       return true;
@@ -173,6 +293,8 @@ class Door extends THREE.Group {
       module: this.module.moduleName,
       tile: { x: this.tileX, y: this.tileY },
       direction: this.direction,
+      type: this.type,
+      state: this.state,
       inside: this.getInsideTile(),
       outside: this.getOutsideTile(),
       usageCount: this.usageCount
@@ -0,0 +1,301 @@
+/**
+ * Habitat Assembly - Pressurized elements joined by hatches
+ *
+ * Modular habitats (habitat-types.json modular_assembly, surface outposts) are
+ * separate shells placed on the surface or in orbit, joined by docking nodes
+ * or pressurized tunnels. Each element has its own TileSystem, offset to the
+ * element's world position; a connection links a tile of one element to a tile
+ * of another through the hatches at both ends.
+ *
+ * The assembly answers the TileSystem calls Pathfinder makes (getTile,
+ * getNeighbors, resetPathfindingData, tileToWorld) with an extra element
+ * argument, so a single A* search routes crew between elements.
+ *
+ * NASA Sources:
+ * - NASA-TP-2020-220505: Modular assemblies, docking ports per module
+ * - ISS heritage: Common Berthing Mechanism hatches between modules
+ * - habitat-assemblies.json: connection types and assembly presets
+ */
+
+import TileSystem from '../scene/TileSystem.js';
+
+const MIN_FLOOR_HEIGHT = 2.5; // m, same floor spacing rule as GridSystem
+
+export default class HabitatAssembly {
+  /**
+   * @param {Object} connectionTypes - habitat-assemblies.json connection_types
+   */
+  constructor(connectionTypes = {}) {
+    this.connectionTypes = connectionTypes;
+    this.elements = new Map();   // element id → element
+    this.connections = [];
+    this.connectionIdCounter = 0;
+  }
+
+  /**
+   * Build an assembly from its exported form (toJSON)
+   * @param {Object} data - { elements, connections }
+   * @param {Object} connectionTypes - habitat-assemblies.json connection_types
+   * @returns {HabitatAssembly}
+   */
+  static fromJSON(data, connectionTypes = {}) {
+    const assembly = new HabitatAssembly(connectionTypes);
+
+    for (const config of data.elements || []) {
+      const element = assembly.addElement(config);
+      for (const link of config.verticalLinks || []) {
+        element?.tileSystem.addVerticalLink(link.tileX, link.tileY, link.fromLevel, link.toLevel, link.type, link.cost);
+      }
+    }
+
+    for (const connection of data.connections || []) {
+      if (!assembly.connect(connection.from, connection.to, connection.type, connection.lengthM)) {
+        console.warn(`⚠️ Could not connect ${connection.from.element} to ${connection.to.element}`);
+      }
+    }
+
+    return assembly;
+  }
+
+  /**
+   * Add a pressurized element
+   * @param {Object} config - { id, name?, type?, width, depth, height?, levels?, floorHeight?, crossSection?, x?, z? }
+   * @returns {Object|null} - Element, or null if the id is taken
+   */
+  addElement(config) {
+    if (this.elements.has(config.id)) return null;
+
+    const levels = config.levels || 1;
+    const height = config.height ?? 3.0;
+    const floorHeight = config.floorHeight ?? Math.max(height / levels, MIN_FLOOR_HEIGHT);
+
+    // Whole tiles only: a partial tile at the wall (e.g. 4.5 m shells) is not walkable floor
+    const tileSystem = new TileSystem(Math.floor(config.width), Math.floor(config.depth), 1.0, levels, floorHeight);
+    tileSystem.setElement(config.id, config.x || 0, config.z || 0);
+
+    const element = {
+      id: config.id,
+      name: config.name || config.id,
+      type: config.type || null,
+      width: config.width,
+      depth: config.depth,
+      height,
+      levels,
+      floorHeight,
+      crossSection: config.crossSection || null,
+      x: config.x || 0,
+      z: config.z || 0,
+      tileSystem
+    };
+
+    this.elements.set(element.id, element);
+    return element;
+  }
+
+  /**
+   * Join two elements through a hatch at each end
+   * @param {Object} from - { element, tileX, tileY, level? }
+   * @param {Object} to - { element, tileX, tileY, level? }
+   * @param {string} type - connection_types key ('node' | 'tunnel')
+   * @param {number|null} lengthM - Node / tunnel length (null = type default)
+   * @returns {Object|null} - Connection, or null if a tile is invalid, already has a hatch or both ends are in one element
+   */
+  connect(from, to, type = 'node', lengthM = null) {
+    const fromTile = this.getTile(from.tileX, from.tileY, from.level ?? 0, from.element);
+    const toTile = this.getTile(to.tileX, to.tileY, to.level ?? 0, to.element);
+    if (!fromTile || !toTile || from.element === to.element || fromTile.hatch || toTile.hatch) return null;
+
+    const spec = this.connectionTypes[type] || {};
+    const length = lengthM ?? spec.default_length_m ?? 0;
+
+    const connection = {
+      id: `connection_${this.connectionIdCounter++}`,
+      type,
+      lengthM: length,
+      hatchWidthM: spec.hatch_width_m ?? null,
+      cost: (spec.path_cost ?? 4.0) + length,
+      from: { element: from.element, tileX: from.tileX, tileY: from.tileY, level: from.level ?? 0 },
+      to: { element: to.element, tileX: to.tileX, tileY: to.tileY, level: to.level ?? 0 }
+    };
+
+    fromTile.hatch = connection;
+    toTile.hatch = connection;
+    this.connections.push(connection);
+
+    return connection;
+  }
+
+  /**
+   * @param {string} elementId
+   * @returns {Object|null}
+   */
+  getElement(elementId) {
+    return this.elements.get(elementId) || null;
+  }
+
+  /**
+   * @returns {Array<Object>} - Elements in the order they were added
+   */
+  getElements() {
+    return [...this.elements.values()];
+  }
+
+  /**
+   * @param {string} elementId
+   * @returns {TileSystem|null}
+   */
+  getTileSystem(elementId) {
+    return this.elements.get(elementId)?.tileSystem || null;
+  }
+
+  /**
+   * Element whose floor plan contains a world point
+   * @param {number} worldX
+   * @param {number} worldZ
+   * @returns {Object|null}
+   */
+  getElementAt(worldX, worldZ) {
+    return this.getElements().find(element =>
+      Math.abs(worldX - element.x) <= element.width / 2 && Math.abs(worldZ - element.z) <= element.depth / 2
+    ) || null;
+  }
+
+  /**
+   * Shell dimensions of one element, for ConstraintValidator.validateLayout
+   * @param {string} elementId
+   * @returns {Object|null} - { width, depth, height, levels, floorHeight, crossSection, verticalLinks, originX, originZ }
+   */
+  getShellDimensions(elementId) {
+    const element = this.elements.get(elementId);
+    if (!element) return null;
+
+    return {
+      width: element.width,
+      depth: element.depth,
+      height: element.height,
+      levels: element.levels,
+      floorHeight: element.floorHeight,
+      crossSection: element.crossSection,
+      verticalLinks: element.tileSystem.getVerticalLinks(),
+      originX: element.x,
+      originZ: element.z
+    };
+  }
+
+  /**
+   * Connections with the world position of both hatches
+   * @returns {Array<Object>} - [{ ...connection, fromWorld: {x, y, z}, toWorld: {x, y, z} }]
+   */
+  getConnections() {
+    return this.connections.map(connection => ({
+      ...connection,
+      fromWorld: this.tileToWorld(connection.from.tileX, connection.from.tileY, connection.from.level, connection.from.element),
+      toWorld: this.tileToWorld(connection.to.tileX, connection.to.tileY, connection.to.level, connection.to.element)
+    }));
+  }
+
+  /**
+   * Groups of elements joined by connections (one group = fully connected)
+   * @returns {Array<Array<string>>} - Element ids per group
+   */
+  getConnectedGroups() {
+    const groups = [];
+    const visited = new Set();
+
+    for (const id of this.elements.keys()) {
+      if (visited.has(id)) continue;
+
+      const group = [];
+      const queue = [id];
+      visited.add(id);
+
+      while (queue.length > 0) {
+        const current = queue.shift();
+        group.push(current);
+
+        for (const { from, to } of this.connections) {
+          const next = from.element === current ? to.element : to.element === current ? from.element : null;
+          if (next && !visited.has(next)) {
+            visited.add(next);
+            queue.push(next);
+          }
+        }
+      }
+
+      groups.push(group);
+    }
+
+    return groups;
+  }
+
+  /**
+   * Tile of an element
+   * @param {number} x - Tile X
+   * @param {number} y - Tile Y
+   * @param {number} level - Floor index
+   * @param {string} element - Element id
+   * @returns {Object|null}
+   */
+  getTile(x, y, level = 0, element = null) {
+    return this.getTileSystem(element)?.getTile(x, y, level) || null;
+  }
+
+  /**
+   * Neighbors within the element, plus the far end of a hatch on this tile
+   * @returns {Array<{tile: Object, direction: string}>}
+   */
+  getNeighbors(x, y, level = 0, element = null) {
+    const tileSystem = this.getTileSystem(element);
+    if (!tileSystem) return [];
+
+    const neighbors = tileSystem.getNeighbors(x, y, level);
+    const hatch = tileSystem.getTile(x, y, level)?.hatch;
+
+    if (hatch) {
+      const end = hatch.from.element === element ? hatch.to : hatch.from;
+      const tile = this.getTile(end.tileX, end.tileY, end.level, end.element);
+      if (tile) neighbors.push({ tile, direction: 'hatch' });
+    }
+
+    return neighbors;
+  }
+
+  /**
+   * Reset A* data on every element
+   */
+  resetPathfindingData() {
+    for (const element of this.elements.values()) {
+      element.tileSystem.resetPathfindingData();
+    }
+  }
+
+  /**
+   * World position of an element tile
+   * @returns {{x: number, y: number, z: number}|null}
+   */
+  tileToWorld(x, y, level = 0, element = null) {
+    return this.getTileSystem(element)?.tileToWorld(x, y, level) || null;
+  }
+
+  /**
+   * Passable tiles on every element
+   * @returns {Array<Object>}
+   */
+  getPassableTiles() {
+    return this.getElements().flatMap(element => element.tileSystem.getPassableTiles());
+  }
+
+  /**
+   * Export form (LayoutExporter habitatAssembly)
+   * @returns {Object} - { elements, connections }
+   */
+  toJSON() {
+    return {
+      elements: this.getElements().map(({ tileSystem, ...element }) => ({
+        ...element,
+        verticalLinks: tileSystem.getVerticalLinks().map(({ id, x, z, ...link }) => link)
+      })),
+      connections: this.connections.map(({ type, lengthM, from, to }) => ({ type, lengthM, from, to }))
+    };
+  }
+}
@@ -0,0 +1,409 @@
+/**
+ * Layout Generator - Starter layout for a list of modules
+ *
+ * Places a mission scenario's required modules along a central corridor
+ * on the TileSystem grid:
+ * - One tile-wide corridor along the shell's long axis (≥1.0 m translation path)
+ * - Modules in two lanes on either side, doors facing the corridor,
+ *   so every door opens onto one connected walkway
+ * - Clean zone clustered at one end of the corridor, dirty zone at the other
+ * - Order within each zone improved against the adjacency rules
+ *   (separate_from, noise_isolate) in nasa-constraints.json
+ *
+ * Placement semantics match HabitatModule.placeAtTile: a module's floor
+ * rectangle is centred on its first tile, so lanes are packed on both the
+ * tile footprint and the floor rectangle to keep the layout free of overlaps.
+ *
+ * Sources:
+ * - NASA/TP-2020-220505: Clean/dirty zoning, adjacency rules
+ * - AIAA ASCEND 2022: 1.0 m translation path minimum
+ */
+
+import ModuleCatalog from './ModuleCatalog.js';
+import LayoutModule from './LayoutModule.js';
+import HabitatModule from './Module.js';
+import ConstraintValidator from '../validation/ConstraintValidator.js';
+
+// Door-to-corridor rotations (see HabitatModule.computeDoorPosition)
+const LANE_ROTATIONS = {
+  horizontal: { near: 0, far: 180 },   // south- / north-facing doors
+  vertical: { near: 270, far: 90 }     // east- / west-facing doors
+};
+
+// Tile just outside a door, by door direction
+const DOOR_OFFSETS = {
+  north: [0, -1],
+  south: [0, 1],
+  east: [1, 0],
+  west: [-1, 0]
+};
+
+const MAX_IMPROVEMENT_PASSES = 10;
+
+export default class LayoutGenerator {
+  /**
+   * @param {Object} constraints - NASA constraints (adjacency rules, path width)
+   */
+  constructor(constraints) {
+    this.validator = new ConstraintValidator(constraints);
+    this.pathMinWidth = this.validator.pathMinWidth || 1.0;
+  }
+
+  /**
+   * Generate placements for a list of module names
+   * @param {Array<String>} moduleNames - e.g. scenario.required_modules
+   * @param {Object} grid - { width, height, tileSize } (tiles)
+   * @param {Object} shell - { width, depth } habitat shell (meters)
+   * @returns {Object} - { placements: [{ name, zone, tileX, tileY, rotation }], unplaced, corridor, adjacencyCompliance, spacing }
+   */
+  generate(moduleNames, grid, shell = null) {
+    const specs = moduleNames
+      .map(name => ModuleCatalog.find(m => m.name === name))
+      .filter(Boolean);
+
+    const unknown = moduleNames.filter(name => !ModuleCatalog.some(m => m.name === name));
+    for (const name of unknown) {
+      console.warn(`⚠️ Unknown module type: ${name} (skipped)`);
+    }
+
+    // Clean cluster first, dirty cluster at the far end (stable within each zone)
+    const sequence = [
+      ...specs.filter(s => s.zone !== 'dirty'),
+      ...specs.filter(s => s.zone === 'dirty')
+    ];
+
+    const shellDims = shell || { width: grid.width * grid.tileSize, depth: grid.height * grid.tileSize };
+    const longAxis = grid.width >= grid.height ? 'horizontal' : 'vertical';
+    const axes = [longAxis, longAxis === 'horizontal' ? 'vertical' : 'horizontal'];
+
+    // Prefer full translation paths between neighbours; pack tighter if modules don't fit.
+    // Corridor axis / position are screened on the initial order, then the best is refined
+    let best = null;
+    for (const spacing of ['path', 'snug']) {
+      let screened = null;
+      for (const axis of axes) {
+        const acrossTiles = axis === 'horizontal' ? grid.height : grid.width;
+        for (const corridor of this.corridorPositions(acrossTiles)) {
+          const result = this.evaluate(sequence, this.getGeometry(grid, shellDims, axis, corridor), spacing);
+          if (!screened || result.score > screened.score) screened = result;
+        }
+      }
+
+      const result = this.improve(sequence, screened.geometry, spacing);
+      if (!best || result.score > best.score) best = result;
+      if (best.unplaced.length === 0) break;
+    }
+
+    // Modules that don't fit the lanes go wherever the doors stay connected
+    const { placements, unplaced } = this.fillRemaining(best.placements, best.unplaced, best.geometry);
+    const modules = this.toLayoutModules(placements, grid);
+
+    console.log(`🏗️ Generated starter layout: ${placements.length} placed, ${unplaced.length} unplaced ` +
+      `(${best.geometry.axis} corridor, ${best.spacing} spacing)`);
+
+    return {
+      placements,
+      unplaced: [...unplaced.map(s => s.name), ...unknown],
+      corridor: { axis: best.geometry.axis, index: best.geometry.corridor },
+      adjacencyCompliance: this.validator.calculateAdjacencyCompliance(modules),
+      spacing: best.spacing
+    };
+  }
+
+  /**
+   * Corridor and lane geometry in tile units
+   * 'horizontal' runs the corridor along X (a tile row), 'vertical' along Z (a column).
+   * The shell may be narrower than the tile grid (e.g. 4.5 m on 5 tiles); its
+   * edges are kept as fractional tile coordinates for the floor-rectangle checks
+   */
+  getGeometry(grid, shell, axis, corridor) {
+    const alongTiles = axis === 'horizontal' ? grid.width : grid.height;
+    const acrossTiles = axis === 'horizontal' ? grid.height : grid.width;
+    const alongShell = (axis === 'horizontal' ? shell.width : shell.depth) / grid.tileSize;
+    const acrossShell = (axis === 'horizontal' ? shell.depth : shell.width) / grid.tileSize;
+
+    return {
+      axis,
+      grid,
+      shell,
+      tileSize: grid.tileSize,
+      alongTiles,
+      acrossTiles,
+      alongMin: Math.max(0, (alongTiles - alongShell) / 2),
+      alongMax: Math.min(alongTiles, (alongTiles + alongShell) / 2),
+      acrossMin: Math.max(0, (acrossTiles - acrossShell) / 2),
+      acrossMax: Math.min(acrossTiles, (acrossTiles + acrossShell) / 2),
+      corridor
+    };
+  }
+
+  /**
+   * Corridor rows/columns to try, central first (a corridor on the shell wall leaves one lane)
+   */
+  corridorPositions(acrossTiles) {
+    const center = Math.floor(acrossTiles / 2);
+    return Array.from({ length: acrossTiles }, (_, i) => i)
+      .sort((a, b) => Math.abs(a - center) - Math.abs(b - center));
+  }
+
+  /**
+   * Swap modules within the same zone while adjacency improves
+   * @returns {Object} - Best { placements, unplaced, score, spacing, geometry }
+   */
+  improve(sequence, geometry, spacing) {
+    let order = [...sequence];
+    let best = this.evaluate(order, geometry, spacing);
+
+    for (let pass = 0; pass < MAX_IMPROVEMENT_PASSES; pass++) {
+      let improved = false;
+
+      for (let i = 0; i < order.length; i++) {
+        for (let j = i + 1; j < order.length; j++) {
+          if (order[i].zone !== order[j].zone || order[i].name === order[j].name) continue;
+
+          const candidate = [...order];
+          [candidate[i], candidate[j]] = [candidate[j], candidate[i]];
+          const result = this.evaluate(candidate, geometry, spacing);
+
+          if (result.score > best.score) {
+            order = candidate;
+            best = result;
+            improved = true;
+          }
+        }
+      }
+
+      if (!improved) break;
+    }
+
+    return best;
+  }
+
+  /**
+   * Place a sequence and score it: placed modules, then adjacency, then path widths
+   */
+  evaluate(order, geometry, spacing) {
+    const { placements, unplaced } = this.place(order, geometry, spacing);
+    const modules = this.toLayoutModules(placements, geometry.grid);
+    const adjacencyViolations = this.validator.validateAdjacency(modules).length;
+    const pathViolations = this.validator.validatePathWidth(modules).violations.length;
+
+    return {
+      placements,
+      unplaced,
+      spacing,
+      geometry,
+      score: placements.length * 1000 - adjacencyViolations * 10 - pathViolations
+    };
+  }
+
+  /**
+   * Fill the two lanes from the clean end; each module goes to the lane
+   * with more free corridor frontage
+   */
+  place(order, geometry, spacing) {
+    const lanes = ['near', 'far'].map(side => ({ side, tileEnd: 0, rectEnd: geometry.alongMin }));
+    const placements = [];
+    const unplaced = [];
+
+    for (const spec of order) {
+      const options = [...lanes].sort((a, b) => a.rectEnd - b.rectEnd);
+      const placement = options
+        .map(lane => ({ lane, slot: this.fitInLane(spec, lane, geometry, spacing) }))
+        .find(option => option.slot);
+
+      if (!placement) {
+        unplaced.push(spec);
+        continue;
+      }
+
+      const { lane, slot } = placement;
+      lane.tileEnd = slot.along + slot.alongTiles;
+      lane.rectEnd = slot.along + 0.5 + spec.w / (2 * geometry.tileSize);
+
+      const rotation = LANE_ROTATIONS[geometry.axis][lane.side];
+      placements.push({
+        name: spec.name,
+        zone: spec.zone,
+        tileX: geometry.axis === 'horizontal' ? slot.along : slot.across,
+        tileY: geometry.axis === 'horizontal' ? slot.across : slot.along,
+        rotation
+      });
+    }
+
+    return { placements, unplaced };
+  }
+
+  /**
+   * Next free slot for a module in a lane (tile units), or null if it doesn't fit
+   * Width runs along the corridor, depth across it (doors face the corridor)
+   */
+  fitInLane(spec, lane, geometry, spacing) {
+    const halfW = spec.w / (2 * geometry.tileSize);
+    const halfD = spec.d / (2 * geometry.tileSize);
+    const alongTiles = Math.ceil(spec.w / geometry.tileSize);
+    const acrossTiles = Math.ceil(spec.d / geometry.tileSize);
+
+    // Along the corridor: after the previous module's tiles and floor rectangle
+    const isFirst = lane.tileEnd === 0;
+    const gap = spacing === 'path' && !isFirst ? this.pathMinWidth / geometry.tileSize : 0;
+    const along = Math.max(lane.tileEnd, Math.ceil(lane.rectEnd + gap + halfW - 0.5));
+    if (along + alongTiles > geometry.alongTiles || along + 0.5 + halfW > geometry.alongMax) {
+      return null;
+    }
+
+    // Across: flush against the corridor, floor rectangle kept off the corridor tiles
+    const corridor = geometry.corridor;
+    let across;
+    if (lane.side === 'near') {
+      across = corridor - acrossTiles;
+      if (across < 0 || across + 0.5 - halfD < geometry.acrossMin) return null;
+    } else {
+      across = Math.max(corridor + 1, Math.ceil(corridor + 0.5 + halfD));
+      if (across + acrossTiles > geometry.acrossTiles || across + 0.5 + halfD > geometry.acrossMax) {
+        return null;
+      }
+    }
+
+    return { along, across, alongTiles };
+  }
+
+  /**
+   * Place leftover modules on any free spot and rotation that keeps every door
+   * opening onto free floor connected to all other doors; clean modules prefer
+   * the clean end of the corridor, dirty modules the dirty end
+   * @returns {Object} - { placements, unplaced }
+   */
+  fillRemaining(placements, unplaced, geometry) {
+    const { grid, shell } = geometry;
+    const result = [...placements];
+    const stillUnplaced = [];
+
+    for (const spec of unplaced) {
+      let best = null;
+
+      for (const rotation of [0, 90, 180, 270]) {
+        for (let tileY = 0; tileY < grid.height; tileY++) {
+          for (let tileX = 0; tileX < grid.width; tileX++) {
+            const placement = { name: spec.name, zone: spec.zone, tileX, tileY, rotation };
+            const along = geometry.axis === 'horizontal' ? tileX : tileY;
+            const cost = spec.zone === 'dirty' ? geometry.alongTiles - along : along;
+            if (best && cost >= best.cost) continue;
+
+            const candidate = [...result, placement];
+            if (this.isFeasible(candidate, grid, shell)) {
+              best = { placement, cost };
+            }
+          }
+        }
+      }
+
+      if (best) {
+        result.push(best.placement);
+      } else {
+        stillUnplaced.push(spec);
+      }
+    }
+
+    return { placements: result, unplaced: stillUnplaced };
+  }
+
+  /**
+   * No overlaps (tiles or floor rectangles), inside the shell, all doors connected
+   * Only the last placement is new; the others are already known to be valid
+   */
+  isFeasible(placements, grid, shell) {
+    const footprints = placements.map(p => this.getFootprint(p, grid));
+    const added = footprints[footprints.length - 1];
+
+    if (added.tileX + added.tileWidth > grid.width || added.tileY + added.tileHeight > grid.height) {
+      return false;
+    }
+
+    const modules = this.toLayoutModules(placements, grid);
+    const module = modules[modules.length - 1];
+    if (!module.isWithinBounds(shell.width, shell.depth)) return false;
+    if (modules.slice(0, -1).some(other => other.checkOverlap(module))) return false;
+
+    // Occupied tiles
+    const occupied = new Set();
+    for (const f of footprints) {
+      for (let y = f.tileY; y < f.tileY + f.tileHeight; y++) {
+        for (let x = f.tileX; x < f.tileX + f.tileWidth; x++) {
+          const key = y * grid.width + x;
+          if (occupied.has(key)) return false;
+          occupied.add(key);
+        }
+      }
+    }
+
+    // Tile outside each door must be free floor, all reachable from the first
+    const doorTiles = [];
+    for (const f of footprints) {
+      const door = HabitatModule.computeDoorPosition(f.tileX, f.tileY, f.tileWidth, f.tileHeight, f.rotation);
+      const [dx, dy] = DOOR_OFFSETS[door.direction];
+      const x = door.tileX + dx;
+      const y = door.tileY + dy;
+      if (x < 0 || y < 0 || x >= grid.width || y >= grid.height || occupied.has(y * grid.width + x)) {
+        return false;
+      }
+      doorTiles.push(y * grid.width + x);
+    }
+
+    const reached = new Set([doorTiles[0]]);
+    const queue = [doorTiles[0]];
+    for (let head = 0; head < queue.length; head++) {
+      const x = queue[head] % grid.width;
+      const y = Math.floor(queue[head] / grid.width);
+      for (const [dx, dy] of Object.values(DOOR_OFFSETS)) {
+        const nx = x + dx;
+        const ny = y + dy;
+        const key = ny * grid.width + nx;
+        if (nx < 0 || ny < 0 || nx >= grid.width || ny >= grid.height) continue;
+        if (occupied.has(key) || reached.has(key)) continue;
+        reached.add(key);
+        queue.push(key);
+      }
+    }
+
+    return doorTiles.every(key => reached.has(key));
+  }
+
+  /**
+   * Tile footprint of a placement
+   */
+  getFootprint(placement, grid) {
+    const spec = ModuleCatalog.find(m => m.name === placement.name);
+    const swapped = placement.rotation === 90 || placement.rotation === 270;
+
+    return {
+      tileX: placement.tileX,
+      tileY: placement.tileY,
+      rotation: placement.rotation,
+      tileWidth: Math.ceil((swapped ? spec.d : spec.w) / grid.tileSize),
+      tileHeight: Math.ceil((swapped ? spec.w : spec.d) / grid.tileSize)
+    };
+  }
+
+  /**
+   * Geometry-only modules for validation, positioned as placeAtTile would
+   */
+  toLayoutModules(placements, grid) {
+    return placements.map((p, i) => {
+      const spec = ModuleCatalog.find(m => m.name === p.name);
+      const swapped = p.rotation === 90 || p.rotation === 270;
+
+      return new LayoutModule({
+        id: `generated_${i}`,
+        name: p.name,
+        zone: p.zone,
+        rotation: p.rotation,
+        dimensions: { w: swapped ? spec.d : spec.w, d: swapped ? spec.w : spec.d, h: spec.h },
+        position: {
+          x: (p.tileX - grid.width / 2 + 0.5) * grid.tileSize,
+          z: (p.tileY - grid.height / 2 + 0.5) * grid.tileSize
+        }
+      });
+    });
+  }
+}
@@ -0,0 +1,183 @@
+/**
+ * Layout Module - Geometry-only habitat module
+ *
+ * Headless counterpart of HabitatModule for code that runs without a browser
+ * (the Node CLI). Holds the same properties and implements the geometry
+ * methods ConstraintValidator relies on, without Three.js meshes or labels.
+ *
+ * Built from LayoutExporter module entries; NASA minimum area / volume come
+ * from ModuleCatalog, matched by module name.
+ */
+
+import ModuleCatalog from './ModuleCatalog.js';
+
+export default class LayoutModule {
+  /**
+   * @param {Object} data - Module entry from a LayoutExporter JSON file
+   */
+  constructor(data) {
+    const catalogItem = ModuleCatalog.find(c => c.name === data.name) || {};
+
+    this.moduleId = data.id;
+    this.moduleName = data.name;
+    this.dimensions = {
+      w: data.dimensions.w,
+      d: data.dimensions.d,
+      h: data.dimensions.h
+    };
+    this.zone = data.zone || catalogItem.zone;
+    this.category = data.category || catalogItem.category;
+    this.minArea = catalogItem.minArea || 0;
+    this.minVolume = catalogItem.minVolume || 0;
+    this.rotationAngle = data.rotation || 0;
+    this.level = data.level ?? 0;
+    this.element = data.element ?? null;   // Assembly element (null = standalone habitat)
+    this.position = {
+      x: data.position.x,
+      y: data.position.y ?? data.dimensions.h / 2,
+      z: data.position.z ?? 0
+    };
+    this.lightingSchedule = data.lightingSchedule || null;
+    this.doors = data.doors || null;       // [{ dx, dy, direction, state, type }] (null = default front door)
+    this.safeHaven = Boolean(data.safeHaven);
+    this.shelter = data.shelter || null;   // { shieldingGCm2 } (SPE storm shelter)
+    this.known = Boolean(catalogItem.name);
+  }
+
+  // Same accessors the CSV export reads from modules
+  get name() { return this.moduleName; }
+  get width() { return this.dimensions.w; }
+  get depth() { return this.dimensions.d; }
+  get height() { return this.dimensions.h; }
+
+  /**
+   * Get module footprint area (m²)
+   * @returns {number} Area in square meters
+   */
+  getFootprint() {
+    return this.dimensions.w * this.dimensions.d;
+  }
+
+  /**
+   * Get module volume (m³)
+   * @returns {number} Volume in cubic meters
+   */
+  getVolume() {
+    return this.dimensions.w * this.dimensions.d * this.dimensions.h;
+  }
+
+  /**
+   * Get floor rectangle (for overlap detection)
+   * @returns {Object} {minX, maxX, minZ, maxZ}
+   */
+  getFloorRectangle() {
+    const halfW = this.dimensions.w / 2;
+    const halfD = this.dimensions.d / 2;
+
+    return {
+      minX: this.position.x - halfW,
+      maxX: this.position.x + halfW,
+      minZ: this.position.z - halfD,
+      maxZ: this.position.z + halfD
+    };
+  }
+
+  /**
+   * Check if this module overlaps with another (modules on different floors never overlap)
+   * @param {LayoutModule} otherModule - Module to check against
+   * @returns {boolean} True if modules overlap
+   */
+  checkOverlap(otherModule) {
+    if ((otherModule.level ?? 0) !== this.level) return false;
+
+    const thisRect = this.getFloorRectangle();
+    const otherRect = otherModule.getFloorRectangle();
+
+    const overlapX = thisRect.minX < otherRect.maxX && thisRect.maxX > otherRect.minX;
+    const overlapZ = thisRect.minZ < otherRect.maxZ && thisRect.maxZ > otherRect.minZ;
+
+    return overlapX && overlapZ;
+  }
+
+  /**
+   * Get distance to another module (center to center, plus the floor-to-floor
+   * height when the modules are on different floors)
+   * @param {LayoutModule} otherModule - Module to measure distance to
+   * @returns {number} Distance in meters
+   */
+  getDistanceTo(otherModule) {
+    const dx = this.position.x - otherModule.position.x;
+    const dy = this.getFloorElevation() - (otherModule.position.y - otherModule.dimensions.h / 2);
+    const dz = this.position.z - otherModule.position.z;
+    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+  }
+
+  /**
+   * Elevation of the module floor (y of the floor it stands on)
+   * @returns {number} Meters above the ground floor
+   */
+  getFloorElevation() {
+    return this.position.y - this.dimensions.h / 2;
+  }
+
+  /**
+   * Check if module is within habitat bounds
+   * @param {number} maxWidth - Habitat width
+   * @param {number} maxDepth - Habitat depth
+   * @param {number} originX - World X of the shell centre (assembly elements)
+   * @param {number} originZ - World Z of the shell centre
+   * @returns {boolean} True if within bounds
+   */
+  isWithinBounds(maxWidth, maxDepth, originX = 0, originZ = 0) {
+    const rect = this.getFloorRectangle();
+    const halfWidth = maxWidth / 2;
+    const halfDepth = maxDepth / 2;
+
+    return (
+      rect.minX - originX >= -halfWidth &&
+      rect.maxX - originX <= halfWidth &&
+      rect.minZ - originZ >= -halfDepth &&
+      rect.maxZ - originZ <= halfDepth
+    );
+  }
+
+  /**
+   * Door specs on a footprint of tileWidth × tileHeight tiles: the placed
+   * doors, or the default front door (same rule as HabitatModule.computeDoorPosition)
+   * @param {number} tileWidth
+   * @param {number} tileHeight
+   * @returns {Array<{dx, dy, direction, state?, type?}>}
+   */
+  getDoorLayout(tileWidth, tileHeight) {
+    if (this.doors) return this.doors;
+
+    const centerX = Math.floor(tileWidth / 2);
+    const centerY = Math.floor(tileHeight / 2);
+    switch (this.rotationAngle) {
+      case 90: return [{ dx: 0, dy: centerY, direction: 'west' }];
+      case 180: return [{ dx: centerX, dy: 0, direction: 'north' }];
+      case 270: return [{ dx: tileWidth - 1, dy: centerY, direction: 'east' }];
+      default: return [{ dx: centerX, dy: tileHeight - 1, direction: 'south' }];
+    }
+  }
+
+  /**
+   * Plain module entry used by the validators and MissionSimulator
+   * (same shape as HabitatHarmonyApp.getLayoutForValidation modules)
+   * @returns {Object}
+   */
+  toLayoutEntry() {
+    return {
+      id: this.moduleId,
+      name: this.moduleName,
+      dimensions: { ...this.dimensions },
+      position: { x: this.position.x, z: this.position.z },
+      level: this.level,
+      ...(this.element && { element: this.element }),
+      ...(this.doors && { doors: this.doors.map(door => ({ type: door.type || 'door', state: door.state || 'open' })) }),
+      ...(this.safeHaven && { safeHaven: true }),
+      ...(this.shelter && { shelter: { ...this.shelter } }),
+      zone: this.zone
+    };
+  }
+}
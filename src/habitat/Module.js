@@ -12,7 +12,8 @@
  * - Validates against adjacency rules
  *
  * Coordinate System:
- * - Position: (x, y, z) where y=height/2 (center of module)
+ * - Position: (x, y, z) where y=floor elevation + height/2 (center of module)
+ * - Level: floor index in multi-level habitats (0 = ground floor)
  * - Rotation: Around Y axis (vertical)
  * - Dimensions: BoxGeometry uses (width, height, depth) = (w, h, d)
  */
@@ -51,6 +52,8 @@ export default class HabitatModule extends THREE.Group {
     this.tileSystem = tileSystem;
     this.tileX = 0;
     this.tileY = 0;
+    this.level = 0;
+    this.element = tileSystem?.elementId ?? null; // Assembly element (null = standalone habitat)
 
     if (tileSystem) {
       this.tileWidth = Math.ceil(catalogItem.w / tileSystem.tileSize);
@@ -63,7 +66,15 @@ export default class HabitatModule extends THREE.Group {
     // Interior objects and crew
     this.objects = [];      // Equipment/furniture placed inside
     this.crew = [];         // Crew members currently in this module
-    this.door = null;       // Door/airlock reference
+    this.doors = [];        // Doors / hatches on the module walls
+    this.doorLayout = null; // [{ dx, dy, direction, state, type }] on the footprint; null = one door at the front
+    this.doorOverride = null; // State forced on every door (isolation lock); not saved in doorLayout or exports
+    this.isPlaced = false;  // On the tile grid (placeAtTile succeeded)
+    this.safeHaven = false; // Designated emergency safe haven (egress analysis)
+    this.shelter = null;    // SPE storm shelter designation { shieldingGCm2 } (shelter drill); null = not a shelter
+
+    // Circadian lighting schedule ([{ from, to, lux, cct_k }]); null = preset for the module type
+    this.lightingSchedule = null;
 
     // Create visual representation
     this.createMesh();
@@ -153,6 +164,9 @@ export default class HabitatModule extends THREE.Group {
       case 'IFM/Repair':
         this.createIFMRepairMesh(this.meshGroup, baseMaterial, accentMaterial);
         break;
+      case 'Storm Shelter':
+        this.createStormShelterMesh(this.meshGroup, baseMaterial, accentMaterial);
+        break;
       default:
         // Fallback to basic box
         this.createBasicMesh(this.meshGroup, baseMaterial);
@@ -1232,6 +1246,51 @@ export default class HabitatModule extends THREE.Group {
     group.add(spool);
   }
 
+  /**
+   * Storm Shelter Module: Water-wall bladders + bench seats + radiation dosimeter
+   */
+  createStormShelterMesh(group, baseMat, accentMat) {
+    const { w, h, d } = this.dimensions;
+
+    // Water walls (back and side bladders)
+    const waterMat = new THREE.MeshStandardMaterial({
+      color: 0x3b82f6,
+      transparent: true,
+      opacity: 0.6,
+      roughness: 0.3
+    });
+    const backWall = new THREE.Mesh(new THREE.BoxGeometry(w * 0.9, h * 0.85, d * 0.12), waterMat);
+    backWall.position.set(0, -h/2 + h * 0.425, -d * 0.4);
+    group.add(backWall);
+
+    [-1, 1].forEach(side => {
+      const sideWall = new THREE.Mesh(new THREE.BoxGeometry(w * 0.08, h * 0.85, d * 0.7), waterMat);
+      sideWall.position.set(side * w * 0.42, -h/2 + h * 0.425, -d * 0.05);
+      group.add(sideWall);
+    });
+
+    // Overhead water tank
+    const ceiling = new THREE.Mesh(new THREE.BoxGeometry(w * 0.9, h * 0.08, d * 0.8), waterMat);
+    ceiling.position.set(0, -h/2 + h * 0.9, -d * 0.05);
+    group.add(ceiling);
+
+    // Bench seats (crew of 4 seated)
+    const benchMat = new THREE.MeshStandardMaterial({ color: 0x64748b, roughness: 0.7 });
+    [-1, 1].forEach(side => {
+      const bench = new THREE.Mesh(new THREE.BoxGeometry(w * 0.3, h * 0.18, d * 0.5), benchMat);
+      bench.position.set(side * w * 0.2, -h/2 + h * 0.09, -d * 0.1);
+      group.add(bench);
+    });
+
+    // Radiation dosimeter panel (yellow)
+    const dosimeter = new THREE.Mesh(
+      new THREE.BoxGeometry(w * 0.12, h * 0.08, d * 0.02),
+      new THREE.MeshStandardMaterial({ color: 0xfacc15, emissive: 0xfacc15, emissiveIntensity: 0.3 })
+    );
+    dosimeter.position.set(0, -h/2 + h * 0.6, -d * 0.33);
+    group.add(dosimeter);
+  }
+
   /**
    * Create selection outline (edges)
    */
@@ -1389,19 +1448,27 @@ export default class HabitatModule extends THREE.Group {
     this.dimensions.w = this.dimensions.d;
     this.dimensions.d = temp;
 
+    // Turn placed doors with the footprint (south wall → west wall → north wall → east wall)
+    if (this.doorLayout) {
+      this.doorLayout = this.doorLayout.map(door => HabitatModule.rotateDoorSpec(door, this.tileHeight));
+    }
+
     // Swap tile dimensions if tile system available
     if (this.tileSystem) {
       const tempTile = this.tileWidth;
       this.tileWidth = this.tileHeight;
       this.tileHeight = tempTile;
 
-      // Update tile occupancy
-      this.tileSystem.clearModuleOccupancy(this.moduleId);
-      this.tileSystem.markModuleOccupancy(
-        this.tileX, this.tileY,
-        this.tileWidth, this.tileHeight,
-        this.moduleId, this.zone
-      );
+      // Update tile occupancy (not yet placed: nothing to move, and marking
+      // the default tile would overwrite the modules already there)
+      if (this.isPlaced) {
+        this.tileSystem.clearModuleOccupancy(this.moduleId);
+        this.tileSystem.markModuleOccupancy(
+          this.tileX, this.tileY,
+          this.tileWidth, this.tileHeight,
+          this.moduleId, this.zone, this.level
+        );
+      }
     }
 
     // Update rotation angle
@@ -1417,8 +1484,8 @@ export default class HabitatModule extends THREE.Group {
     this.createOutline();
     this.createLabel();
 
-    // Recreate door with new orientation
-    this.createDoor();
+    // Recreate doors with new orientation (placeAtTile creates the first ones)
+    if (this.isPlaced) this.createDoors();
 
     // Restore selection state
     if (this.isSelected) {
@@ -1427,11 +1494,13 @@ export default class HabitatModule extends THREE.Group {
   }
 
   /**
-   * Check if this module overlaps with another
+   * Check if this module overlaps with another (modules on different floors never overlap)
    * @param {HabitatModule} otherModule - Module to check against
    * @returns {boolean} True if modules overlap
    */
   checkOverlap(otherModule) {
+    if ((otherModule.level ?? 0) !== this.level) return false;
+
     const thisRect = this.getFloorRectangle();
     const otherRect = otherModule.getFloorRectangle();
 
@@ -1443,32 +1512,65 @@ export default class HabitatModule extends THREE.Group {
   }
 
   /**
-   * Get distance to another module (center to center)
+   * Get distance to another module (center to center, plus the floor-to-floor
+   * height when the modules are on different floors)
    * @param {HabitatModule} otherModule - Module to measure distance to
    * @returns {number} Distance in meters
    */
   getDistanceTo(otherModule) {
     const dx = this.position.x - otherModule.position.x;
+    const dy = this.getFloorElevation() - (otherModule.position.y - otherModule.dimensions.h / 2);
     const dz = this.position.z - otherModule.position.z;
-    return Math.sqrt(dx * dx + dz * dz);
+    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+  }
+
+  /**
+   * Elevation of the module floor (y of the floor it stands on)
+   * @returns {number} Meters above the ground floor
+   */
+  getFloorElevation() {
+    return this.position.y - this.dimensions.h / 2;
+  }
+
+  /**
+   * Move the module to another floor (keeps its tile position)
+   * @param {number} level - Floor index
+   */
+  setLevel(level) {
+    this.level = level;
+    const elevation = this.tileSystem ? this.tileSystem.getFloorElevation(level) : 0;
+    this.position.y = elevation + this.dimensions.h / 2;
+
+    // Already on the grid: move occupancy and doors to the new floor
+    if (this.tileSystem && this.isPlaced) {
+      this.tileSystem.clearModuleOccupancy(this.moduleId);
+      this.tileSystem.markModuleOccupancy(
+        this.tileX, this.tileY,
+        this.tileWidth, this.tileHeight,
+        this.moduleId, this.zone, this.level
+      );
+      this.createDoors();
+    }
   }
 
   /**
    * Check if module is within habitat bounds
    * @param {number} maxWidth - Habitat width
    * @param {number} maxDepth - Habitat depth
+   * @param {number} originX - World X of the shell centre (assembly elements)
+   * @param {number} originZ - World Z of the shell centre
    * @returns {boolean} True if within bounds
    */
-  isWithinBounds(maxWidth, maxDepth) {
+  isWithinBounds(maxWidth, maxDepth, originX = 0, originZ = 0) {
     const rect = this.getFloorRectangle();
     const halfWidth = maxWidth / 2;
     const halfDepth = maxDepth / 2;
 
     return (
-      rect.minX >= -halfWidth &&
-      rect.maxX <= halfWidth &&
-      rect.minZ >= -halfDepth &&
-      rect.maxZ <= halfDepth
+      rect.minX - originX >= -halfWidth &&
+      rect.maxX - originX <= halfWidth &&
+      rect.minZ - originZ >= -halfDepth &&
+      rect.maxZ - originZ <= halfDepth
     );
   }
 
@@ -1493,6 +1595,12 @@ export default class HabitatModule extends THREE.Group {
         z: this.position.z
       },
       rotation: this.rotationAngle,
+      level: this.level,
+      ...(this.element && { element: this.element }),
+      ...(this.doorLayout && { doors: this.doorLayout.map(door => ({ ...door })) }),
+      ...(this.safeHaven && { safeHaven: true }),
+      ...(this.shelter && { shelter: { ...this.shelter } }),
+      lightingSchedule: this.lightingSchedule,
       footprint: this.getFootprint(),
       volume: this.getVolume()
     };
@@ -1504,86 +1612,214 @@ export default class HabitatModule extends THREE.Group {
    *
    * @param {number} tileX - Tile X coordinate
    * @param {number} tileY - Tile Y coordinate
+   * @param {number} level - Floor index (defaults to the current floor)
    * @returns {boolean} True if placement successful
    */
-  placeAtTile(tileX, tileY) {
+  placeAtTile(tileX, tileY, level = this.level) {
     if (!this.tileSystem) {
       console.warn('Module has no tile system reference');
       return false;
     }
 
     // Validate placement
-    if (!this.canPlaceAt(tileX, tileY)) {
-      console.warn(`Cannot place ${this.moduleName} at tile (${tileX}, ${tileY})`);
+    if (!this.canPlaceAt(tileX, tileY, level)) {
+      console.warn(`Cannot place ${this.moduleName} at tile (${tileX}, ${tileY}) on floor ${level}`);
       return false;
     }
 
     // Clear previous position if already placed
-    if (this.tileX !== 0 || this.tileY !== 0) {
+    if (this.tileX !== 0 || this.tileY !== 0 || this.level !== level) {
       this.tileSystem.clearModuleOccupancy(this.moduleId);
     }
 
     // Set new tile position
     this.tileX = tileX;
     this.tileY = tileY;
+    this.level = level;
 
     // Update Three.js world position
-    const worldPos = this.tileSystem.tileToWorld(tileX, tileY);
-    this.position.set(worldPos.x, this.dimensions.h / 2, worldPos.z);
+    const worldPos = this.tileSystem.tileToWorld(tileX, tileY, level);
+    this.position.set(worldPos.x, worldPos.y + this.dimensions.h / 2, worldPos.z);
 
     // Mark tiles as occupied in tile system
     this.tileSystem.markModuleOccupancy(
       tileX, tileY,
       this.tileWidth, this.tileHeight,
-      this.moduleId, this.zone
+      this.moduleId, this.zone, level
     );
 
-    // Create/update door
-    this.createDoor();
+    this.isPlaced = true;
+
+    // Create/update doors
+    this.createDoors();
 
     return true;
   }
 
   /**
-   * Create or update door for this module
+   * Create or update the doors of this module (doorLayout, or one door at the front)
    */
-  createDoor() {
+  createDoors() {
     if (!this.tileSystem) return;
 
-    // Remove existing door if any
-    if (this.door) {
-      this.tileSystem.clearDoorTile(this.door.tileX, this.door.tileY);
-      this.remove(this.door);
-      this.door.dispose();
-      this.door = null;
+    // Remove existing doors if any
+    this.removeDoors();
+
+    for (const spec of this.getDoorLayout()) {
+      const tileX = this.tileX + spec.dx;
+      const tileY = this.tileY + spec.dy;
+      const door = new Door(this, tileX, tileY, spec.direction,
+        this.doorOverride ? { ...spec, state: this.doorOverride } : spec);
+
+      // Position door in 3D space
+      const doorWorldPos = this.tileSystem.tileToWorld(tileX, tileY, this.level);
+      door.position.set(
+        doorWorldPos.x - this.position.x,
+        doorWorldPos.y - this.position.y + this.dimensions.h / 2,
+        doorWorldPos.z - this.position.z
+      );
+
+      // Mark tile as door in tile system
+      door.markTile();
+
+      // Add door to module
+      this.add(door);
+      this.doors.push(door);
     }
 
-    // Determine door position based on rotation
-    const doorInfo = this.getDoorPosition();
+    console.log(`✅ ${this.doors.length} door(s) created for ${this.moduleName}` +
+      (this.doors.length > 0 ? `: ${this.doors.map(d => `(${d.tileX}, ${d.tileY}) ${d.direction} ${d.state}`).join(', ')}` : ''));
+  }
 
-    if (!doorInfo) {
-      console.warn(`Cannot determine door position for ${this.moduleName}`);
-      return;
+  /**
+   * Remove all doors from the module and their tiles
+   */
+  removeDoors() {
+    for (const door of this.doors) {
+      this.tileSystem?.clearDoorTile(door.tileX, door.tileY, door.level);
+      this.remove(door);
+      door.dispose();
     }
+    this.doors = [];
+  }
 
-    // Create door
-    this.door = new Door(this, doorInfo.tileX, doorInfo.tileY, doorInfo.direction);
+  /**
+   * Door specs on the footprint: the placed doors, or the default front door
+   * @returns {Array<{dx: number, dy: number, direction: string, state?: string, type?: string}>}
+   */
+  getDoorLayout() {
+    if (this.doorLayout) return this.doorLayout;
 
-    // Position door in 3D space
-    const doorWorldPos = this.tileSystem.tileToWorld(doorInfo.tileX, doorInfo.tileY);
-    this.door.position.set(
-      doorWorldPos.x - this.position.x,
-      0 - this.position.y + this.dimensions.h / 2,
-      doorWorldPos.z - this.position.z
-    );
+    const front = HabitatModule.computeDoorPosition(0, 0, this.tileWidth, this.tileHeight, this.rotationAngle);
+    return [{ dx: front.tileX, dy: front.tileY, direction: front.direction }];
+  }
 
-    // Mark tile as door in tile system
-    this.tileSystem.markDoorTile(doorInfo.tileX, doorInfo.tileY, this.moduleId);
+  /**
+   * Edit the door layout (the default front door becomes a placed door) and
+   * recreate the doors
+   * @param {Function} edit - Receives a copy of the layout, returns the new layout
+   */
+  editDoorLayout(edit) {
+    const current = this.getDoorLayout().map((spec, i) => ({
+      ...spec,
+      // An overridden door keeps its saved state
+      state: (this.doorOverride ? null : this.doors[i]?.state) ?? spec.state,
+      type: this.doors[i]?.type ?? spec.type
+    }));
+
+    this.doorLayout = edit(current);
+    if (this.isPlaced) this.createDoors();
+  }
+
+  /**
+   * Number of tiles along a wall of the footprint
+   * @param {string} direction - north, south, east, west
+   * @returns {number}
+   */
+  getWallLength(direction) {
+    return direction === 'north' || direction === 'south' ? this.tileWidth : this.tileHeight;
+  }
+
+  /**
+   * Add a door on a wall
+   * @param {string} direction - Wall: north, south, east, west (current orientation)
+   * @param {number|null} offset - Tile along the wall from its west / north end (null = middle)
+   * @param {Object} options - { state?, type? }
+   * @returns {boolean} - False if the tile is off the wall or already has a door
+   */
+  addDoor(direction, offset = null, options = {}) {
+    const length = this.getWallLength(direction);
+    const along = offset ?? Math.floor(length / 2);
+    if (along < 0 || along >= length) return false;
+
+    const dx = { east: this.tileWidth - 1, west: 0 }[direction] ?? along;
+    const dy = { south: this.tileHeight - 1, north: 0 }[direction] ?? along;
+    if (this.getDoorLayout().some(spec => spec.dx === dx && spec.dy === dy)) return false;
+
+    const config = this.constraints?.module_doors;
+    this.editDoorLayout(layout => [...layout, {
+      dx,
+      dy,
+      direction,
+      state: options.state || Door.getDefaultState(config, this.moduleName),
+      type: options.type || config?.default_type || 'door'
+    }]);
+    return true;
+  }
+
+  /**
+   * Remove a door (a module may have no doors)
+   * @param {number} index - Index in doors / getDoorLayout()
+   */
+  removeDoor(index) {
+    this.editDoorLayout(layout => layout.filter((_, i) => i !== index));
+  }
+
+  /**
+   * Open, close or lock a door
+   * @param {number} index - Index in doors / getDoorLayout()
+   * @param {string} state - 'open' | 'closed' | 'locked'
+   * @returns {boolean} - False for an unknown state or while setDoorOverride() holds the doors
+   */
+  setDoorState(index, state) {
+    if (this.doorOverride || !this.doors[index]?.setState(state)) return false;
+
+    // Keep the state when the doors are recreated (rotate, move floor)
+    this.editDoorLayout(layout => layout);
+    return true;
+  }
+
+  /**
+   * Force every door into a state without touching the door layout
+   * (isolation lock); null gives the doors their layout states back
+   * @param {string|null} state - 'open' | 'closed' | 'locked' | null
+   */
+  setDoorOverride(state) {
+    this.doorOverride = state;
+    if (this.isPlaced) this.createDoors();
+  }
 
-    // Add door to module
-    this.add(this.door);
+  /**
+   * Change a door between door and pressure hatch
+   * @param {number} index - Index in doors / getDoorLayout()
+   * @param {string} type - module_doors.door_types key
+   */
+  setDoorType(index, type) {
+    this.editDoorLayout(layout => layout.map((spec, i) => i === index ? { ...spec, type } : spec));
+  }
 
-    console.log(`✅ Door created for ${this.moduleName} at tile (${doorInfo.tileX}, ${doorInfo.tileY}) facing ${doorInfo.direction}`);
+  /**
+   * Nearest door crew can pass (not locked) to a tile
+   * @param {number} tileX
+   * @param {number} tileY
+   * @returns {Door|null}
+   */
+  getDoorFor(tileX, tileY) {
+    const usable = this.doors.filter(door => door.state !== 'locked');
+    if (usable.length === 0) return null;
+
+    const distance = (door) => Math.abs(door.tileX - tileX) + Math.abs(door.tileY - tileY);
+    return usable.reduce((nearest, door) => distance(door) < distance(nearest) ? door : nearest);
   }
 
   /**
@@ -1593,34 +1829,64 @@ export default class HabitatModule extends THREE.Group {
   getDoorPosition() {
     if (!this.tileSystem) return null;
 
-    let doorTileX = this.tileX;
-    let doorTileY = this.tileY;
+    return HabitatModule.computeDoorPosition(
+      this.tileX, this.tileY,
+      this.tileWidth, this.tileHeight,
+      this.rotationAngle
+    );
+  }
+
+  /**
+   * Door spec after turning the footprint 90° (same turn as rotate90: a door on
+   * the south wall moves to the west wall)
+   * @param {Object} spec - { dx, dy, direction, ... }
+   * @param {number} tileHeight - Footprint height in tiles before the turn
+   * @returns {Object}
+   */
+  static rotateDoorSpec(spec, tileHeight) {
+    const turned = { south: 'west', west: 'north', north: 'east', east: 'south' };
+    return { ...spec, dx: tileHeight - 1 - spec.dy, dy: spec.dx, direction: turned[spec.direction] };
+  }
+
+  /**
+   * Door tile for a footprint placed at (tileX, tileY)
+   * Door is always at the "front" (south side before rotation); also used by
+   * LayoutOptimizer to evaluate candidate placements without module instances
+   *
+   * @param {number} tileX - Footprint top-left tile X
+   * @param {number} tileY - Footprint top-left tile Y
+   * @param {number} tileWidth - Footprint width in tiles (after rotation)
+   * @param {number} tileHeight - Footprint height in tiles (after rotation)
+   * @param {number} rotationAngle - 0 | 90 | 180 | 270
+   * @returns {{tileX: number, tileY: number, direction: string}}
+   */
+  static computeDoorPosition(tileX, tileY, tileWidth, tileHeight, rotationAngle) {
+    let doorTileX = tileX;
+    let doorTileY = tileY;
     let direction = 'south';
 
-    // Calculate door position based on rotation
-    // Door is always at the "front" (south side before rotation)
-    const centerX = Math.floor(this.tileWidth / 2);
-    const centerY = Math.floor(this.tileHeight / 2);
+    const centerX = Math.floor(tileWidth / 2);
+    const centerY = Math.floor(tileHeight / 2);
 
-    switch (this.rotationAngle) {
+    switch (rotationAngle) {
       case 0: // South-facing
-        doorTileX = this.tileX + centerX;
-        doorTileY = this.tileY + this.tileHeight - 1;
+        doorTileX = tileX + centerX;
+        doorTileY = tileY + tileHeight - 1;
         direction = 'south';
         break;
       case 90: // West-facing
-        doorTileX = this.tileX;
-        doorTileY = this.tileY + centerY;
+        doorTileX = tileX;
+        doorTileY = tileY + centerY;
         direction = 'west';
         break;
       case 180: // North-facing
-        doorTileX = this.tileX + centerX;
-        doorTileY = this.tileY;
+        doorTileX = tileX + centerX;
+        doorTileY = tileY;
         direction = 'north';
         break;
       case 270: // East-facing
-        doorTileX = this.tileX + this.tileWidth - 1;
-        doorTileY = this.tileY + centerY;
+        doorTileX = tileX + tileWidth - 1;
+        doorTileY = tileY + centerY;
         direction = 'east';
         break;
     }
@@ -1633,12 +1899,14 @@ export default class HabitatModule extends THREE.Group {
    *
    * @param {number} tileX - Tile X coordinate
    * @param {number} tileY - Tile Y coordinate
+   * @param {number} level - Floor index (defaults to the current floor)
    * @returns {boolean} True if placement is valid
    */
-  canPlaceAt(tileX, tileY) {
+  canPlaceAt(tileX, tileY, level = this.level) {
     if (!this.tileSystem) return false;
 
     // Check bounds
+    if (level < 0 || level >= this.tileSystem.levels) return false;
     if (tileX < 0 || tileY < 0) return false;
     if (tileX + this.tileWidth > this.tileSystem.width) return false;
     if (tileY + this.tileHeight > this.tileSystem.height) return false;
@@ -1646,13 +1914,16 @@ export default class HabitatModule extends THREE.Group {
     // Check tile occupancy
     for (let dy = 0; dy < this.tileHeight; dy++) {
       for (let dx = 0; dx < this.tileWidth; dx++) {
-        const tile = this.tileSystem.getTile(tileX + dx, tileY + dy);
+        const tile = this.tileSystem.getTile(tileX + dx, tileY + dy, level);
         if (!tile) return false;
 
         // Tile is occupied by a different module
         if (tile.occupied && tile.moduleId !== this.moduleId) {
           return false;
         }
+
+        // Ladders, floor hatches and hatches to other elements must stay clear
+        if (tile.verticalLink || tile.hatch) return false;
       }
     }
 
@@ -1669,7 +1940,8 @@ export default class HabitatModule extends THREE.Group {
 
     return this.tileSystem.getTilesInRect(
       this.tileX, this.tileY,
-      this.tileWidth, this.tileHeight
+      this.tileWidth, this.tileHeight,
+      this.level
     );
   }
 
@@ -1701,7 +1973,9 @@ export default class HabitatModule extends THREE.Group {
    * @returns {{x: number, y: number}|null} Entrance tile coordinates
    */
   getEntranceTile(inside = false) {
-    if (!this.door) {
+    const door = this.doors.find(d => d.state !== 'locked');
+
+    if (!door) {
       // Default to center front if no door
       const centerX = this.tileX + Math.floor(this.tileWidth / 2);
       const frontY = inside ? this.tileY : this.tileY - 1;
@@ -1710,9 +1984,9 @@ export default class HabitatModule extends THREE.Group {
 
     // Use door position
     if (inside) {
-      return this.door.getInsideTile();
+      return door.getInsideTile();
     } else {
-      return this.door.getOutsideTile();
+      return door.getOutsideTile();
     }
   }
 
@@ -1723,12 +1997,8 @@ export default class HabitatModule extends THREE.Group {
     // Clear tile occupancy
     this.removeTileOccupancy();
 
-    // Dispose door
-    if (this.door && this.tileSystem) {
-      this.tileSystem.clearDoorTile(this.door.tileX, this.door.tileY);
-      this.door.dispose();
-      this.door = null;
-    }
+    // Dispose doors
+    this.removeDoors();
 
     // Dispose mesh group and all children
     if (this.meshGroup) {
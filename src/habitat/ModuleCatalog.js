@@ -253,6 +253,22 @@ const ModuleCatalog = [
     actualVolume: 3.36,
     nasaSource: 'AIAA-2022 Table 1',
     notes: 'Systems/Electronics Repair per NASA maintenance requirements. Includes diagnostics workstation and repair tools storage.'
+  },
+  {
+    name: 'Storm Shelter',
+    w: 2.0,
+    d: 1.5,
+    h: 2.4,
+    zone: 'clean',
+    color: 0xbae6fd,
+    category: 'Radiation Protection',
+    description: 'Water-walled shelter for solar particle events',
+    minArea: 3.0,
+    actualArea: 3.0,
+    minVolume: 7.2,
+    actualVolume: 7.2,
+    nasaSource: 'NASA-STD-3001 Vol. 2',
+    notes: 'Holds a crew of 4 at 0.75 m² each (nasa-constraints.json spe_shelter) behind ~20 g/cm² of water walls. Doubles as stowage for water and consumables between events.'
   }
 ];
 
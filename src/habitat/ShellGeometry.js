@@ -0,0 +1,221 @@
+/**
+ * Shell Geometry - Curved pressure-shell cross-sections
+ *
+ * The floor grid is a width × depth rectangle, but cylinders and inflatables
+ * lose usable width and headroom toward the walls. This class answers, for any
+ * plan point, where the shell interior starts and ends vertically, and from
+ * that the clear height above each floor.
+ *
+ * Cross-sections (habitat-types.json shell_cross_sections):
+ * - box: flat walls and ceiling (width × depth × height)
+ * - horizontal_cylinder: diameter = width, axis along the depth; decks are
+ *   chords of the circle, with the deck stack centred on the axis
+ * - vertical_cylinder: axis vertical, flat decks, plan circle of diameter = width
+ * - torus: ring of circular tube around a central hole, decks centred on the tube axis
+ * - transhab: vertical inflatable around a rigid central core (no modules in
+ *   the core); the rounded top closure lowers the ceiling toward the outer
+ *   wall, the bottom closure lies under the ground deck
+ *
+ * Vertical-axis shapes measure radii along X; Z is scaled by width / depth so
+ * unequal plan dimensions give an elliptical plan.
+ *
+ * Coordinates match GridSystem: origin at the centre of the ground floor, Y up.
+ * The habitat height (or levels × floor height, if larger) caps the top ceiling.
+ *
+ * NASA Sources:
+ * - IEEE-TH-2023: TransHab 3 m core, inflatable shell with toroidal closures
+ * - NASA-TP-2020-220505: Usable volume lost to curved walls, minimum headroom
+ * - habitat-types.json interior_layout_levels: deck heights in cylinders
+ */
+
+const FLOOR_TOLERANCE = 0.01; // m, deck may sit this far below the shell interior
+
+export default class ShellGeometry {
+  /**
+   * @param {Object} shell - { width, depth, height, levels?, floorHeight?, crossSection? }
+   *   crossSection - { shape, core_diameter_m?, end_radius_m?, inner_diameter_fraction?, sample_spacing_m? }
+   */
+  constructor(shell) {
+    this.width = shell.width;
+    this.depth = shell.depth;
+    this.height = shell.height ?? 3.0;
+    this.levels = shell.levels || 1;
+    this.floorHeight = shell.floorHeight ?? this.height / this.levels;
+    this.stackHeight = Math.max(this.height, this.levels * this.floorHeight);
+    this.crossSection = shell.crossSection || { shape: 'box' };
+    this.shape = this.crossSection.shape || 'box';
+    this.sampleSpacing = this.crossSection.sample_spacing_m ?? 0.25;
+  }
+
+  /**
+   * Radius measured along X for vertical-axis shapes (elliptical plan)
+   */
+  getPlanRadius(x, z) {
+    return Math.hypot(x, z * this.width / this.depth);
+  }
+
+  /**
+   * Horizontal cylinder circle, axis at mid-height of the deck stack
+   * @returns {{radius: number, axisY: number}}
+   */
+  getCylinderAxis() {
+    return { radius: this.width / 2, axisY: this.stackHeight / 2 };
+  }
+
+  /**
+   * Torus tube: circle between the central hole and the outer wall, axis at
+   * mid-height of the deck stack
+   * @returns {{innerRadius: number, tubeRadius: number, axisY: number}}
+   */
+  getTorusTube() {
+    const innerRadius = (this.width / 2) * (this.crossSection.inner_diameter_fraction ?? 0.2);
+    return {
+      innerRadius,
+      tubeRadius: (this.width / 2 - innerRadius) / 2,
+      axisY: this.stackHeight / 2
+    };
+  }
+
+  /**
+   * TransHab core and closure radii
+   * @returns {{coreRadius: number, endRadius: number}}
+   */
+  getTransHabRadii() {
+    const halfWidth = this.width / 2;
+    const coreRadius = (this.crossSection.core_diameter_m ?? 3.0) / 2;
+    return {
+      coreRadius,
+      endRadius: Math.min(this.crossSection.end_radius_m ?? 1.5, halfWidth - coreRadius, this.stackHeight / 2)
+    };
+  }
+
+  /**
+   * Vertical extent of the shell interior above a plan point
+   * @param {number} x - World X
+   * @param {number} z - World Z
+   * @returns {{bottom: number, top: number}|null} - null outside the shell (or in the core)
+   */
+  getVerticalExtent(x, z) {
+    const halfWidth = this.width / 2;
+    const halfDepth = this.depth / 2;
+
+    switch (this.shape) {
+      case 'horizontal_cylinder': {
+        if (Math.abs(z) > halfDepth || Math.abs(x) > halfWidth) return null;
+        const { radius, axisY } = this.getCylinderAxis();
+        const half = Math.sqrt(radius * radius - x * x);
+        return { bottom: axisY - half, top: axisY + half };
+      }
+
+      case 'vertical_cylinder': {
+        if (this.getPlanRadius(x, z) > halfWidth) return null;
+        return { bottom: 0, top: this.stackHeight };
+      }
+
+      case 'torus': {
+        const { innerRadius, tubeRadius, axisY } = this.getTorusTube();
+        const offset = this.getPlanRadius(x, z) - (innerRadius + tubeRadius);
+        if (Math.abs(offset) > tubeRadius) return null;
+        const half = Math.sqrt(tubeRadius * tubeRadius - offset * offset);
+        return { bottom: axisY - half, top: axisY + half };
+      }
+
+      case 'transhab': {
+        const r = this.getPlanRadius(x, z);
+        const { coreRadius, endRadius } = this.getTransHabRadii();
+        if (r > halfWidth || r < coreRadius) return null;
+
+        // Inside the closure fillet at the outer wall the shell curves in
+        const intoFillet = r - (halfWidth - endRadius);
+        const inset = intoFillet > 0 ? endRadius - Math.sqrt(endRadius * endRadius - intoFillet * intoFillet) : 0;
+        return { bottom: inset - endRadius, top: this.stackHeight - inset };
+      }
+
+      default: // box
+        if (Math.abs(x) > halfWidth || Math.abs(z) > halfDepth) return null;
+        return { bottom: 0, top: this.stackHeight };
+    }
+  }
+
+  /**
+   * Clear height above a floor at a plan point (up to the shell, the next deck
+   * or the habitat height)
+   * @param {number} x - World X
+   * @param {number} z - World Z
+   * @param {number} level - Floor index
+   * @returns {number} - Meters; 0 where the floor does not exist (outside the shell wall)
+   */
+  getClearHeight(x, z, level = 0) {
+    const extent = this.getVerticalExtent(x, z);
+    const elevation = level * this.floorHeight;
+    if (!extent || extent.bottom > elevation + FLOOR_TOLERANCE || extent.top <= elevation) return 0;
+
+    const deckAbove = level < this.levels - 1 ? elevation + this.floorHeight : this.stackHeight;
+    return Math.min(extent.top, deckAbove) - elevation;
+  }
+
+  /**
+   * Lowest clear height over a floor rectangle (sampled on a grid)
+   * @param {Object} rect - { minX, maxX, minZ, maxZ } (getFloorRectangle)
+   * @param {number} level - Floor index
+   * @returns {{clearHeight: number, x: number, z: number}} - Minimum and where it occurs
+   */
+  getMinClearHeight(rect, level = 0) {
+    const stepsX = Math.max(1, Math.ceil((rect.maxX - rect.minX) / this.sampleSpacing));
+    const stepsZ = Math.max(1, Math.ceil((rect.maxZ - rect.minZ) / this.sampleSpacing));
+    let lowest = { clearHeight: Infinity, x: 0, z: 0 };
+
+    for (let i = 0; i <= stepsX; i++) {
+      const x = rect.minX + (rect.maxX - rect.minX) * i / stepsX;
+      for (let j = 0; j <= stepsZ; j++) {
+        const z = rect.minZ + (rect.maxZ - rect.minZ) * j / stepsZ;
+        const clearHeight = this.getClearHeight(x, z, level);
+        if (clearHeight < lowest.clearHeight) lowest = { clearHeight, x, z };
+      }
+    }
+
+    return lowest;
+  }
+
+  /**
+   * Side profile of a vertical-axis shell for a lathe: [radius, y] points,
+   * bottom to top
+   * @param {number} segments - Points per quarter circle
+   * @returns {Array<{r: number, y: number}>} - Empty for box / horizontal_cylinder
+   */
+  getLatheProfile(segments = 8) {
+    const halfWidth = this.width / 2;
+    const arc = (centerR, centerY, radius, from, to, steps = segments) => {
+      const points = [];
+      for (let i = 0; i <= steps; i++) {
+        const angle = from + (i / steps) * (to - from);
+        points.push({ r: centerR + radius * Math.cos(angle), y: centerY + radius * Math.sin(angle) });
+      }
+      return points;
+    };
+
+    switch (this.shape) {
+      case 'vertical_cylinder':
+        return [{ r: halfWidth, y: 0 }, { r: halfWidth, y: this.stackHeight }];
+
+      case 'torus': {
+        const { innerRadius, tubeRadius, axisY } = this.getTorusTube();
+        return arc(innerRadius + tubeRadius, axisY, tubeRadius, -Math.PI / 2, Math.PI * 1.5, segments * 4);
+      }
+
+      case 'transhab': {
+        const { coreRadius, endRadius } = this.getTransHabRadii();
+        const centerR = halfWidth - endRadius;
+        return [
+          { r: coreRadius, y: -endRadius },
+          ...arc(centerR, 0, endRadius, -Math.PI / 2, 0),
+          ...arc(centerR, this.stackHeight - endRadius, endRadius, 0, Math.PI / 2),
+          { r: coreRadius, y: this.stackHeight }
+        ];
+      }
+
+      default:
+        return [];
+    }
+  }
+}
@@ -15,9 +15,12 @@ import * as THREE from 'three';
 import SceneManager from './scene/SceneManager.js';
 import GridSystem from './scene/GridSystem.js';
 import TileSystem from './scene/TileSystem.js';
+import AssemblyView from './scene/AssemblyView.js';
 import ModuleCatalog from './habitat/ModuleCatalog.js';
 import HabitatModule from './habitat/Module.js';
+import HabitatAssembly from './habitat/HabitatAssembly.js';
 import ConstraintValidator from './validation/ConstraintValidator.js';
+import { AssemblyValidator } from './validation/AssemblyValidator.js';
 import DragControls from './controls/DragControls.js';
 import ModuleControls from './controls/ModuleControls.js';
 import HUD from './ui/HUD.js';
@@ -27,19 +30,45 @@ import HabitatConfigurator from './ui/HabitatConfigurator.js';
 import ObjectCatalog from './ui/ObjectCatalog.js';
 import PathMeasurement from './ui/PathMeasurement.js';
 import ScenarioLoader from './ui/ScenarioLoader.js';
+import LightingScheduleEditor from './ui/LightingScheduleEditor.js';
+import DoorEditor from './ui/DoorEditor.js';
+import LayoutGenerator from './habitat/LayoutGenerator.js';
 import LayoutExporter from './export/LayoutExporter.js';
 
 // Phase 2: Psychological Simulation
 import { PsychModel } from './simulation/PsychModel.js';
 import { MissionParams } from './simulation/MissionParams.js';
 import { WellbeingMap } from './visualization/WellbeingMap.js';
+import { NoiseMap } from './visualization/NoiseMap.js';
+import { EgressMap } from './visualization/EgressMap.js';
+import { AtmosphereChart } from './visualization/AtmosphereChart.js';
+import { AtmosphereMap } from './visualization/AtmosphereMap.js';
+import { RelationshipNetwork } from './visualization/RelationshipNetwork.js';
+import { TornadoChart } from './visualization/TornadoChart.js';
+import { CalibrationPlot } from './visualization/CalibrationPlot.js';
+import { LayoutCandidatesView } from './visualization/LayoutCandidatesView.js';
 import { CSVGenerator } from './export/CSVGenerator.js';
+import { DataLoader } from './data/DataLoader.js';
+import { MissionConfigPanel } from './ui/MissionConfigPanel.js';
 
 // Mars-Sim Integration: NASA-Validated Psychological Features
 import { SleepModel } from './simulation/SleepModel.js';
-import { MissionSimulator } from './simulation/MissionSimulator.js';
+import { MonteCarloSimulator } from './simulation/MonteCarloSimulator.js';
+import { SimulationRunner } from './simulation/SimulationRunner.js';
+import { ModelCalibrator } from './simulation/ModelCalibrator.js';
+import { LayoutOptimizer } from './simulation/LayoutOptimizer.js';
+import { ModelRegistry } from './simulation/ModelRegistry.js';
+import { AgentDaySimulator } from './simulation/AgentDaySimulator.js';
+import { CircadianLightingModel } from './simulation/CircadianLightingModel.js';
+import { AcousticModel } from './simulation/AcousticModel.js';
+import { EgressAnalyzer } from './simulation/EgressAnalyzer.js';
+import { ShelterDrill } from './simulation/ShelterDrill.js';
+import { IsolationScenario } from './simulation/IsolationScenario.js';
+import { AtmosphereModel } from './simulation/AtmosphereModel.js';
+import { ConsumablesModel } from './simulation/ConsumablesModel.js';
 import { RecreationValidator } from './validation/RecreationValidator.js';
 import { PrivacyValidator } from './validation/PrivacyValidator.js';
+import { LaunchManifestValidator } from './validation/LaunchManifestValidator.js';
 
 // CorsixTH Integration: Pathfinding & Character Movement
 import Pathfinder from './simulation/Pathfinder.js';
@@ -76,17 +105,32 @@ class HabitatHarmonyApp {
     this.exporter = null;
 
     this.moduleIdCounter = 0;
+    this.scenarioModuleTimers = [];
 
     // Phase 2: Psychological Simulation
     this.psychModel = null;
     this.missionParams = null;
     this.wellbeingMap = null;
+    this.noiseMap = null;
+    this.egressMap = null;
+    this.egressReport = null;        // Latest EgressAnalyzer report
+    this.egressTimer = null;         // Pending single-point-of-failure pass (debounced after layout edits)
+    this.shelterDrill = null;        // SPE shelter drill (crew agents sent to the storm shelters)
+    this.isolationScenario = null;   // Fire / depressurization isolation in force (sealed section, replanned crew)
+    this.atmosphereChart = null;
+    this.atmosphereMap = null;
     this.currentDayMetrics = null;
     this.fullMissionResults = null;
 
     // Mars-Sim Components (NASA-validated psychological features)
     this.sleepModel = null;
-    this.missionSimulator = null;
+    this.missionReport = null;       // Latest MissionSimulator report (partial if cancelled)
+    this.simulationRunner = null;    // Web Worker handle for mission / Monte Carlo runs
+    this.agentRun = null;            // { cancelled } while crew agents are fast-forwarded for observed behavior
+    this.layoutOptimization = null;  // { cancelled } while the layout search runs
+    this.missionConfigPanel = null;  // Simulation progress display
+    this.monteCarloResults = null;   // Latest Monte Carlo report
+    this.monteCarloBaseline = null;  // Previous report, for layout-vs-layout comparison
     this.recreationValidator = null;
     this.privacyValidator = null;
     this.crew = []; // Separate from crewMembers (pathfinding)
@@ -100,6 +144,16 @@ class HabitatHarmonyApp {
     this.tileVisualization = null;
     this.objects = [];               // All objects in habitat
     this.objectIdCounter = 0;        // For generating unique object IDs
+    this.activeLevel = 0;            // Floor shown and edited in multi-level habitats
+    this.verticalLinkMode = false;   // Next canvas click places / removes a ladder or hatch
+
+    // Multi-element habitat assemblies (elements joined by nodes / tunnels)
+    this.assemblyPresets = null;     // habitat-assemblies.json
+    this.assembly = null;            // HabitatAssembly, null = single shell
+    this.assemblyView = null;        // Element grids and connection tubes
+    this.activeElement = null;       // Element id shown in the tile overlay and edited
+    this.baseTileSystem = null;      // Single-shell tile grid, restored by clearAssembly
+    this.baseGridSystem = null;
 
     // Action classes (exposed to crew members via world reference)
     this.WalkAction = WalkAction;
@@ -162,12 +216,7 @@ class HabitatHarmonyApp {
    */
   async loadConstraints() {
     try {
-      const response = await fetch('/src/data/nasa-constraints.json');
-      if (!response.ok) {
-        throw new Error(`Failed to load NASA constraints: ${response.status} ${response.statusText}`);
-      }
-
-      const data = await response.json();
+      const data = await DataLoader.load('nasa-constraints.json');
 
       // Validate loaded data
       if (!data || typeof data !== 'object') {
@@ -245,9 +294,10 @@ class HabitatHarmonyApp {
     this.hud = new HUD(this.validator);
 
     // Habitat Configurator - Re-enabled with fix
-    this.habitatConfigurator = new HabitatConfigurator((config) => {
-      this.updateHabitatConfiguration(config);
-    });
+    this.habitatConfigurator = new HabitatConfigurator(
+      (config) => this.updateHabitatConfiguration(config),
+      () => this.updateLaunchManifest()
+    );
     this.habitatConfigurator.render();
 
     // Initialize Catalog
@@ -270,9 +320,10 @@ class HabitatHarmonyApp {
     });
 
     // Scenario Loader - Re-enabled
-    this.scenarioLoader = new ScenarioLoader((scenario) => {
-      this.loadMissionScenario(scenario);
-    });
+    this.scenarioLoader = new ScenarioLoader(
+      (scenario) => this.loadMissionScenario(scenario),
+      (scenario) => this.generateScenarioLayout(scenario)
+    );
     this.scenarioLoader.render();
 
     // Setup tile visualization toggle button
@@ -281,6 +332,9 @@ class HabitatHarmonyApp {
     // Setup path measurement button
     this.setupPathMeasurementButton();
 
+    // Setup level switcher and ladder / hatch placement
+    this.setupLevelControls();
+
     console.log('✅ UI components initialized');
   }
 
@@ -362,6 +416,172 @@ class HabitatHarmonyApp {
     });
   }
 
+  /**
+   * Setup level switcher and ladder / hatch placement (multi-level habitats)
+   */
+  setupLevelControls() {
+    const linkBtn = document.getElementById('verticalLinkBtn');
+    if (!linkBtn) return;
+
+    linkBtn.addEventListener('click', () => {
+      this.verticalLinkMode = !this.verticalLinkMode;
+
+      if (this.verticalLinkMode) {
+        linkBtn.textContent = '🪜 Placing...';
+        linkBtn.style.background = 'linear-gradient(135deg, #f97316 0%, #ea580c 100%)';
+        linkBtn.style.color = '#ffffff';
+        Toast.show('Click a free tile to add a ladder / hatch to the floor above (click again to remove)', 4000);
+      } else {
+        linkBtn.textContent = '🪜 Place Ladder';
+        linkBtn.style.background = '';
+        linkBtn.style.color = '';
+      }
+    });
+
+    // Click on the active floor to place / remove a link
+    const canvas = document.getElementById('c');
+    canvas.addEventListener('click', (e) => {
+      if (!this.verticalLinkMode) return;
+
+      const rect = canvas.getBoundingClientRect();
+      const mouse = new THREE.Vector2(
+        ((e.clientX - rect.left) / rect.width) * 2 - 1,
+        -((e.clientY - rect.top) / rect.height) * 2 + 1
+      );
+
+      const raycaster = new THREE.Raycaster();
+      raycaster.setFromCamera(mouse, this.sceneManager.getCamera());
+
+      const floorPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), -this.tileSystem.getFloorElevation(this.activeLevel));
+      const intersection = new THREE.Vector3();
+      if (raycaster.ray.intersectPlane(floorPlane, intersection)) {
+        const { tileX, tileY } = this.tileSystem.worldToTile(intersection.x, intersection.z);
+        this.toggleVerticalLink(tileX, tileY);
+      }
+    });
+
+    this.renderLevelSwitcher();
+  }
+
+  /**
+   * One button per floor; hidden for single-level habitats
+   */
+  renderLevelSwitcher() {
+    const controls = document.getElementById('levelControls');
+    const switcher = document.getElementById('levelSwitcher');
+    if (!controls || !switcher) return;
+
+    const levels = this.tileSystem.levels;
+    controls.style.display = levels > 1 ? 'block' : 'none';
+    switcher.innerHTML = '';
+
+    for (let level = 0; level < levels; level++) {
+      const button = document.createElement('button');
+      button.className = level === this.activeLevel ? 'btn' : 'btn outline';
+      button.textContent = `Floor ${level + 1}`;
+      button.addEventListener('click', () => this.setActiveLevel(level));
+      switcher.appendChild(button);
+    }
+  }
+
+  /**
+   * Show and edit one floor: floors above it are hidden, new modules go on it
+   * @param {number} level - Floor index (0 = ground floor)
+   */
+  setActiveLevel(level) {
+    this.activeLevel = Math.max(0, Math.min(level, this.tileSystem.levels - 1));
+
+    this.modules.forEach(module => {
+      module.visible = module.level <= this.activeLevel;
+    });
+    this.crewMembers.forEach(crewMember => {
+      crewMember.visible = crewMember.tileLevel <= this.activeLevel;
+    });
+
+    (this.assemblyView ?? this.gridSystem).setActiveLevel(this.activeLevel);
+    this.tileVisualization?.setLevel(this.activeLevel);
+    this.dragControls?.setActiveLevel(this.activeLevel);
+
+    if (this.noiseMap) {
+      this.noiseMap.floor = this.activeLevel;
+      if (this.noiseMap.enabled) this.noiseMap.update(this.buildAcousticModel());
+    }
+
+    if (this.egressMap) {
+      this.egressMap.floor = this.activeLevel;
+      this.updateEgress();
+    }
+
+    this.renderLevelSwitcher();
+  }
+
+  /**
+   * Add a ladder / hatch from the active floor to the floor above (the floor
+   * below on the top floor), or remove the one already on the tile
+   * @param {number} tileX
+   * @param {number} tileY
+   */
+  toggleVerticalLink(tileX, tileY) {
+    const tile = this.tileSystem.getTile(tileX, tileY, this.activeLevel);
+    if (!tile) return;
+
+    if (tile.verticalLink) {
+      this.tileSystem.removeVerticalLink(tile.verticalLink.id);
+      Toast.show(`Removed ${tile.verticalLink.type} at tile (${tileX}, ${tileY})`, 2000);
+      this.onVerticalLinksChanged();
+      return;
+    }
+
+    if (this.tileSystem.levels < 2) {
+      Toast.error('Ladders and hatches need a multi-level habitat');
+      return;
+    }
+
+    const otherLevel = this.activeLevel < this.tileSystem.levels - 1 ? this.activeLevel + 1 : this.activeLevel - 1;
+    if (tile.occupied || this.tileSystem.getTile(tileX, tileY, otherLevel).occupied) {
+      Toast.error('Ladders and hatches need a free tile on both floors');
+      return;
+    }
+
+    const type = document.getElementById('verticalLinkType')?.value || this.constraints.vertical_translation?.default_link_type || 'ladder';
+    this.tileSystem.addVerticalLink(tileX, tileY, this.activeLevel, otherLevel, type, this.getVerticalLinkCost(type));
+    Toast.success(`Added ${type} between floors ${Math.min(this.activeLevel, otherLevel) + 1} and ${Math.max(this.activeLevel, otherLevel) + 1}`);
+    this.onVerticalLinksChanged();
+  }
+
+  /**
+   * Path cost per floor for a link type (nasa-constraints.json vertical_translation)
+   * @param {string} type - 'ladder' | 'hatch'
+   * @returns {number}
+   */
+  getVerticalLinkCost(type) {
+    return this.constraints.vertical_translation?.link_types[type]?.path_cost ?? 3.0;
+  }
+
+  /**
+   * Replace all ladders / hatches
+   * @param {Array} links - [{ tileX, tileY, fromLevel, toLevel, type, cost? }]
+   */
+  setVerticalLinks(links) {
+    this.tileSystem.verticalLinks.slice().forEach(link => this.tileSystem.removeVerticalLink(link.id));
+
+    for (const link of links) {
+      const added = this.tileSystem.addVerticalLink(link.tileX, link.tileY, link.fromLevel, link.toLevel,
+        link.type, link.cost ?? this.getVerticalLinkCost(link.type));
+      if (!added) console.warn(`⚠️ Could not add ${link.type} at tile (${link.tileX}, ${link.tileY})`);
+    }
+
+    this.onVerticalLinksChanged();
+  }
+
+  /**
+   * Redraw link markers and revalidate after ladders / hatches change
+   */
+  onVerticalLinksChanged() {
+    this.gridSystem.setVerticalLinks(this.tileSystem.getVerticalLinks());
+    this.updateLayout();
+  }
+
   /**
    * Update habitat configuration (Gap #1: Habitat customization)
    * @param {Object} config - Habitat configuration from HabitatConfigurator
@@ -369,13 +589,23 @@ class HabitatHarmonyApp {
   updateHabitatConfiguration(config) {
     console.log('🏗️ Updating habitat configuration:', config);
 
+    // A single shell replaces the assembly
+    if (this.assembly) {
+      this.clearAssembly();
+    }
+
     // Update grid system dimensions
     this.gridSystem.updateHabitatSize(config);
 
     // Update tile system dimensions (width and depth in tiles)
     const widthTiles = Math.round(config.width / this.tileSystem.tileSize);
     const depthTiles = Math.round(config.depth / this.tileSystem.tileSize);
-    this.tileSystem.resize(widthTiles, depthTiles);
+    this.tileSystem.resize(widthTiles, depthTiles, this.gridSystem.habitatLevels, this.gridSystem.getFloorHeight());
+
+    // Keep modules on their floors at the new floor height
+    this.modules.forEach(module => {
+      module.position.y = this.tileSystem.getFloorElevation(module.level) + module.dimensions.h / 2;
+    });
 
     // Update pathfinder with new tile system
     this.pathfinder = new Pathfinder(this.tileSystem);
@@ -387,6 +617,10 @@ class HabitatHarmonyApp {
     this.sceneManager.addObject(this.tileVisualization);
     window.tileViz = this.tileVisualization;
 
+    // Ladders / hatches were cleared with the tile grid
+    this.gridSystem.setVerticalLinks([]);
+    this.setActiveLevel(this.activeLevel);
+
     // Revalidate all modules with new dimensions
     this.updateLayout();
 
@@ -400,6 +634,180 @@ class HabitatHarmonyApp {
     console.log(`   Tiles: ${widthTiles} × ${depthTiles}`);
   }
 
+  /**
+   * Replace the habitat with a multi-element assembly
+   * @param {Object} preset - habitat-assemblies.json preset (snake_case connections)
+   *   or an exported assembly ({ elements, connections } from HabitatAssembly.toJSON)
+   * @returns {boolean} - False if the assembly could not be built
+   */
+  loadAssembly(preset) {
+    try {
+      this.clearLayout();
+      if (this.assembly) {
+        this.clearAssembly();
+      }
+
+      const connectionTypes = this.assemblyPresets?.connection_types || {};
+      const assembly = HabitatAssembly.fromJSON({
+        elements: preset.elements.map(element => ({
+          ...element,
+          crossSection: element.crossSection ?? this.habitatConfigurator?.getCrossSection({
+            type: element.type,
+            crossSection: element.cross_section || 'box'
+          }) ?? null
+        })),
+        connections: preset.connections.map(connection => ({
+          type: connection.type,
+          lengthM: connection.lengthM ?? connection.length_m ?? null,
+          from: this.toConnectionEnd(connection.from),
+          to: this.toConnectionEnd(connection.to)
+        }))
+      }, connectionTypes);
+
+      if (assembly.elements.size === 0) {
+        throw new Error('Assembly has no elements');
+      }
+
+      // Keep the single-shell grid for clearAssembly
+      this.baseTileSystem = this.tileSystem;
+      this.baseGridSystem = this.gridSystem;
+      this.gridSystem.getGroup().visible = false;
+
+      this.assembly = assembly;
+      this.assemblyView = new AssemblyView(assembly);
+      this.sceneManager.addObject(this.assemblyView);
+
+      this.pathfinder = new Pathfinder(assembly);
+      window.pathfinder = this.pathfinder;
+      this.hud.validator = new AssemblyValidator(this.validator, assembly);
+
+      this.setActiveElement(assembly.getElements()[0].id);
+      this.respawnCrewMembers();
+      this.updateLayout();
+
+      console.log(`🛰️ Assembly loaded: ${assembly.elements.size} elements, ${assembly.connections.length} connections`);
+      Toast.show(`Assembly: ${assembly.getElements().map(e => e.name).join(' + ')}`, 4000);
+      return true;
+    } catch (error) {
+      console.error('Error loading habitat assembly:', error);
+      Toast.error('Failed to load habitat assembly');
+      return false;
+    }
+  }
+
+  /**
+   * Connection end from a preset (tile_x / tile_y) or an export (tileX / tileY)
+   * @param {Object} end
+   * @returns {{element: string, tileX: number, tileY: number, level: number}}
+   */
+  toConnectionEnd(end) {
+    return {
+      element: end.element,
+      tileX: end.tileX ?? end.tile_x,
+      tileY: end.tileY ?? end.tile_y,
+      level: end.level ?? 0
+    };
+  }
+
+  /**
+   * Edit one element of the assembly: the tile overlay, drag snapping,
+   * floor switcher and new modules use its tile grid
+   * @param {string} elementId
+   */
+  setActiveElement(elementId) {
+    const element = this.assembly?.getElement(elementId);
+    if (!element) return;
+
+    this.activeElement = elementId;
+    this.tileSystem = element.tileSystem;
+    this.gridSystem = this.assemblyView.getGrid(elementId);
+    window.tileSystem = this.tileSystem;
+
+    this.sceneManager.removeObject(this.tileVisualization);
+    this.tileVisualization = new TileVisualization(this.tileSystem);
+    this.sceneManager.addObject(this.tileVisualization);
+    window.tileViz = this.tileVisualization;
+
+    this.dragControls?.setActiveElement(this.tileSystem, this.gridSystem);
+    if (this.pathMeasurement) {
+      this.pathMeasurement.tileSystem = this.tileSystem;
+    }
+
+    this.assemblyView.setActiveElement(elementId);
+    this.setActiveLevel(0);
+    this.renderElementSwitcher();
+  }
+
+  /**
+   * One button per assembly element; hidden for single-shell habitats
+   */
+  renderElementSwitcher() {
+    const controls = document.getElementById('elementControls');
+    const switcher = document.getElementById('elementSwitcher');
+    if (!controls || !switcher) return;
+
+    controls.style.display = this.assembly ? 'block' : 'none';
+    switcher.innerHTML = '';
+    if (!this.assembly) return;
+
+    for (const element of this.assembly.getElements()) {
+      const button = document.createElement('button');
+      button.className = element.id === this.activeElement ? 'btn' : 'btn outline';
+      button.textContent = element.name;
+      button.addEventListener('click', () => this.setActiveElement(element.id));
+      switcher.appendChild(button);
+    }
+  }
+
+  /**
+   * Go back to the single-shell habitat (modules in the assembly are removed)
+   */
+  clearAssembly() {
+    if (!this.assembly) return;
+
+    this.clearLayout();
+
+    this.sceneManager.removeObject(this.assemblyView);
+    this.assemblyView.dispose();
+    this.assemblyView = null;
+    this.assembly = null;
+    this.activeElement = null;
+
+    this.tileSystem = this.baseTileSystem;
+    this.gridSystem = this.baseGridSystem;
+    this.gridSystem.getGroup().visible = true;
+    window.tileSystem = this.tileSystem;
+
+    this.sceneManager.removeObject(this.tileVisualization);
+    this.tileVisualization = new TileVisualization(this.tileSystem);
+    this.sceneManager.addObject(this.tileVisualization);
+    window.tileViz = this.tileVisualization;
+
+    this.dragControls?.setActiveElement(this.tileSystem, this.gridSystem);
+    if (this.pathMeasurement) {
+      this.pathMeasurement.tileSystem = this.tileSystem;
+    }
+
+    this.pathfinder = new Pathfinder(this.tileSystem);
+    window.pathfinder = this.pathfinder;
+    this.hud.validator = this.validator;
+
+    this.setActiveLevel(0);
+    this.renderElementSwitcher();
+    this.respawnCrewMembers();
+
+    console.log('🛰️ Assembly cleared');
+  }
+
+  /**
+   * Tile grid of an assembly element, or the single-shell grid
+   * @param {string|null} elementId
+   * @returns {TileSystem}
+   */
+  getTileSystem(elementId = null) {
+    return this.assembly?.getTileSystem(elementId) ?? this.tileSystem;
+  }
+
   /**
    * Initialize controls
    */
@@ -412,9 +820,17 @@ class HabitatHarmonyApp {
     this.moduleControls = new ModuleControls(
       this.modules,
       scene,
-      () => this.updateLayout()
+      () => this.updateLayout(),
+      this.constraints?.spe_shelter
     );
 
+    // Doors and hatches of the selected module (state feeds paths, noise, odor and privacy)
+    this.doorEditor = new DoorEditor('doorEditor', this.constraints?.module_doors, () => {
+      this.updateLayout();
+      this.updatePsychMetrics();
+    });
+    this.doorEditor.render();
+
     // Drag controls with selection change callback and tile system
     this.dragControls = new DragControls(
       camera,
@@ -425,8 +841,10 @@ class HabitatHarmonyApp {
       this.gridSystem,
       () => this.updateLayout(),
       (selectedModule) => {
-        // Sync selection to ModuleControls
+        // Sync selection to ModuleControls, the lighting schedule and door editors
         this.moduleControls.setSelectedModule(selectedModule);
+        this.lightingEditor?.setModule(selectedModule);
+        this.doorEditor.setModule(selectedModule);
       },
       this.tileSystem  // Pass tile system for tile snapping
     );
@@ -443,8 +861,11 @@ class HabitatHarmonyApp {
     // Setup export button
     const exportBtn = document.getElementById('exportBtn');
     this.exporter.setupExportButton(exportBtn, () => {
-      const shellDims = this.gridSystem.getHabitatDimensions();
-      const report = this.hud.getLastReport() || this.validator.validateLayout(this.modules, shellDims);
+      const shellDims = {
+        ...this.gridSystem.getHabitatDimensions(),
+        ...(this.assembly && { assembly: this.assembly.toJSON() })
+      };
+      const report = this.hud.getLastReport() || this.hud.validator.validateLayout(this.modules, shellDims);
 
       return {
         modules: this.modules,
@@ -467,8 +888,9 @@ class HabitatHarmonyApp {
   /**
    * Add a module to the layout
    * @param {Object} catalogItem - Module definition from catalog
+   * @param {string|null} elementId - Assembly element (null = the element being edited)
    */
-  addModule(catalogItem) {
+  addModule(catalogItem, elementId = null) {
     try {
       if (!catalogItem) {
         console.error('Invalid catalog item');
@@ -479,13 +901,22 @@ class HabitatHarmonyApp {
       // Generate unique ID
       const id = `module_${this.moduleIdCounter++}`;
 
-      // Create module (with tile system support)
-      const module = new HabitatModule(catalogItem, id, this.constraints, this.tileSystem);
+      // Create module (with tile system support) on the floor being edited
+      const tileSystem = this.getTileSystem(elementId ?? this.activeElement);
+      const module = new HabitatModule(catalogItem, id, this.constraints, tileSystem);
 
       if (!module) {
         throw new Error('Failed to create module');
       }
 
+      module.setLevel(Math.min(this.activeLevel, tileSystem.levels - 1));
+
+      // In an assembly, start at the centre of the element
+      const element = this.assembly?.getElement(module.element);
+      if (element) {
+        module.updatePosition(element.x, module.position.y, element.z);
+      }
+
       // Add to scene
       this.sceneManager.addObject(module);
 
@@ -568,6 +999,8 @@ class HabitatHarmonyApp {
 
       // Add to objects array
       this.objects.push(mesh);
+      this.updateLogistics();
+      this.updateLaunchManifest();
 
       // Make object draggable by adding to drag controls
       if (this.dragControls) {
@@ -595,24 +1028,197 @@ class HabitatHarmonyApp {
     // Clear current layout
     this.clearLayout();
 
-    // Apply habitat configuration
-    if (this.habitatConfigurator && scenario.habitat_config) {
-      this.habitatConfigurator.currentConfig = scenario.habitat_config;
-      this.updateHabitatConfiguration(scenario.habitat_config);
+    // Multi-element scenarios (e.g. Gateway) build their assembly instead of one shell
+    const assemblyPreset = this.assemblyPresets?.presets[scenario.assembly];
+    if (assemblyPreset) {
+      this.loadAssembly(assemblyPreset);
+    } else if (this.habitatConfigurator && scenario.habitat_config) {
+      this.habitatConfigurator.currentConfig = {
+        ...scenario.habitat_config,
+        crossSection: scenario.habitat_config.cross_section || null
+      };
+      this.updateHabitatConfiguration(this.habitatConfigurator.getCurrentConfig());
     }
 
-    // Add required modules (with small delay for visual effect)
-    scenario.required_modules.forEach((moduleName, index) => {
-      setTimeout(() => {
+    // Scenarios with a reference layout (e.g. the HERA two-story core) place it as-is
+    if (scenario.layout_source) {
+      this.loadScenarioLayout(scenario);
+    } else {
+      this.addScenarioModules(scenario);
+    }
+
+    // Earth communication profile (light delay, contact windows, blackouts)
+    this.missionParams?.updateConfig({
+      communications: scenario.mission_parameters?.communications || null
+    });
+
+    // Select the scenario's mission event schedule, if one is defined
+    const eventScheduleEl = document.getElementById('eventSchedule');
+    if (eventScheduleEl && this.missionEvents?.schedules[scenario.id]) {
+      eventScheduleEl.value = scenario.id;
+    }
+
+    // Show notification
+    Toast.show(`Loaded: ${scenario.name} (${scenario.crew_size} crew, ${scenario.mission_duration_days} days)`, 4000);
+  }
+
+  /**
+   * Add a scenario's required modules (with small delay for visual effect)
+   * @param {Object} scenario - Scenario definition
+   */
+  addScenarioModules(scenario) {
+    // Assemblies: spread the modules over the elements in turn
+    const elements = this.assembly?.getElements() || [];
+
+    this.scenarioModuleTimers = scenario.required_modules.map((moduleName, index) => {
+      return setTimeout(() => {
         const catalogItem = ModuleCatalog.find(m => m.name === moduleName);
         if (catalogItem) {
-          this.addModule(catalogItem);
+          this.addModule(catalogItem, elements[index % elements.length]?.id ?? null);
         }
       }, index * 100);
     });
+  }
 
-    // Show notification
-    Toast.show(`Loaded: ${scenario.name} (${scenario.crew_size} crew, ${scenario.mission_duration_days} days)`, 4000);
+  /**
+   * Place a scenario's reference layout: modules on their floors and tiles,
+   * plus the ladders / hatches between floors
+   * @param {Object} scenario - Scenario with layout_source (data file with a simulator_layout)
+   */
+  async loadScenarioLayout(scenario) {
+    try {
+      const data = await DataLoader.load(scenario.layout_source);
+      const layout = data.simulator_layout;
+      if (!layout) throw new Error(`${scenario.layout_source} has no simulator_layout`);
+
+      // Links first, so modules cannot be placed over the openings
+      this.setVerticalLinks(layout.vertical_links.map(link => ({
+        tileX: link.tile_x,
+        tileY: link.tile_y,
+        fromLevel: link.from_level,
+        toLevel: link.to_level,
+        type: link.type
+      })));
+
+      const unplaced = [];
+      for (const placement of layout.modules) {
+        const catalogItem = ModuleCatalog.find(m => m.name === placement.name);
+        if (!catalogItem) {
+          console.warn(`Unknown module type: ${placement.name}`);
+          continue;
+        }
+
+        const module = new HabitatModule(catalogItem, `module_${this.moduleIdCounter++}`, this.constraints, this.tileSystem);
+        while (module.rotationAngle !== (placement.rotation || 0)) {
+          module.rotate90();
+        }
+        module.removeTileOccupancy();
+
+        if (!module.placeAtTile(placement.tile_x, placement.tile_y, placement.level || 0)) {
+          module.dispose();
+          unplaced.push(placement.name);
+          continue;
+        }
+
+        this.sceneManager.addObject(module);
+        this.modules.push(module);
+        this.populateModuleObjects(module);
+      }
+
+      this.dragControls.setModules(this.modules);
+      this.setActiveLevel(this.tileSystem.levels - 1);
+      this.updateLayout();
+
+      if (unplaced.length > 0) {
+        console.warn(`⚠️ Not placed: ${unplaced.join(', ')}`);
+        Toast.show(`${unplaced.length} modules did not fit (${unplaced.join(', ')})`, 6000);
+      }
+      console.log(`🏗️ Reference layout placed: ${this.modules.length} modules on ${this.tileSystem.levels} floors`);
+    } catch (error) {
+      console.error('Error loading scenario layout:', error);
+      Toast.error('Failed to load reference layout, adding modules instead');
+      this.addScenarioModules(scenario);
+    }
+  }
+
+  /**
+   * Replace the layout with a generated starter layout of the scenario's
+   * required modules (zone clusters along a corridor, doors facing it).
+   * Multi-level shells fill floor by floor: modules that do not fit on a floor
+   * go to the next one. Assemblies are not generated (one corridor per shell).
+   * @param {Object} scenario - Mission scenario from mission-scenarios.json
+   */
+  generateScenarioLayout(scenario) {
+    if (scenario.assembly || this.assembly) {
+      Toast.warning('Starter layouts are generated for a single shell: place modules on the assembly elements instead', 5000);
+      return;
+    }
+
+    try {
+      // Stop modules still being added by loadMissionScenario
+      this.scenarioModuleTimers.forEach(timer => clearTimeout(timer));
+      this.scenarioModuleTimers = [];
+
+      this.clearLayout();
+
+      const generator = new LayoutGenerator(this.constraints);
+      const grid = {
+        width: this.tileSystem.width,
+        height: this.tileSystem.height,
+        tileSize: this.tileSystem.tileSize
+      };
+      const shell = this.gridSystem.getHabitatDimensions();
+
+      let remaining = scenario.required_modules;
+      let floorsUsed = 0;
+      for (let level = 0; level < this.tileSystem.levels && remaining.length > 0; level++) {
+        const result = generator.generate(remaining, grid, shell);
+        const unplaced = [...result.unplaced];
+
+        for (const placement of result.placements) {
+          const catalogItem = ModuleCatalog.find(m => m.name === placement.name);
+          const id = `module_${this.moduleIdCounter++}`;
+          const module = new HabitatModule(catalogItem, id, this.constraints, this.tileSystem);
+
+          while (module.rotationAngle !== placement.rotation) {
+            module.rotate90();
+          }
+          module.removeTileOccupancy();
+
+          // Tiles taken by a ladder / hatch: try the next floor
+          if (!module.placeAtTile(placement.tileX, placement.tileY, level)) {
+            module.dispose();
+            unplaced.push(placement.name);
+            continue;
+          }
+
+          this.sceneManager.addObject(module);
+          this.modules.push(module);
+          this.populateModuleObjects(module);
+        }
+
+        if (unplaced.length < remaining.length) floorsUsed = level + 1;
+        remaining = unplaced;
+      }
+
+      this.dragControls.setModules(this.modules);
+      if (floorsUsed > 1) this.setActiveLevel(floorsUsed - 1);
+      this.updateLayout();
+
+      const floors = floorsUsed > 1 ? ` on ${floorsUsed} floors` : '';
+      if (remaining.length > 0) {
+        console.warn(`⚠️ Not placed (shell too small): ${remaining.join(', ')}`);
+        Toast.show(`Generated layout: ${this.modules.length} modules placed${floors}, ` +
+          `${remaining.length} did not fit (${remaining.join(', ')})`, 6000);
+      } else {
+        const adjacencyCompliance = this.validator.calculateAdjacencyCompliance(this.modules);
+        Toast.success(`Generated layout: ${this.modules.length} modules${floors} ` +
+          `(adjacency ${(adjacencyCompliance * 100).toFixed(0)}%)`, 4000);
+      }
+    } catch (error) {
+      console.error('Error generating starter layout:', error);
+      Toast.error('Failed to generate layout');
+    }
   }
 
   /**
@@ -623,6 +1229,30 @@ class HabitatHarmonyApp {
     // Clear existing modules
     this.clearLayout();
 
+    if (data.habitatAssembly) {
+      // Assembly layouts: rebuild the elements and connections (ladders / hatches included)
+      if (!this.loadAssembly(data.habitatAssembly)) return;
+    } else {
+      if (this.assembly) {
+        this.clearAssembly();
+      }
+
+      // Multi-level and curved-shell layouts: restore the floors, the shell and the ladders / hatches
+      const shell = data.habitatShell || {};
+      const current = this.gridSystem.getHabitatDimensions();
+      if ((shell.levels || 1) !== this.tileSystem.levels ||
+          (shell.crossSection && shell.crossSection.shape !== current.crossSection.shape)) {
+        this.updateHabitatConfiguration({
+          width: current.width,
+          depth: current.depth,
+          height: shell.height ?? current.height,
+          levels: shell.levels || 1,
+          crossSection: shell.crossSection || current.crossSection
+        });
+      }
+      this.setVerticalLinks(shell.verticalLinks || []);
+    }
+
     // Recreate modules from data
     data.modules.forEach(moduleData => {
       // Find catalog item by name
@@ -633,22 +1263,33 @@ class HabitatHarmonyApp {
         return;
       }
 
-      // Create module (with tile system support)
-      const module = new HabitatModule(catalogItem, moduleData.id, this.constraints, this.tileSystem);
-
-      // Set position
-      module.updatePosition(
-        moduleData.position.x,
-        moduleData.position.y,
-        moduleData.position.z
-      );
-
+      // Create module (with tile system support) in its assembly element
+      const tileSystem = this.getTileSystem(moduleData.element);
+      const module = new HabitatModule(catalogItem, moduleData.id, this.constraints, tileSystem);
       // Set rotation
       const targetRotation = moduleData.rotation || 0;
       while (module.rotationAngle !== targetRotation) {
         module.rotate90();
       }
 
+      // Placed doors are exported in the final orientation (none = default front door)
+      module.doorLayout = moduleData.doors || null;
+
+      // Place on its floor and tile (free position if the tile is taken)
+      const { tileX, tileY } = tileSystem.worldToTile(moduleData.position.x, moduleData.position.z);
+      if (!module.placeAtTile(tileX, tileY, moduleData.level ?? 0)) {
+        module.setLevel(moduleData.level ?? 0);
+        module.updatePosition(
+          moduleData.position.x,
+          module.position.y,
+          moduleData.position.z
+        );
+      }
+
+      module.lightingSchedule = moduleData.lightingSchedule || null;
+      module.safeHaven = Boolean(moduleData.safeHaven);
+      module.shelter = moduleData.shelter || null;
+
       // Add to scene and array
       this.sceneManager.addObject(module);
       this.modules.push(module);
@@ -656,6 +1297,7 @@ class HabitatHarmonyApp {
 
     // Update controls and layout
     this.dragControls.setModules(this.modules);
+    this.setActiveLevel(this.activeLevel);
     this.updateLayout();
 
     console.log(`📥 Imported ${data.modules.length} modules`);
@@ -665,6 +1307,10 @@ class HabitatHarmonyApp {
    * Clear all modules from layout
    */
   clearLayout() {
+    // Scenarios hold the modules and crew being removed
+    this.endShelterDrill();
+    this.clearIsolation();
+
     // Remove all modules
     this.modules.forEach(module => {
       this.sceneManager.removeObject(module);
@@ -737,6 +1383,14 @@ class HabitatHarmonyApp {
     if (this.psychModel && this.missionParams) {
       this.updatePsychMetrics();
     }
+
+    if (this.noiseMap?.enabled) {
+      this.noiseMap.update(this.buildAcousticModel());
+    }
+
+    this.updateLogistics();
+    this.updateLaunchManifest();
+    this.updateEgress();
   }
 
   /**
@@ -774,8 +1428,8 @@ class HabitatHarmonyApp {
     for (let i = 0; i < count; i++) {
       const name = names[i] || `Crew ${i + 1}`;
 
-      // Find a random passable tile
-      const passableTiles = this.tileSystem.getPassableTiles();
+      // Find a random passable tile (any element of an assembly)
+      const passableTiles = (this.assembly ?? this.tileSystem).getPassableTiles();
 
       if (passableTiles.length === 0) {
         console.warn('No passable tiles available for crew spawn');
@@ -785,7 +1439,7 @@ class HabitatHarmonyApp {
       const randomTile = passableTiles[Math.floor(Math.random() * passableTiles.length)];
 
       // Create crew member
-      const crewMember = new CrewMember(this, name, randomTile.x, randomTile.y);
+      const crewMember = new CrewMember(this, name, randomTile.x, randomTile.y, randomTile.level, randomTile.element);
 
       // Add to scene
       this.sceneManager.addObject(crewMember);
@@ -797,10 +1451,34 @@ class HabitatHarmonyApp {
     }
   }
 
+  /**
+   * Replace the crew after the tile grids change (assembly loaded / cleared)
+   */
+  respawnCrewMembers() {
+    const count = this.crewMembers.length;
+    if (count === 0) return;
+
+    // A running drill or isolation would keep following the removed agents
+    this.endShelterDrill();
+    this.clearIsolation();
+
+    this.crewMembers.forEach(crewMember => {
+      this.sceneManager.removeObject(crewMember);
+      crewMember.dispose();
+    });
+    this.crewMembers = [];
+
+    this.spawnCrewMembers(count);
+    this.setActiveLevel(this.activeLevel);
+  }
+
   /**
    * Update crew members (called each frame)
    */
   updateCrewMembers(deltaTime) {
+    // Live crew waits while the agent behavior run uses the habitat objects
+    if (this.agentRun) return;
+
     // Update simulation time
     if (this.simulationTime) {
       this.simulationTime.update(deltaTime);
@@ -810,12 +1488,215 @@ class HabitatHarmonyApp {
     this.crewMembers.forEach(crewMember => {
       crewMember.update(deltaTime);
     });
+
+    // SPE drill: record shelter arrivals, report once every crew member is resolved
+    if (this.shelterDrill?.running) {
+      const report = this.shelterDrill.update(deltaTime);
+      if (report) this.showShelterDrillReport(report);
+    }
+
+    // Isolation: seal the section once the evacuees are out (egress and tiles follow)
+    if (this.isolationScenario && !this.isolationScenario.isSealed) {
+      this.isolationScenario.update(deltaTime);
+      if (this.isolationScenario.isSealed) this.updateLayout();
+    }
   }
 
   /**
-   * Get object by ID (for UseObjectAction)
+   * Start an SPE shelter drill, or end the running / finished one
    */
-  getObjectById(objectId) {
+  toggleShelterDrill() {
+    if (this.shelterDrill) {
+      this.endShelterDrill();
+      Toast.info('SPE drill ended: crew back on schedule');
+      return;
+    }
+
+    if (!this.constraints?.spe_shelter) return;
+    if (this.agentRun) {
+      Toast.warning('Wait for the crew behavior run to finish before the drill');
+      return;
+    }
+    if (this.isolationScenario) {
+      Toast.warning('Clear the isolation scenario before the drill');
+      return;
+    }
+
+    try {
+      const drill = new ShelterDrill(this.constraints.spe_shelter, this, this.psychModel.params);
+      const designVars = this.missionParams.computeDesignVariables(this.modules, this.validator);
+      if (!drill.start(this.crewMembers, this.modules, designVars)) {
+        this.showShelterDrillReport(drill.report);
+        return;
+      }
+
+      this.shelterDrill = drill;
+      this.setShelterDrillButton(true);
+      const el = document.getElementById('speDrillSummary');
+      if (el) {
+        el.style.color = '#64748b';
+        el.textContent = `SPE alert: ${this.crewMembers.length} crew heading to shelter...`;
+      }
+      Toast.warning('☢️ SPE alert: crew to storm shelter', 2500);
+
+    } catch (error) {
+      console.error('Error starting SPE drill:', error);
+      Toast.error('SPE drill failed to start');
+      this.shelterDrill = null;
+    }
+  }
+
+  /**
+   * Stop the drill and give the crew back their schedule / AI (the last report stays shown)
+   */
+  endShelterDrill() {
+    if (!this.shelterDrill) return;
+
+    this.shelterDrill.end();
+    this.shelterDrill = null;
+    this.setShelterDrillButton(false);
+  }
+
+  /**
+   * Drill button label while crew are held in shelter
+   */
+  setShelterDrillButton(active) {
+    const btn = document.getElementById('speDrillBtn');
+    if (btn) btn.textContent = active ? '⏹ End SPE Drill' : '☢️ Run SPE Shelter Drill';
+  }
+
+  /**
+   * Declare a fire / leak in the selected module, or clear the isolation in force
+   */
+  toggleIsolation() {
+    if (this.isolationScenario) {
+      this.clearIsolation();
+      Toast.info('Isolation cleared: hatches restored');
+      return;
+    }
+
+    if (!this.constraints?.isolation_scenarios) return;
+
+    const module = this.moduleControls?.getSelectedModule();
+    if (!module?.isPlaced) {
+      Toast.warning('Select a placed module to declare a fire or leak in');
+      return;
+    }
+    if (this.agentRun) {
+      Toast.warning('Wait for the crew behavior run to finish before the scenario');
+      return;
+    }
+
+    try {
+      // Both take over the crew agents
+      this.endShelterDrill();
+
+      const type = document.getElementById('isolationHazard')?.value || 'fire';
+      const scenario = new IsolationScenario(
+        this.constraints.isolation_scenarios,
+        this,
+        this.constraints.emergency_egress?.exit_modules
+      );
+      const report = scenario.declare(module, type, this.crewMembers, this.modules);
+      this.isolationScenario = scenario;
+
+      this.setIsolationButton(true);
+      this.setLayoutLocked(true);
+      this.showIsolationReport(report);
+      this.updateLayout();
+
+      const hazard = this.constraints.isolation_scenarios.hazards[type];
+      Toast.warning(`${hazard.icon} ${hazard.name} in ${module.moduleName}: hatches closed`, 2500);
+
+    } catch (error) {
+      console.error('Error declaring isolation scenario:', error);
+      Toast.error('Isolation scenario failed');
+      this.isolationScenario = null;
+    }
+  }
+
+  /**
+   * Reopen the isolated section and give the crew back their schedule / AI (the last report stays shown)
+   */
+  clearIsolation() {
+    if (!this.isolationScenario) return;
+
+    this.isolationScenario.clear();
+    this.isolationScenario = null;
+    this.setIsolationButton(false);
+    this.setLayoutLocked(false);
+    this.updateLayout();
+  }
+
+  /**
+   * Freeze door edits and module moves / rotations / deletions while a section is isolated
+   * (the scenario holds the sealed tiles and door overrides of the current layout)
+   */
+  setLayoutLocked(locked) {
+    this.dragControls?.setLocked(locked);
+    this.moduleControls?.setLocked(locked);
+    this.doorEditor?.setLocked(locked);
+  }
+
+  /**
+   * Isolation button label while a section is isolated
+   */
+  setIsolationButton(active) {
+    const btn = document.getElementById('isolationBtn');
+    if (btn) btn.textContent = active ? 'Clear Isolation' : 'Declare in Selected';
+  }
+
+  /**
+   * Isolation scenario summary (mission panel)
+   * @param {Object} report - IsolationScenario report
+   */
+  showIsolationReport(report) {
+    const el = document.getElementById('isolationSummary');
+    if (!el) return;
+
+    const { hazard, isolatedModules, trapped, lostFunctions, egress, viable, safeAreaM2, violations, warnings } = report;
+    el.style.color = !viable || trapped.length > 0 ? '#dc2626' :
+      violations.length + warnings.length > 0 ? '#d97706' : '#64748b';
+    el.textContent = `${hazard.name} in ${hazard.moduleName}: isolated ${isolatedModules.map(m => m.name).join(', ')}. ` +
+      (trapped.length > 0 ? `Trapped: ${trapped.join(', ')}. ` : 'No crew trapped. ') +
+      (lostFunctions.length > 0 ? `Lost: ${lostFunctions.join(', ')}. ` : 'No functions lost. ') +
+      `Safe area ${safeAreaM2.toFixed(0)} m²` +
+      (egress.available ? ` with egress via ${egress.exits.join(', ')}` : ' without egress') + '. ' +
+      (viable ? 'Viable habitable subset remains.' : 'No viable habitable subset.') +
+      ([...violations, ...warnings].length > 0 ? ' ' + [...violations, ...warnings].map(v => v.recommendation).join('; ') : '');
+  }
+
+  /**
+   * SPE drill summary (mission panel)
+   * @param {Object} report - ShelterDrill report
+   */
+  showShelterDrillReport(report) {
+    const el = document.getElementById('speDrillSummary');
+    if (!el) return;
+
+    const { metrics, shelters, confinement, violations, arrivals } = report;
+    el.style.color = violations.some(v => v.severity === 'critical') ? '#dc2626' :
+      violations.length > 0 ? '#d97706' : '#64748b';
+
+    if (shelters.length === 0 || metrics.crew === 0) {
+      el.textContent = violations[0]?.message ?? 'No crew to shelter';
+      return;
+    }
+
+    el.textContent = `SPE drill: ${metrics.sheltered}/${metrics.crew} crew sheltered` +
+      (metrics.gatherTimeS !== null ? ` in ${metrics.gatherTimeS.toFixed(0)}s (target ${metrics.limitS}s). ` : '. ') +
+      arrivals.filter(a => a.status === 'sheltered').map(a => `${a.name} ${a.timeS.toFixed(0)}s`).join(', ') + '. ' +
+      shelters.filter(s => s.occupants > 0).map(s =>
+        `${s.name}: ${s.areaPerPersonM2.toFixed(2)} m²/person, ${s.shieldingGCm2} g/cm²`).join('; ') + '. ' +
+      `${confinement.durationH} h confinement: stress +${confinement.stress.toFixed(1)}, ` +
+      `mood ${confinement.mood.toFixed(1)} per person. ` +
+      (violations.length > 0 ? violations.map(v => v.message).join('; ') : 'Shelter meets area and shielding guidance.');
+  }
+
+  /**
+   * Get object by ID (for UseObjectAction)
+   */
+  getObjectById(objectId) {
     return this.objects.find(obj => obj.objectId === objectId) || null;
   }
 
@@ -922,12 +1803,14 @@ class HabitatHarmonyApp {
    */
   initializeCrew() {
     const defaultCrew = this.constraints.crew_configuration_defaults.standard_crew;
+    const traits = this.getDefaultCrewTraits();
 
     this.crew = defaultCrew.composition.map((member, index) => ({
       id: `crew-${index + 1}`,
       name: member.role,
       role: member.role,
       gender: member.gender,
+      traits: { ...traits },
       state: {
         stress: 40,
         mood: 70,
@@ -940,6 +1823,65 @@ class HabitatHarmonyApp {
     console.log(`👥 Initialized ${this.crew.length} crew members for psychological simulation`);
   }
 
+  /**
+   * Population-average crew traits (crew_traits.defaults of the psych model params)
+   * @returns {Object} - { resilience, sleepNeed, chronotype, sociability }
+   */
+  getDefaultCrewTraits() {
+    const defaults = this.psychModel?.params.crew_traits?.defaults || {};
+
+    return Object.fromEntries(Object.entries(defaults).map(([key, value]) =>
+      [key.replace(/_(\w)/g, (_, c) => c.toUpperCase()), value]));
+  }
+
+  /**
+   * Take the crew roster edited in the mission config panel (names, roles, traits)
+   * into the simulation crew, keeping each member's current state
+   * @param {Array<Object>} profiles - [{ id, name, role, gender, traits }]
+   */
+  applyCrewProfiles(profiles) {
+    this.crew = profiles.map((profile, index) => ({
+      id: profile.id,
+      name: profile.name,
+      role: profile.role,
+      gender: profile.gender,
+      traits: { ...profile.traits },
+      state: this.crew[index]?.state ?? {
+        stress: 40,
+        mood: 70,
+        sleepQuality: 70,
+        cohesion: 70,
+        performance: 1.0
+      }
+    }));
+  }
+
+  /**
+   * Apply a loaded mission config to the mission controls (their change handlers
+   * update the mission params and metrics)
+   * @param {Object} config - MissionConfigPanel config
+   */
+  applyLoadedMissionConfig(config) {
+    const controls = {
+      crewSize: config.crewSize,
+      missionDays: config.missionDays,
+      windowType: config.windowType,
+      circulationPattern: config.circulationPattern,
+      lightingCompliance: config.lightingScheduleCompliance,
+      exerciseCompliance: config.exerciseCompliance
+    };
+
+    for (const [id, value] of Object.entries(controls)) {
+      const el = document.getElementById(id);
+      if (!el || value === undefined) continue;
+      // Values the page does not offer (e.g. a 90-day mission) keep the current choice
+      if (el.tagName === 'SELECT' && ![...el.options].some(option => option.value === String(value))) continue;
+
+      el.value = value;
+      el.dispatchEvent(new Event(el.type === 'range' ? 'input' : 'change'));
+    }
+  }
+
   /**
    * Auto-assign crew to available crew quarters
    */
@@ -987,26 +1929,233 @@ class HabitatHarmonyApp {
       modules: this.modules.map(m => ({
         id: m.id,
         name: m.moduleName,
-        dimensions: {
-          w: m.width,
-          d: m.depth,
-          h: m.height
-        },
+        dimensions: { ...m.dimensions },
+        // World position (same shape as LayoutModule.toLayoutEntry)
         position: {
-          x: m.mesh.position.x,
-          z: m.mesh.position.z
+          x: m.position.x,
+          z: m.position.z
         },
+        level: m.level ?? 0,
+        element: m.element ?? null,
+        doors: m.doors.map(door => ({ type: door.type, state: door.state })),
         zone: m.zone
       })),
       crewAssignments: this.crewAssignments,
       windowType: this.missionParams?.windowType || 0.5,
-      visualOrder: 0.8,
+      visualOrder: this.missionParams?.computeVisualOrder(this.modules) ?? 0.8,
       lightingScheduleCompliance: this.missionParams?.lightingCompliance || 0.8,
       exerciseCompliance: this.missionParams?.exerciseCompliance || 0.7,
+      communications: this.missionParams?.communications || null,
+      lighting: this.getLayoutLighting(),
+      acoustics: this.getLayoutAcoustics(),
+      atmosphere: this.getLayoutAtmosphere(),
+      logistics: this.getLayoutLogistics(),
       adjacencyCompliance: this.validator.calculateAdjacencyCompliance(this.modules)
     };
   }
 
+  /**
+   * Per-module lighting schedules for the simulator (null = global lighting compliance)
+   * @returns {Object|null} - { timeline, schedules } keyed by layout module id
+   */
+  getLayoutLighting() {
+    if (this.missionParams?.lightingMode !== 'schedule' || !this.lightingConfig) return null;
+
+    return CircadianLightingModel.layoutLighting(this.lightingConfig, this.modules.map(m => ({
+      id: m.id,
+      name: m.moduleName,
+      lightingSchedule: m.lightingSchedule
+    })));
+  }
+
+  /**
+   * Acoustic model of the current layout, levels computed on the live tile grid
+   * @returns {AcousticModel|null} - null when acoustics.json could not be loaded
+   */
+  buildAcousticModel() {
+    if (!this.acousticsConfig) return null;
+
+    const model = new AcousticModel(this.acousticsConfig, this.tileSystem);
+    model.compute(
+      this.modules.map(m => ({ id: m.id, tileId: m.moduleId, name: m.moduleName })),
+      // Object tiles are module-relative
+      this.objects.filter(obj => obj.objectId && obj.module).map(obj => ({
+        type: obj.type,
+        tileId: obj.moduleId,
+        tileX: obj.module.tileX + obj.tileX,
+        tileY: obj.module.tileY + obj.tileY
+      }))
+    );
+    return model;
+  }
+
+  /**
+   * Crew quarters noise for the sleep model (null = exercise-adjacency rule)
+   * @returns {Object|null} - AcousticModel.evaluate() keyed by layout module id
+   */
+  getLayoutAcoustics() {
+    if (this.missionParams?.noiseMode !== 'acoustic') return null;
+
+    return this.buildAcousticModel()?.evaluate() || null;
+  }
+
+  /**
+   * Module air volumes for the cabin atmosphere model (used with crew agent occupancy)
+   * @returns {Object|null} - AtmosphereModel.layoutAtmosphere() keyed by layout module id
+   */
+  getLayoutAtmosphere() {
+    if (!this.atmosphereConfig) return null;
+
+    return AtmosphereModel.layoutAtmosphere(
+      this.atmosphereConfig,
+      this.modules.map(m => ({ id: m.id, tileId: m.moduleId, name: m.moduleName, dimensions: m.dimensions })),
+      this.gridSystem.getHabitatDimensions(),
+      this.missionParams?.ventilationRate
+    );
+  }
+
+  /**
+   * Consumables vs. stowage for the mission crew size and duration
+   * @returns {Object|null} - ConsumablesModel.evaluate(), null when consumables.json could not be loaded
+   */
+  getLayoutLogistics() {
+    if (!this.consumablesConfig || !this.missionParams) return null;
+
+    return new ConsumablesModel(this.consumablesConfig).evaluate(
+      this.modules.map(m => ({ name: m.moduleName, dimensions: { w: m.width, d: m.depth, h: m.height } })),
+      this.objects.filter(obj => obj.userData?.type === 'placeable_object').map(obj => ({
+        catalogId: obj.userData.objectDef.id,
+        name: obj.userData.objectDef.name,
+        volumeM3: obj.userData.objectDef.volume_m3 || 0,
+        scale: obj.userData.currentScale
+      })),
+      this.missionParams.crewSize,
+      this.missionParams.missionDays
+    );
+  }
+
+  /**
+   * Refresh the logistics readout in the mission configuration panel
+   */
+  updateLogistics() {
+    const el = document.getElementById('logisticsSummary');
+    if (!el) return;
+
+    const logistics = this.getLayoutLogistics();
+    if (!logistics) {
+      el.textContent = '';
+      return;
+    }
+
+    const { required, capacity, depletionDay, additionalCtbs, habitableVolumeLost } = logistics;
+    el.style.color = depletionDay !== null ? '#dc2626' : '#64748b';
+    el.textContent = `Consumables: ${required.volumeM3.toFixed(2)} m³ (${required.ctbCount} CTBs, ` +
+      `${required.massKg.toFixed(0)} kg) · stowage ${capacity.totalM3.toFixed(2)} m³. ` +
+      (depletionDay !== null ?
+        `Runs out on day ${depletionDay} (+${additionalCtbs} CTBs needed). ` :
+        'Enough for the mission. ') +
+      `Cabin volume lost: ${habitableVolumeLost.peakM3.toFixed(2)} m³ peak, ` +
+      `${habitableVolumeLost.volumeDays.toFixed(1)} m³·days`;
+  }
+
+  /**
+   * Egress analysis of the live tile grid (all assembly elements)
+   * @param {Object} options - EgressAnalyzer.analyze options ({ singlePoints })
+   * @returns {EgressAnalyzer|null} - Analyzer after analyze(), null without emergency_egress constraints
+   */
+  buildEgressAnalyzer(options = {}) {
+    if (!this.constraints?.emergency_egress) return null;
+
+    const analyzer = new EgressAnalyzer(this.constraints.emergency_egress, this.assembly ?? this.tileSystem);
+    this.egressReport = analyzer.analyze(this.modules.map(m => ({
+      id: m.id,
+      tileId: m.moduleId,
+      name: m.moduleName,
+      safeHaven: m.safeHaven
+    })), options);
+    return analyzer;
+  }
+
+  /**
+   * Egress summary (mission panel) and egress map
+   * Routes and times update right away; the single-point search runs once the
+   * layout has been left alone for a moment
+   */
+  updateEgress() {
+    clearTimeout(this.egressTimer);
+
+    try {
+      const analyzer = this.buildEgressAnalyzer({ singlePoints: false });
+      if (this.egressMap?.enabled) this.egressMap.update(analyzer);
+      if (!analyzer) return;
+
+      this.renderEgressSummary();
+      this.egressTimer = setTimeout(() => {
+        this.egressTimer = null;
+        try {
+          this.buildEgressAnalyzer();
+          this.renderEgressSummary();
+        } catch (error) {
+          console.error('Error finding egress single points of failure:', error);
+        }
+      }, 500);
+    } catch (error) {
+      console.error('Error analyzing egress:', error);
+      const el = document.getElementById('egressSummary');
+      if (el) el.textContent = '';
+    }
+  }
+
+  /**
+   * Egress summary text from the latest report
+   */
+  renderEgressSummary() {
+    const el = document.getElementById('egressSummary');
+    if (!el || !this.egressReport) return;
+
+    const { metrics, violations, warnings, quarters } = this.egressReport;
+    const issues = [...violations, ...warnings];
+    const allClear = quarters.length > 0 ? 'Two independent routes from every quarters door.' : 'No egress issues.';
+    el.style.color = violations.length > 0 ? '#dc2626' : warnings.length > 0 ? '#d97706' : '#64748b';
+    el.textContent = metrics.exitCount === 0 ? violations[0].message :
+      `Egress to ${[...new Set(metrics.exitModules)].join(', ')}: worst ${metrics.worstCaseTimeS.toFixed(0)}s ` +
+      `(${metrics.worstCaseDistanceM.toFixed(1)} m, target ${metrics.limitS}s), ` +
+      `${metrics.reachablePositions}/${metrics.positions} positions reachable. ` +
+      (issues.length > 0 ? issues.map(v => v.message).join('; ') : allClear);
+  }
+
+  /**
+   * Launch mass and fairing check for the outfitted habitat (configurator panel)
+   */
+  updateLaunchManifest() {
+    if (!this.launchManifestValidator || !this.habitatConfigurator) return;
+
+    try {
+      const { currentConfig, selectedType } = this.habitatConfigurator;
+      const manifest = this.launchManifestValidator.validateManifest(
+        {
+          type: currentConfig.type,
+          structure: selectedType?.type,
+          width: currentConfig.width,
+          depth: currentConfig.depth,
+          height: currentConfig.height,
+          massKg: this.habitatConfigurator.calculateMass()
+        },
+        this.modules.map(m => ({ name: m.moduleName, dimensions: { w: m.width, d: m.depth, h: m.height } })),
+        this.objects.filter(obj => obj.userData?.type === 'placeable_object').map(obj => ({
+          name: obj.userData.objectDef.name,
+          mass_kg: obj.userData.mass_kg
+        })),
+        currentConfig.launchVehicle
+      );
+
+      this.habitatConfigurator.renderLaunchManifest(manifest);
+    } catch (error) {
+      console.error('Error checking launch manifest:', error);
+      this.habitatConfigurator.renderLaunchManifest(null);
+    }
+  }
+
   /**
    * Phase 2: Initialize psychological simulation system
    */
@@ -1015,26 +2164,91 @@ class HabitatHarmonyApp {
 
     try {
       // Load psych model parameters
-      const response = await fetch('/src/data/psych-model-params.json');
-      if (!response.ok) {
-        throw new Error(`Failed to load psych model params: ${response.status}`);
-      }
-      const psychModelParams = await response.json();
+      const psychModelParams = await DataLoader.load('psych-model-params.json');
 
       // Load module psychological impacts
-      const impactsResponse = await fetch('/src/data/module-psychological-impacts.json');
-      if (impactsResponse.ok) {
-        this.moduleImpacts = await impactsResponse.json();
+      this.moduleImpacts = await DataLoader.tryLoad('module-psychological-impacts.json');
+      if (this.moduleImpacts) {
         console.log('✅ Module psychological impacts loaded');
       } else {
         console.warn('⚠️ Could not load module impacts, using defaults');
-        this.moduleImpacts = null;
+      }
+
+      // Load mission event definitions and schedules
+      this.missionEvents = await DataLoader.tryLoad('mission-events.json');
+      if (this.missionEvents) {
+        console.log('✅ Mission events loaded');
+      } else {
+        console.warn('⚠️ Could not load mission events, event injection disabled');
+      }
+
+      // Load layout optimizer settings (objective weights, crew traffic)
+      this.layoutOptimizerConfig = await DataLoader.tryLoad('layout-optimizer.json');
+
+      // Load circadian lighting presets and crew timeline (per-module lighting schedules)
+      this.lightingConfig = await DataLoader.tryLoad('circadian-lighting.json');
+      if (this.lightingConfig) {
+        this.lightingEditor = new LightingScheduleEditor(
+          'lightingScheduleEditor',
+          this.lightingConfig,
+          this.constraints.sleep_quality_factors.circadian_lighting,
+          () => this.updatePsychMetrics()
+        );
+      } else {
+        console.warn('⚠️ Could not load circadian lighting presets, per-module schedules disabled');
+      }
+
+      // Load noise sources and limits (acoustic propagation model)
+      this.acousticsConfig = await DataLoader.tryLoad('acoustics.json');
+      if (!this.acousticsConfig) {
+        console.warn('⚠️ Could not load acoustics data, noise model limited to exercise adjacency');
+      }
+
+      // Load ECLSS loads and limits (cabin atmosphere model, crew agent runs)
+      this.atmosphereConfig = await DataLoader.tryLoad('atmosphere.json');
+      if (!this.atmosphereConfig) {
+        console.warn('⚠️ Could not load atmosphere data, cabin air model disabled');
+      }
+
+      // Load consumables rates and stowage capacities (logistics model)
+      this.consumablesConfig = await DataLoader.tryLoad('consumables.json');
+      if (!this.consumablesConfig) {
+        console.warn('⚠️ Could not load consumables data, logistics model disabled');
+      }
+
+      // Load multi-element assembly presets and connection types (nodes / tunnels)
+      this.assemblyPresets = await DataLoader.tryLoad('habitat-assemblies.json');
+      if (!this.assemblyPresets) {
+        console.warn('⚠️ Could not load habitat assemblies, multi-element habitats disabled');
+      }
+
+      // Load outfitting masses and launch vehicle limits (launch manifest check)
+      const launchManifest = await DataLoader.tryLoad('launch-manifest.json');
+      const habitatTypes = await DataLoader.tryLoad('habitat-types.json');
+      this.habitatConfigurator?.setCrossSections(habitatTypes?.shell_cross_sections);
+      if (launchManifest && habitatTypes) {
+        this.launchManifestValidator = new LaunchManifestValidator(launchManifest, habitatTypes.launch_vehicle_constraints);
+      } else {
+        console.warn('⚠️ Could not load launch manifest data, launch vehicle check disabled');
       }
 
       // Initialize EXISTING PsychModel with HERA+UND parameters
       this.psychModel = new PsychModel(psychModelParams);
       this.missionParams = new MissionParams();
       this.wellbeingMap = new WellbeingMap(this.sceneManager);
+      this.noiseMap = new NoiseMap(this.sceneManager);
+      this.egressMap = new EgressMap(this.sceneManager);
+      this.atmosphereChart = new AtmosphereChart('atmosphereChart');
+      this.atmosphereMap = new AtmosphereMap();
+      this.relationshipNetwork = new RelationshipNetwork('relationshipNetwork');
+      this.tornadoChart = new TornadoChart('sensitivityChart');
+      this.sensitivityResults = null;
+      this.calibrationPlot = new CalibrationPlot('calibrationPlot');
+      this.calibrationResults = null;
+      this.layoutCandidatesView = new LayoutCandidatesView('layoutCandidates',
+        (candidate) => this.acceptLayoutCandidate(candidate));
+      this.simulationRunner = new SimulationRunner();
+      this.missionConfigPanel = new MissionConfigPanel(this.constraints, this.getDefaultCrewTraits());
 
       // NEW Mars-Sim Components
       this.sleepModel = new SleepModel(this.constraints);
@@ -1044,6 +2258,16 @@ class HabitatHarmonyApp {
       // Initialize default crew (4 person HERA baseline)
       this.initializeCrew();
 
+      // Crew roster with individual traits (the rest of the mission config has its own controls)
+      const crewRosterEl = document.getElementById('crewRosterPanel');
+      if (crewRosterEl) {
+        this.missionConfigPanel.setCrewProfiles(this.crew);
+        this.missionConfigPanel.renderCrewRoster(crewRosterEl, {
+          onConfigChange: (config) => this.applyCrewProfiles(config.crewProfiles),
+          onConfigLoad: (config) => this.applyLoadedMissionConfig(config)
+        });
+      }
+
       console.log('✅ Mars-Sim components initialized');
     } catch (error) {
       console.error('Failed to initialize Phase 2:', error);
@@ -1056,6 +2280,9 @@ class HabitatHarmonyApp {
 
     // Initialize with default metrics
     this.updatePsychMetrics();
+    this.updateLogistics();
+    this.updateLaunchManifest();
+    this.updateEgress();
 
     console.log('✅ Phase 2 initialized successfully with Mars-Sim features');
   }
@@ -1064,12 +2291,40 @@ class HabitatHarmonyApp {
    * Setup event handlers for mission configuration UI
    */
   setupMissionConfigHandlers() {
+    // Mission event schedule
+    const eventScheduleEl = document.getElementById('eventSchedule');
+    if (eventScheduleEl && this.missionEvents) {
+      for (const [id, schedule] of Object.entries(this.missionEvents.schedules)) {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = schedule.name;
+        eventScheduleEl.appendChild(option);
+      }
+    }
+
+    // Psych / sleep model selection (registered models)
+    for (const [kind, elementId] of [['psych', 'psychModelSelect'], ['sleep', 'sleepModelSelect']]) {
+      const selectEl = document.getElementById(elementId);
+      if (!selectEl) continue;
+      for (const model of ModelRegistry.list(kind)) {
+        const option = document.createElement('option');
+        option.value = model.id;
+        option.textContent = `${model.name} v${model.version}`;
+        option.title = model.description;
+        selectEl.appendChild(option);
+      }
+    }
+
     // Crew size
     const crewSizeEl = document.getElementById('crewSize');
     if (crewSizeEl) {
       crewSizeEl.addEventListener('change', (e) => {
-        this.missionParams.updateConfig({ crewSize: parseInt(e.target.value) });
+        const crewSize = parseInt(e.target.value);
+        this.missionParams.updateConfig({ crewSize });
+        this.missionConfigPanel.syncConfig({ crewSize });
+        this.applyCrewProfiles(this.missionConfigPanel.config.crewProfiles);
         this.updatePsychMetrics();
+        this.updateLogistics();
       });
     }
 
@@ -1079,6 +2334,7 @@ class HabitatHarmonyApp {
       missionDaysEl.addEventListener('change', (e) => {
         const days = parseInt(e.target.value);
         this.missionParams.updateConfig({ missionDays: days });
+        this.missionConfigPanel.syncConfig({ missionDays: days });
 
         // Update current day slider max
         const currentDayEl = document.getElementById('currentDay');
@@ -1091,6 +2347,7 @@ class HabitatHarmonyApp {
         }
 
         this.updatePsychMetrics();
+        this.updateLogistics();
       });
     }
 
@@ -1098,7 +2355,9 @@ class HabitatHarmonyApp {
     const windowTypeEl = document.getElementById('windowType');
     if (windowTypeEl) {
       windowTypeEl.addEventListener('change', (e) => {
-        this.missionParams.updateConfig({ windowType: parseFloat(e.target.value) });
+        const windowType = parseFloat(e.target.value);
+        this.missionParams.updateConfig({ windowType });
+        this.missionConfigPanel.syncConfig({ windowType });
         this.updatePsychMetrics();
       });
     }
@@ -1107,7 +2366,9 @@ class HabitatHarmonyApp {
     const circulationEl = document.getElementById('circulationPattern');
     if (circulationEl) {
       circulationEl.addEventListener('change', (e) => {
-        this.missionParams.updateConfig({ circulationPattern: parseInt(e.target.value) });
+        const circulationPattern = parseInt(e.target.value);
+        this.missionParams.updateConfig({ circulationPattern });
+        this.missionConfigPanel.syncConfig({ circulationPattern });
         this.updatePsychMetrics();
       });
     }
@@ -1120,10 +2381,53 @@ class HabitatHarmonyApp {
         const val = parseFloat(e.target.value);
         lightingValEl.textContent = Math.round(val * 100) + '%';
         this.missionParams.updateConfig({ lightingCompliance: val });
+        this.missionConfigPanel.syncConfig({ lightingScheduleCompliance: val });
+        this.updatePsychMetrics();
+      });
+    }
+
+    // Lighting model: global slider or per-module circadian schedules
+    const lightingModeEl = document.getElementById('lightingMode');
+    if (lightingModeEl) {
+      lightingModeEl.addEventListener('change', (e) => {
+        const scheduled = e.target.value === 'schedule' && Boolean(this.lightingConfig);
+        this.missionParams.updateConfig({ lightingMode: scheduled ? 'schedule' : 'global' });
+
+        const editorEl = document.getElementById('lightingScheduleEditor');
+        if (editorEl) editorEl.style.display = scheduled ? 'block' : 'none';
+        if (lightingEl) lightingEl.disabled = scheduled;
+        if (scheduled) this.lightingEditor.render();
+
         this.updatePsychMetrics();
       });
     }
 
+    // Noise model: exercise-adjacency rule or acoustic propagation levels
+    const noiseModeEl = document.getElementById('noiseMode');
+    if (noiseModeEl) {
+      noiseModeEl.addEventListener('change', (e) => {
+        const acoustic = e.target.value === 'acoustic' && Boolean(this.acousticsConfig);
+        this.missionParams.updateConfig({ noiseMode: acoustic ? 'acoustic' : 'adjacency' });
+
+        if (acoustic) {
+          const { quarters, violations } = this.getLayoutAcoustics();
+          const loud = Object.values(quarters).filter(q => !q.compliant).length;
+          console.log(`🔊 Acoustic model: ${loud} noisy crew quarters, ${violations.length} limit violations`);
+        }
+
+        this.updatePsychMetrics();
+      });
+    }
+
+    // Inter-module ventilation (cabin atmosphere model)
+    const ventilationEl = document.getElementById('ventilationRate');
+    if (ventilationEl) {
+      ventilationEl.addEventListener('change', (e) => {
+        const rate = parseFloat(e.target.value);
+        this.missionParams.updateConfig({ ventilationRate: rate > 0 ? rate : null });
+      });
+    }
+
     // Exercise compliance slider
     const exerciseEl = document.getElementById('exerciseCompliance');
     const exerciseValEl = document.getElementById('exerciseComplianceVal');
@@ -1132,6 +2436,7 @@ class HabitatHarmonyApp {
         const val = parseFloat(e.target.value);
         exerciseValEl.textContent = Math.round(val * 100) + '%';
         this.missionParams.updateConfig({ exerciseCompliance: val });
+        this.missionConfigPanel.syncConfig({ exerciseCompliance: val });
         this.updatePsychMetrics();
       });
     }
@@ -1155,6 +2460,97 @@ class HabitatHarmonyApp {
       });
     }
 
+    // Monte Carlo button
+    const runMonteCarloBtn = document.getElementById('runMonteCarloBtn');
+    if (runMonteCarloBtn) {
+      runMonteCarloBtn.addEventListener('click', () => {
+        this.runMonteCarloSimulation();
+      });
+    }
+
+    // Cancel a running mission / Monte Carlo simulation or layout search (partial results are kept)
+    const cancelSimBtn = document.getElementById('cancelSimBtn');
+    if (cancelSimBtn) {
+      cancelSimBtn.addEventListener('click', () => {
+        if (this.agentRun) this.agentRun.cancelled = true;
+        if (this.layoutOptimization) this.layoutOptimization.cancelled = true;
+        this.simulationRunner?.cancel();
+      });
+    }
+
+    // Sensitivity analysis button and output selector
+    const runSensitivityBtn = document.getElementById('runSensitivityBtn');
+    if (runSensitivityBtn) {
+      runSensitivityBtn.addEventListener('click', () => {
+        this.runSensitivityAnalysis();
+      });
+    }
+
+    // Cabin air chart metric and module heatmap
+    const atmosphereMetricEl = document.getElementById('atmosphereMetric');
+    if (atmosphereMetricEl) {
+      atmosphereMetricEl.addEventListener('change', (e) => {
+        if (this.missionReport?.atmosphere) {
+          this.atmosphereChart.render(this.missionReport.atmosphere, e.target.value);
+          this.atmosphereMap.update(this.missionReport.atmosphere, this.modules, this.getAtmosphereMapMetric());
+        }
+      });
+    }
+
+    const atmosphereMapBtn = document.getElementById('atmosphereMapToggle');
+    if (atmosphereMapBtn) {
+      atmosphereMapBtn.addEventListener('click', () => {
+        if (!this.missionReport?.atmosphere) {
+          Toast.info('Run a mission with crew agent behavior first', 2500);
+          return;
+        }
+
+        const enabled = this.atmosphereMap.toggle(this.modules);
+        this.atmosphereMap.update(this.missionReport.atmosphere, this.modules, this.getAtmosphereMapMetric());
+        Toast.show(enabled ? 'Air Quality Map enabled' : 'Air Quality Map disabled', 2000);
+      });
+    }
+
+    const sensitivityOutputEl = document.getElementById('sensitivityOutput');
+    if (sensitivityOutputEl) {
+      sensitivityOutputEl.addEventListener('change', (e) => {
+        if (this.sensitivityResults) {
+          this.tornadoChart.render(this.sensitivityResults, e.target.value);
+        }
+      });
+    }
+
+    // Layout optimizer
+    const runOptimizerBtn = document.getElementById('runOptimizerBtn');
+    if (runOptimizerBtn) {
+      runOptimizerBtn.addEventListener('click', () => {
+        this.runLayoutOptimization();
+      });
+    }
+
+    // Calibration: observed data import and calibrated params download
+    const calibrationFileEl = document.getElementById('calibrationFile');
+    if (calibrationFileEl) {
+      calibrationFileEl.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => this.runCalibration(reader.result, file.name);
+        reader.readAsText(file);
+
+        // Reset input so same file can be loaded again
+        e.target.value = '';
+      });
+    }
+
+    const downloadCalibratedBtn = document.getElementById('downloadCalibratedParamsBtn');
+    if (downloadCalibratedBtn) {
+      downloadCalibratedBtn.addEventListener('click', () => {
+        this.downloadCalibratedParams();
+      });
+    }
+
     // Export CSV button
     const exportCsvBtn = document.getElementById('exportCsvBtn');
     if (exportCsvBtn) {
@@ -1185,6 +2581,49 @@ class HabitatHarmonyApp {
         }
       });
     }
+
+    // Noise map toggle and hour
+    const noiseMapBtn = document.getElementById('noiseMapToggle');
+    const noiseHourEl = document.getElementById('noiseMapHour');
+    if (noiseMapBtn) {
+      noiseMapBtn.addEventListener('click', () => {
+        if (!this.acousticsConfig) {
+          Toast.show('Acoustics data not available', 2000);
+          return;
+        }
+
+        const enabled = this.noiseMap.toggle(this.buildAcousticModel());
+        Toast.show(enabled ? `Noise Map enabled (${this.noiseMap.hour}:00)` : 'Noise Map disabled', 2000);
+      });
+    }
+    if (noiseHourEl) {
+      noiseHourEl.addEventListener('change', (e) => {
+        const hour = Math.max(0, Math.min(23, parseInt(e.target.value) || 0));
+        e.target.value = hour;
+        this.noiseMap.update(this.noiseMap.enabled ? this.buildAcousticModel() : null, hour);
+      });
+    }
+
+    // Egress map: time to the Airlock / safe haven over the floor
+    const egressMapBtn = document.getElementById('egressMapToggle');
+    if (egressMapBtn) {
+      egressMapBtn.addEventListener('click', () => {
+        const enabled = this.egressMap.toggle(this.buildEgressAnalyzer({ singlePoints: false }));
+        Toast.show(enabled ? 'Egress Map enabled' : 'Egress Map disabled', 2000);
+      });
+    }
+
+    // SPE drill: crew agents gather in the storm shelters
+    const speDrillBtn = document.getElementById('speDrillBtn');
+    if (speDrillBtn) {
+      speDrillBtn.addEventListener('click', () => this.toggleShelterDrill());
+    }
+
+    // Fire / leak isolation of the selected module
+    const isolationBtn = document.getElementById('isolationBtn');
+    if (isolationBtn) {
+      isolationBtn.addEventListener('click', () => this.toggleIsolation());
+    }
   }
 
   /**
@@ -1200,10 +2639,24 @@ class HabitatHarmonyApp {
         this.validator
       );
 
-      // Simulate up to current day (with damping)
+      // Per-module lighting schedules: crew-average light exposure replaces the slider
+      const layout = this.getLayoutForValidation();
+      if (layout.lighting && this.crew.length > 0) {
+        const lightingModel = new CircadianLightingModel(
+          this.constraints.sleep_quality_factors.circadian_lighting,
+          layout.lighting
+        );
+        designVars.lightingCompliance = lightingModel.generateReport(layout, this.crew).meanCompliance;
+      }
+
+      // Simulate up to current day (with damping), trends over the configured mission length
+      // (on a copy: calibration and the simulators keep their own mission length)
+      const model = new this.psychModel.constructor(this.psychModel.params, {
+        missionDays: this.missionParams.missionDays
+      });
       let previousMetrics = null;
       for (let day = 1; day <= currentDay; day++) {
-        this.currentDayMetrics = this.psychModel.simulateDay(
+        this.currentDayMetrics = model.simulateDay(
           designVars,
           day,
           previousMetrics
@@ -1212,7 +2665,7 @@ class HabitatHarmonyApp {
       }
 
       // Calculate PHI
-      const phi = this.psychModel.calculatePHI(this.currentDayMetrics);
+      const phi = model.calculatePHI(this.currentDayMetrics);
 
       // Update UI
       this.updateMetricsDisplay(this.currentDayMetrics, phi);
@@ -1269,13 +2722,20 @@ class HabitatHarmonyApp {
 
   /**
    * Run full mission simulation (Mars-Sim Enhanced)
+   * Runs in the simulation worker; progress streams into the mission config panel
+   * and a cancelled run keeps the days simulated so far
    */
-  runFullMissionSimulation() {
+  async runFullMissionSimulation() {
+    if (this.simulationRunner.running || this.agentRun) {
+      Toast.info('A simulation is already running', 2000);
+      return;
+    }
+
     try {
       Toast.show('Running enhanced mission simulation...', 2000);
 
       // Get mission parameters directly from missionParams
-      const { crewSize, missionDays } = this.missionParams;
+      const { missionDays } = this.missionParams;
 
       // Auto-assign crew to quarters
       this.autoAssignCrew();
@@ -1293,37 +2753,46 @@ class HabitatHarmonyApp {
         Toast.show(`⚠️ Recreation space insufficient`, 3000);
       }
 
-      // Create Mission Simulator with Mars-Sim features + Module Impacts
-      this.missionSimulator = new MissionSimulator(
-        layout,
+      // Optional: observed exercise / meals / sleep / shared time from the crew agents
+      const observedBehavior = await this.observeAgentBehavior(missionDays);
+      if (observedBehavior === false) return;
+
+      // Run Mission Simulator (Mars-Sim features + Module Impacts) in the worker
+      console.log(`🚀 Starting ${missionDays}-day mission simulation...`);
+      this.missionConfigPanel.showProgress(0, `Day 0 / ${missionDays}`);
+
+      const { report: results, cancelled } = await this.simulationRunner.run(
+        'mission',
+        this.getSimulationPayload({ observedBehavior }),
         {
-          crewSize: crewSize,
-          missionDays: missionDays,
-          names: this.crew.map(c => c.name),
-          roles: this.crew.map(c => c.role),
-          genders: this.crew.map(c => c.gender)
-        },
-        this.constraints,
-        this.psychModel.params,
-        this.moduleImpacts  // Pass module impacts
+          onProgress: ({ completed, total }) => {
+            this.missionConfigPanel.showProgress((completed / total) * 100, `Day ${completed} / ${total}`);
+          }
+        }
       );
 
-      // Run simulation
-      console.log('🚀 Starting 45-day mission simulation...');
-      const results = this.missionSimulator.run();
+      const daysSimulated = results.dailyMetrics.length;
+      if (daysSimulated === 0) {
+        Toast.info('⏹️ Simulation cancelled before day 1', 3000);
+        return;
+      }
+
+      this.missionReport = results;
       this.fullMissionResults = results.dailyMetrics;
-      console.log(`✅ Simulation complete! Processed ${results.dailyMetrics.length} days`);
+      console.log(cancelled ?
+        `⏹️ Simulation cancelled after ${daysSimulated} of ${missionDays} days (partial results kept)` :
+        `✅ Simulation complete! Processed ${daysSimulated} days`);
 
-      // Update UI to show final day results
+      // Update UI to show final (or last simulated) day results
       const currentDayEl = document.getElementById('currentDay');
       const currentDayValEl = document.getElementById('currentDayVal');
       if (currentDayEl && currentDayValEl) {
-        currentDayEl.value = missionDays;
-        currentDayValEl.textContent = `Day ${missionDays}`;
+        currentDayEl.value = daysSimulated;
+        currentDayValEl.textContent = `Day ${daysSimulated}`;
       }
 
       // Get final day metrics
-      const finalDay = results.dailyMetrics[results.dailyMetrics.length - 1];
+      const finalDay = results.dailyMetrics[daysSimulated - 1];
       this.currentDayMetrics = finalDay.teamAverage;
 
       // Calculate PHI
@@ -1338,7 +2807,28 @@ class HabitatHarmonyApp {
       this.updateMetricsDisplay(this.currentDayMetrics, phi);
 
       // Show completion toast
-      Toast.show(`✅ Simulation complete! Final PHI: ${phi.toFixed(1)}/100`, 4000);
+      if (cancelled) {
+        Toast.info(`⏹️ Cancelled at day ${daysSimulated}/${missionDays} - partial results kept (PHI ${phi.toFixed(1)})`, 4000);
+      } else {
+        Toast.show(`✅ Simulation complete! Final PHI: ${phi.toFixed(1)}/100`, 4000);
+      }
+
+      // Crew-pair relationship network
+      if (results.relationships) {
+        this.relationshipNetwork.render(results.relationships, results.missionConfig.crew);
+        for (const pair of results.relationships.driftingPairs) {
+          console.log(`🤝 Drifting apart: ${pair.names.join(' & ')} (affinity ${pair.final.toFixed(1)})`);
+        }
+      }
+
+      if (results.behavior) {
+        const { exerciseAdherence, mealsTakenPerDay, sleepHours, waitMinutes } = results.behavior;
+        console.log(`🏃 Observed crew behavior: exercise ${(exerciseAdherence * 100).toFixed(0)}%, ` +
+          `${mealsTakenPerDay.toFixed(1)} meals/day, ${sleepHours.toFixed(1)} h sleep, ${waitMinutes.toFixed(0)} min waiting`);
+      }
+
+      // Cabin air time series and module heatmap (crew agent runs only)
+      this.showAtmosphere(results.atmosphere);
 
       // Show recommendations
       if (results.recommendations.length > 0) {
@@ -1348,6 +2838,478 @@ class HabitatHarmonyApp {
     } catch (error) {
       console.error('Error running mission simulation:', error);
       Toast.show('❌ Simulation failed. Check console for errors.', 3000);
+    } finally {
+      this.missionConfigPanel.hideProgress();
+    }
+  }
+
+  /**
+   * Show or hide the cabin air panel for a mission report
+   * @param {Object|null} atmosphere - report.atmosphere
+   */
+  showAtmosphere(atmosphere) {
+    const panel = document.getElementById('atmospherePanel');
+    if (panel) panel.style.display = atmosphere ? 'block' : 'none';
+    if (!atmosphere) return;
+
+    const metric = document.getElementById('atmosphereMetric')?.value || 'co2';
+    this.atmosphereChart.render(atmosphere, metric);
+    this.atmosphereMap.update(atmosphere, this.modules, this.getAtmosphereMapMetric());
+
+    const worst = atmosphere.modules.reduce((a, b) => b.peakCo2 > a.peakCo2 ? b : a);
+    const hottest = atmosphere.modules.reduce((a, b) => b.peakTemperature > a.peakTemperature ? b : a);
+    console.log(`🌬️ Cabin air: peak CO2 ${worst.peakCo2.toFixed(2)} mmHg (${worst.name}), ` +
+      `peak ${hottest.peakTemperature.toFixed(1)} °C (${hottest.name}) at ${atmosphere.ventilationRate} m³/h ventilation`);
+  }
+
+  /**
+   * Heatmap metric for the selected chart metric (humidity maps as CO2)
+   */
+  getAtmosphereMapMetric() {
+    return document.getElementById('atmosphereMetric')?.value === 'temperature' ? 'temperature' : 'co2';
+  }
+
+  /**
+   * Fast-forward the crew agents through the mission in the current layout
+   * (only when "Use crew agent behavior" is checked)
+   * @param {Number} missionDays - Mission duration
+   * @returns {Promise<Object|null|false>} - Observations for options.observedBehavior,
+   *                                         null when disabled, false when cancelled
+   */
+  async observeAgentBehavior(missionDays) {
+    const enabled = document.getElementById('useAgentBehavior')?.checked;
+    const params = this.psychModel.params.observed_behavior;
+    if (!enabled || !params) return null;
+
+    if (this.modules.length === 0) {
+      Toast.info('Add modules before running the crew agents', 2500);
+      return null;
+    }
+
+    const agentRun = { cancelled: false };
+    this.agentRun = agentRun;
+
+    try {
+      const simulator = new AgentDaySimulator(this, this.missionParams.crewSize, params.agent_simulation);
+      const total = Math.min(missionDays, params.agent_simulation.max_simulated_days);
+      console.log(`👨‍🚀 Running crew agents for ${total} days...`);
+      this.missionConfigPanel.showProgress(0, `Crew agents: day 0 / ${total}`);
+
+      const observations = await simulator.run(missionDays, {
+        onProgress: (day, days) => {
+          this.missionConfigPanel.showProgress((day / days) * 100, `Crew agents: day ${day} / ${days}`);
+        },
+        isCancelled: () => agentRun.cancelled
+      });
+
+      if (agentRun.cancelled) {
+        Toast.info('⏹️ Crew agent run cancelled', 2500);
+        return false;
+      }
+
+      console.log(`✅ Observed ${observations.days.length} days of crew agent behavior`);
+      return observations.days.length > 0 ? observations : null;
+
+    } catch (error) {
+      console.error('Error running crew agents:', error);
+      Toast.error('⚠️ Crew agent run failed - using layout defaults', 3000);
+      return null;
+    } finally {
+      this.agentRun = null;
+    }
+  }
+
+  /**
+   * Crew configuration shared by the deterministic and Monte Carlo simulators
+   * @returns {Object} - { crewSize, missionDays, names, roles, genders, traits }
+   */
+  getSimulationCrewConfig() {
+    return {
+      crewSize: this.missionParams.crewSize,
+      missionDays: this.missionParams.missionDays,
+      names: this.crew.map(c => c.name),
+      roles: this.crew.map(c => c.role),
+      genders: this.crew.map(c => c.gender),
+      traits: this.crew.map(c => c.traits || {})
+    };
+  }
+
+  /**
+   * Serializable inputs for the simulation worker
+   * @param {Object} options - Extra simulator options (e.g. { replicates, seed })
+   * @returns {Object} - { layout, crewConfig, constraints, psychParams, moduleImpacts, options }
+   */
+  getSimulationPayload(options = {}) {
+    const scheduleId = document.getElementById('eventSchedule')?.value;
+
+    return {
+      layout: this.getLayoutForValidation(),
+      crewConfig: this.getSimulationCrewConfig(),
+      constraints: this.constraints,
+      psychParams: this.psychModel.params,
+      moduleImpacts: this.moduleImpacts,
+      options: {
+        ...options,
+        ...this.getModelSelection(),
+        eventSchedule: scheduleId && this.missionEvents ?
+          { events: this.missionEvents, schedule: scheduleId } : null
+      }
+    };
+  }
+
+  /**
+   * Psych / sleep model ids selected in the mission config panel
+   * @returns {Object} - { psychModel, sleepModel } (null = registry default)
+   */
+  getModelSelection() {
+    return {
+      psychModel: document.getElementById('psychModelSelect')?.value || null,
+      sleepModel: document.getElementById('sleepModelSelect')?.value || null
+    };
+  }
+
+  /**
+   * Rank which design variables and model weights drive final-day outcomes
+   * (one-at-a-time elasticities + Sobol indices) and show a tornado chart
+   * Runs in the simulation worker (thousands of model runs); cancel drops the results
+   */
+  async runSensitivityAnalysis() {
+    if (this.simulationRunner.running || this.agentRun) {
+      Toast.info('A simulation is already running', 2000);
+      return;
+    }
+
+    try {
+      Toast.info('Running sensitivity analysis...', 2000);
+
+      const designVars = this.missionParams.computeDesignVariables(this.modules, this.validator);
+      this.missionConfigPanel.showProgress(0, 'Sensitivity: model run 0');
+
+      const { report } = await this.simulationRunner.run(
+        'sensitivity',
+        {
+          psychParams: this.psychModel.params,
+          designVariables: designVars,
+          options: { missionDays: this.missionParams.missionDays }
+        },
+        {
+          onProgress: ({ completed, total }) => {
+            this.missionConfigPanel.showProgress((completed / total) * 100, `Sensitivity: model run ${completed} / ${total}`);
+          }
+        }
+      );
+
+      if (!report) {
+        Toast.info('⏹️ Sensitivity analysis cancelled', 3000);
+        return;
+      }
+      this.sensitivityResults = report;
+
+      const output = document.getElementById('sensitivityOutput')?.value || 'phi';
+      this.tornadoChart.render(this.sensitivityResults, output);
+
+      const top = this.sensitivityResults.rankings.phi.slice(0, 5);
+      console.log('📊 Top PHI drivers (total Sobol index):');
+      for (const input of top) {
+        console.log(`  - ${input.label}: ST ${input.totalOrder.toFixed(3)}, swing ${input.low.toFixed(1)} → ${input.high.toFixed(1)}`);
+      }
+
+      Toast.success(`Sensitivity analysis complete: top PHI driver is ${top[0].label}`, 4000);
+
+    } catch (error) {
+      console.error('Error running sensitivity analysis:', error);
+      Toast.error('Sensitivity analysis failed. Check console for errors.');
+    } finally {
+      this.missionConfigPanel.hideProgress();
+    }
+  }
+
+  /**
+   * Search tile placements / rotations of the modules on the active floor for higher PHI,
+   * adjacency compliance and shorter crew traffic (no overlaps, in bounds,
+   * all doors and ladders / hatches reachable) and show the best candidates
+   */
+  async runLayoutOptimization() {
+    if (this.layoutOptimization) {
+      Toast.info('Layout optimization is already running', 2000);
+      return;
+    }
+    if (this.isolationScenario) {
+      Toast.warning('Clear the isolation scenario before optimizing the layout');
+      return;
+    }
+
+    const layoutOptimization = { cancelled: false };
+
+    try {
+      if (!this.layoutOptimizerConfig) {
+        Toast.error('Layout optimizer settings not loaded');
+        return;
+      }
+      // Only the active element's modules (assemblies) on the active floor (multi-level habitats),
+      // around that floor's fixed ladders / hatches
+      const level = this.activeLevel;
+      const scope = this.modules.filter(m => m.tileSystem === this.tileSystem && (m.level ?? 0) === level);
+      if (scope.length < 2) {
+        Toast.info(this.assembly || this.tileSystem.levels > 1 ?
+          'Add at least two modules to this floor to optimize its layout' :
+          'Add at least two modules to optimize the layout');
+        return;
+      }
+
+      Toast.info('Optimizing layout...', 2000);
+
+      // Module dimensions at rotation 0
+      const modules = scope.map(m => {
+        const swapped = m.rotationAngle === 90 || m.rotationAngle === 270;
+        return {
+          id: m.moduleId,
+          name: m.moduleName,
+          zone: m.zone,
+          w: swapped ? m.dimensions.d : m.dimensions.w,
+          d: swapped ? m.dimensions.w : m.dimensions.d,
+          h: m.dimensions.h,
+          tileX: m.tileX,
+          tileY: m.tileY,
+          rotation: m.rotationAngle,
+          // Doors as placed (extra doors, hatches, states), on the footprint at rotationAngle
+          doors: m.isPlaced ? m.doors.map(door => ({
+            dx: door.tileX - m.tileX,
+            dy: door.tileY - m.tileY,
+            direction: door.direction,
+            state: door.state,
+            pathCost: door.getPathCost()
+          })) : null
+        };
+      });
+
+      this.layoutProblem = {
+        modules,
+        element: this.activeElement ?? null,
+        level,
+        grid: {
+          width: this.tileSystem.width,
+          height: this.tileSystem.height,
+          tileSize: this.tileSystem.tileSize,
+          verticalLinks: this.tileSystem.verticalLinks
+            .filter(link => link.fromLevel <= level && level <= link.toLevel)
+            .map(link => ({ tileX: link.tileX, tileY: link.tileY }))
+        },
+        // PHI over the configured mission length, as in the HUD
+        psychModel: new this.psychModel.constructor(this.psychModel.params, {
+          missionDays: this.missionParams.missionDays
+        }),
+        validator: this.validator,
+        missionParams: this.missionParams,
+        designVariables: this.missionParams.computeDesignVariables(this.modules, this.validator)
+      };
+
+      this.layoutOptimization = layoutOptimization;
+      const optimizer = new LayoutOptimizer(this.layoutOptimizerConfig, this.layoutProblem);
+      this.missionConfigPanel.showProgress(0, `Layout search: iteration 0 / ${optimizer.iterations}`);
+
+      const result = await optimizer.run({
+        onProgress: (iteration, total) => {
+          this.missionConfigPanel.showProgress((iteration / total) * 100, `Layout search: iteration ${iteration} / ${total}`);
+        },
+        isCancelled: () => layoutOptimization.cancelled
+      });
+      this.layoutCandidatesView.render(result, this.layoutProblem);
+
+      if (result.cancelled) {
+        Toast.info(`⏹️ Layout optimization cancelled (${result.candidates.length} candidate(s) so far)`, 3000);
+        return;
+      }
+
+      if (result.candidates.length === 0) {
+        Toast.error('No feasible layout found. Try fewer or smaller modules.');
+        return;
+      }
+
+      const best = result.candidates[0].metrics;
+      console.log(`🧭 Best layout: PHI ${best.phi.toFixed(1)} (current ${result.initial.phi.toFixed(1)}), ` +
+        `adjacency ${(best.adjacencyCompliance * 100).toFixed(0)}%, ${best.pathViolations} path issues`);
+      Toast.success(`Found ${result.candidates.length} layout candidate(s), best PHI ${best.phi.toFixed(1)}`, 4000);
+
+    } catch (error) {
+      console.error('Error running layout optimization:', error);
+      Toast.error('Layout optimization failed. Check console for errors.');
+    } finally {
+      if (this.layoutOptimization === layoutOptimization) {
+        this.layoutOptimization = null;
+        this.missionConfigPanel.hideProgress();
+      }
+    }
+  }
+
+  /**
+   * Move the scene's modules to an optimizer candidate
+   * @param {Object} candidate - LayoutOptimizer candidate ({ placements, metrics })
+   */
+  acceptLayoutCandidate(candidate) {
+    if (this.isolationScenario) {
+      Toast.warning('Clear the isolation scenario before moving modules');
+      return;
+    }
+
+    try {
+      const placements = candidate.placements
+        .map(p => ({ ...p, module: this.modules.find(m => m.moduleId === p.moduleId) }))
+        .filter(p => p.module);
+
+      const { element, level } = this.layoutProblem;
+      const scope = this.modules.filter(m => (m.element ?? null) === element && (m.level ?? 0) === level);
+      if (placements.length !== scope.length || placements.some(p => !scope.includes(p.module))) {
+        Toast.error('Layout changed since optimization. Run the optimizer again.');
+        return;
+      }
+
+      // Rotate first, then free every footprint so modules can trade places
+      for (const { module, rotation } of placements) {
+        while (module.rotationAngle !== rotation) {
+          module.rotate90();
+        }
+      }
+      for (const { module } of placements) {
+        module.removeTileOccupancy();
+      }
+
+      const failed = placements.filter(({ module, tileX, tileY }) => !module.placeAtTile(tileX, tileY));
+
+      this.dragControls.setModules(this.modules);
+      this.updateLayout();
+
+      if (failed.length > 0) {
+        Toast.error(`Could not place ${failed.map(p => p.module.moduleName).join(', ')}`);
+        return;
+      }
+
+      Toast.success(`Applied layout (PHI ${candidate.metrics.phi.toFixed(1)})`);
+      console.log(`🧭 Applied optimized layout to ${placements.length} modules`);
+
+    } catch (error) {
+      console.error('Error applying layout candidate:', error);
+      Toast.error('Failed to apply layout');
+    }
+  }
+
+  /**
+   * Fit baseline trends and damping factors to observed questionnaire data
+   * The calibrated parameters replace the session's psych model
+   * @param {String} csvText - Observed data CSV (day, crew, stress, mood, sleep, cohesion)
+   * @param {String} fileName - Source file name
+   */
+  runCalibration(csvText, fileName) {
+    try {
+      const observations = ModelCalibrator.parseObservedCSV(csvText);
+      const designVars = this.missionParams.computeDesignVariables(this.modules, this.validator);
+
+      const calibrator = new ModelCalibrator(this.psychModel.params, designVars);
+      this.calibrationResults = calibrator.calibrate(observations, fileName);
+
+      this.calibrationPlot.render(this.calibrationResults);
+      this.psychModel = new PsychModel(this.calibrationResults.params);
+      this.updatePsychMetrics();
+
+      const downloadBtn = document.getElementById('downloadCalibratedParamsBtn');
+      if (downloadBtn) downloadBtn.style.display = '';
+
+      const fitted = Object.values(this.calibrationResults.fit).filter(f => f.fitted);
+      const meanR2 = fitted.reduce((sum, f) => sum + (f.after.r2 ?? 0), 0) / Math.max(1, fitted.length);
+      Toast.success(`Calibrated ${fitted.length} metrics from ${observations.length} observations (mean R² ${meanR2.toFixed(2)})`, 4000);
+
+    } catch (error) {
+      console.error('Error calibrating psych model:', error);
+      Toast.error(`Calibration failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Download the calibrated psych-model-params.json
+   */
+  downloadCalibratedParams() {
+    if (!this.calibrationResults) return;
+
+    const json = JSON.stringify(this.calibrationResults.params, null, 2);
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'psych-model-params-calibrated.json';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+
+    console.log('💾 Downloaded: psych-model-params-calibrated.json');
+  }
+
+  /**
+   * Run stochastic Monte Carlo replicates and report PHI confidence bands
+   * Each run is compared against the previous one (same seed = paired replicates).
+   * Runs in the simulation worker; a cancelled run summarizes the replicates completed so far
+   */
+  async runMonteCarloSimulation() {
+    if (this.simulationRunner.running || this.agentRun) {
+      Toast.info('A simulation is already running', 2000);
+      return;
+    }
+
+    try {
+      Toast.info('Running Monte Carlo simulation (100 replicates)...', 2000);
+
+      this.autoAssignCrew();
+
+      const observedBehavior = await this.observeAgentBehavior(this.missionParams.missionDays);
+      if (observedBehavior === false) return;
+
+      this.missionConfigPanel.showProgress(0, 'Replicate 0 / 100');
+
+      const { report, cancelled } = await this.simulationRunner.run(
+        'monteCarlo',
+        this.getSimulationPayload({ replicates: 100, seed: 1, observedBehavior }),
+        {
+          onProgress: ({ completed, total }) => {
+            this.missionConfigPanel.showProgress((completed / total) * 100, `Replicate ${completed} / ${total}`);
+          }
+        }
+      );
+
+      if (!report) {
+        Toast.info('⏹️ Monte Carlo cancelled before the first replicate', 3000);
+        return;
+      }
+
+      this.monteCarloBaseline = this.monteCarloResults;
+      this.monteCarloResults = report;
+
+      const { phi, thresholdCrossingProbability } = this.monteCarloResults;
+      if (cancelled) {
+        console.log(`⏹️ Monte Carlo cancelled after ${report.replicates} replicates (partial results kept)`);
+      }
+      console.log(`📊 Mission PHI: mean ${phi.mean.toFixed(1)} (P5 ${phi.p5.toFixed(1)} – P95 ${phi.p95.toFixed(1)})`);
+      console.log('  - P(stress > high threshold):', (thresholdCrossingProbability.stressHigh * 100).toFixed(0) + '%');
+      console.log('  - P(sleep < threshold):', (thresholdCrossingProbability.sleepQuality * 100).toFixed(0) + '%');
+
+      let message = `✅ PHI ${phi.p50.toFixed(1)} (90% band ${phi.p5.toFixed(1)}–${phi.p95.toFixed(1)})`;
+      if (cancelled) {
+        message = `⏹️ Cancelled after ${report.replicates} runs • PHI ${phi.p50.toFixed(1)} (90% band ${phi.p5.toFixed(1)}–${phi.p95.toFixed(1)})`;
+      }
+
+      if (this.monteCarloBaseline) {
+        const comparison = MonteCarloSimulator.compare(this.monteCarloResults, this.monteCarloBaseline);
+        console.log(`⚖️ Current layout beats previous run in ${(comparison.probabilityABetter * 100).toFixed(0)}% of replicates`);
+        message += ` • beats previous layout in ${(comparison.probabilityABetter * 100).toFixed(0)}% of runs`;
+      }
+
+      Toast.success(message, 5000);
+
+    } catch (error) {
+      console.error('Error running Monte Carlo simulation:', error);
+      Toast.error('❌ Monte Carlo simulation failed. Check console for errors.', 3000);
+    } finally {
+      this.missionConfigPanel.hideProgress();
     }
   }
 
@@ -1421,8 +3383,7 @@ class HabitatHarmonyApp {
 
       // Get full simulation report
       console.log('  - Generating simulation report...');
-      const simulationReport = this.missionSimulator ?
-        this.missionSimulator.generateReport() : null;
+      const simulationReport = this.missionReport;
 
       // Generate CSV (Mars-Sim Enhanced)
       console.log('  - Generating CSV content...');
@@ -1431,7 +3392,8 @@ class HabitatHarmonyApp {
         designVars,
         this.fullMissionResults,
         constraintReport,
-        simulationReport  // NEW: Includes per-crew data
+        simulationReport,  // NEW: Includes per-crew data
+        this.monteCarloResults
       );
 
       if (csv) {
@@ -0,0 +1,137 @@
+/**
+ * AssemblyView.js - Elements and connections of a habitat assembly
+ *
+ * Draws every element of a HabitatAssembly with its own GridSystem (floor
+ * plates, curved shell, ladders) at the element's world position, and the
+ * docking nodes / tunnels between them as tubes from hatch to hatch.
+ *
+ * The element being edited is outlined; the others are dimmed.
+ */
+
+import * as THREE from 'three';
+import GridSystem from './GridSystem.js';
+
+const CONNECTION_COLORS = {
+  node: 0x64748b,     // Slate - docking node
+  tunnel: 0x0ea5e9    // Sky - pressurized tunnel
+};
+
+class AssemblyView extends THREE.Group {
+  /**
+   * @param {HabitatAssembly} assembly - Elements and connections to draw
+   */
+  constructor(assembly) {
+    super();
+
+    this.name = 'AssemblyView';
+    this.assembly = assembly;
+    this.grids = new Map();   // element id → GridSystem
+
+    this.createElements();
+    this.createConnections();
+  }
+
+  /**
+   * One GridSystem per element, moved to the element position
+   */
+  createElements() {
+    for (const element of this.assembly.getElements()) {
+      const grid = new GridSystem();
+      grid.updateHabitatSize({
+        width: element.width,
+        depth: element.depth,
+        height: element.height,
+        levels: element.levels,
+        crossSection: element.crossSection,
+        originX: element.x,
+        originZ: element.z
+      });
+      grid.setVerticalLinks(element.tileSystem.getVerticalLinks());
+
+      this.grids.set(element.id, grid);
+      this.add(grid.getGroup());
+    }
+  }
+
+  /**
+   * Tube from hatch to hatch for each node / tunnel
+   */
+  createConnections() {
+    for (const connection of this.assembly.getConnections()) {
+      const from = new THREE.Vector3(connection.fromWorld.x, connection.fromWorld.y + 1.0, connection.fromWorld.z);
+      const to = new THREE.Vector3(connection.toWorld.x, connection.toWorld.y + 1.0, connection.toWorld.z);
+      const length = from.distanceTo(to);
+      if (length === 0) continue;
+
+      const radius = (connection.hatchWidthM ?? 1.0) / 2;
+      const geometry = new THREE.CylinderGeometry(radius, radius, length, 16, 1, true);
+      const material = new THREE.MeshBasicMaterial({
+        color: CONNECTION_COLORS[connection.type] ?? CONNECTION_COLORS.node,
+        side: THREE.DoubleSide,
+        transparent: true,
+        opacity: 0.35,
+        depthWrite: false
+      });
+
+      const tube = new THREE.Mesh(geometry, material);
+      tube.position.copy(from).add(to).multiplyScalar(0.5);
+      tube.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), to.clone().sub(from).normalize());
+      tube.name = `AssemblyConnection_${connection.id}`;
+
+      this.add(tube);
+    }
+  }
+
+  /**
+   * @param {string} elementId
+   * @returns {GridSystem|null}
+   */
+  getGrid(elementId) {
+    return this.grids.get(elementId) || null;
+  }
+
+  /**
+   * Show the floors of every element up to a level
+   * @param {number} level - Floor index
+   */
+  setActiveLevel(level) {
+    for (const grid of this.grids.values()) {
+      grid.setActiveLevel(Math.min(level, grid.habitatLevels - 1));
+    }
+  }
+
+  /**
+   * Dim the elements that are not being edited
+   * @param {string} elementId - Element being edited
+   */
+  setActiveElement(elementId) {
+    for (const [id, grid] of this.grids) {
+      grid.getGroup().traverse(object => {
+        if (!object.material) return;
+        if (object.userData.baseOpacity === undefined) {
+          object.userData.baseOpacity = object.material.opacity;
+        }
+        object.material.transparent = true;
+        object.material.opacity = object.userData.baseOpacity * (id === elementId ? 1 : 0.4);
+      });
+    }
+  }
+
+  /**
+   * Dispose of every element grid and connection tube
+   */
+  dispose() {
+    for (const grid of this.grids.values()) {
+      grid.dispose();
+    }
+    this.grids.clear();
+
+    this.traverse(object => {
+      object.geometry?.dispose();
+      object.material?.dispose();
+    });
+    this.clear();
+  }
+}
+
+export default AssemblyView;
@@ -13,13 +13,28 @@
  * - Represents typical rigid cylindrical lunar habitat module
  * - Based on NASA habitat concept dimensions
  *
+ * Multi-level habitats:
+ * - One floor plate per level, habitat height / levels apart
+ * - Ladders / hatches drawn as shafts between the floors they link
+ * - Floors above the active level are hidden (level switcher)
+ *
+ * Assembly elements:
+ * - The group is moved to the element's world position (originX / originZ)
+ *
+ * Curved shells:
+ * - Cylinder, torus and TransHab cross-sections drawn as a translucent shell
+ *   around the floor plates (ShellGeometry); box shells draw no walls
+ *
  * Coordinate System:
  * - XZ plane: Horizontal (floor)
- * - Y=0: Floor level
+ * - Y=0: Floor level (ground floor)
  * - Origin: Center of habitat
  */
 
 import * as THREE from 'three';
+import ShellGeometry from '../habitat/ShellGeometry.js';
+
+const MIN_FLOOR_HEIGHT = 2.5; // m, 2.4 m catalog modules plus deck (habitat-types.json two_level)
 
 export default class GridSystem {
   constructor() {
@@ -31,6 +46,11 @@ export default class GridSystem {
     this.habitatDepth = 8.0;    // Z dimension
     this.habitatHeight = 3.0;   // Y dimension (single level default)
     this.habitatLevels = 1;     // Number of levels
+    this.activeLevel = 0;       // Floor shown in the level switcher
+    this.verticalLinks = [];    // TileSystem.getVerticalLinks()
+    this.crossSection = { shape: 'box' }; // HabitatConfigurator.getCrossSection()
+    this.originX = 0;           // World position of the shell centre (assembly elements)
+    this.originZ = 0;
 
     // Grid dimensions
     this.gridSize = 40;         // Total grid size (40m × 40m)
@@ -46,8 +66,9 @@ export default class GridSystem {
     // Create grids
     this.createGrids();
 
-    // Create habitat floor plate
-    this.createFloorPlate();
+    // Create habitat floor plates
+    this.createFloorPlates();
+    this.createShell();
 
     console.log('✅ Grid system created');
     console.log(`   Major grid: 1m spacing (${this.majorDivisions} divisions)`);
@@ -93,11 +114,23 @@ export default class GridSystem {
     // this.group.add(majorGrid);
   }
 
+  /**
+   * Create one floor plate per level
+   */
+  createFloorPlates() {
+    for (let level = 0; level < this.habitatLevels; level++) {
+      this.createFloorPlate(level);
+    }
+  }
+
   /**
    * Create habitat floor plate outline
    * Represents the 12m × 8m habitat shell boundary
+   * @param {number} level - Floor index (0 = ground floor)
    */
-  createFloorPlate() {
+  createFloorPlate(level = 0) {
+    const elevation = level * this.getFloorHeight();
+
     // Floor plate geometry
     const plateGeometry = new THREE.PlaneGeometry(
       this.habitatWidth,
@@ -114,19 +147,23 @@ export default class GridSystem {
 
     const plate = new THREE.Mesh(plateGeometry, plateMaterial);
     plate.rotation.x = -Math.PI / 2; // Horizontal
-    plate.position.y = 0.01; // Slightly above grid to be visible
-    plate.name = 'HabitatFloorPlate';
+    plate.position.y = elevation + 0.01; // Slightly above grid to be visible
+    plate.name = level === 0 ? 'HabitatFloorPlate' : `HabitatFloorPlate_L${level}`;
+    plate.userData.level = level;
 
     this.group.add(plate);
 
     // Add border outline
-    this.createFloorBorder();
+    this.createFloorBorder(level);
   }
 
   /**
    * Create visible border around habitat floor plate
+   * @param {number} level - Floor index
    */
-  createFloorBorder() {
+  createFloorBorder(level = 0) {
+    const y = level * this.getFloorHeight() + 0.02;
+
     // Create rectangle shape for border
     const borderGeometry = new THREE.BufferGeometry();
 
@@ -135,11 +172,11 @@ export default class GridSystem {
     const halfDepth = this.habitatDepth / 2;
 
     const vertices = new Float32Array([
-      -halfWidth, 0.02, -halfDepth,  // Bottom-left
-      halfWidth, 0.02, -halfDepth,   // Bottom-right
-      halfWidth, 0.02, halfDepth,    // Top-right
-      -halfWidth, 0.02, halfDepth,   // Top-left
-      -halfWidth, 0.02, -halfDepth   // Close the loop
+      -halfWidth, y, -halfDepth,  // Bottom-left
+      halfWidth, y, -halfDepth,   // Bottom-right
+      halfWidth, y, halfDepth,    // Top-right
+      -halfWidth, y, halfDepth,   // Top-left
+      -halfWidth, y, -halfDepth   // Close the loop
     ]);
 
     borderGeometry.setAttribute('position', new THREE.BufferAttribute(vertices, 3));
@@ -151,12 +188,105 @@ export default class GridSystem {
     });
 
     const border = new THREE.Line(borderGeometry, borderMaterial);
-    border.name = 'HabitatBorder';
+    border.name = level === 0 ? 'HabitatBorder' : `HabitatBorder_L${level}`;
+    border.userData.level = level;
 
     this.group.add(border);
 
     // Add corner markers for better visibility
-    this.createCornerMarkers();
+    if (level === 0) this.createCornerMarkers();
+  }
+
+  /**
+   * Draw ladders / hatches as shafts between the floors they link
+   */
+  createVerticalLinkMarkers() {
+    const floorHeight = this.getFloorHeight();
+
+    for (const link of this.verticalLinks) {
+      const height = (link.toLevel - link.fromLevel) * floorHeight;
+      const geometry = new THREE.CylinderGeometry(0.3, 0.3, height, 12, 1, true);
+      const material = new THREE.MeshBasicMaterial({
+        color: link.type === 'hatch' ? 0xea580c : 0xf97316,
+        side: THREE.DoubleSide,
+        transparent: true,
+        opacity: 0.5
+      });
+
+      const shaft = new THREE.Mesh(geometry, material);
+      shaft.position.set(link.x - this.originX, link.fromLevel * floorHeight + height / 2, link.z - this.originZ);
+      shaft.name = `VerticalLink_${link.id}`;
+      shaft.userData.level = link.fromLevel;
+
+      this.group.add(shaft);
+    }
+  }
+
+  /**
+   * Draw the curved pressure shell (nothing for box shells)
+   */
+  createShell() {
+    const shell = new ShellGeometry(this.getHabitatDimensions());
+    let geometry;
+
+    if (shell.shape === 'horizontal_cylinder') {
+      const { radius, axisY } = shell.getCylinderAxis();
+      geometry = new THREE.CylinderGeometry(radius, radius, this.habitatDepth, 48, 1, true);
+      geometry.rotateX(Math.PI / 2);
+      geometry.translate(0, axisY, 0);
+    } else {
+      const profile = shell.getLatheProfile();
+      if (profile.length === 0) return;
+
+      geometry = new THREE.LatheGeometry(profile.map(p => new THREE.Vector2(p.r, p.y)), 48);
+      geometry.scale(1, 1, this.habitatDepth / this.habitatWidth);
+    }
+
+    const surface = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+      color: 0x94a3b8,
+      side: THREE.DoubleSide,
+      transparent: true,
+      opacity: 0.1,
+      depthWrite: false
+    }));
+    surface.name = 'HabitatShell';
+    this.group.add(surface);
+
+    const wireframe = new THREE.LineSegments(
+      new THREE.EdgesGeometry(geometry, 20),
+      new THREE.LineBasicMaterial({ color: 0x94a3b8, transparent: true, opacity: 0.25 })
+    );
+    wireframe.name = 'HabitatShellEdges';
+    this.group.add(wireframe);
+  }
+
+  /**
+   * Show floors up to a level (hides the floors above it)
+   * @param {number} level - Floor index
+   */
+  setActiveLevel(level) {
+    this.activeLevel = level;
+
+    this.group.children.forEach(child => {
+      child.visible = (child.userData.level ?? 0) <= level;
+    });
+  }
+
+  /**
+   * Replace the ladder / hatch markers
+   * @param {Array} links - TileSystem.getVerticalLinks()
+   */
+  setVerticalLinks(links) {
+    this.verticalLinks = links;
+    this.rebuild();
+  }
+
+  /**
+   * Distance between floors
+   * @returns {number} Meters (habitat height / levels, at least one module height plus deck)
+   */
+  getFloorHeight() {
+    return Math.max(this.habitatHeight / this.habitatLevels, MIN_FLOOR_HEIGHT);
   }
 
   /**
@@ -200,14 +330,19 @@ export default class GridSystem {
 
   /**
    * Get habitat dimensions
-   * @returns {Object} {width, depth, height, levels}
+   * @returns {Object} {width, depth, height, levels, floorHeight, verticalLinks, crossSection, originX, originZ}
    */
   getHabitatDimensions() {
     return {
       width: this.habitatWidth,
       depth: this.habitatDepth,
       height: this.habitatHeight,
-      levels: this.habitatLevels
+      levels: this.habitatLevels,
+      floorHeight: this.getFloorHeight(),
+      verticalLinks: this.verticalLinks,
+      crossSection: this.crossSection,
+      originX: this.originX,
+      originZ: this.originZ
     };
   }
 
@@ -221,7 +356,7 @@ export default class GridSystem {
     const halfWidth = this.habitatWidth / 2;
     const halfDepth = this.habitatDepth / 2;
 
-    return Math.abs(x) <= halfWidth && Math.abs(z) <= halfDepth;
+    return Math.abs(x - this.originX) <= halfWidth && Math.abs(z - this.originZ) <= halfDepth;
   }
 
   /**
@@ -241,21 +376,40 @@ export default class GridSystem {
    * @param {number} config.depth - New depth
    * @param {number} config.height - New height
    * @param {number} config.levels - Number of levels
+   * @param {Object} config.crossSection - Shell cross-section (default box)
+   * @param {number} config.originX - World X of the shell centre (assembly elements, default 0)
+   * @param {number} config.originZ - World Z of the shell centre
    */
   updateHabitatSize(config) {
     this.habitatWidth = config.width;
     this.habitatDepth = config.depth;
     this.habitatHeight = config.height || 3.0;
     this.habitatLevels = config.levels || 1;
+    this.crossSection = config.crossSection || { shape: 'box' };
+    this.originX = config.originX ?? 0;
+    this.originZ = config.originZ ?? 0;
+    this.group.position.set(this.originX, 0, this.originZ);
+    this.activeLevel = Math.min(this.activeLevel, this.habitatLevels - 1);
+    this.verticalLinks = [];
 
     // Recreate grid system
-    this.group.clear();
-    this.createGrids();
-    this.createFloorPlate();
+    this.rebuild();
 
     console.log(`📐 Habitat dimensions updated: ${config.width}m × ${config.depth}m × ${this.habitatHeight}m (${this.habitatLevels} level${this.habitatLevels > 1 ? 's' : ''})`);
   }
 
+  /**
+   * Recreate plates, shell and link markers
+   */
+  rebuild() {
+    this.dispose();
+    this.createGrids();
+    this.createFloorPlates();
+    this.createShell();
+    this.createVerticalLinkMarkers();
+    this.setActiveLevel(this.activeLevel);
+  }
+
   /**
    * Dispose of resources
    */
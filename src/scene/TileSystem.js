@@ -12,23 +12,60 @@
  * - 1m grid matches NASA spacing requirements
  * - 12m × 8m habitat bounds (AIAA 2022)
  * - Supports path width validation (≥1.0m)
+ *
+ * Multi-level habitats:
+ * - One tile grid per floor (floors[level][y][x]); `tiles` is the ground floor
+ * - Floors are floorHeight meters apart (habitat height / levels)
+ * - Ladders and hatches are vertical links through a tile column that
+ *   connect adjacent floors for pathfinding
+ *
+ * Assemblies:
+ * - Each element of a HabitatAssembly has its own TileSystem, offset to the
+ *   element's world position (origin) and stamped with its element id
+ * - Docking-node and tunnel hatches to other elements are set on the tile
+ *   (tile.hatch) by HabitatAssembly.connect
+ *
+ * Doors:
+ * - Module doors mark their tile with the door state ('open' | 'closed' |
+ *   'locked'), type and path cost; locked door tiles are not passable
  */
 
 class TileSystem {
-  constructor(width = 12, height = 8, tileSize = 1.0) {
+  constructor(width = 12, height = 8, tileSize = 1.0, levels = 1, floorHeight = 3.0) {
     this.width = width;        // tiles in X direction
     this.height = height;      // tiles in Y direction
     this.tileSize = tileSize;  // meters per tile
+    this.levels = levels;      // number of floors
+    this.floorHeight = floorHeight; // meters between floors
+
+    // Assembly element (null = standalone habitat) and world position of its centre
+    this.elementId = null;
+    this.originX = 0;
+    this.originZ = 0;
+
+    // One 2D tile array per floor; tiles = ground floor
+    this.floors = this.initializeFloors();
+    this.tiles = this.floors[0];
 
-    // 2D tile array
-    this.tiles = this.initializeTiles();
+    // Ladders / hatches between floors
+    this.verticalLinks = [];
+    this.linkIdCounter = 0;
+  }
+
+  /**
+   * Initialize one tile grid per floor
+   * @returns {Array<Array<Array<Object>>>} floors[level][y][x]
+   */
+  initializeFloors() {
+    return Array.from({ length: this.levels }, (_, level) => this.initializeTiles(level));
   }
 
   /**
    * Initialize tile grid with default properties
+   * @param {number} level - Floor index (0 = ground floor)
    * @returns {Array<Array<Object>>} 2D array of tile objects
    */
-  initializeTiles() {
+  initializeTiles(level = 0) {
     const tiles = [];
 
     for (let y = 0; y < this.height; y++) {
@@ -39,6 +76,8 @@ class TileSystem {
           // Position
           x,
           y,
+          level,
+          element: this.elementId, // Assembly element (null = standalone habitat)
 
           // Occupancy
           occupied: false,      // Is tile occupied by module?
@@ -53,10 +92,22 @@ class TileSystem {
           roomId: null,         // Which module does this belong to?
           doorTile: false,      // Is this a door/entrance tile?
           isDoor: false,        // Alias for doorTile (for compatibility)
+          doorState: null,      // 'open' | 'closed' | 'locked' on door tiles
+          doorType: null,       // 'door' | 'pressure_hatch' on door tiles
+          doorCost: 0,          // Extra path cost of passing the door
 
           // NASA zones
           zone: null,           // 'clean' or 'dirty'
 
+          // Ladder / hatch through this tile (null = none)
+          verticalLink: null,
+
+          // Hatch to another assembly element (HabitatAssembly connection, null = none)
+          hatch: null,
+
+          // Sealed by a fire / depressurization isolation scenario ('fire' | 'depressurization', null = none)
+          hazard: null,
+
           // Pathfinding data (populated during A* search)
           gScore: Infinity,     // Actual distance from start
           fScore: Infinity,     // Estimated total cost
@@ -68,27 +119,55 @@ class TileSystem {
     return tiles;
   }
 
+  /**
+   * Make this grid an element of a habitat assembly
+   *
+   * @param {string} elementId - Element id (stamped on every tile)
+   * @param {number} originX - World X of the element centre
+   * @param {number} originZ - World Z of the element centre
+   */
+  setElement(elementId, originX = 0, originZ = 0) {
+    this.elementId = elementId;
+    this.originX = originX;
+    this.originZ = originZ;
+
+    for (const tile of this.getAllTiles()) {
+      tile.element = elementId;
+    }
+  }
+
   /**
    * Convert tile coordinates to Three.js world coordinates
    *
-   * Origin is at center of habitat, so we offset by half dimensions.
+   * Origin is at center of habitat (plus the element origin in assemblies),
+   * so we offset by half dimensions.
    * Each tile center is at (x+0.5, z+0.5) in tile space.
    *
    * @param {number} tileX - Tile X coordinate (0 to width-1)
    * @param {number} tileY - Tile Y coordinate (0 to height-1)
+   * @param {number} level - Floor index (0 = ground floor)
    * @returns {{x: number, y: number, z: number}} World position
    */
-  tileToWorld(tileX, tileY) {
-    const worldX = (tileX - this.width / 2 + 0.5) * this.tileSize;
-    const worldZ = (tileY - this.height / 2 + 0.5) * this.tileSize;
+  tileToWorld(tileX, tileY, level = 0) {
+    const worldX = this.originX + (tileX - this.width / 2 + 0.5) * this.tileSize;
+    const worldZ = this.originZ + (tileY - this.height / 2 + 0.5) * this.tileSize;
 
     return {
       x: worldX,
-      y: 0,        // Floor level
+      y: this.getFloorElevation(level),  // Floor level
       z: worldZ
     };
   }
 
+  /**
+   * Height of a floor above the ground floor
+   * @param {number} level - Floor index
+   * @returns {number} Elevation in meters
+   */
+  getFloorElevation(level = 0) {
+    return level * this.floorHeight;
+  }
+
   /**
    * Convert Three.js world coordinates to tile coordinates
    *
@@ -97,8 +176,8 @@ class TileSystem {
    * @returns {{tileX: number, tileY: number}} Tile position
    */
   worldToTile(worldX, worldZ) {
-    const tileX = Math.floor((worldX / this.tileSize) + (this.width / 2));
-    const tileY = Math.floor((worldZ / this.tileSize) + (this.height / 2));
+    const tileX = Math.floor(((worldX - this.originX) / this.tileSize) + (this.width / 2));
+    const tileY = Math.floor(((worldZ - this.originZ) / this.tileSize) + (this.height / 2));
 
     return { tileX, tileY };
   }
@@ -108,10 +187,11 @@ class TileSystem {
    *
    * @param {number} x - Tile X coordinate
    * @param {number} y - Tile Y coordinate
+   * @param {number} level - Floor index
    * @returns {boolean} True if valid
    */
-  isValidTile(x, y) {
-    return x >= 0 && x < this.width && y >= 0 && y < this.height;
+  isValidTile(x, y, level = 0) {
+    return x >= 0 && x < this.width && y >= 0 && y < this.height && level >= 0 && level < this.levels;
   }
 
   /**
@@ -119,21 +199,24 @@ class TileSystem {
    *
    * @param {number} x - Tile X coordinate
    * @param {number} y - Tile Y coordinate
+   * @param {number} level - Floor index
    * @returns {Object|null} Tile object or null if invalid
    */
-  getTile(x, y) {
-    if (!this.isValidTile(x, y)) return null;
-    return this.tiles[y][x];
+  getTile(x, y, level = 0) {
+    if (!this.isValidTile(x, y, level)) return null;
+    return this.floors[level][y][x];
   }
 
   /**
    * Get neighboring tiles (4-directional: N, E, S, W)
+   * plus the tiles above/below when a ladder or hatch runs through this tile
    *
    * @param {number} x - Tile X coordinate
    * @param {number} y - Tile Y coordinate
+   * @param {number} level - Floor index
    * @returns {Array<{tile: Object, direction: string}>} Array of neighbors
    */
-  getNeighbors(x, y) {
+  getNeighbors(x, y, level = 0) {
     const neighbors = [];
     const directions = [
       { dx: 0, dy: -1, dir: 'north' },
@@ -143,12 +226,23 @@ class TileSystem {
     ];
 
     for (const { dx, dy, dir } of directions) {
-      const tile = this.getTile(x + dx, y + dy);
+      const tile = this.getTile(x + dx, y + dy, level);
       if (tile) {
         neighbors.push({ tile, direction: dir });
       }
     }
 
+    // Vertical translation through a link shared by both floors
+    const link = this.getTile(x, y, level)?.verticalLink;
+    if (link) {
+      for (const { dl, dir } of [{ dl: 1, dir: 'up' }, { dl: -1, dir: 'down' }]) {
+        const tile = this.getTile(x, y, level + dl);
+        if (tile && tile.verticalLink === link) {
+          neighbors.push({ tile, direction: dir });
+        }
+      }
+    }
+
     return neighbors;
   }
 
@@ -161,11 +255,12 @@ class TileSystem {
    * @param {number} height - Height in tiles
    * @param {string} moduleId - Unique module identifier
    * @param {string} zone - 'clean' or 'dirty'
+   * @param {number} level - Floor index
    */
-  markModuleOccupancy(x, y, width, height, moduleId, zone) {
+  markModuleOccupancy(x, y, width, height, moduleId, zone, level = 0) {
     for (let dy = 0; dy < height; dy++) {
       for (let dx = 0; dx < width; dx++) {
-        const tile = this.getTile(x + dx, y + dy);
+        const tile = this.getTile(x + dx, y + dy, level);
         if (tile) {
           tile.occupied = true;
           tile.moduleId = moduleId;
@@ -178,38 +273,40 @@ class TileSystem {
   }
 
   /**
-   * Clear module occupancy from all tiles
+   * Clear module occupancy from all tiles (on every floor)
    *
    * @param {string} moduleId - Module to clear
    */
   clearModuleOccupancy(moduleId) {
-    for (let y = 0; y < this.height; y++) {
-      for (let x = 0; x < this.width; x++) {
-        const tile = this.tiles[y][x];
-        if (tile.moduleId === moduleId) {
-          tile.occupied = false;
-          tile.moduleId = null;
-          tile.roomId = null;
-          tile.zone = null;
-          tile.passable = true;
-        }
+    for (const tile of this.getAllTiles()) {
+      if (tile.moduleId === moduleId) {
+        tile.occupied = false;
+        tile.moduleId = null;
+        tile.roomId = null;
+        tile.zone = null;
+        tile.passable = true;
       }
     }
   }
 
   /**
-   * Mark a tile as a door (passable entrance to module)
+   * Mark a tile as a door (entrance to module, passable unless locked)
    *
    * @param {number} x - Door tile X
    * @param {number} y - Door tile Y
    * @param {string} moduleId - Module this door belongs to
+   * @param {number} level - Floor index
+   * @param {Object} door - { state, type, pathCost } (defaults: open door, cost 0.1)
    */
-  markDoorTile(x, y, moduleId) {
-    const tile = this.getTile(x, y);
+  markDoorTile(x, y, moduleId, level = 0, door = {}) {
+    const tile = this.getTile(x, y, level);
     if (tile) {
       tile.doorTile = true;
       tile.isDoor = true;
-      tile.passable = true;  // Doors are passable
+      tile.doorState = door.state || 'open';
+      tile.doorType = door.type || 'door';
+      tile.doorCost = door.pathCost ?? 0.1;
+      tile.passable = tile.doorState !== 'locked';
       tile.roomId = moduleId;
     }
   }
@@ -219,12 +316,16 @@ class TileSystem {
    *
    * @param {number} x - Tile X
    * @param {number} y - Tile Y
+   * @param {number} level - Floor index
    */
-  clearDoorTile(x, y) {
-    const tile = this.getTile(x, y);
+  clearDoorTile(x, y, level = 0) {
+    const tile = this.getTile(x, y, level);
     if (tile) {
       tile.doorTile = false;
       tile.isDoor = false;
+      tile.doorState = null;
+      tile.doorType = null;
+      tile.doorCost = 0;
       tile.roomId = null;
       // Keep passable state (will be set correctly by module occupancy)
     }
@@ -237,14 +338,15 @@ class TileSystem {
    * @param {number} y - Starting tile Y
    * @param {number} width - Width in tiles
    * @param {number} height - Height in tiles
+   * @param {number} level - Floor index
    * @returns {Array<Object>} Array of tile objects
    */
-  getTilesInRect(x, y, width, height) {
+  getTilesInRect(x, y, width, height, level = 0) {
     const tiles = [];
 
     for (let dy = 0; dy < height; dy++) {
       for (let dx = 0; dx < width; dx++) {
-        const tile = this.getTile(x + dx, y + dy);
+        const tile = this.getTile(x + dx, y + dy, level);
         if (tile) tiles.push(tile);
       }
     }
@@ -252,18 +354,24 @@ class TileSystem {
     return tiles;
   }
 
+  /**
+   * Every tile on every floor (ground floor first, row by row)
+   *
+   * @returns {Array<Object>} Array of tile objects
+   */
+  getAllTiles() {
+    return this.floors.flatMap(floor => floor.flat());
+  }
+
   /**
    * Reset pathfinding data on all tiles
    * Call this before each A* search
    */
   resetPathfindingData() {
-    for (let y = 0; y < this.height; y++) {
-      for (let x = 0; x < this.width; x++) {
-        const tile = this.tiles[y][x];
-        tile.gScore = Infinity;
-        tile.fScore = Infinity;
-        tile.cameFrom = null;
-      }
+    for (const tile of this.getAllTiles()) {
+      tile.gScore = Infinity;
+      tile.fScore = Infinity;
+      tile.cameFrom = null;
     }
   }
 
@@ -271,21 +379,70 @@ class TileSystem {
    * Get all passable tiles in the grid
    * Useful for finding valid spawn points
    *
+   * @param {number|null} level - Floor index (null = all floors)
    * @returns {Array<Object>} Array of passable tiles
    */
-  getPassableTiles() {
-    const passable = [];
+  getPassableTiles(level = null) {
+    const tiles = level === null ? this.getAllTiles() : this.floors[level].flat();
+    return tiles.filter(tile => tile.doorTile ? tile.doorState !== 'locked' : tile.passable);
+  }
 
-    for (let y = 0; y < this.height; y++) {
-      for (let x = 0; x < this.width; x++) {
-        const tile = this.tiles[y][x];
-        if (tile.passable || tile.doorTile) {
-          passable.push(tile);
-        }
-      }
+  /**
+   * Add a ladder or hatch through a tile column
+   * The link tiles stay passable; modules must not be placed over them
+   *
+   * @param {number} x - Tile X
+   * @param {number} y - Tile Y
+   * @param {number} fromLevel - Lower floor
+   * @param {number} toLevel - Upper floor
+   * @param {string} type - 'ladder' | 'hatch'
+   * @param {number} cost - Path cost per floor climbed
+   * @returns {Object|null} Link, or null if the tiles are invalid or already linked
+   */
+  addVerticalLink(x, y, fromLevel, toLevel, type = 'ladder', cost = 3.0) {
+    const lower = Math.min(fromLevel, toLevel);
+    const upper = Math.max(fromLevel, toLevel);
+    if (lower === upper || !this.isValidTile(x, y, lower) || !this.isValidTile(x, y, upper)) return null;
+
+    const column = [];
+    for (let level = lower; level <= upper; level++) {
+      const tile = this.getTile(x, y, level);
+      if (tile.verticalLink) return null;
+      column.push(tile);
     }
 
-    return passable;
+    const link = { id: `link_${this.linkIdCounter++}`, type, cost, tileX: x, tileY: y, fromLevel: lower, toLevel: upper };
+    column.forEach(tile => { tile.verticalLink = link; });
+    this.verticalLinks.push(link);
+
+    return link;
+  }
+
+  /**
+   * Remove a ladder or hatch
+   *
+   * @param {string} linkId - Link id from addVerticalLink
+   */
+  removeVerticalLink(linkId) {
+    const link = this.verticalLinks.find(l => l.id === linkId);
+    if (!link) return;
+
+    for (let level = link.fromLevel; level <= link.toLevel; level++) {
+      this.getTile(link.tileX, link.tileY, level).verticalLink = null;
+    }
+    this.verticalLinks = this.verticalLinks.filter(l => l !== link);
+  }
+
+  /**
+   * Vertical links with their world position (for validators and export)
+   *
+   * @returns {Array<Object>} [{ id, type, cost, tileX, tileY, fromLevel, toLevel, x, z }]
+   */
+  getVerticalLinks() {
+    return this.verticalLinks.map(link => {
+      const world = this.tileToWorld(link.tileX, link.tileY);
+      return { ...link, x: world.x, z: world.z };
+    });
   }
 
   /**
@@ -301,19 +458,15 @@ class TileSystem {
     let clean = 0;
     let dirty = 0;
 
-    for (let y = 0; y < this.height; y++) {
-      for (let x = 0; x < this.width; x++) {
-        const tile = this.tiles[y][x];
-
-        if (tile.occupied) occupied++;
-        if (tile.passable) passable++;
-        if (tile.doorTile) doors++;
-        if (tile.zone === 'clean') clean++;
-        if (tile.zone === 'dirty') dirty++;
-      }
+    for (const tile of this.getAllTiles()) {
+      if (tile.occupied) occupied++;
+      if (tile.passable) passable++;
+      if (tile.doorTile) doors++;
+      if (tile.zone === 'clean') clean++;
+      if (tile.zone === 'dirty') dirty++;
     }
 
-    const total = this.width * this.height;
+    const total = this.width * this.height * this.levels;
 
     return {
       total,
@@ -322,6 +475,7 @@ class TileSystem {
       doors,
       clean,
       dirty,
+      verticalLinks: this.verticalLinks.length,
       free: total - occupied,
       occupancyPercent: (occupied / total * 100).toFixed(1)
     };
@@ -330,9 +484,10 @@ class TileSystem {
   /**
    * Export tile data for debugging/visualization
    *
+   * @param {number} level - Floor index
    * @returns {string} ASCII representation of grid
    */
-  toASCII() {
+  toASCII(level = 0) {
     let output = '\n    ';
 
     // Column headers
@@ -346,12 +501,14 @@ class TileSystem {
       output += y.toString().padStart(2, ' ') + ' │';
 
       for (let x = 0; x < this.width; x++) {
-        const tile = this.tiles[y][x];
+        const tile = this.floors[level][y][x];
 
         let char = ' ░ ';  // Empty/passable
 
         if (tile.occupied) char = ' █ ';      // Occupied
         if (tile.doorTile) char = ' D ';      // Door
+        if (tile.verticalLink) char = ' H ';  // Ladder / hatch
+        if (tile.hatch) char = ' N ';         // Hatch to another element
         if (!tile.passable && !tile.occupied) char = ' X '; // Blocked
 
         output += char;
@@ -369,7 +526,9 @@ class TileSystem {
    * Clear all tile data (reset to initial state)
    */
   reset() {
-    this.tiles = this.initializeTiles();
+    this.floors = this.initializeFloors();
+    this.tiles = this.floors[0];
+    this.verticalLinks = [];
   }
 
   /**
@@ -378,13 +537,18 @@ class TileSystem {
    *
    * @param {number} newWidth - New width in tiles
    * @param {number} newHeight - New height in tiles
+   * @param {number} levels - Number of floors
+   * @param {number} floorHeight - Meters between floors
    */
-  resize(newWidth, newHeight) {
+  resize(newWidth, newHeight, levels = this.levels, floorHeight = this.floorHeight) {
     this.width = newWidth;
     this.height = newHeight;
-    this.tiles = this.initializeTiles();
+    this.levels = levels;
+    this.floorHeight = floorHeight;
+    this.reset();
 
-    console.log(`📐 Tile system resized: ${newWidth} × ${newHeight} tiles (${newWidth * this.tileSize}m × ${newHeight * this.tileSize}m)`);
+    console.log(`📐 Tile system resized: ${newWidth} × ${newHeight} tiles (${newWidth * this.tileSize}m × ${newHeight * this.tileSize}m)` +
+      (levels > 1 ? `, ${levels} floors ${floorHeight.toFixed(2)}m apart` : ''));
   }
 }
 
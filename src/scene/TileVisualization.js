@@ -6,11 +6,13 @@
  * Visualizes tile states with color-coded overlays:
  * - Green: Passable/empty tiles
  * - Red: Occupied by modules
- * - Blue: Door tiles
+ * - Blue: Door tiles (open); amber: closed door / hatch; dark red: locked
  * - Yellow: Selected/highlighted
  * - Purple: Path preview
+ * - Orange: Ladder / hatch between floors, hatch to another assembly element
  *
  * Toggle-able overlay for debugging and layout planning.
+ * Multi-level habitats show one floor at a time (setLevel).
  */
 
 import * as THREE from 'three';
@@ -20,6 +22,7 @@ class TileVisualization extends THREE.Group {
     super();
 
     this.tileSystem = tileSystem;
+    this.level = 0;
     this.enabled = false;
     this.tileMeshes = [];
     this.pathPreview = [];
@@ -29,8 +32,12 @@ class TileVisualization extends THREE.Group {
       passable: 0x10b981,      // Green - empty tile
       occupied: 0xef4444,      // Red - occupied by module
       door: 0x3b82f6,          // Blue - door tile
+      doorClosed: 0xf59e0b,    // Amber - closed door / hatch
+      doorLocked: 0x991b1b,    // Dark red - locked door
       selected: 0xfbbf24,      // Yellow - selected/highlighted
-      pathPreview: 0xa855f7    // Purple - path preview
+      pathPreview: 0xa855f7,   // Purple - path preview
+      verticalLink: 0xf97316,  // Orange - ladder / hatch
+      hazard: 0x1f2937         // Charcoal - sealed by a fire / leak isolation
     };
 
     this.createTileMeshes();
@@ -56,8 +63,8 @@ class TileVisualization extends THREE.Group {
         const mesh = new THREE.Mesh(geometry, material);
 
         // Position at tile center, slightly above floor
-        const worldPos = this.tileSystem.tileToWorld(x, y);
-        mesh.position.set(worldPos.x, 0.01, worldPos.z);
+        const worldPos = this.tileSystem.tileToWorld(x, y, this.level);
+        mesh.position.set(worldPos.x, worldPos.y + 0.01, worldPos.z);
 
         // Store tile coordinates
         mesh.userData.tileX = x;
@@ -80,7 +87,7 @@ class TileVisualization extends THREE.Group {
     this.tileMeshes.forEach(mesh => {
       const x = mesh.userData.tileX;
       const y = mesh.userData.tileY;
-      const tile = this.tileSystem.getTile(x, y);
+      const tile = this.tileSystem.getTile(x, y, this.level);
 
       if (!tile) return;
 
@@ -88,9 +95,15 @@ class TileVisualization extends THREE.Group {
       let opacity = 0.3;
 
       // Determine color based on tile state
-      if (tile.isDoor) {
-        color = this.colors.door;
+      if (tile.verticalLink || tile.hatch) {
+        color = this.colors.verticalLink;
+        opacity = 0.6;
+      } else if (tile.isDoor) {
+        color = this.getDoorColor(tile);
         opacity = 0.5;
+      } else if (tile.hazard) {
+        color = this.colors.hazard;
+        opacity = 0.6;
       } else if (!tile.passable) {
         color = this.colors.occupied;
         opacity = 0.4;
@@ -102,6 +115,32 @@ class TileVisualization extends THREE.Group {
     });
   }
 
+  /**
+   * Door tile color by door state
+   * @param {Object} tile - Door tile
+   * @returns {number}
+   */
+  getDoorColor(tile) {
+    if (tile.doorState === 'locked') return this.colors.doorLocked;
+    if (tile.doorState === 'closed') return this.colors.doorClosed;
+    return this.colors.door;
+  }
+
+  /**
+   * Show another floor of a multi-level habitat
+   * @param {number} level - Floor index
+   */
+  setLevel(level) {
+    this.level = level;
+
+    const elevation = this.tileSystem.getFloorElevation(level);
+    this.tileMeshes.forEach(mesh => {
+      mesh.position.y = elevation + 0.01;
+    });
+
+    this.updateTileColors();
+  }
+
   /**
    * Show path preview
    * @param {Array} path - Array of {x, y} tile coordinates
@@ -112,8 +151,10 @@ class TileVisualization extends THREE.Group {
     // Clear previous path preview
     this.clearPathPreview();
 
-    // Highlight path tiles
+    // Highlight path tiles on the floor shown
     path.forEach((tile, index) => {
+      if ((tile.level ?? 0) !== this.level) return;
+
       const mesh = this.getTileMesh(tile.x, tile.y);
       if (mesh) {
         mesh.material.color.setHex(this.colors.pathPreview);
@@ -130,15 +171,18 @@ class TileVisualization extends THREE.Group {
     this.pathPreview.forEach(mesh => {
       const x = mesh.userData.tileX;
       const y = mesh.userData.tileY;
-      const tile = this.tileSystem.getTile(x, y);
+      const tile = this.tileSystem.getTile(x, y, this.level);
 
       // Restore original color
       let color = this.colors.passable;
       let opacity = 0.3;
 
       if (tile.isDoor) {
-        color = this.colors.door;
+        color = this.getDoorColor(tile);
         opacity = 0.5;
+      } else if (tile.hazard) {
+        color = this.colors.hazard;
+        opacity = 0.6;
       } else if (!tile.passable) {
         color = this.colors.occupied;
         opacity = 0.4;
@@ -227,17 +271,17 @@ class TileVisualization extends THREE.Group {
    */
   getStats() {
     const passable = this.tileMeshes.filter(m => {
-      const tile = this.tileSystem.getTile(m.userData.tileX, m.userData.tileY);
+      const tile = this.tileSystem.getTile(m.userData.tileX, m.userData.tileY, this.level);
       return tile && tile.passable && !tile.isDoor;
     }).length;
 
     const occupied = this.tileMeshes.filter(m => {
-      const tile = this.tileSystem.getTile(m.userData.tileX, m.userData.tileY);
+      const tile = this.tileSystem.getTile(m.userData.tileX, m.userData.tileY, this.level);
       return tile && !tile.passable;
     }).length;
 
     const doors = this.tileMeshes.filter(m => {
-      const tile = this.tileSystem.getTile(m.userData.tileX, m.userData.tileY);
+      const tile = this.tileSystem.getTile(m.userData.tileX, m.userData.tileY, this.level);
       return tile && tile.isDoor;
     }).length;
 
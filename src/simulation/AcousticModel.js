@@ -0,0 +1,285 @@
+/**
+ * AcousticModel.js
+ *
+ * Noise propagation across the habitat tile grid
+ *
+ * Noise sources (treadmill, ARED, galley, WCS fans, ...) come from acoustics.json
+ * per module type, with an A-weighted level at 1 m and an hourly duty cycle.
+ * For every hour the model computes the sound level on every tile:
+ * - Hourly equivalent level of a source: L + 10·log10(duty)
+ * - Spherical spreading from the source tile (-6 dB per doubling of distance)
+ * - Wall transmission loss for each module wall on the line between source and tile
+ *   (door transmission loss instead where the line passes a door: open doors leak,
+ *   closed doors and hatches isolate)
+ * - Floor transmission loss for each deck between source and tile (multi-level habitats)
+ * - Energy sum of all sources plus the ECLSS background level
+ *
+ * Crew quarters are checked against the NASA sleep-period limit and other modules
+ * against the work-period limit. evaluate() returns plain data for layout.acoustics,
+ * which SleepModel uses instead of the exercise-adjacency rule.
+ *
+ * NASA Sources:
+ * - NASA-STD-3001 Vol. 2 Rev. B: continuous noise limits (NC-40 sleep, NC-50 work)
+ * - NASA/TP-2020-220505: isolate exercise and hygiene noise from crew quarters
+ */
+
+const HOURS = 24;
+
+export class AcousticModel {
+  /**
+   * @param {Object} config - acoustics.json
+   * @param {TileSystem} tileSystem - Grid with module occupancy (tile.moduleId)
+   */
+  constructor(config, tileSystem) {
+    this.config = config;
+    this.tileSystem = tileSystem;
+    this.levels = null;   // [hour] → Float32Array of dBA, index (floor * height + y) * width + x
+    this.modules = [];
+  }
+
+  /**
+   * Compute the per-tile, per-hour sound level map
+   * @param {Array} modules - [{ id, tileId, name }] (tileId = moduleId marked on the tiles)
+   * @param {Array} objects - [{ type, tileX, tileY, tileId }] (absolute tiles)
+   * @returns {Array<Float32Array>} - 24 hourly level maps
+   */
+  compute(modules, objects = []) {
+    const { width, height } = this.tileSystem;
+    const floors = this.tileSystem.levels || 1;
+    const { background_dba } = this.config.propagation;
+
+    this.modules = modules.map(module => ({ ...module, tiles: this.getModuleTiles(module.tileId) }));
+
+    // Energy (10^(L/10)) per hour per tile, starting from the background level
+    const energy = Array.from({ length: HOURS }, () =>
+      new Float64Array(width * height * floors).fill(Math.pow(10, background_dba / 10))
+    );
+
+    for (const source of this.getSources(objects)) {
+      const attenuation = this.getAttenuationMap(source.tileX, source.tileY, source.level);
+
+      for (let hour = 0; hour < HOURS; hour++) {
+        const duty = this.getDuty(source.schedule, hour);
+        if (duty <= 0) continue;
+
+        const hourlyLevel = source.level_dba + 10 * Math.log10(duty);
+        const map = energy[hour];
+        for (let i = 0; i < map.length; i++) {
+          map[i] += Math.pow(10, (hourlyLevel - attenuation[i]) / 10);
+        }
+      }
+    }
+
+    this.levels = energy.map(map => Float32Array.from(map, e => 10 * Math.log10(e)));
+    return this.levels;
+  }
+
+  /**
+   * Tiles occupied by a module (on any floor)
+   */
+  getModuleTiles(tileId) {
+    const tiles = [];
+    for (const floor of this.tileSystem.floors) {
+      for (const row of floor) {
+        for (const tile of row) {
+          if (tile.moduleId === tileId) tiles.push({ x: tile.x, y: tile.y, level: tile.level });
+        }
+      }
+    }
+    return tiles;
+  }
+
+  /**
+   * Point sources for the layout: on matching objects, else at the module centre tile
+   */
+  getSources(objects) {
+    const sources = [];
+
+    for (const module of this.modules) {
+      const definitions = this.config.module_sources[module.name] || [];
+      if (definitions.length === 0 || module.tiles.length === 0) continue;
+
+      const centre = {
+        x: Math.round(module.tiles.reduce((sum, t) => sum + t.x, 0) / module.tiles.length),
+        y: Math.round(module.tiles.reduce((sum, t) => sum + t.y, 0) / module.tiles.length),
+        level: module.tiles[0].level
+      };
+
+      for (const definition of definitions) {
+        const placed = definition.object_type ?
+          objects.filter(o => o.tileId === module.tileId && o.type === definition.object_type) : [];
+        const positions = placed.length > 0 ?
+          placed.map(o => ({ x: o.tileX, y: o.tileY, level: centre.level })) : [centre];
+
+        for (const position of positions) {
+          sources.push({
+            ...definition,
+            moduleId: module.tileId,
+            tileX: position.x,
+            tileY: position.y,
+            level: position.level
+          });
+        }
+      }
+    }
+
+    return sources;
+  }
+
+  /**
+   * Spreading + wall and floor loss from a source tile to every tile (dB)
+   * On other floors, walls are counted on the receiving floor from the point
+   * above / below the source
+   */
+  getAttenuationMap(sourceX, sourceY, sourceLevel = 0) {
+    const { width, height, tileSize } = this.tileSystem;
+    const floors = this.tileSystem.levels || 1;
+    const { reference_distance_m, min_distance_m } = this.config.propagation;
+    const floorLoss = this.config.propagation.floor_transmission_loss_db ?? 0;
+    const attenuation = new Float32Array(width * height * floors);
+
+    for (let level = 0; level < floors; level++) {
+      const decks = Math.abs(level - sourceLevel);
+      const vertical = decks * (this.tileSystem.floorHeight || 0);
+
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const planar = Math.hypot(x - sourceX, y - sourceY) * tileSize;
+          const distance = Math.max(min_distance_m, Math.hypot(planar, vertical));
+          const spreading = 20 * Math.log10(distance / reference_distance_m);
+          const walls = this.getWallLoss(sourceX, sourceY, x, y, level);
+          attenuation[(level * height + y) * width + x] = spreading + walls + decks * floorLoss;
+        }
+      }
+    }
+
+    return attenuation;
+  }
+
+  /**
+   * Transmission loss of the module walls crossed on the straight line between
+   * two tiles (Bresenham), in dB
+   * A wall is any change of tile.moduleId along the line; where the boundary
+   * tile of a module is a door, the door loss for its type and state replaces
+   * the wall loss
+   */
+  getWallLoss(x0, y0, x1, y1, level = 0) {
+    const dx = Math.abs(x1 - x0);
+    const dy = -Math.abs(y1 - y0);
+    const sx = x0 < x1 ? 1 : -1;
+    const sy = y0 < y1 ? 1 : -1;
+    let error = dx + dy;
+    let x = x0;
+    let y = y0;
+    let previous = this.tileSystem.getTile(x, y, level);
+    let current = previous?.moduleId ?? null;
+    let loss = 0;
+
+    while (x !== x1 || y !== y1) {
+      const e2 = 2 * error;
+      if (e2 >= dy) { error += dy; x += sx; }
+      if (e2 <= dx) { error += dx; y += sy; }
+
+      const tile = this.tileSystem.getTile(x, y, level);
+      const moduleId = tile?.moduleId ?? null;
+      if (moduleId !== current) {
+        // Leaving one module and entering another directly crosses two walls
+        if (current !== null) loss += this.getBoundaryLoss(previous);
+        if (moduleId !== null) loss += this.getBoundaryLoss(tile);
+        current = moduleId;
+      }
+      previous = tile;
+    }
+
+    return loss;
+  }
+
+  /**
+   * Loss through the wall at a module's boundary tile (dB)
+   * @param {Object} tile - Last / first tile inside the module
+   */
+  getBoundaryLoss(tile) {
+    const { wall_transmission_loss_db, door_transmission_loss_db } = this.config.propagation;
+    if (!tile?.doorTile || !door_transmission_loss_db) return wall_transmission_loss_db;
+
+    const byState = door_transmission_loss_db[tile.doorType] ?? door_transmission_loss_db.door;
+    const state = tile.doorState === 'open' ? 'open' : 'closed';
+    return byState?.[state] ?? wall_transmission_loss_db;
+  }
+
+  /**
+   * Fraction of an hour a source runs
+   */
+  getDuty(schedule, hour) {
+    const segment = schedule.find(s => hour >= s.from && hour < s.to);
+    return segment ? segment.duty : 0;
+  }
+
+  /**
+   * Sound level on a tile during an hour
+   * @param {Number} floor - Floor index (0 = ground floor)
+   * @returns {Number} - dBA (null before compute() or off-grid)
+   */
+  getLevel(hour, x, y, floor = 0) {
+    if (!this.levels || !this.tileSystem.isValidTile(x, y, floor)) return null;
+    const { width, height } = this.tileSystem;
+    return this.levels[hour][(floor * height + y) * width + x];
+  }
+
+  /**
+   * Energy-average level over a module's tiles for one hour
+   */
+  getModuleLevel(module, hour) {
+    if (module.tiles.length === 0) return null;
+
+    const energy = module.tiles.reduce((sum, t) => sum + Math.pow(10, this.getLevel(hour, t.x, t.y, t.level) / 10), 0);
+    return 10 * Math.log10(energy / module.tiles.length);
+  }
+
+  /**
+   * Hours of a limit period (0-23; periods may run past midnight)
+   */
+  getPeriodHours(period) {
+    return Array.from({ length: period.to - period.from }, (_, i) => (period.from + i) % HOURS);
+  }
+
+  /**
+   * Check modules against the NASA period limits
+   * @returns {Object} - { quarters: { [id]: { sleepLeq, maxHourly, exceedanceHours, limit, compliant } },
+   *                       violations: [{ id, name, period, level, limit }] }
+   */
+  evaluate() {
+    const { sleep_period, work_period } = this.config.limits;
+    const quarters = {};
+    const violations = [];
+
+    for (const module of this.modules) {
+      if (module.tiles.length === 0) continue;
+
+      const isQuarters = module.name === 'Crew Quarters';
+      const [periodName, period] = isQuarters ? ['sleep', sleep_period] : ['work', work_period];
+      const hourly = this.getPeriodHours(period).map(hour => this.getModuleLevel(module, hour));
+
+      const leq = 10 * Math.log10(hourly.reduce((sum, l) => sum + Math.pow(10, l / 10), 0) / hourly.length);
+      const maxHourly = Math.max(...hourly);
+      const exceedanceHours = hourly.filter(l => l > period.limit_dba).length;
+
+      if (isQuarters) {
+        quarters[module.id] = {
+          name: module.name,
+          sleepLeq: leq,
+          maxHourly,
+          exceedanceHours,
+          limit: period.limit_dba,
+          compliant: maxHourly <= period.limit_dba
+        };
+      }
+
+      if (maxHourly > period.limit_dba) {
+        violations.push({ id: module.id, name: module.name, period: periodName, level: maxHourly, limit: period.limit_dba });
+      }
+    }
+
+    return { quarters, violations };
+  }
+}
@@ -0,0 +1,313 @@
+/**
+ * AgentDaySimulator.js
+ *
+ * Fast-forwards the crew agents through mission days in the current layout
+ *
+ * Runs CrewMember / CrewSchedule / CrewAI (CorsixTH-style agents) on the live
+ * tile grid, pathfinder, modules and objects, but with a private clock and a
+ * private crew, and records what happened each day:
+ * - Exercise sessions started vs. scheduled
+ * - Meals taken at a galley station vs. scheduled
+ * - Hours spent in a sleep pod
+ * - Minutes awake within conversation distance of another crew member (per pair)
+ * - Minutes a scheduled activity's equipment was all occupied
+ * - Occupancy samples: each member's module (of the object in use) and activity,
+ *   for the cabin atmosphere model (AtmosphereModel)
+ *
+ * The result is plain data for ObservedBehaviorModel / MissionSimulator
+ * (options.observedBehavior), so it can be passed to the simulation worker.
+ *
+ * Agents log every action; console.log / console.warn are muted while a day
+ * is being simulated. Object and module usage state is restored afterwards.
+ *
+ * Sources:
+ * - NASA-STD-3001 Vol. 1: 8-hour sleep period, daily exercise countermeasures
+ * - HERA Facility Documentation (2019): daily crew timeline
+ */
+
+import CrewMember from '../entities/CrewMember.js';
+import SimulationTime from './SimulationTime.js';
+
+// Scheduled activities that need a specific object type (mirrors CrewSchedule.findTargetForActivity)
+const ACTIVITY_OBJECTS = {
+  sleep: 'sleep_pod',
+  breakfast: 'galley_station',
+  lunch: 'galley_station',
+  dinner: 'galley_station',
+  exercise: 'exercise_equipment',
+  work: 'workstation'
+};
+
+const MEAL_ACTIVITIES = ['breakfast', 'lunch', 'dinner'];
+
+export class AgentDaySimulator {
+  /**
+   * @param {Object} world - App world (tileSystem, pathfinder, modules, objects, action classes)
+   * @param {Number} crewSize - Number of crew agents
+   * @param {Object} params - observed_behavior.agent_simulation (psych-model-params.json)
+   */
+  constructor(world, crewSize, params) {
+    this.world = world;
+    this.crewSize = crewSize;
+    this.timeScale = params.time_scale;
+    this.stepSeconds = params.step_seconds;
+    this.maxDays = params.max_simulated_days;
+    this.socialDistance = params.social_distance_tiles;
+    this.occupancyInterval = params.occupancy_interval_minutes;
+  }
+
+  /**
+   * Simulate the mission days
+   * @param {Number} missionDays - Mission duration (capped at max_simulated_days)
+   * @param {Object} callbacks - { onProgress(day, total), isCancelled() }
+   * @returns {Promise<Object>} - { days: [{ day, crew, pairHours, occupancy }] } (days observed so far if cancelled)
+   */
+  async run(missionDays, { onProgress = null, isCancelled = null } = {}) {
+    const totalDays = Math.min(missionDays, this.maxDays);
+    const sandbox = this.createSandbox();
+    const saved = this.saveUsageState(sandbox.objects);
+    const crew = this.spawnCrew(sandbox);
+    const days = [];
+
+    try {
+      if (crew.length === 0) {
+        return { days };
+      }
+
+      for (let day = 1; day <= totalDays; day++) {
+        if (isCancelled?.()) break;
+
+        days.push(this.simulateDay(day, sandbox, crew));
+        onProgress?.(day, totalDays);
+
+        // Yield so the page stays responsive between days
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+    } finally {
+      crew.forEach(member => member.dispose());
+      this.restoreUsageState(saved);
+    }
+
+    return { days };
+  }
+
+  /**
+   * World for the agents: shared layout, private clock
+   */
+  createSandbox() {
+    const { world } = this;
+    const simulationTime = new SimulationTime();
+    simulationTime.setTimeScale(this.timeScale);
+    // Start the clock at wake-up (06:00 on day 1)
+    simulationTime.totalSeconds = simulationTime.dayStartHour * 3600;
+
+    const objects = world.objects.filter(obj => obj.objectId);
+
+    return {
+      tileSystem: world.tileSystem,
+      pathfinder: world.pathfinder,
+      modules: world.modules,
+      objects,
+      simulationTime,
+      WalkAction: world.WalkAction,
+      IdleAction: world.IdleAction,
+      UseObjectAction: world.UseObjectAction,
+      EnterModuleAction: world.EnterModuleAction,
+      getObjectById: (objectId) => objects.find(obj => obj.objectId === objectId) || null,
+      getModuleById: (moduleId) => world.modules.find(m => m.moduleId === moduleId) || null
+    };
+  }
+
+  /**
+   * Crew agents on passable tiles (spread over the list, not random, so reruns match)
+   */
+  spawnCrew(sandbox) {
+    const tiles = sandbox.tileSystem.getPassableTiles();
+    if (tiles.length === 0) return [];
+
+    const crew = [];
+    for (let i = 0; i < this.crewSize; i++) {
+      const tile = tiles[Math.floor((i + 0.5) * tiles.length / this.crewSize)];
+      crew.push(this.muted(() => new CrewMember(sandbox, `Crew ${i + 1}`, tile.x, tile.y, tile.level)));
+    }
+    return crew;
+  }
+
+  /**
+   * Run 24 h (06:00 to 06:00) and tally each crew member's day
+   */
+  simulateDay(day, sandbox, crew) {
+    const { simulationTime, objects } = sandbox;
+    const minutesPerStep = this.stepSeconds * this.timeScale / 60;
+    const steps = Math.round(24 * 3600 / (this.stepSeconds * this.timeScale));
+
+    const tallies = crew.map(() => ({
+      exerciseSessions: 0,
+      mealsTaken: 0,
+      sleepMinutes: 0,
+      socialMinutes: 0,
+      waitMinutes: 0
+    }));
+    const pairMinutes = {};
+    const lastActions = crew.map(member => member.currentAction);
+    const stepsPerSample = Math.max(1, Math.round(this.occupancyInterval / minutesPerStep));
+    const occupancy = [];
+    const startHour = simulationTime.hour;
+
+    this.muted(() => {
+      for (let step = 0; step < steps; step++) {
+        simulationTime.update(this.stepSeconds);
+
+        crew.forEach((member, i) => {
+          member.update(this.stepSeconds);
+
+          const action = member.currentAction;
+          const using = action instanceof sandbox.UseObjectAction &&
+            action.object?.currentUser === member ? action.object : null;
+
+          // New object use this step
+          if (using && action !== lastActions[i]) {
+            if (using.type === 'exercise_equipment') tallies[i].exerciseSessions++;
+            if (using.type === 'galley_station') tallies[i].mealsTaken++;
+          }
+          lastActions[i] = action;
+
+          if (using?.type === 'sleep_pod') {
+            tallies[i].sleepMinutes += minutesPerStep;
+          }
+
+          // Waiting: the scheduled activity's equipment exists but every one is occupied
+          const objectType = ACTIVITY_OBJECTS[member.schedule.getCurrentActivity()?.activity];
+          if (objectType && using?.type !== objectType) {
+            const candidates = objects.filter(obj => obj.type === objectType);
+            if (candidates.length > 0 && candidates.every(obj => obj.inUse)) {
+              tallies[i].waitMinutes += minutesPerStep;
+            }
+          }
+        });
+
+        // Occupancy sample: module the crew member is in (null = open cabin) and activity
+        if (step % stepsPerSample === 0) {
+          occupancy.push(crew.map(member => [this.moduleAt(member, sandbox), member.animationState]));
+        }
+
+        // Shared time: awake crew within conversation distance
+        const inCompany = crew.map(() => false);
+        for (let a = 0; a < crew.length; a++) {
+          for (let b = a + 1; b < crew.length; b++) {
+            if (this.areTogether(crew[a], crew[b])) {
+              const key = `${a}|${b}`;
+              pairMinutes[key] = (pairMinutes[key] || 0) + minutesPerStep;
+              inCompany[a] = true;
+              inCompany[b] = true;
+            }
+          }
+        }
+        inCompany.forEach((together, i) => {
+          if (together) tallies[i].socialMinutes += minutesPerStep;
+        });
+      }
+    });
+
+    const schedule = crew[0].schedule.schedule;
+    const mealsScheduled = schedule.filter(s => MEAL_ACTIVITIES.includes(s.activity)).length;
+    const exerciseScheduled = schedule.filter(s => s.activity === 'exercise').length;
+
+    return {
+      day,
+      crew: tallies.map(t => ({
+        exerciseAdherence: exerciseScheduled > 0 ? Math.min(1, t.exerciseSessions / exerciseScheduled) : 1,
+        mealsTaken: t.mealsTaken,
+        mealsScheduled,
+        sleepHours: t.sleepMinutes / 60,
+        socialMinutes: t.socialMinutes,
+        waitMinutes: t.waitMinutes
+      })),
+      pairHours: Object.entries(pairMinutes).map(([key, minutes]) => {
+        const [a, b] = key.split('|').map(Number);
+        return [a, b, minutes / 60];
+      }),
+      occupancy: { startHour, intervalMinutes: stepsPerSample * minutesPerStep, slots: occupancy }
+    };
+  }
+
+  /**
+   * Module a crew member is in: the entered module, else the module owning their tile
+   * (walking through a module or standing in its doorway)
+   * @returns {String|null} - Module id (null = open cabin)
+   */
+  moduleAt(member, sandbox) {
+    if (member.currentModule) return member.currentModule.moduleId;
+
+    const tile = this.world.assembly ?
+      this.world.assembly.getTile(member.tileX, member.tileY, member.tileLevel, member.tileElement) :
+      sandbox.tileSystem.getTile(member.tileX, member.tileY, member.tileLevel);
+    return tile?.roomId ?? null;
+  }
+
+  /**
+   * Both awake and within social_distance_tiles of each other
+   */
+  areTogether(a, b) {
+    if (a.animationState === 'sleeping' || b.animationState === 'sleeping') return false;
+    const distance = Math.max(Math.abs(a.tileX - b.tileX), Math.abs(a.tileY - b.tileY));
+    return distance <= this.socialDistance;
+  }
+
+  /**
+   * Free all objects for the sandbox crew, remembering the live state
+   */
+  saveUsageState(objects) {
+    const saved = {
+      objects: objects.map(obj => ({
+        obj,
+        inUse: obj.inUse,
+        currentUser: obj.currentUser,
+        historyLength: obj.usageHistory.length
+      })),
+      modules: this.world.modules.map(module => ({
+        module,
+        crew: module.crew ? [...module.crew] : null,
+        doorUsage: module.doors ? module.doors.map(door => door.usageCount) : null
+      }))
+    };
+
+    objects.forEach(obj => {
+      obj.inUse = false;
+      obj.currentUser = null;
+    });
+
+    return saved;
+  }
+
+  /**
+   * Put object and module usage back the way the live crew left it
+   */
+  restoreUsageState(saved) {
+    saved.objects.forEach(({ obj, inUse, currentUser, historyLength }) => {
+      obj.inUse = inUse;
+      obj.currentUser = currentUser;
+      obj.usageHistory.length = historyLength;
+    });
+
+    saved.modules.forEach(({ module, crew, doorUsage }) => {
+      if (crew) module.crew = crew;
+      if (doorUsage) module.doors.forEach((door, i) => { door.usageCount = doorUsage[i] ?? door.usageCount; });
+    });
+  }
+
+  /**
+   * Run fn with agent logging muted
+   */
+  muted(fn) {
+    const { log, warn } = console;
+    console.log = () => {};
+    console.warn = () => {};
+    try {
+      return fn();
+    } finally {
+      console.log = log;
+      console.warn = warn;
+    }
+  }
+}
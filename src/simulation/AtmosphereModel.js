@@ -0,0 +1,351 @@
+/**
+ * AtmosphereModel.js
+ *
+ * Lumped per-module cabin atmosphere (ECLSS) driven by crew agent occupancy
+ *
+ * Each module is one well-mixed air volume exchanging air with the open cabin
+ * (the free floor between modules) at the inter-module ventilation rate. The
+ * cabin holds the ECLSS: a CO2 scrubber and a temperature / humidity control
+ * loop returning air at the supply conditions. Every minute of each observed
+ * day the model adds:
+ * - CO2, water vapor and sensible heat from each crew member, by activity
+ *   (agent animation state: sleeping is low, exercising is high)
+ * - Equipment heat per module type
+ * and advances CO2 (mmHg), temperature (°C) and humidity (% RH) in every volume.
+ *
+ * Occupancy comes from AgentDaySimulator (days[].occupancy): where each crew
+ * member was and what they were doing, sampled through the day. The peak
+ * hourly CO2 and temperature a member was exposed to while awake lower
+ * PsychModel.calculatePerformance, so crowded, poorly ventilated modules cost.
+ *
+ * Atmosphere data on the layout (plain data, crosses the worker boundary):
+ * layout.atmosphere = { config, modules: [{ id, tileId, name, volume }], cabinVolume, ventilationRate }
+ *
+ * NASA Sources:
+ * - NASA/TP-2015-218570 (BVAD): crew metabolic loads
+ * - NASA-STD-3001 Vol. 2 Rev. B: CO2, temperature and humidity limits
+ * - Law et al. (2014): ISS CO2 exposure and crew symptoms
+ */
+
+// ppCO2 (mmHg) per g/m³ of CO2 at 22 °C
+const CO2_MMHG_PER_G_M3 = 0.418;
+
+// Volumetric heat capacity of cabin air (J/m³·K)
+const AIR_HEAT_CAPACITY = 1206;
+
+const HOURS = 24;
+
+export class AtmosphereModel {
+  /**
+   * @param {Object} atmosphere - layout.atmosphere
+   * @param {Object} observations - AgentDaySimulator.run() result ({ days } with occupancy)
+   */
+  constructor(atmosphere, observations) {
+    this.config = atmosphere.config;
+    this.modules = atmosphere.modules;
+    this.cabinVolume = atmosphere.cabinVolume;
+    this.ventilationRate = atmosphere.ventilationRate ?? this.config.ventilation.inter_module_m3_per_h;
+
+    // Node per module, plus the open cabin as the last node
+    this.nodeIndex = new Map(this.modules.map((module, i) => [module.tileId, i]));
+    this.cabin = this.modules.length;
+    this.volumes = [...this.modules.map(m => m.volume), this.cabinVolume];
+    this.equipmentHeat = [
+      ...this.modules.map(m => this.config.equipment_heat_w[m.name] ?? this.config.equipment_heat_w.default),
+      0
+    ];
+
+    const observed = (observations?.days || []).filter(d => d.occupancy);
+    this.days = observed.length > 0 ? this.simulateDays(observed) : [];
+  }
+
+  /**
+   * Atmosphere data for a layout (layout.atmosphere)
+   * @param {Object} config - atmosphere.json
+   * @param {Array} modules - [{ id, tileId, name, dimensions: { w, d, h } }] (ids as in layout.modules)
+   * @param {Object} shell - Habitat shell { width, depth } (m)
+   * @param {Number} ventilationRate - Inter-module ventilation (m³/h, null = config default)
+   * @returns {Object} - { config, modules, cabinVolume, ventilationRate }
+   */
+  static layoutAtmosphere(config, modules, shell, ventilationRate = null) {
+    const { cabin_height_m, min_cabin_fraction } = config.ventilation;
+    const shellVolume = shell.width * shell.depth * cabin_height_m;
+    const entries = modules.map(m => ({
+      id: m.id,
+      tileId: m.tileId,
+      name: m.name,
+      volume: m.dimensions.w * m.dimensions.d * m.dimensions.h
+    }));
+    const moduleVolume = entries.reduce((sum, m) => sum + m.volume, 0);
+
+    return {
+      config,
+      modules: entries,
+      cabinVolume: Math.max(shellVolume * min_cabin_fraction, shellVolume - moduleVolume),
+      ventilationRate: ventilationRate ?? config.ventilation.inter_module_m3_per_h
+    };
+  }
+
+  /**
+   * Relative humidity from vapor density and temperature (Magnus formula)
+   * @returns {Number} - % RH
+   */
+  static relativeHumidity(vaporDensity, temperature) {
+    const saturationPressure = 6.112 * Math.exp(17.62 * temperature / (243.12 + temperature)); // hPa
+    const saturationDensity = 216.7 * saturationPressure / (temperature + 273.15);               // g/m³
+    return 100 * vaporDensity / saturationDensity;
+  }
+
+  /**
+   * Run the observed days in order, carrying the air state from day to day
+   * @returns {Array} - Per observed day results (see simulateDay)
+   */
+  simulateDays(observed) {
+    const initial = this.config.initial;
+    const nodes = this.volumes.length;
+    const state = {
+      co2: new Array(nodes).fill(initial.co2_mmhg / CO2_MMHG_PER_G_M3),
+      temperature: new Array(nodes).fill(initial.temperature_c),
+      humidity: new Array(nodes).fill(initial.humidity_g_per_m3)
+    };
+
+    for (let i = 0; i < this.config.integration.spin_up_days; i++) {
+      this.simulateDay(observed[0], state);
+    }
+
+    return observed.map(day => this.simulateDay(day, state));
+  }
+
+  /**
+   * One 24 h day from the day's occupancy (starts at occupancy.startHour, results by clock hour)
+   * @param {Object} day - Observed day ({ day, occupancy: { startHour, intervalMinutes, slots } })
+   * @param {Object} state - Air state per node (updated in place)
+   * @returns {Object} - { day, hourly: [node][hour] { co2, temperature, humidity },
+   *                       crew: [{ co2Exposure, temperatureExposure, hoursOverCo2 }] }
+   */
+  simulateDay(day, state) {
+    const { startHour = 0, intervalMinutes, slots } = day.occupancy;
+    const stepMinutes = this.config.integration.step_minutes;
+    const steps = Math.round(HOURS * 60 / stepMinutes);
+    const nodes = this.volumes.length;
+    const crewCount = slots[0]?.length || 0;
+
+    const sums = Array.from({ length: nodes }, () =>
+      Array.from({ length: HOURS }, () => ({ co2: 0, temperature: 0, humidity: 0, minutes: 0 })));
+    const exposure = Array.from({ length: crewCount }, () =>
+      Array.from({ length: HOURS }, () => ({ co2: 0, temperature: 0, minutes: 0 })));
+
+    for (let step = 0; step < steps; step++) {
+      const minute = step * stepMinutes;
+      const hour = (startHour + Math.floor(minute / 60)) % HOURS;
+      const slot = slots[Math.min(slots.length - 1, Math.floor(minute / intervalMinutes))];
+      const locations = slot.map(([moduleId]) => this.nodeIndex.get(moduleId) ?? this.cabin);
+
+      this.step(state, this.getLoads(slot, locations), stepMinutes / 60);
+
+      for (let node = 0; node < nodes; node++) {
+        const sum = sums[node][hour];
+        sum.co2 += state.co2[node];
+        sum.temperature += state.temperature[node];
+        sum.humidity += AtmosphereModel.relativeHumidity(state.humidity[node], state.temperature[node]);
+        sum.minutes++;
+      }
+
+      // Exposure while awake, at the member's location
+      slot.forEach(([, activity], i) => {
+        if (activity === 'sleeping') return;
+        const member = exposure[i][hour];
+        member.co2 += state.co2[locations[i]];
+        member.temperature += state.temperature[locations[i]];
+        member.minutes++;
+      });
+    }
+
+    const co2Limit = this.config.limits.co2_mmhg;
+    return {
+      day: day.day,
+      hourly: sums.map(hours => hours.map(s => ({
+        co2: s.co2 / s.minutes * CO2_MMHG_PER_G_M3,
+        temperature: s.temperature / s.minutes,
+        humidity: s.humidity / s.minutes
+      }))),
+      crew: exposure.map(hours => {
+        const awake = hours.filter(h => h.minutes > 0).map(h => ({
+          co2: h.co2 / h.minutes * CO2_MMHG_PER_G_M3,
+          temperature: h.temperature / h.minutes
+        }));
+        return {
+          co2Exposure: awake.length > 0 ? Math.max(...awake.map(h => h.co2)) : 0,
+          temperatureExposure: awake.length > 0 ? Math.max(...awake.map(h => h.temperature)) : 0,
+          hoursOverCo2: awake.filter(h => h.co2 > co2Limit).length
+        };
+      })
+    };
+  }
+
+  /**
+   * CO2 (g/h), water vapor (g/h) and heat (W) per node for one occupancy sample
+   * @param {Array} slot - [[moduleId, animationState], ...] per crew member
+   * @param {Array} locations - Node index per crew member
+   */
+  getLoads(slot, locations) {
+    const { by_state, default_state } = this.config.metabolic_loads;
+    const loads = {
+      co2: new Array(this.volumes.length).fill(0),
+      water: new Array(this.volumes.length).fill(0),
+      heat: [...this.equipmentHeat]
+    };
+
+    slot.forEach(([, activity], i) => {
+      const load = by_state[activity] || by_state[default_state];
+      loads.co2[locations[i]] += load.co2_g_per_h;
+      loads.water[locations[i]] += load.water_g_per_h;
+      loads.heat[locations[i]] += load.heat_w;
+    });
+
+    return loads;
+  }
+
+  /**
+   * Advance every node by dt hours
+   * Each node relaxes exactly towards the steady state for its current inflow
+   * and source, with the neighbours held at their previous values
+   */
+  step(state, loads, dt) {
+    const { eclss } = this.config;
+    const previous = {
+      co2: [...state.co2],
+      temperature: [...state.temperature],
+      humidity: [...state.humidity]
+    };
+    const moduleCount = this.modules.length;
+    const q = this.ventilationRate;
+    const heatSource = loads.heat.map(w => w * 3600 / AIR_HEAT_CAPACITY); // K·m³/h
+
+    const relax = (value, flow, inflow, source, volume) => {
+      if (flow <= 0) return value + source * dt / volume;
+      const target = (inflow + source) / flow;
+      return target + (value - target) * Math.exp(-flow * dt / volume);
+    };
+
+    // Modules: exchange with the cabin
+    for (let i = 0; i < moduleCount; i++) {
+      const volume = this.volumes[i];
+      state.co2[i] = relax(previous.co2[i], q, q * previous.co2[this.cabin], loads.co2[i], volume);
+      state.temperature[i] = relax(previous.temperature[i], q, q * previous.temperature[this.cabin], heatSource[i], volume);
+      state.humidity[i] = relax(previous.humidity[i], q, q * previous.humidity[this.cabin], loads.water[i], volume);
+    }
+
+    // Cabin: return air from every module, scrubber and temperature / humidity control
+    const sum = (values) => values.slice(0, moduleCount).reduce((total, v) => total + q * v, 0);
+    const returnFlow = q * moduleCount;
+    const scrubberFlow = eclss.co2_scrubber_flow_m3_per_h * eclss.co2_removal_efficiency;
+    const thermalFlow = eclss.thermal_flow_m3_per_h;
+
+    state.co2[this.cabin] = relax(previous.co2[this.cabin], returnFlow + scrubberFlow,
+      sum(previous.co2), loads.co2[this.cabin], this.cabinVolume);
+    state.temperature[this.cabin] = relax(previous.temperature[this.cabin], returnFlow + thermalFlow,
+      sum(previous.temperature) + thermalFlow * eclss.supply_temperature_c, heatSource[this.cabin], this.cabinVolume);
+    state.humidity[this.cabin] = relax(previous.humidity[this.cabin], returnFlow + thermalFlow,
+      sum(previous.humidity) + thermalFlow * eclss.supply_humidity_g_per_m3, loads.water[this.cabin], this.cabinVolume);
+  }
+
+  /**
+   * Result for a mission day (observed days repeat past the last one)
+   */
+  getDay(day) {
+    if (this.days.length === 0) return null;
+    return this.days[(day - 1) % this.days.length];
+  }
+
+  /**
+   * Peak hourly CO2 and temperature a crew member was exposed to while awake
+   * @param {Number} day - Mission day (1-based)
+   * @param {Number} memberIndex - Crew member index
+   * @returns {Object|null} - { co2Exposure (mmHg), temperatureExposure (°C), hoursOverCo2 }
+   */
+  getMemberExposure(day, memberIndex) {
+    return this.getDay(day)?.crew[memberIndex] || null;
+  }
+
+  /**
+   * Names of the air volumes, in node order
+   */
+  getNodeNames() {
+    return [...this.modules.map(m => m.name), 'Open cabin'];
+  }
+
+  /**
+   * Worst module of a day (daily metrics / charts)
+   * @param {Number} day - Mission day (1-based)
+   * @returns {Object|null} - { observedDay, peakCo2, peakCo2Module, peakTemperature, peakTemperatureModule }
+   */
+  getDaySummary(day) {
+    const result = this.getDay(day);
+    if (!result) return null;
+
+    const names = this.getNodeNames();
+    const peaks = result.hourly.map(hours => ({
+      co2: Math.max(...hours.map(h => h.co2)),
+      temperature: Math.max(...hours.map(h => h.temperature))
+    }));
+    const worst = (key) => peaks.reduce((best, p, i) => p[key] > peaks[best][key] ? i : best, 0);
+
+    return {
+      observedDay: result.day,
+      peakCo2: peaks[worst('co2')].co2,
+      peakCo2Module: names[worst('co2')],
+      peakTemperature: peaks[worst('temperature')].temperature,
+      peakTemperatureModule: names[worst('temperature')]
+    };
+  }
+
+  /**
+   * Mean daily profile and limit exceedances per air volume, over all observed days
+   * @returns {Object} - { limits, ventilationRate, observedDays, modules: [{ id, name, hourly, peakCo2,
+   *                       peakTemperature, minHumidity, maxHumidity, hoursOverCo2, hoursOverTemperature }],
+   *                       crew: [{ co2Exposure, temperatureExposure, hoursOverCo2 }] }
+   */
+  generateReport() {
+    const { limits } = this.config;
+    const dayCount = this.days.length;
+    const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+    const names = this.getNodeNames();
+
+    const modules = names.map((name, node) => {
+      const hourly = Array.from({ length: HOURS }, (_, hour) => ({
+        co2: mean(this.days.map(d => d.hourly[node][hour].co2)),
+        temperature: mean(this.days.map(d => d.hourly[node][hour].temperature)),
+        humidity: mean(this.days.map(d => d.hourly[node][hour].humidity))
+      }));
+      const all = this.days.flatMap(d => d.hourly[node]);
+
+      return {
+        id: node < this.cabin ? this.modules[node].id : null,
+        name,
+        hourly,
+        peakCo2: Math.max(...all.map(h => h.co2)),
+        peakTemperature: Math.max(...all.map(h => h.temperature)),
+        minHumidity: Math.min(...all.map(h => h.humidity)),
+        maxHumidity: Math.max(...all.map(h => h.humidity)),
+        hoursOverCo2: all.filter(h => h.co2 > limits.co2_mmhg).length / dayCount,
+        hoursOverTemperature: all.filter(h => h.temperature > limits.temperature_c.max).length / dayCount
+      };
+    });
+
+    const crewCount = this.days[0]?.crew.length || 0;
+    const crew = Array.from({ length: crewCount }, (_, i) => ({
+      co2Exposure: mean(this.days.map(d => d.crew[i].co2Exposure)),
+      temperatureExposure: mean(this.days.map(d => d.crew[i].temperatureExposure)),
+      hoursOverCo2: mean(this.days.map(d => d.crew[i].hoursOverCo2))
+    }));
+
+    return {
+      limits,
+      ventilationRate: this.ventilationRate,
+      observedDays: dayCount,
+      modules,
+      crew
+    };
+  }
+}
@@ -0,0 +1,210 @@
+/**
+ * CircadianLightingModel.js
+ *
+ * Light exposure from per-module lighting schedules
+ *
+ * Each module has an hourly lighting schedule (intensity in lux, colour
+ * temperature in K). Following the crew timeline (where each member is every
+ * hour), the model works out the light a crew member actually gets and scores
+ * it against the circadian windows in sleep_quality_factors.circadian_lighting:
+ * - Morning: blue-enriched, bright light in the hours after waking
+ * - Pre-sleep: dim, amber light in the hours before sleep
+ * - Sleep: darkness in the sleeping quarters
+ * The weighted fraction of compliant hours is the member's lighting
+ * compliance (L), used by PsychModel and SleepModel instead of the global slider.
+ *
+ * Lighting data on the layout (plain data, crosses the worker boundary):
+ * layout.lighting = { timeline: [{ from, to, activity, module }], schedules: { moduleId: segments } }
+ * segments = [{ from, to, lux, cct_k }] covering hours 0-24
+ *
+ * NASA Sources:
+ * - NASA-STD-3001 Vol. 2 Rev. B: lighting for circadian entrainment
+ * - Brainard et al. (2016): ISS Solid-State Lighting Assemblies (6500 K / 4500 K / 2700 K modes)
+ */
+
+export class CircadianLightingModel {
+  /**
+   * @param {Object} thresholds - sleep_quality_factors.circadian_lighting (nasa-constraints.json)
+   * @param {Object} lighting - layout.lighting ({ timeline, schedules })
+   */
+  constructor(thresholds, lighting) {
+    this.thresholds = thresholds;
+    this.timeline = lighting.timeline;
+    this.schedules = lighting.schedules || {};
+
+    // Wake / sleep hours come from the timeline's sleep period
+    const sleep = this.timeline.find(a => a.activity === 'sleep');
+    this.sleepHour = sleep ? sleep.from % 24 : 22;
+    this.wakeHour = sleep ? sleep.to % 24 : 6;
+  }
+
+  /**
+   * Schedule for a module: its own, else the preset for its type, else the default preset
+   * @param {Object} config - circadian-lighting.json
+   * @param {String} moduleName - Module type
+   * @param {Array|null} override - Module's own segments (HabitatModule.lightingSchedule)
+   * @returns {Array} - segments
+   */
+  static resolveSchedule(config, moduleName, override = null) {
+    if (override) return override;
+
+    const defaults = config.module_defaults;
+    const presetId = defaults[moduleName] || defaults.default;
+    return config.presets[presetId].segments;
+  }
+
+  /**
+   * Lighting data for a layout (layout.lighting)
+   * @param {Object} config - circadian-lighting.json
+   * @param {Array} modules - [{ id, name, lightingSchedule }] (ids as in layout.modules)
+   * @returns {Object} - { timeline, schedules }
+   */
+  static layoutLighting(config, modules) {
+    const schedules = {};
+    for (const module of modules) {
+      schedules[module.id] = CircadianLightingModel.resolveSchedule(config, module.name, module.lightingSchedule);
+    }
+    return { timeline: config.crew_timeline.activities, schedules };
+  }
+
+  /**
+   * Light during an hour of the day
+   * @param {Array} segments - Lighting schedule
+   * @param {Number} hour - Hour (0-23)
+   * @returns {Object} - { lux, cct_k } (dark if no segment covers the hour)
+   */
+  static lightAt(segments, hour) {
+    const segment = segments.find(s => hour >= s.from && hour < s.to);
+    return segment ? { lux: segment.lux, cct_k: segment.cct_k } : { lux: 0, cct_k: 0 };
+  }
+
+  /**
+   * Hours of each circadian window
+   * @returns {Object} - { morning, presleep, sleep } arrays of hours (0-23)
+   */
+  getWindows() {
+    const hours = (start, count) => Array.from({ length: count }, (_, i) => (start + i + 24) % 24);
+    const sleepLength = (this.wakeHour - this.sleepHour + 24) % 24;
+
+    return {
+      morning: hours(this.wakeHour, this.thresholds.morning_window_hours),
+      presleep: hours(this.sleepHour - this.thresholds.presleep_window_hours, this.thresholds.presleep_window_hours),
+      sleep: hours(this.sleepHour, sleepLength)
+    };
+  }
+
+  /**
+   * Timeline activity during an hour (activities may run past midnight)
+   */
+  getActivity(hour) {
+    return this.timeline.find(a =>
+      (hour >= a.from && hour < a.to) || (hour + 24 >= a.from && hour + 24 < a.to)
+    ) || null;
+  }
+
+  /**
+   * Module a crew member is in during an hour
+   * @returns {Object|null} - Layout module
+   */
+  getLocation(layout, crewId, hour) {
+    const modules = layout.modules || [];
+    const quartersId = layout.crewAssignments?.[crewId]?.moduleId;
+    const quarters = modules.find(m => m.id === quartersId) ||
+      modules.find(m => m.name === 'Crew Quarters') || null;
+
+    const activity = this.getActivity(hour);
+    if (!activity || activity.module === 'quarters') return quarters;
+
+    return modules.find(m => m.name === activity.module) || quarters;
+  }
+
+  /**
+   * Hourly light exposure for a crew member
+   * @param {Object} layout - Layout with lighting schedules
+   * @param {String} crewId - Crew member ID
+   * @returns {Array} - 24 × { hour, activity, module, lux, cct_k } (module null = nowhere to be)
+   */
+  getExposure(layout, crewId) {
+    return Array.from({ length: 24 }, (_, hour) => {
+      const module = this.getLocation(layout, crewId, hour);
+      const segments = module ? this.schedules[module.id] : null;
+      const light = segments ? CircadianLightingModel.lightAt(segments, hour) : null;
+
+      return {
+        hour,
+        activity: this.getActivity(hour)?.activity || null,
+        module: module ? module.name : null,
+        lux: light ? light.lux : null,
+        cct_k: light ? light.cct_k : null
+      };
+    });
+  }
+
+  /**
+   * Score hourly light against the circadian windows
+   * @param {Function} lightAtHour - hour => { lux, cct_k } | null (null hours are skipped)
+   * @returns {Object} - { morning, presleep, sleep, compliance } fractions 0-1
+   */
+  scoreHours(lightAtHour) {
+    const t = this.thresholds;
+    const checks = {
+      morning: light => light.lux >= t.morning_min_lux && light.cct_k >= t.morning_min_cct_k,
+      presleep: light => light.lux <= t.presleep_max_lux && (light.lux === 0 || light.cct_k <= t.presleep_max_cct_k),
+      sleep: light => light.lux <= t.sleep_max_lux
+    };
+
+    const windows = this.getWindows();
+    const score = {};
+    let compliance = 0;
+
+    for (const [window, hours] of Object.entries(windows)) {
+      const lit = hours.map(lightAtHour).filter(Boolean);
+      score[window] = lit.length > 0 ? lit.filter(checks[window]).length / lit.length : 0;
+      compliance += t.window_weights[window] * score[window];
+    }
+
+    score.compliance = compliance;
+    return score;
+  }
+
+  /**
+   * Lighting compliance from the light a crew member actually gets
+   * @param {Object} layout - Layout with lighting schedules
+   * @param {String} crewId - Crew member ID
+   * @returns {Object} - { morning, presleep, sleep, compliance, exposure }
+   */
+  evaluate(layout, crewId) {
+    const exposure = this.getExposure(layout, crewId);
+    const score = this.scoreHours(hour => exposure[hour].lux === null ? null : exposure[hour]);
+    return { ...score, exposure };
+  }
+
+  /**
+   * Score one schedule on its own, as if the crew spent the whole day under it
+   * (per-module feedback in the lighting editor)
+   * @param {Array} segments - Lighting schedule
+   * @returns {Object} - { morning, presleep, sleep, compliance }
+   */
+  evaluateSchedule(segments) {
+    return this.scoreHours(hour => CircadianLightingModel.lightAt(segments, hour));
+  }
+
+  /**
+   * Per-member lighting summary for the mission report
+   * @param {Object} layout - Layout with lighting schedules
+   * @param {Array} crew - Simulator crew ({ id, name })
+   * @returns {Object} - { crew: [{ id, name, compliance, morning, presleep, sleep }], meanCompliance }
+   */
+  generateReport(layout, crew) {
+    const members = crew.map(member => {
+      const { exposure, ...score } = this.evaluate(layout, member.id);
+      return { id: member.id, name: member.name, ...score };
+    });
+
+    return {
+      crew: members,
+      meanCompliance: members.length > 0 ?
+        members.reduce((sum, m) => sum + m.compliance, 0) / members.length : 0
+    };
+  }
+}
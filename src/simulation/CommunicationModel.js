@@ -0,0 +1,200 @@
+/**
+ * CommunicationModel.js
+ *
+ * Earth communication latency and contact-window model
+ *
+ * Each mission scenario carries a communications profile (mission-scenarios.json):
+ * - One-way light delay (constant, or [day, seconds] points for transit missions)
+ * - Scheduled daily contact windows
+ * - Blackout periods (e.g. solar conjunction)
+ * - Family conference interval (defaults to hera_context.isolation_protocol)
+ * MissionSimulator only runs the model for layouts that carry such a profile.
+ *
+ * Daily stress/mood offsets come from latency, missing contact hours and
+ * blackouts; family conferences give a decaying relief whose size depends on
+ * the Communications module's capacity and distance from noisy common areas.
+ *
+ * NASA Sources:
+ * - HERA Facility Documentation (2019): weekly family conference protocol
+ * - NASA-TM-2016-218603: Communication delay and autonomy in isolation
+ * - NASA/TP-2020-220505: Private communication space requirements
+ */
+
+// Defaults for fields a scenario profile leaves out (HERA analog: no delay, waking-hours contact)
+const DEFAULT_PROFILE = {
+  one_way_delay_seconds: 0,
+  contact_windows: [{ start_hour: 7, duration_hours: 16 }],
+  blackout_periods: [],
+  family_conference_interval_days: null
+};
+
+export class CommunicationModel {
+  /**
+   * @param {Object} params - communication_model section of psych-model-params.json
+   * @param {Object} heraContext - hera_context section of psych-model-params.json
+   * @param {Object} profile - Scenario communications profile (missing fields take HERA defaults)
+   */
+  constructor(params, heraContext, profile = null) {
+    this.params = params;
+    this.profile = { ...DEFAULT_PROFILE, ...(profile || {}) };
+
+    this.contactHours = this.profile.contact_windows
+      .reduce((sum, w) => sum + w.duration_hours, 0);
+    this.conferenceInterval = this.profile.family_conference_interval_days ||
+      this.getProtocolInterval(heraContext?.isolation_protocol);
+
+    this.callQuality = null;
+    this.conferencesHeld = [];
+    this.conferencesMissed = [];
+  }
+
+  /**
+   * Family conference interval from the isolation protocol string
+   * @param {String} protocol - e.g. 'restricted_personal_comms_weekly_family_conf'
+   * @returns {Number|null} - Days between conferences
+   */
+  getProtocolInterval(protocol) {
+    if (!protocol) return null;
+    for (const [key, days] of Object.entries(this.params.family_conference.protocol_intervals)) {
+      if (protocol.includes(key)) return days;
+    }
+    return null;
+  }
+
+  /**
+   * One-way light delay on a mission day
+   * @param {Number} day - Mission day (1-based)
+   * @returns {Number} - Seconds
+   */
+  getDelay(day) {
+    const delay = this.profile.one_way_delay_seconds;
+    if (!Array.isArray(delay)) return delay || 0;
+
+    // Linear interpolation between [day, seconds] points
+    if (day <= delay[0][0]) return delay[0][1];
+    for (let i = 1; i < delay.length; i++) {
+      const [d0, s0] = delay[i - 1];
+      const [d1, s1] = delay[i];
+      if (day <= d1) return s0 + (s1 - s0) * (day - d0) / (d1 - d0);
+    }
+    return delay[delay.length - 1][1];
+  }
+
+  /**
+   * Whether a mission day falls inside a blackout period
+   * @param {Number} day - Mission day (1-based)
+   * @returns {Object|null} - The blackout period, or null
+   */
+  getBlackout(day) {
+    return this.profile.blackout_periods
+      .find(p => day >= p.start_day && day <= p.end_day) || null;
+  }
+
+  /**
+   * Private call quality from the Communications module's capacity and location
+   * (privacy from the modules' world positions; a noisy module on the floor above or below still counts)
+   * @param {Object} layout - Layout from getLayoutForValidation() / LayoutModule.toLayoutEntry()
+   * @param {Number} crewSize - Number of crew
+   * @returns {Object} - { quality, capacity, privacy, stations }
+   */
+  calculateCallQuality(layout, crewSize) {
+    const { comms_module: config, family_conference: conference } = this.params;
+    const modules = layout.modules || [];
+    const commsModules = modules.filter(m => m.name === config.module_name);
+    const noisyModules = modules.filter(m => config.noisy_modules.includes(m.name));
+
+    // Capacity: can every crew member fit a call into the day's contact windows?
+    // No Communications module, no private calls (and no conference relief)
+    const stations = commsModules.length;
+    const callsNeeded = crewSize * conference.call_duration_hours;
+    const capacity = stations === 0 ? 0 :
+      callsNeeded > 0 ? Math.min(1, stations * this.contactHours / callsNeeded) : 1;
+
+    // Privacy: distance from the best-placed Communications module to the nearest noisy module
+    let privacy = 0;
+    for (const comms of commsModules) {
+      const distances = noisyModules.map(m => Math.hypot(
+        (m.position?.x || 0) - (comms.position?.x || 0),
+        (m.position?.z || 0) - (comms.position?.z || 0)
+      ));
+      const nearest = distances.length > 0 ? Math.min(...distances) : Infinity;
+      privacy = Math.max(privacy, Math.min(1, nearest / config.private_call_distance_m));
+    }
+
+    const quality = capacity * (1 - config.privacy_weight + config.privacy_weight * privacy);
+    this.callQuality = { quality, capacity, privacy, stations: commsModules.length };
+    return this.callQuality;
+  }
+
+  /**
+   * Stress/mood offsets for one mission day
+   * Call calculateCallQuality() first
+   * @param {Number} day - Mission day (1-based)
+   * @returns {Object} - { stress, mood, delaySeconds, contactHours, blackout, conference }
+   */
+  getDailyEffects(day) {
+    const { latency, contact, blackout, family_conference: conference } = this.params;
+    const delaySeconds = this.getDelay(day);
+    const blackoutPeriod = this.getBlackout(day);
+
+    // Latency: log-scaled, saturating at saturation_delay_seconds
+    const latencyLevel = Math.min(1, Math.log1p(delaySeconds) / Math.log1p(latency.saturation_delay_seconds));
+    let stress = latency.stress_max * latencyLevel;
+    let mood = -latency.mood_max * latencyLevel;
+
+    // Missing contact hours (no contact at all during a blackout)
+    const contactHours = blackoutPeriod ? 0 : this.contactHours;
+    const missingHours = Math.max(0, this.params.reference_contact_hours - contactHours);
+    stress += contact.stress_per_missing_hour * missingHours;
+    mood -= contact.mood_per_missing_hour * missingHours;
+
+    if (blackoutPeriod) {
+      stress += blackout.stress;
+      mood += blackout.mood;
+    }
+
+    // Family conference: held on schedule unless blacked out, relief decays afterwards
+    let isConferenceDay = false;
+    if (this.conferenceInterval) {
+      isConferenceDay = day % this.conferenceInterval === 0;
+      if (isConferenceDay) {
+        (blackoutPeriod ? this.conferencesMissed : this.conferencesHeld).push(day);
+      }
+
+      const lastConference = this.conferencesHeld[this.conferencesHeld.length - 1];
+      if (lastConference !== undefined) {
+        const live = delaySeconds <= latency.live_call_max_delay_seconds;
+        const benefit = (this.callQuality?.quality ?? 1) *
+          (live ? 1 : conference.recorded_message_factor) *
+          Math.pow(0.5, (day - lastConference) / conference.decay_half_life_days);
+        stress += conference.stress * benefit;
+        mood += conference.mood * benefit;
+      }
+    }
+
+    return {
+      stress,
+      mood,
+      delaySeconds,
+      contactHours,
+      blackout: blackoutPeriod ? blackoutPeriod.reason || 'Blackout' : null,
+      conference: isConferenceDay && !blackoutPeriod
+    };
+  }
+
+  /**
+   * Communications summary for mission reports
+   * @returns {Object}
+   */
+  generateReport() {
+    return {
+      oneWayDelaySeconds: this.profile.one_way_delay_seconds,
+      contactHoursPerDay: this.contactHours,
+      blackoutPeriods: this.profile.blackout_periods,
+      conferenceIntervalDays: this.conferenceInterval,
+      conferencesHeld: this.conferencesHeld.length,
+      conferencesMissed: this.conferencesMissed.length,
+      callQuality: this.callQuality
+    };
+  }
+}
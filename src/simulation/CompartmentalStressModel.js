@@ -0,0 +1,88 @@
+/**
+ * CompartmentalStressModel.js
+ *
+ * Alternative psych model: two-compartment stress dynamics
+ *
+ * The base PsychModel damps stress toward a daily target with a single λ.
+ * Here stress is split into two pools:
+ * - Acute: responds within days to the current target (layout + isolation drift)
+ * - Chronic: fills slowly while acute stress stays above it, drains even more slowly
+ *
+ * Chronic load above a threshold spills over into mood and sleep, so sustained
+ * stress costs more than a short spike of the same size. Mood, sleep quality,
+ * cohesion, PHI and performance otherwise follow the base PsychModel.
+ *
+ * Sources:
+ * - NASA Human Research Roadmap: Risk of Adverse Cognitive or Behavioral Conditions
+ * - McEwen (1998), Protective and damaging effects of stress mediators (allostatic load)
+ */
+
+import { PsychModel } from './PsychModel.js';
+
+export class CompartmentalStressModel extends PsychModel {
+  /**
+   * @param {Object} params - Parameters from psych-model-params.json (needs compartmental_stress)
+   * @param {Object} options - { rng, missionDays } see PsychModel
+   */
+  constructor(params, options = {}) {
+    super(params, options);
+
+    const compartments = params.compartmental_stress;
+    this.acuteRate = compartments.acute_rate;
+    this.chronicAccumulation = compartments.chronic_accumulation_rate;
+    this.chronicRecovery = compartments.chronic_recovery_rate;
+    this.chronicWeight = compartments.chronic_weight;
+    this.chronicThreshold = compartments.chronic_threshold;
+    this.moodPerChronic = compartments.mood_per_chronic_point;
+    this.sleepPerChronic = compartments.sleep_per_chronic_point;
+  }
+
+  /**
+   * Simulate psychological metrics for a single day
+   * @param {Object} designVariables - Layout design variables + module modifiers
+   * @param {Number} currentDay - Current mission day
+   * @param {Object} previousMetrics - Previous day's metrics (carries stressAcute / stressChronic)
+   * @returns {Object} - { stress, mood, sleepQuality, cohesion, stressAcute, stressChronic }
+   */
+  simulateDay(designVariables, currentDay, previousMetrics = null) {
+    try {
+      const targets = this.calculateTargets(designVariables, currentDay);
+
+      // Stress compartments (both start at the day-1 target)
+      let acute = targets.stress;
+      let chronic = targets.stress;
+
+      if (previousMetrics?.stressAcute !== undefined) {
+        const prevAcute = previousMetrics.stressAcute;
+        const prevChronic = previousMetrics.stressChronic;
+
+        acute = prevAcute + this.acuteRate * (targets.stress - prevAcute);
+        chronic = prevChronic +
+          this.chronicAccumulation * Math.max(0, prevAcute - prevChronic) -
+          this.chronicRecovery * Math.max(0, prevChronic - prevAcute);
+      }
+
+      acute = this.clip(acute, 0, 100);
+      chronic = this.clip(chronic, 0, 100);
+
+      // Chronic load above threshold lowers the mood and sleep targets
+      const spillover = Math.max(0, chronic - this.chronicThreshold);
+      const metrics = this.applyDamping({
+        ...targets,
+        mood: targets.mood - this.moodPerChronic * spillover,
+        sleepQuality: targets.sleepQuality - this.sleepPerChronic * spillover
+      }, previousMetrics);
+
+      return {
+        ...metrics,
+        stress: this.clip((1 - this.chronicWeight) * acute + this.chronicWeight * chronic, 0, 100),
+        stressAcute: acute,
+        stressChronic: chronic
+      };
+
+    } catch (error) {
+      console.error('Error in CompartmentalStressModel.simulateDay:', error);
+      return { stress: 50, mood: 50, sleepQuality: 50, cohesion: 50 };
+    }
+  }
+}
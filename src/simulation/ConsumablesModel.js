@@ -0,0 +1,181 @@
+/**
+ * ConsumablesModel.js
+ *
+ * Crew consumables and logistics stowage over the mission duration
+ *
+ * Food, water, hygiene supplies, clothing and spares are consumed at per-crew-per-day
+ * rates from consumables.json, scaled by crew size and mission days. The model:
+ * - Sums the required mass, stowed volume and cargo transfer bag (CTB) count
+ * - Compares the volume with the stowage capacity of Stowage modules and placed
+ *   resupply_rack / cargo_transfer_bag objects
+ * - Finds the day the carried supplies run out when the capacity is too small
+ * - Tracks the habitable volume taken by logistics in the cabin on each day
+ *   (racks always, soft bags in proportion to what is left in them)
+ *
+ * All supplies launch with the crew. Cabin bags are emptied first, so the cabin
+ * is cleared before the dedicated stowage volume.
+ *
+ * NASA Sources:
+ * - NASA/TP-2015-218570 (BVAD): consumables per crew-day
+ * - NASA Habitat Logistics Calculator: logistics volume and CTB packing
+ * - NASA/TP-2020-220505: logistics stowage should not encroach on habitable volume
+ */
+
+export class ConsumablesModel {
+  /**
+   * @param {Object} config - consumables.json
+   */
+  constructor(config) {
+    this.config = config;
+  }
+
+  /**
+   * Daily consumption for the whole crew
+   * @param {Number} crewSize
+   * @returns {Object} - { massKg, volumeM3, byCategory: { [category]: { massKg, volumeM3 } } }
+   */
+  getDailyRates(crewSize) {
+    const byCategory = {};
+    let massKg = 0;
+    let volumeM3 = 0;
+
+    for (const [category, rate] of Object.entries(this.config.rates_per_crew_day)) {
+      if (typeof rate !== 'object') continue;
+
+      // Only the water not recovered by the water processor has to be stowed
+      const launched = 1 - (rate.recovery_fraction || 0);
+      const entry = {
+        massKg: rate.mass_kg * launched * crewSize,
+        volumeM3: rate.volume_m3 * launched * crewSize
+      };
+
+      byCategory[category] = entry;
+      massKg += entry.massKg;
+      volumeM3 += entry.volumeM3;
+    }
+
+    return { massKg, volumeM3, byCategory };
+  }
+
+  /**
+   * Stowage locations in fill order: Stowage modules, fixed objects, then soft bags
+   * @param {Array} modules - [{ name, dimensions: { w, d, h } }]
+   * @param {Array} objects - [{ catalogId, name, volumeM3, scale }] (placed catalog objects)
+   * @returns {Array} - [{ name, capacityM3, envelopeM3, inCabin, collapsible }]
+   */
+  getStowage(modules, objects) {
+    const stowage = [];
+
+    for (const module of modules) {
+      const spec = this.config.stowage_modules[module.name];
+      if (!spec) continue;
+
+      const { w, d, h } = module.dimensions;
+      stowage.push({
+        name: module.name,
+        capacityM3: w * d * h * spec.usable_fraction,
+        envelopeM3: w * d * h,
+        inCabin: false,
+        collapsible: false
+      });
+    }
+
+    const placed = [];
+    for (const object of objects) {
+      const spec = this.config.stowage_objects[object.catalogId];
+      if (!spec) continue;
+
+      const envelopeM3 = object.volumeM3 * Math.pow(object.scale || 1, 3);
+      placed.push({
+        name: object.name || object.catalogId,
+        capacityM3: envelopeM3 * spec.usable_fraction,
+        envelopeM3,
+        inCabin: spec.in_cabin,
+        collapsible: spec.collapsible
+      });
+    }
+
+    placed.sort((a, b) => a.collapsible - b.collapsible);
+    return stowage.concat(placed);
+  }
+
+  /**
+   * Habitable volume taken by logistics for a given stowed volume
+   * @param {Array} stowage - getStowage() in fill order
+   * @param {Number} stowedM3 - Supplies still on board
+   * @returns {Number} - m³ of cabin volume occupied
+   */
+  getCabinVolume(stowage, stowedM3) {
+    let remaining = stowedM3;
+    let occupied = 0;
+
+    for (const location of stowage) {
+      const filled = Math.min(location.capacityM3, remaining);
+      remaining -= filled;
+
+      if (!location.inCabin) continue;
+      occupied += location.collapsible ?
+        location.envelopeM3 * (location.capacityM3 > 0 ? filled / location.capacityM3 : 0) :
+        location.envelopeM3;
+    }
+
+    return occupied;
+  }
+
+  /**
+   * Evaluate consumables against the layout's stowage
+   * @param {Array} modules - [{ name, dimensions: { w, d, h } }]
+   * @param {Array} objects - [{ catalogId, name, volumeM3, scale }]
+   * @param {Number} crewSize
+   * @param {Number} missionDays
+   * @returns {Object} - Plain data for layout.logistics
+   */
+  evaluate(modules, objects, crewSize, missionDays) {
+    const daily = this.getDailyRates(crewSize);
+    const stowage = this.getStowage(modules, objects);
+
+    const requiredM3 = daily.volumeM3 * missionDays;
+    const capacityM3 = stowage.reduce((sum, location) => sum + location.capacityM3, 0);
+    const carriedM3 = Math.min(requiredM3, capacityM3);
+
+    const bag = this.config.cargo_transfer_bag;
+    const bagCapacity = bag.volume_m3 * (this.config.stowage_objects.cargo_transfer_bag?.usable_fraction ?? 1);
+
+    // Day the carried supplies are used up (null = enough stowage for the mission)
+    const depletionDay = capacityM3 < requiredM3 && daily.volumeM3 > 0 ?
+      Math.floor(capacityM3 / daily.volumeM3) : null;
+
+    // Cabin volume lost at the start of each mission day (day 0 = launch)
+    const cabinVolume = [];
+    for (let day = 0; day <= missionDays; day++) {
+      const stowedM3 = Math.max(0, carriedM3 - daily.volumeM3 * day);
+      cabinVolume.push(this.getCabinVolume(stowage, stowedM3));
+    }
+
+    const shortfallM3 = Math.max(0, requiredM3 - capacityM3);
+
+    return {
+      crewSize,
+      missionDays,
+      daily,
+      required: {
+        massKg: daily.massKg * missionDays,
+        volumeM3: requiredM3,
+        ctbCount: bagCapacity > 0 ? Math.ceil(requiredM3 / bagCapacity) : 0
+      },
+      capacity: {
+        totalM3: capacityM3,
+        locations: stowage.map(({ name, capacityM3: m3, inCabin }) => ({ name, capacityM3: m3, inCabin }))
+      },
+      shortfallM3,
+      additionalCtbs: bagCapacity > 0 ? Math.ceil(shortfallM3 / bagCapacity) : 0,
+      depletionDay,
+      habitableVolumeLost: {
+        daily: cabinVolume,
+        peakM3: Math.max(...cabinVolume),
+        meanM3: cabinVolume.reduce((sum, v) => sum + v, 0) / cabinVolume.length,
+        volumeDays: cabinVolume.slice(0, missionDays).reduce((sum, v) => sum + v, 0)
+      }
+    };
+  }
+}
@@ -0,0 +1,488 @@
+/**
+ * EgressAnalyzer.js
+ *
+ * Emergency egress from every crew position to the Airlock or a safe haven
+ *
+ * Works on the live tile grid (TileSystem, or a HabitatAssembly of element
+ * grids) with the crew path costs of Pathfinder (door states, ladders, hatches):
+ * - Egress time field: cheapest route from every passable tile to the nearest
+ *   exit door tile (reverse Dijkstra from the exits), as distance and time
+ * - Crew quarters: egress time from the quarters doors and the number of
+ *   independent routes (no shared tile past the door, different exit tiles)
+ * - Single points of failure: one blocked tile, or one module with its doors
+ *   shut, that cuts crew positions off from every exit
+ *
+ * Exits are the door tiles of emergency_egress.exit_modules (Airlock) and of
+ * modules designated as safe haven. analyze() returns plain data; getTime()
+ * feeds the EgressMap heatmap. The single-point search (one reachability pass
+ * per passage tile) can be skipped for quick updates while the layout is edited.
+ *
+ * NASA Sources:
+ * - NASA-STD-3001 Vol. 2 Rev. B: emergency egress and translation paths
+ * - NASA-TP-2020-220505: Safe haven, two means of egress from crew areas
+ */
+
+import Pathfinder from './Pathfinder.js';
+
+// Crew positions listed per single point of failure in the report
+const MAX_LISTED_TILES = 10;
+
+/**
+ * Binary min-heap of [cost, tile] entries for the cost field
+ * (stale entries are skipped by the caller when popped)
+ */
+class CostHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(cost, tile) {
+    const items = this.items;
+    items.push([cost, tile]);
+
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent][0] <= items[i][0]) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left][0] < items[smallest][0]) smallest = left;
+        if (right < items.length && items[right][0] < items[smallest][0]) smallest = right;
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+
+    return top;
+  }
+}
+
+export class EgressAnalyzer {
+  /**
+   * @param {Object} config - emergency_egress (nasa-constraints.json)
+   * @param {TileSystem|HabitatAssembly} tileSystem - Grid with module occupancy and door tiles
+   */
+  constructor(config, tileSystem) {
+    this.config = config;
+    this.tileSystem = tileSystem;
+    this.pathfinder = new Pathfinder(tileSystem);
+    this.tileSize = tileSystem.tileSize ?? 1.0;
+
+    this.tiles = [];          // Passable tiles (crew positions)
+    this.neighbors = new Map(); // tile → passable neighbor tiles
+    this.exits = [];          // Exit door tiles
+    this.costs = new Map();   // tile → path cost to the nearest exit (tile steps)
+    this.next = new Map();    // tile → next tile on its egress route
+  }
+
+  /**
+   * Run the egress analysis
+   * @param {Array} modules - [{ id, tileId, name, safeHaven }] (tileId = moduleId marked on the tiles)
+   * @param {Object} options - { singlePoints } false skips the single-point search (singlePoints: null)
+   * @returns {Object} - { compliance, violations, warnings, metrics, quarters, worstRoute, singlePoints }
+   */
+  analyze(modules, { singlePoints: findPoints = true } = {}) {
+    const maxTime = this.config.max_egress_time_s;
+    const required = this.config.independent_paths_required ?? 2;
+    const exitNames = new Set(this.config.exit_modules || ['Airlock']);
+    const exitModules = modules.filter(m => exitNames.has(m.name) || m.safeHaven);
+    const exitIds = new Set(exitModules.map(m => m.tileId));
+
+    this.buildGraph();
+    this.exits = this.tiles.filter(tile => tile.doorTile && exitIds.has(tile.roomId));
+    this.computeCostField();
+
+    const violations = [];
+    const warnings = [];
+
+    if (this.exits.length === 0) {
+      violations.push({
+        type: 'no_egress_target',
+        severity: 'critical',
+        source: 'NASA-TP-2020-220505',
+        message: 'No Airlock or safe haven with a usable door: crew have nowhere to egress to',
+        recommendation: 'Add an Airlock or designate a safe haven module'
+      });
+    }
+
+    // 1. Every crew position reaches an exit in time
+    const reachable = this.tiles.filter(tile => Number.isFinite(this.costs.get(tile)));
+    const cutOff = this.tiles.length - reachable.length;
+    if (this.exits.length > 0 && cutOff > 0) {
+      violations.push({
+        type: 'egress_unreachable',
+        severity: 'critical',
+        tiles: cutOff,
+        source: 'NASA-STD-3001 Vol. 2 Rev. B',
+        message: `${cutOff} crew position(s) have no route to the Airlock or a safe haven`,
+        recommendation: 'Open a translation path or unlock the doors in the way'
+      });
+    }
+
+    const worst = reachable.reduce((max, tile) => !max || this.costs.get(tile) > this.costs.get(max) ? tile : max, null);
+    const worstTime = worst ? this.toSeconds(this.costs.get(worst)) : null;
+    if (worst && worstTime > maxTime) {
+      violations.push({
+        type: 'egress_time',
+        severity: 'high',
+        timeS: worstTime,
+        limitS: maxTime,
+        position: this.toPosition(worst),
+        source: 'NASA-STD-3001 Vol. 2 Rev. B',
+        message: `Worst-case egress ${worstTime.toFixed(0)}s from tile ${this.describe(worst)} (target ${maxTime}s)`,
+        recommendation: 'Move the Airlock / safe haven closer or shorten the route (open doors, wider paths)'
+      });
+    }
+
+    // 2. Crew quarters: time and independent routes from the quarters doors
+    const quarters = modules
+      .filter(m => m.name === 'Crew Quarters')
+      .map(m => this.analyzeQuarters(m, exitIds, required));
+
+    for (const q of this.exits.length > 0 ? quarters : []) {
+      if (q.timeS === null) {
+        violations.push({
+          type: 'quarters_no_egress',
+          severity: 'critical',
+          moduleId: q.id,
+          moduleName: q.name,
+          source: 'NASA-STD-3001 Vol. 2 Rev. B',
+          message: `${q.name}: No route from its doors to the Airlock or a safe haven`
+        });
+        continue;
+      }
+
+      if (q.timeS > maxTime) {
+        violations.push({
+          type: 'quarters_egress_time',
+          severity: 'high',
+          moduleId: q.id,
+          moduleName: q.name,
+          timeS: q.timeS,
+          limitS: maxTime,
+          source: 'NASA-STD-3001 Vol. 2 Rev. B',
+          message: `${q.name}: Egress ${q.timeS.toFixed(0)}s from its door (target ${maxTime}s)`
+        });
+      }
+
+      if (q.independentPaths < required) {
+        violations.push({
+          type: 'quarters_single_egress',
+          severity: 'high',
+          moduleId: q.id,
+          moduleName: q.name,
+          independentPaths: q.independentPaths,
+          required,
+          source: 'NASA-TP-2020-220505',
+          message: `${q.name}: ${q.independentPaths} independent egress path(s), ${required} required`,
+          recommendation: 'Add a second door, a second route, or a safe haven reachable another way'
+        });
+      }
+    }
+
+    // 3. Single blocked tile or module cutting crew off from every exit
+    const singlePoints = !findPoints ? null :
+      this.exits.length > 0 ? this.findSinglePoints(modules, exitIds) : [];
+    const chokepoints = (singlePoints || []).filter(point => point.tile);
+    if (chokepoints.length > 0) {
+      const worstPoint = chokepoints.reduce((max, point) => point.cutOff > max.cutOff ? point : max);
+      warnings.push({
+        type: 'egress_chokepoint',
+        severity: 'high',
+        tiles: chokepoints.length,
+        cutOff: worstPoint.cutOff,
+        position: this.toPosition(worstPoint.tile),
+        source: 'NASA-TP-2020-220505',
+        message: `${chokepoints.length} passage tile(s) are single points of failure; blocking tile ` +
+          `${this.describe(worstPoint.tile)} cuts ${worstPoint.cutOff} crew position(s) off from every exit`,
+        recommendation: 'Open a second route around the chokepoint'
+      });
+    }
+
+    for (const point of (singlePoints || []).filter(p => p.moduleId)) {
+      warnings.push({
+        type: 'egress_single_module',
+        severity: 'high',
+        moduleId: point.moduleId,
+        moduleName: point.moduleName,
+        cutOff: point.cutOff,
+        source: 'NASA-TP-2020-220505',
+        message: `Shutting ${point.moduleName} cuts ${point.cutOff} crew position(s) off from every exit`,
+        recommendation: 'Route the translation path around the module instead of through its doors'
+      });
+    }
+
+    const times = reachable.map(tile => this.toSeconds(this.costs.get(tile)));
+
+    return {
+      compliance: violations.length === 0,
+      violations,
+      warnings,
+      metrics: {
+        exitCount: this.exits.length,
+        exitModules: exitModules.map(m => m.name),
+        positions: this.tiles.length,
+        reachablePositions: reachable.length,
+        worstCaseTimeS: worstTime,
+        worstCaseDistanceM: worst ? this.costs.get(worst) * this.tileSize : null,
+        meanTimeS: times.length > 0 ? times.reduce((a, b) => a + b, 0) / times.length : null,
+        positionsOverLimit: times.filter(t => t > maxTime).length,
+        limitS: maxTime,
+        singlePointCount: singlePoints ? singlePoints.length : null
+      },
+      quarters,
+      worstRoute: worst ? this.getRoute(worst).map(tile => this.toPosition(tile)) : null,
+      singlePoints: singlePoints ? singlePoints.map(point => ({
+        ...(point.moduleId ? { moduleId: point.moduleId, moduleName: point.moduleName } : { position: this.toPosition(point.tile) }),
+        cutOff: point.cutOff,
+        positions: point.positions.slice(0, MAX_LISTED_TILES).map(tile => this.toPosition(tile))
+      })) : null
+    };
+  }
+
+  /**
+   * Passable tiles and their passable neighbors
+   */
+  buildGraph() {
+    this.tiles = this.tileSystem.getPassableTiles();
+    this.neighbors = new Map();
+
+    for (const tile of this.tiles) {
+      this.neighbors.set(tile, this.tileSystem.getNeighbors(tile.x, tile.y, tile.level, tile.element)
+        .map(({ tile: neighbor }) => neighbor)
+        .filter(neighbor => this.pathfinder.isPassable(neighbor)));
+    }
+  }
+
+  /**
+   * Cheapest route cost from every tile to the nearest exit (Dijkstra from the
+   * exits, stepping backwards with the Pathfinder move cost)
+   */
+  computeCostField() {
+    this.costs = new Map(this.tiles.map(tile => [tile, Infinity]));
+    this.next = new Map();
+
+    const open = new CostHeap();
+    for (const exit of this.exits) {
+      this.costs.set(exit, 0);
+      open.push(0, exit);
+    }
+
+    while (open.size > 0) {
+      const [cost, current] = open.pop();
+      if (cost > this.costs.get(current)) continue; // already settled cheaper
+
+      for (const neighbor of this.neighbors.get(current) || []) {
+        const next = cost + this.pathfinder.getMoveCost(neighbor, current);
+        if (next < (this.costs.get(neighbor) ?? Infinity)) {
+          this.costs.set(neighbor, next);
+          this.next.set(neighbor, current);
+          open.push(next, neighbor);
+        }
+      }
+    }
+  }
+
+  /**
+   * Egress time and independent routes from a crew quarters module's doors
+   * @returns {Object} - { id, name, timeS, distanceM, independentPaths }
+   */
+  analyzeQuarters(module, exitIds, required) {
+    const doors = this.tiles.filter(tile => tile.doorTile && tile.roomId === module.tileId);
+    const cost = Math.min(...doors.map(tile => this.costs.get(tile)));
+    const reachable = Number.isFinite(cost);
+
+    return {
+      id: module.id,
+      name: module.name,
+      doors: doors.length,
+      timeS: reachable ? this.toSeconds(cost) : null,
+      distanceM: reachable ? cost * this.tileSize : null,
+      // A safe haven quarters is its own exit
+      independentPaths: exitIds.has(module.tileId) ? required : this.countIndependentPaths(doors, required)
+    };
+  }
+
+  /**
+   * Routes from the source tiles to the exits that share no tile past the
+   * start (each passage, door and exit tile used by one route only), up to a limit
+   * Max-flow with unit vertex capacities (split tiles into in / out nodes)
+   * @param {Array} sources - Start tiles
+   * @param {number} limit - Stop counting at this many routes
+   * @returns {number}
+   */
+  countIndependentPaths(sources, limit) {
+    if (sources.length === 0 || this.exits.length === 0) return 0;
+
+    const index = new Map(this.tiles.map((tile, i) => [tile, i]));
+    const source = this.tiles.length * 2;
+    const sink = source + 1;
+    const capacity = new Map();
+    const edges = new Map();
+
+    const addEdge = (from, to, cap) => {
+      capacity.set(`${from},${to}`, (capacity.get(`${from},${to}`) || 0) + cap);
+      if (!capacity.has(`${to},${from}`)) capacity.set(`${to},${from}`, 0);
+      if (!edges.has(from)) edges.set(from, []);
+      if (!edges.has(to)) edges.set(to, []);
+      edges.get(from).push(to);
+      edges.get(to).push(from);
+    };
+
+    for (const [tile, i] of index) {
+      addEdge(2 * i, 2 * i + 1, 1);
+      for (const neighbor of this.neighbors.get(tile)) {
+        addEdge(2 * i + 1, 2 * index.get(neighbor), 1);
+      }
+    }
+    for (const tile of sources) addEdge(source, 2 * index.get(tile) + 1, limit);
+    for (const tile of this.exits) addEdge(2 * index.get(tile) + 1, sink, 1);
+
+    let flow = 0;
+    while (flow < limit) {
+      // Breadth-first augmenting path in the residual graph
+      const previous = new Map([[source, null]]);
+      const queue = [source];
+      while (queue.length > 0 && !previous.has(sink)) {
+        const node = queue.shift();
+        for (const to of edges.get(node) || []) {
+          if (!previous.has(to) && capacity.get(`${node},${to}`) > 0) {
+            previous.set(to, node);
+            queue.push(to);
+          }
+        }
+      }
+      if (!previous.has(sink)) break;
+
+      for (let node = sink; previous.get(node) !== null; node = previous.get(node)) {
+        const from = previous.get(node);
+        capacity.set(`${from},${node}`, capacity.get(`${from},${node}`) - 1);
+        capacity.set(`${node},${from}`, capacity.get(`${node},${from}`) + 1);
+      }
+      flow++;
+    }
+
+    return flow;
+  }
+
+  /**
+   * Tiles and modules whose blocking cuts reachable crew positions off from
+   * every exit (blocking a module shuts all its door tiles)
+   * @returns {Array<{tile?, moduleId?, moduleName?, cutOff, positions}>}
+   */
+  findSinglePoints(modules, exitIds) {
+    const reachable = this.reachFrom(this.exits, new Set());
+    const points = [];
+
+    const check = (blocked, point) => {
+      const exits = this.exits.filter(exit => !blocked.has(exit));
+      const reached = this.reachFrom(exits, blocked);
+      const positions = [...reachable].filter(tile => !blocked.has(tile) && !reached.has(tile));
+      if (positions.length > 0) points.push({ ...point, cutOff: positions.length, positions });
+    };
+
+    // Passage tiles (door tiles belong to their module)
+    for (const tile of reachable) {
+      if (!tile.doorTile) check(new Set([tile]), { tile });
+    }
+
+    for (const module of modules) {
+      const doors = this.tiles.filter(tile => tile.doorTile && tile.roomId === module.tileId);
+      if (doors.length === 0) continue;
+
+      // Shutting the only exit is the independent-paths rule, not a single point here
+      if (exitIds.has(module.tileId) && this.exits.every(exit => exit.roomId === module.tileId)) continue;
+
+      check(new Set(doors), { moduleId: module.id, moduleName: module.name });
+    }
+
+    return points;
+  }
+
+  /**
+   * Tiles connected to a set of start tiles, avoiding blocked tiles
+   * @returns {Set}
+   */
+  reachFrom(starts, blocked) {
+    const reached = new Set(starts);
+    const queue = [...starts];
+
+    while (queue.length > 0) {
+      const tile = queue.shift();
+      for (const neighbor of this.neighbors.get(tile) || []) {
+        if (!reached.has(neighbor) && !blocked.has(neighbor)) {
+          reached.add(neighbor);
+          queue.push(neighbor);
+        }
+      }
+    }
+
+    return reached;
+  }
+
+  /**
+   * Egress route from a tile to its nearest exit
+   * @returns {Array} - Tiles, start to exit
+   */
+  getRoute(tile) {
+    const route = [tile];
+    while (this.next.has(route[route.length - 1])) {
+      route.push(this.next.get(route[route.length - 1]));
+    }
+    return route;
+  }
+
+  /**
+   * Egress time from a tile (null = not a crew position, Infinity = cut off)
+   * @param {Number} floor - Floor index (0 = ground floor)
+   * @param {string|null} element - Assembly element
+   * @returns {Number|null} - Seconds
+   */
+  getTime(x, y, floor = 0, element = null) {
+    const tile = this.tileSystem.getTile(x, y, floor, element);
+    if (!tile || !this.costs.has(tile)) return null;
+    return this.toSeconds(this.costs.get(tile));
+  }
+
+  /**
+   * Path cost (tile steps) → seconds at the emergency translation speed
+   */
+  toSeconds(cost) {
+    return cost * this.tileSize / (this.config.translation_speed_m_s || 1.0);
+  }
+
+  /**
+   * Plain tile position for the report
+   */
+  toPosition(tile) {
+    return { x: tile.x, y: tile.y, level: tile.level, ...(tile.element && { element: tile.element }) };
+  }
+
+  /**
+   * Tile label for messages
+   */
+  describe(tile) {
+    return `${tile.x},${tile.y}` + (tile.level ? ` (floor ${tile.level + 1})` : '') +
+      (tile.element ? ` in ${tile.element}` : '');
+  }
+}
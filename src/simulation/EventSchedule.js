@@ -0,0 +1,139 @@
+/**
+ * EventSchedule.js
+ *
+ * Discrete mission events on the daily timeline (mission-events.json)
+ *
+ * Each scheduled event adds a temporary offset to stress, mood, sleep quality
+ * and cohesion: full strength for duration_days, then halving every
+ * decay_half_life_days. Adverse effects are attenuated by the layout design
+ * variables listed in buffered_by, so the same contingency can be compared
+ * across layouts.
+ *
+ * NASA Sources:
+ * - HERA Facility Documentation (2019): scripted stressors and contingencies
+ * - NASA-TM-2016-218603: Acute stressors in isolated, confined environments
+ */
+
+import { DESIGN_VARIABLE_KEYS } from './PsychModel.js';
+
+// Decay factor below which an event is treated as over
+const MIN_DECAY_FACTOR = 0.02;
+
+export class EventSchedule {
+  /**
+   * @param {Object} eventData - mission-events.json contents
+   * @param {String|Array} schedule - Schedule ID from eventData.schedules, or an array of { day, type, crew, magnitude }
+   */
+  constructor(eventData, schedule = 'default') {
+    this.eventTypes = eventData.event_types || {};
+
+    const entries = Array.isArray(schedule) ?
+      schedule : (eventData.schedules?.[schedule]?.events || []);
+
+    this.events = entries
+      .filter(entry => {
+        if (!this.eventTypes[entry.type]) {
+          console.warn(`⚠️ Unknown mission event type: ${entry.type}`);
+          return false;
+        }
+        return true;
+      })
+      .map(entry => ({ magnitude: 1, ...entry }))
+      .sort((a, b) => a.day - b.day);
+  }
+
+  /**
+   * Fraction of an event's effect still active on a given day
+   * @param {Object} eventType - Event type definition
+   * @param {Number} daysSinceStart - 0 on the event day
+   * @returns {Number} - 0-1
+   */
+  decayFactor(eventType, daysSinceStart) {
+    if (daysSinceStart < 0) return 0;
+
+    const duration = eventType.duration_days || 1;
+    if (daysSinceStart < duration) return 1;
+
+    const halfLife = eventType.decay_half_life_days || 1;
+    const factor = Math.pow(0.5, (daysSinceStart - duration + 1) / halfLife);
+    return factor < MIN_DECAY_FACTOR ? 0 : factor;
+  }
+
+  /**
+   * Attenuation of adverse effects by the layout
+   * @param {Object} eventType - Event type definition
+   * @param {Object} designVariables - MissionSimulator design variables
+   * @returns {Number} - Multiplier (0-1)
+   */
+  bufferFactor(eventType, designVariables) {
+    let buffer = 0;
+    for (const [letter, weight] of Object.entries(eventType.buffered_by || {})) {
+      buffer += weight * (designVariables[DESIGN_VARIABLE_KEYS[letter]] || 0);
+    }
+    return Math.max(0, 1 - buffer);
+  }
+
+  /**
+   * Whether an event affects a crew member
+   * @param {Object} event - Scheduled event
+   * @param {Number} crewIndex - Index of the crew member
+   * @returns {Boolean}
+   */
+  affectsCrew(event, crewIndex) {
+    if (event.crew) return event.crew.includes(crewIndex);
+    // Single-target events default to the first crew member
+    return this.eventTypes[event.type].target === 'one' ? crewIndex === 0 : true;
+  }
+
+  /**
+   * Summed event offsets for one crew member on one day
+   * @param {Number} day - Mission day (1-based)
+   * @param {Number} crewIndex - Index of the crew member
+   * @param {Object} designVariables - MissionSimulator design variables
+   * @returns {Object} - { stress, mood, sleepQuality, cohesion }
+   */
+  getEffects(day, crewIndex, designVariables) {
+    const total = { stress: 0, mood: 0, sleepQuality: 0, cohesion: 0 };
+
+    for (const event of this.events) {
+      if (event.day > day || !this.affectsCrew(event, crewIndex)) continue;
+
+      const eventType = this.eventTypes[event.type];
+      const decay = this.decayFactor(eventType, day - event.day);
+      if (decay === 0) continue;
+
+      const scale = decay * event.magnitude;
+      const buffer = this.bufferFactor(eventType, designVariables);
+      const effects = eventType.effects;
+
+      // Only adverse effects are buffered by the layout
+      const stress = effects.stress || 0;
+      const mood = effects.mood || 0;
+      const sleepQuality = effects.sleep_quality || 0;
+      const cohesion = effects.cohesion || 0;
+
+      total.stress += scale * stress * (stress > 0 ? buffer : 1);
+      total.mood += scale * mood * (mood < 0 ? buffer : 1);
+      total.sleepQuality += scale * sleepQuality * (sleepQuality < 0 ? buffer : 1);
+      total.cohesion += scale * cohesion * (cohesion < 0 ? buffer : 1);
+    }
+
+    return total;
+  }
+
+  /**
+   * Events starting on a given day (timeline markers)
+   * @param {Number} day - Mission day (1-based)
+   * @returns {Array} - [{ type, name, crew, magnitude }]
+   */
+  getEventsOnDay(day) {
+    return this.events
+      .filter(event => event.day === day)
+      .map(event => ({
+        type: event.type,
+        name: this.eventTypes[event.type].name,
+        crew: event.crew || (this.eventTypes[event.type].target === 'one' ? [0] : null),
+        magnitude: event.magnitude
+      }));
+  }
+}
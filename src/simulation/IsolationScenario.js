@@ -0,0 +1,413 @@
+/**
+ * IsolationScenario.js
+ *
+ * Fire and depressurization isolation of a module, with the live crew agents
+ *
+ * declare() closes off the affected section of the live tile grid (TileSystem,
+ * or a HabitatAssembly of element grids):
+ * - Locks every door / hatch of the module and of its neighbors (modules
+ *   within hazards[type].neighbor_gap_tiles on the same floor and element);
+ *   the lock is a door override, so saved layouts and exports keep the real states
+ * - Seals the passage tiles within sealed_margin_tiles of those modules off
+ *   the crew path graph (tile.passable = false, tile.hazard = type)
+ * - Finds the safe area: passage connected to an Airlock / safe haven door, or
+ *   the largest remaining passage when no exit is left
+ * - Replans every crew member: crew in the section walk out to the nearest safe
+ *   tile, crew with no way out stay put and are reported as trapped, crew in
+ *   the safe area hold still until the section is sealed, then carry on
+ *
+ * Evacuees may still walk through the section on their way out, so the passage
+ * is sealed by update() once they have left (or after seal_after_s); the report
+ * is computed up front. It lists the trapped crew, lost functions (hygiene,
+ * galley, medical, comms: no module of the function left with a door on the
+ * safe area) and whether a viable habitable subset remains. clear() reopens
+ * the section and lifts the door override.
+ *
+ * NASA Sources:
+ * - NASA-STD-3001 Vol. 2 Rev. B: Fire and rapid depressurization response
+ * - NASA-TP-2020-220505: Isolation of habitat volumes, redundant functions
+ */
+
+import Pathfinder from './Pathfinder.js';
+
+export class IsolationScenario {
+  /**
+   * @param {Object} config - isolation_scenarios (nasa-constraints.json)
+   * @param {Object} world - App world (tileSystem / assembly, WalkAction)
+   * @param {Array<String>} exitModules - emergency_egress.exit_modules (safe havens count too)
+   */
+  constructor(config, world, exitModules = ['Airlock']) {
+    this.config = config;
+    this.world = world;
+    this.exitModules = new Set(exitModules);
+    this.grid = world.assembly ?? world.tileSystem;
+    this.pathfinder = new Pathfinder(this.grid);
+    this.tileSize = this.grid.tileSize ?? 1.0;
+
+    this.hazard = null;        // { type, module }
+    this.isolated = [];        // Modules shut off
+    this.sealed = [];          // Passage tiles sealed (or to seal) off the path graph
+    this.section = new Set();  // sealed + the isolated modules' door tiles (evacuees must leave all of it)
+    this.isSealed = false;
+    this.elapsed = 0;
+    this.entries = [];         // [{ crewMember, status, target, action, autonomousMode }]
+    this.report = null;
+  }
+
+  /**
+   * Declare a fire or leak in a module
+   * @param {HabitatModule} module - Module with the fire / leak
+   * @param {String} type - hazards key ('fire' | 'depressurization')
+   * @param {Array<CrewMember>} crewMembers - Live crew agents
+   * @param {Array<HabitatModule>} modules - Placed modules
+   * @returns {Object} - Report (see buildReport)
+   */
+  declare(module, type, crewMembers, modules) {
+    const hazard = this.config.hazards[type];
+    if (!hazard) throw new Error(`Unknown hazard type: ${type}`);
+
+    this.hazard = { type, module };
+    this.isolated = [module, ...this.getNeighbors(module, modules, hazard.neighbor_gap_tiles)];
+
+    // Section cut off the path graph: the isolated modules' door tiles and the passage around them
+    const isolatedIds = new Set(this.isolated.map(m => m.moduleId));
+    this.sealed = this.getSectionTiles(this.isolated, hazard.sealed_margin_tiles);
+    const section = new Set(this.sealed);
+    this.grid.getPassableTiles().forEach(tile => {
+      if (tile.doorTile && isolatedIds.has(tile.roomId)) section.add(tile);
+    });
+    this.section = section;
+
+    const safe = this.findSafeArea(modules, section, isolatedIds);
+    const crew = crewMembers.map(crewMember => this.planCrew(crewMember, safe.tiles, section));
+
+    this.report = this.buildReport(modules, safe, crew);
+
+    // Close the hatches now; the passage is sealed once the evacuees are out
+    this.lockDoors();
+    this.elapsed = 0;
+    this.isSealed = false;
+    this.entries = crewMembers.map((crewMember, i) => this.replan(crewMember, crew[i]));
+    if (!this.entries.some(entry => entry.status === 'evacuating')) this.seal();
+
+    console.log(`${hazard.icon} ${hazard.name} in ${module.moduleName}: ${this.isolated.length} module(s) isolated, ` +
+      `${this.report.trapped.length} crew trapped, habitable subset ${this.report.viable ? 'viable' : 'not viable'}`);
+    return this.report;
+  }
+
+  /**
+   * Follow the evacuees (call after the crew agents update each frame) and
+   * seal the section once they are out
+   * @param {Number} deltaTime - Seconds since the last frame
+   */
+  update(deltaTime) {
+    if (!this.hazard || this.isSealed) return;
+
+    this.elapsed += deltaTime;
+    const inside = this.entries.filter(entry => entry.status === 'evacuating' && !entry.action.isComplete &&
+      this.section.has(this.grid.getTile(entry.crewMember.tileX, entry.crewMember.tileY,
+        entry.crewMember.tileLevel, entry.crewMember.tileElement)));
+
+    if (inside.length === 0 || this.elapsed >= this.config.seal_after_s) this.seal();
+  }
+
+  /**
+   * Reopen the section, unlock the doors and give the crew back their schedule / AI
+   */
+  clear() {
+    for (const tile of this.sealed) {
+      tile.hazard = null;
+      // A module moved onto the tile since keeps it
+      if (tile.moduleId === null) tile.passable = true;
+    }
+
+    for (const module of this.isolated) {
+      // Deleted since: its tiles are free passage now
+      if (this.world.modules.includes(module)) module.setDoorOverride(null);
+    }
+
+    for (const { crewMember, autonomousMode } of this.entries) {
+      crewMember.clearActionQueue();
+      crewMember.autonomousMode = autonomousMode;
+    }
+
+    console.log(`✅ Isolation cleared: ${this.hazard?.module.moduleName}`);
+    this.hazard = null;
+    this.isolated = [];
+    this.sealed = [];
+    this.section = new Set();
+    this.entries = [];
+  }
+
+  /**
+   * Modules on the same floor and element within a gap (tiles) of a module's footprint
+   * @returns {Array<HabitatModule>}
+   */
+  getNeighbors(module, modules, gap) {
+    return modules.filter(other => {
+      if (other === module || !other.isPlaced) return false;
+      if ((other.level ?? 0) !== (module.level ?? 0) || (other.element ?? null) !== (module.element ?? null)) return false;
+
+      const dx = Math.max(other.tileX - (module.tileX + module.tileWidth), module.tileX - (other.tileX + other.tileWidth), 0);
+      const dy = Math.max(other.tileY - (module.tileY + module.tileHeight), module.tileY - (other.tileY + other.tileHeight), 0);
+      return Math.max(dx, dy) <= gap;
+    });
+  }
+
+  /**
+   * Passage tiles (not module footprint, not doors) within a margin of the modules
+   * @returns {Array<Object>} - Tiles
+   */
+  getSectionTiles(modules, margin) {
+    const tiles = new Set();
+
+    for (const module of modules) {
+      const level = module.level ?? 0;
+      const element = module.element ?? null;
+
+      for (let y = module.tileY - margin; y < module.tileY + module.tileHeight + margin; y++) {
+        for (let x = module.tileX - margin; x < module.tileX + module.tileWidth + margin; x++) {
+          const tile = this.grid.getTile(x, y, level, element);
+          if (tile && tile.passable && !tile.doorTile && tile.moduleId === null) tiles.add(tile);
+        }
+      }
+    }
+
+    return [...tiles];
+  }
+
+  /**
+   * Safe area: passage connected to an exit door outside the section, else the
+   * largest connected passage left
+   * @param {Array<HabitatModule>} modules
+   * @param {Set} section - Tiles cut off the path graph
+   * @param {Set} isolatedIds - moduleIds of the isolated modules
+   * @returns {Object} - { tiles: Set, exits: [module names], egress: Boolean }
+   */
+  findSafeArea(modules, section, isolatedIds) {
+    const exitIds = new Set(modules
+      .filter(m => (this.exitModules.has(m.moduleName) || m.safeHaven) && !isolatedIds.has(m.moduleId))
+      .map(m => m.moduleId));
+    const open = this.grid.getPassableTiles().filter(tile => !section.has(tile));
+    const exits = open.filter(tile => tile.doorTile && exitIds.has(tile.roomId));
+
+    if (exits.length > 0) {
+      const tiles = this.reach(exits, tile => !section.has(tile));
+      const names = modules.filter(m => exits.some(exit => exit.roomId === m.moduleId)).map(m => m.moduleName);
+      return { tiles, exits: [...new Set(names)], egress: true };
+    }
+
+    // No exit left: shelter in the largest connected passage
+    let largest = new Set();
+    const seen = new Set();
+    for (const tile of open) {
+      if (seen.has(tile)) continue;
+      const component = this.reach([tile], neighbor => !section.has(neighbor));
+      component.forEach(t => seen.add(t));
+      if (component.size > largest.size) largest = component;
+    }
+    return { tiles: largest, exits: [], egress: false };
+  }
+
+  /**
+   * Where a crew member goes: safe already, out to the nearest safe tile, or trapped.
+   * Crew inside the section may cross it on the way out; crew outside may not.
+   * @returns {Object} - { crewMember, status: 'safe' | 'evacuating' | 'trapped', target }
+   */
+  planCrew(crewMember, safeTiles, section) {
+    const start = this.grid.getTile(crewMember.tileX, crewMember.tileY, crewMember.tileLevel, crewMember.tileElement);
+    if (!start) return { crewMember, status: 'trapped', target: null };
+    if (safeTiles.has(start)) return { crewMember, status: 'safe', target: null };
+
+    const inSection = section.has(start);
+    const target = this.nearest(start, safeTiles, tile => inSection || !section.has(tile));
+    return { crewMember, status: target ? 'evacuating' : 'trapped', target };
+  }
+
+  /**
+   * Drop the crew member's plans and queue the walk out of the section
+   * @returns {Object} - Agent entry for update() / clear()
+   */
+  replan(crewMember, plan) {
+    const entry = { crewMember, status: plan.status, action: null, autonomousMode: crewMember.autonomousMode };
+
+    crewMember.clearActionQueue();
+    crewMember.isMoving = false;
+    crewMember.animationState = 'idle';
+
+    // Nobody follows the schedule / AI until the section is sealed (safe crew)
+    // or the scenario is cleared (evacuees and trapped crew)
+    crewMember.autonomousMode = false;
+    if (plan.status === 'evacuating') {
+      const { x, y, level, element } = plan.target;
+      entry.action = new this.world.WalkAction(x, y, level, element);
+      crewMember.queueAction(entry.action);
+    }
+    return entry;
+  }
+
+  /**
+   * Lock the doors of the isolated modules (override, lifted by clear())
+   */
+  lockDoors() {
+    for (const module of this.isolated) module.setDoorOverride('locked');
+  }
+
+  /**
+   * Take the section passage off the crew path graph and let the safe crew carry on
+   */
+  seal() {
+    for (const tile of this.sealed) {
+      tile.passable = false;
+      tile.hazard = this.hazard.type;
+    }
+    for (const entry of this.entries) {
+      if (entry.status === 'safe') entry.crewMember.autonomousMode = entry.autonomousMode;
+    }
+    this.isSealed = true;
+    console.log(`🚧 Section sealed: ${this.sealed.length} passage tile(s)`);
+  }
+
+  /**
+   * Tiles reachable from the starts over passable tiles that pass a filter
+   * @returns {Set}
+   */
+  reach(starts, allowed) {
+    const reached = new Set(starts);
+    const queue = [...starts];
+
+    while (queue.length > 0) {
+      const tile = queue.shift();
+      for (const neighbor of this.getOpenNeighbors(tile)) {
+        if (!reached.has(neighbor) && allowed(neighbor)) {
+          reached.add(neighbor);
+          queue.push(neighbor);
+        }
+      }
+    }
+
+    return reached;
+  }
+
+  /**
+   * Nearest target tile (breadth-first) over passable tiles that pass a filter
+   * @returns {Object|null} - Tile
+   */
+  nearest(start, targets, allowed) {
+    const reached = new Set([start]);
+    const queue = [start];
+
+    while (queue.length > 0) {
+      const tile = queue.shift();
+      if (targets.has(tile)) return tile;
+
+      for (const neighbor of this.getOpenNeighbors(tile)) {
+        if (!reached.has(neighbor) && allowed(neighbor)) {
+          reached.add(neighbor);
+          queue.push(neighbor);
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Passable neighbors (doors not locked), including ladders and assembly hatches
+   */
+  getOpenNeighbors(tile) {
+    return this.grid.getNeighbors(tile.x, tile.y, tile.level, tile.element)
+      .map(({ tile: neighbor }) => neighbor)
+      .filter(neighbor => this.pathfinder.isPassable(neighbor));
+  }
+
+  /**
+   * Scenario report
+   * @param {Array<HabitatModule>} modules
+   * @param {Object} safe - findSafeArea() result
+   * @param {Array<Object>} crew - planCrew() results
+   * @returns {Object} - { hazard, isolatedModules, crew, trapped, functions, lostFunctions, egress, viable, safeAreaM2, violations, warnings, compliance }
+   */
+  buildReport(modules, safe, crew) {
+    const { type, module } = this.hazard;
+    const hazard = this.config.hazards[type];
+    const required = new Set(this.config.required_functions || []);
+    const isolatedIds = new Set(this.isolated.map(m => m.moduleId));
+    const violations = [];
+    const warnings = [];
+
+    // A function survives if one of its modules has a door on the safe area
+    const functions = {};
+    for (const [name, moduleNames] of Object.entries(this.config.functions || {})) {
+      const providers = modules.filter(m => moduleNames.includes(m.moduleName));
+      const available = providers.filter(m => !isolatedIds.has(m.moduleId) &&
+        [...safe.tiles].some(tile => tile.doorTile && tile.roomId === m.moduleId));
+
+      functions[name] = {
+        required: required.has(name),
+        modules: providers.map(m => m.moduleName),
+        available: available.length,
+        lost: providers.length > 0 && available.length === 0,
+        missing: providers.length === 0
+      };
+    }
+
+    const lostFunctions = Object.keys(functions).filter(name => functions[name].lost);
+    const trapped = crew.filter(c => c.status === 'trapped').map(c => c.crewMember.name);
+    const requiredMet = [...required].every(name => functions[name]?.available > 0);
+    const viable = safe.tiles.size > 0 && safe.egress && requiredMet;
+
+    if (trapped.length > 0) {
+      violations.push({
+        type: 'crew_trapped',
+        severity: 'critical',
+        crew: trapped,
+        source: 'NASA-STD-3001 Vol. 2 Rev. B',
+        message: `${trapped.join(', ')} trapped by the ${hazard.name.toLowerCase()} isolation of ${module.moduleName}`,
+        recommendation: 'Give this part of the habitat a second route or a safe haven of its own'
+      });
+    }
+
+    if (!safe.egress) {
+      violations.push({
+        type: 'egress_lost',
+        severity: 'critical',
+        source: 'NASA-TP-2020-220505',
+        message: `No Airlock or safe haven left outside the isolated section (${this.isolated.map(m => m.moduleName).join(', ')})`,
+        recommendation: 'Add a second egress (airlock or safe haven) away from this module'
+      });
+    }
+
+    for (const name of lostFunctions) {
+      const issue = {
+        type: 'function_lost',
+        severity: functions[name].required ? 'high' : 'medium',
+        function: name,
+        source: 'NASA-TP-2020-220505',
+        message: `${name} lost: no ${functions[name].modules.join(' / ')} left on the safe area`,
+        recommendation: `Add a redundant ${functions[name].modules[0]} outside the ${module.moduleName} section`
+      };
+      (functions[name].required ? violations : warnings).push(issue);
+    }
+
+    return {
+      hazard: { type, name: hazard.name, moduleId: module.moduleId, moduleName: module.moduleName },
+      isolatedModules: this.isolated.map(m => ({ id: m.moduleId, name: m.moduleName })),
+      sealedTiles: this.sealed.length,
+      crew: crew.map(c => ({
+        name: c.crewMember.name,
+        status: c.status,
+        ...(c.target && { target: { x: c.target.x, y: c.target.y, level: c.target.level } })
+      })),
+      trapped,
+      functions,
+      lostFunctions,
+      egress: { available: safe.egress, exits: safe.exits },
+      viable,
+      safeAreaM2: safe.tiles.size * this.tileSize * this.tileSize,
+      compliance: violations.length === 0,
+      violations,
+      warnings
+    };
+  }
+}
@@ -0,0 +1,469 @@
+/**
+ * LayoutOptimizer.js
+ *
+ * Automatic layout search on the TileSystem grid (simulated annealing)
+ *
+ * Searches tile placements and 90° rotations of the modules on one floor of
+ * one grid (multi-level habitats are optimized a floor at a time, around the
+ * fixed ladders / hatches) and maximizes (weights from layout-optimizer.json):
+ * - PHI: final-day Psychological Health Index from PsychModel
+ * - Adjacency compliance (ConstraintValidator)
+ * - Translation path width (ConstraintValidator.validatePathWidth)
+ * - Crew traffic: trip-weighted walking distance between module doors
+ *
+ * Hard constraints (penalized during search, required for offered candidates):
+ * - No overlapping modules (tile occupancy and floor rectangles)
+ * - Every module inside the habitat shell
+ * - Every door that is not locked opens onto a free tile connected to all other doors
+ * - Ladders / hatches to other floors stay free and connected to the doors
+ *
+ * Placement semantics match HabitatModule.placeAtTile, so an accepted
+ * candidate produces the same geometry the HUD validates; doors come from the
+ * module's door layout (turned with the footprint like HabitatModule.rotate90),
+ * and visual order (V) comes from MissionParams.computeVisualOrder, as in the HUD.
+ *
+ * Thousands of evaluations on the main thread (the problem holds the live
+ * psych model and validator): run() is async and yields between chunks.
+ *
+ * Sources:
+ * - NASA/TP-2020-220505: Adjacency rules, translation paths
+ * - AIAA ASCEND 2022: 1.0 m translation path minimum
+ * - Kirkpatrick et al. (1983), Optimization by Simulated Annealing
+ */
+
+import TileSystem from '../scene/TileSystem.js';
+import HabitatModule from '../habitat/Module.js';
+import LayoutModule from '../habitat/LayoutModule.js';
+import { SeededRandom } from './SeededRandom.js';
+
+const ROTATIONS = [0, 90, 180, 270];
+
+// Yield to the page this often so the view stays responsive during the search
+const YIELD_INTERVAL_MS = 50;
+
+const OUTSIDE_OFFSETS = {
+  north: { dx: 0, dy: -1 },
+  south: { dx: 0, dy: 1 },
+  east: { dx: 1, dy: 0 },
+  west: { dx: -1, dy: 0 }
+};
+
+export class LayoutOptimizer {
+  /**
+   * @param {Object} config - layout-optimizer.json
+   * @param {Object} problem - {
+   *   modules: [{ id, name, zone, w, d, h, tileX, tileY, rotation, doors }] (w/d at rotation 0;
+   *     doors: [{ dx, dy, direction, state, pathCost }] on the footprint at rotation, null = default front door),
+   *   grid: { width, height, tileSize, verticalLinks } (tiles; verticalLinks: [{ tileX, tileY }] on this floor),
+   *   psychModel, validator (ConstraintValidator), missionParams (MissionParams),
+   *   designVariables (current layout)
+   * }
+   * @param {Object} options - { iterations, seed } overrides for the annealing section
+   */
+  constructor(config, problem, options = {}) {
+    this.config = config;
+    this.weights = config.objective_weights;
+    this.penalty = config.hard_constraints.penalty;
+
+    const annealing = config.annealing;
+    this.iterations = options.iterations || annealing.iterations;
+    this.seed = options.seed !== undefined ? options.seed : annealing.seed;
+    this.candidateCount = annealing.candidates;
+    this.initialTemperature = annealing.initial_temperature;
+    this.finalTemperature = annealing.final_temperature;
+    this.moveProbabilities = annealing.move_probabilities;
+
+    this.specs = problem.modules;
+    this.grid = problem.grid;
+    this.psychModel = problem.psychModel;
+    this.validator = problem.validator;
+    this.missionParams = problem.missionParams;
+    this.designVariables = problem.designVariables;
+
+    // Only traffic pairs whose modules are both present
+    const names = new Set(this.specs.map(m => m.name));
+    this.trafficPairs = config.traffic_pairs.pairs.filter(p => names.has(p.a) && names.has(p.b));
+
+    this.phiCache = new Map();
+    this.evaluations = 0;
+  }
+
+  /**
+   * Footprint of a module at a rotation
+   * @returns {Object} - { w, d, tileWidth, tileHeight } (meters / tiles)
+   */
+  footprint(spec, rotation) {
+    const swapped = rotation === 90 || rotation === 270;
+    const w = swapped ? spec.d : spec.w;
+    const d = swapped ? spec.w : spec.d;
+    return {
+      w,
+      d,
+      tileWidth: Math.ceil(w / this.grid.tileSize),
+      tileHeight: Math.ceil(d / this.grid.tileSize)
+    };
+  }
+
+  /**
+   * Door tiles of a module at a placement: its door layout turned from the
+   * spec's rotation to the placement's (HabitatModule.rotateDoorSpec)
+   * @param {Object} spec - Module spec
+   * @param {Object} placement - { tileX, tileY, rotation }
+   * @returns {Array} - [{ tileX, tileY, direction, state, pathCost }]
+   */
+  doorsAt(spec, placement) {
+    const { tileX, tileY, rotation } = placement;
+
+    if (!spec.doors) {
+      const { tileWidth, tileHeight } = this.footprint(spec, rotation);
+      return [{
+        ...HabitatModule.computeDoorPosition(tileX, tileY, tileWidth, tileHeight, rotation),
+        state: 'open',
+        pathCost: 0
+      }];
+    }
+
+    let specRotation = ROTATIONS.includes(spec.rotation) ? spec.rotation : 0;
+    let doors = spec.doors;
+    while (specRotation !== rotation) {
+      const { tileHeight } = this.footprint(spec, specRotation);
+      doors = doors.map(door => HabitatModule.rotateDoorSpec(door, tileHeight));
+      specRotation = (specRotation + 90) % 360;
+    }
+
+    return doors.map(door => ({
+      tileX: tileX + door.dx,
+      tileY: tileY + door.dy,
+      direction: door.direction,
+      state: door.state || 'open',
+      pathCost: door.pathCost ?? 0
+    }));
+  }
+
+  /**
+   * Keep a placement's footprint on the grid
+   * @param {Object} spec - Module spec
+   * @param {Object} placement - { tileX, tileY, rotation }
+   * @returns {Object} - Clamped placement
+   */
+  clampPlacement(spec, placement) {
+    const { tileWidth, tileHeight } = this.footprint(spec, placement.rotation);
+    return {
+      rotation: placement.rotation,
+      tileX: Math.max(0, Math.min(this.grid.width - tileWidth, placement.tileX)),
+      tileY: Math.max(0, Math.min(this.grid.height - tileHeight, placement.tileY))
+    };
+  }
+
+  /**
+   * Starting state: the modules' current placements
+   * @returns {Array} - [{ tileX, tileY, rotation }] in spec order
+   */
+  initialState() {
+    return this.specs.map(spec => this.clampPlacement(spec, {
+      tileX: spec.tileX || 0,
+      tileY: spec.tileY || 0,
+      rotation: ROTATIONS.includes(spec.rotation) ? spec.rotation : 0
+    }));
+  }
+
+  /**
+   * Score a state
+   * @param {Array} state - Placements in spec order
+   * @returns {Object} - { score, feasible, phi, adjacencyCompliance, visualOrder, pathViolations, trafficDistance, hard }
+   */
+  evaluate(state) {
+    this.evaluations++;
+
+    const tiles = new TileSystem(this.grid.width, this.grid.height, this.grid.tileSize);
+    const hard = { overlaps: 0, outOfBounds: 0, unreachableDoors: 0, blockedLinks: 0 };
+    const shellWidth = this.grid.width * this.grid.tileSize;
+    const shellDepth = this.grid.height * this.grid.tileSize;
+
+    // Modules as the scene would place them (HabitatModule.placeAtTile)
+    const modules = this.specs.map((spec, i) => {
+      const { tileX, tileY, rotation } = state[i];
+      const { w, d, tileWidth, tileHeight } = this.footprint(spec, rotation);
+
+      for (const tile of tiles.getTilesInRect(tileX, tileY, tileWidth, tileHeight)) {
+        if (tile.occupied) hard.overlaps++;
+      }
+      tiles.markModuleOccupancy(tileX, tileY, tileWidth, tileHeight, spec.id, spec.zone);
+
+      const world = tiles.tileToWorld(tileX, tileY);
+      const module = new LayoutModule({
+        id: spec.id,
+        name: spec.name,
+        zone: spec.zone,
+        rotation,
+        dimensions: { w, d, h: spec.h },
+        position: { x: world.x, y: spec.h / 2, z: world.z }
+      });
+      if (!module.isWithinBounds(shellWidth, shellDepth)) hard.outOfBounds++;
+
+      module.doors = this.doorsAt(spec, state[i]);
+      return module;
+    });
+
+    for (let i = 0; i < modules.length; i++) {
+      for (let j = i + 1; j < modules.length; j++) {
+        if (modules[i].checkOverlap(modules[j])) hard.overlaps++;
+      }
+    }
+
+    // Doors crew can pass (not locked) must open onto free floor, all connected to each other
+    const doorTiles = modules.map(module => module.doors
+      .filter(door => door.state !== 'locked')
+      .map(door => {
+        const offset = OUTSIDE_OFFSETS[door.direction];
+        const tile = tiles.getTile(door.tileX + offset.dx, door.tileY + offset.dy);
+        const open = tile && !tile.occupied ? tile : null;
+        return { door, tile: open, distances: open ? this.floorDistances(tiles, open) : null };
+      }));
+
+    const exits = doorTiles.flat();
+    const reachable = exits.find(exit => exit.tile)?.distances ?? null;
+    hard.unreachableDoors = exits.filter(exit =>
+      !exit.tile || !reachable || !reachable.has(this.tileKey(exit.tile))
+    ).length;
+
+    // Ladders / hatches are fixed: not built over, and reachable from the doors
+    hard.blockedLinks = (this.grid.verticalLinks || []).filter(link => {
+      const tile = tiles.getTile(link.tileX, link.tileY);
+      return !tile || tile.occupied || !reachable || !reachable.has(this.tileKey(tile));
+    }).length;
+
+    // Soft objectives
+    const adjacencyCompliance = this.validator.calculateAdjacencyCompliance(modules);
+    const pairs = Math.max(1, (modules.length * (modules.length - 1)) / 2);
+    const pathViolations = this.validator.validatePathWidth(modules).violations.length;
+    const trafficDistance = this.trafficDistance(modules, doorTiles);
+    const visualOrder = this.missionParams.computeVisualOrder(modules);
+    const phi = this.calculatePHI(adjacencyCompliance, visualOrder);
+
+    const hardCount = hard.overlaps + hard.outOfBounds + hard.unreachableDoors + hard.blockedLinks;
+    const score =
+      this.weights.phi * phi / 100 +
+      this.weights.adjacency * adjacencyCompliance -
+      this.weights.path_width * pathViolations / pairs -
+      this.weights.traffic * trafficDistance -
+      this.penalty * hardCount;
+
+    return {
+      score,
+      feasible: hardCount === 0,
+      phi,
+      adjacencyCompliance,
+      visualOrder,
+      pathViolations,
+      trafficDistance,
+      hard
+    };
+  }
+
+  tileKey(tile) {
+    return tile.y * this.grid.width + tile.x;
+  }
+
+  /**
+   * Walking distance (tiles) from a floor tile to every connected free tile
+   * @returns {Map} - tileKey → distance
+   */
+  floorDistances(tiles, start) {
+    const distances = new Map([[this.tileKey(start), 0]]);
+    const queue = [start];
+
+    for (let head = 0; head < queue.length; head++) {
+      const current = queue[head];
+      const distance = distances.get(this.tileKey(current));
+
+      for (const { tile } of tiles.getNeighbors(current.x, current.y)) {
+        const key = this.tileKey(tile);
+        if (tile.occupied || distances.has(key)) continue;
+        distances.set(key, distance + 1);
+        queue.push(tile);
+      }
+    }
+
+    return distances;
+  }
+
+  /**
+   * Trip-weighted door-to-door distance, normalized by the grid's half perimeter
+   * Each module of type a walks to the nearest module of type b, through the
+   * pair of doors with the lowest walk plus door path cost
+   * @param {Array<LayoutModule>} modules
+   * @param {Array<Array>} doorTiles - Per module: [{ door, tile, distances }] of the doors crew can pass
+   * @returns {Number} - 0 (adjacent doors) .. ~1 (opposite corners); unreachable trips count as 1
+   */
+  trafficDistance(modules, doorTiles) {
+    if (this.trafficPairs.length === 0) return 0;
+
+    const span = this.grid.width + this.grid.height;
+    let weighted = 0;
+    let trips = 0;
+
+    for (const pair of this.trafficPairs) {
+      for (const [i, from] of modules.entries()) {
+        if (from.moduleName !== pair.a) continue;
+
+        let nearest = span;
+        for (const [j, to] of modules.entries()) {
+          if (to.moduleName !== pair.b) continue;
+
+          for (const exit of doorTiles[i]) {
+            if (!exit.distances) continue;
+            for (const entry of doorTiles[j]) {
+              const distance = entry.tile ? exit.distances.get(this.tileKey(entry.tile)) : undefined;
+              if (distance !== undefined) {
+                nearest = Math.min(nearest, exit.door.pathCost + distance + entry.door.pathCost);
+              }
+            }
+          }
+        }
+
+        weighted += pair.trips_per_day * nearest / span;
+        trips += pair.trips_per_day;
+      }
+    }
+
+    return trips > 0 ? weighted / trips : 0;
+  }
+
+  /**
+   * Final-day PHI for the current layout with the candidate's A and V (cached)
+   */
+  calculatePHI(adjacencyCompliance, visualOrder) {
+    const key = `${adjacencyCompliance.toFixed(4)}|${visualOrder.toFixed(4)}`;
+    if (!this.phiCache.has(key)) {
+      const results = this.psychModel.simulateMission({
+        ...this.designVariables,
+        adjacencyCompliance,
+        visualOrder
+      });
+      this.phiCache.set(key, results.length > 0 ? results[results.length - 1].psychHealthIndex : 0);
+    }
+    return this.phiCache.get(key);
+  }
+
+  /**
+   * Random neighbouring state (one move)
+   * @param {Array} state - Current placements
+   * @param {SeededRandom} rng
+   * @returns {Array} - New placements
+   */
+  neighbor(state, rng) {
+    const next = state.map(p => ({ ...p }));
+    const i = Math.floor(rng.next() * next.length);
+    const spec = this.specs[i];
+    const { shift, relocate, rotate } = this.moveProbabilities;
+    const move = rng.next();
+
+    if (move < shift) {
+      const axis = rng.next() < 0.5 ? 'tileX' : 'tileY';
+      next[i][axis] += rng.next() < 0.5 ? -1 : 1;
+      next[i] = this.clampPlacement(spec, next[i]);
+    } else if (move < shift + relocate) {
+      next[i] = this.clampPlacement(spec, {
+        ...next[i],
+        tileX: Math.floor(rng.next() * this.grid.width),
+        tileY: Math.floor(rng.next() * this.grid.height)
+      });
+    } else if (move < shift + relocate + rotate) {
+      next[i] = this.clampPlacement(spec, {
+        ...next[i],
+        rotation: (next[i].rotation + 90) % 360
+      });
+    } else if (next.length > 1) {
+      // Swap positions with another module
+      const j = (i + 1 + Math.floor(rng.next() * (next.length - 1))) % next.length;
+      const a = next[i];
+      const b = next[j];
+      next[i] = this.clampPlacement(spec, { ...a, tileX: b.tileX, tileY: b.tileY });
+      next[j] = this.clampPlacement(this.specs[j], { ...b, tileX: a.tileX, tileY: a.tileY });
+    }
+
+    return next;
+  }
+
+  /**
+   * Run the search
+   * @param {Object} callbacks - { onProgress(iteration, total), isCancelled() }
+   * @returns {Promise<Object>} - { initial, candidates: [{ placements, metrics }], evaluations, iterations, seed,
+   *                              cancelled } (candidates found so far if cancelled)
+   */
+  async run({ onProgress = null, isCancelled = null } = {}) {
+    console.log(`🧭 Starting layout optimization: ${this.specs.length} modules, ${this.iterations} iterations...`);
+
+    const rng = new SeededRandom(this.seed);
+    this.evaluations = 0;
+
+    let state = this.initialState();
+    let current = this.evaluate(state);
+    const initial = current;
+    const best = [];
+
+    const remember = (placements, metrics) => {
+      if (!metrics.feasible) return;
+      const signature = placements.map(p => `${p.tileX},${p.tileY},${p.rotation}`).join('|');
+      if (best.some(c => c.signature === signature)) return;
+
+      best.push({ signature, placements, metrics });
+      best.sort((a, b) => b.metrics.score - a.metrics.score);
+      if (best.length > this.candidateCount) best.pop();
+    };
+    remember(state, current);
+
+    const cooling = Math.pow(this.finalTemperature / this.initialTemperature, 1 / Math.max(1, this.iterations));
+    let temperature = this.initialTemperature;
+    let lastYield = Date.now();
+    let cancelled = false;
+
+    for (let iteration = 0; iteration < this.iterations; iteration++) {
+      // Yield so the page stays responsive between chunks of iterations
+      if (Date.now() - lastYield >= YIELD_INTERVAL_MS) {
+        onProgress?.(iteration, this.iterations);
+        await new Promise(resolve => setTimeout(resolve, 0));
+        lastYield = Date.now();
+
+        if (isCancelled?.()) {
+          cancelled = true;
+          break;
+        }
+      }
+
+      const candidate = this.neighbor(state, rng);
+      const metrics = this.evaluate(candidate);
+      const delta = metrics.score - current.score;
+
+      if (delta >= 0 || rng.next() < Math.exp(delta / temperature)) {
+        state = candidate;
+        current = metrics;
+        remember(state, current);
+      }
+
+      temperature *= cooling;
+    }
+
+    console.log(cancelled ?
+      `⏹️ Layout optimization cancelled (${this.evaluations} evaluations, ${best.length} feasible candidates)` :
+      `✅ Layout optimization complete (${this.evaluations} evaluations, ${best.length} feasible candidates)`);
+
+    return {
+      initial,
+      candidates: best.map(({ placements, metrics }) => ({
+        placements: placements.map((p, i) => ({
+          moduleId: this.specs[i].id,
+          name: this.specs[i].name,
+          ...p,
+          doors: this.doorsAt(this.specs[i], p)
+        })),
+        metrics
+      })),
+      evaluations: this.evaluations,
+      iterations: this.iterations,
+      seed: this.seed,
+      cancelled
+    };
+  }
+}
@@ -22,8 +22,14 @@ export class MissionParams {
     // User-configurable parameters
     this.windowType = 0.5; // 0=none, 0.5=digital, 1.0=physical
     this.lightingCompliance = 0.8; // 0-1
+    this.lightingMode = 'global'; // 'global' = lightingCompliance, 'schedule' = per-module lighting schedules
+    this.noiseMode = 'adjacency'; // 'adjacency' = exercise-adjacency rule, 'acoustic' = AcousticModel levels
+    this.ventilationRate = null; // m³/h between each module and the cabin (null = atmosphere.json default)
     this.exerciseCompliance = 0.7; // 0-1
     this.circulationPattern = 1; // 0=tree, 1=loop
+
+    // Scenario Earth-communication profile (null = HERA default)
+    this.communications = null;
   }
 
   /**
@@ -66,7 +72,8 @@ export class MissionParams {
   }
 
   /**
-   * Compute visual order metric (1.0 = clean layout, no overlaps)
+   * Compute visual order metric (1.0 = clean layout, no overlapping or touching footprints)
+   * Shared with LayoutOptimizer so candidates are scored like the HUD
    */
   computeVisualOrder(modules) {
     try {
@@ -77,6 +84,9 @@ export class MissionParams {
 
       for (let i = 0; i < modules.length; i++) {
         for (let j = i + 1; j < modules.length; j++) {
+          // Modules on different floors never crowd each other
+          if ((modules[i].level ?? 0) !== (modules[j].level ?? 0)) continue;
+
           const a = this.getAABB(modules[i]);
           const b = this.getAABB(modules[j]);
 
@@ -127,33 +137,11 @@ export class MissionParams {
 
   /**
    * Get axis-aligned bounding box for module
+   * Floor rectangle in world coordinates (HabitatModule / LayoutModule dimensions are already rotated)
    */
   getAABB(module) {
     try {
-      // Get position from mesh
-      const x = module.mesh?.position?.x || 0;
-      const z = module.mesh?.position?.z || 0;
-
-      // Get dimensions (accounting for rotation)
-      const w = module.width || 1;
-      const d = module.depth || 1;
-
-      // For rotated modules, we need to compute the oriented bounding box
-      // For simplicity, use the maximum extent
-      const rotation = module.mesh?.rotation?.y || 0;
-      const cos = Math.abs(Math.cos(rotation));
-      const sin = Math.abs(Math.sin(rotation));
-
-      const effectiveW = w * cos + d * sin;
-      const effectiveD = w * sin + d * cos;
-
-      return {
-        minX: x - effectiveW / 2,
-        maxX: x + effectiveW / 2,
-        minZ: z - effectiveD / 2,
-        maxZ: z + effectiveD / 2
-      };
-
+      return module.getFloorRectangle();
     } catch (error) {
       console.error('Error getting AABB:', error);
       return { minX: 0, maxX: 0, minZ: 0, maxZ: 0 };
@@ -192,7 +180,11 @@ export class MissionParams {
     if (config.habitatType !== undefined) this.habitatType = config.habitatType;
     if (config.windowType !== undefined) this.windowType = config.windowType;
     if (config.lightingCompliance !== undefined) this.lightingCompliance = config.lightingCompliance;
+    if (config.lightingMode !== undefined) this.lightingMode = config.lightingMode;
+    if (config.noiseMode !== undefined) this.noiseMode = config.noiseMode;
+    if (config.ventilationRate !== undefined) this.ventilationRate = config.ventilationRate;
     if (config.exerciseCompliance !== undefined) this.exerciseCompliance = config.exerciseCompliance;
     if (config.circulationPattern !== undefined) this.circulationPattern = config.circulationPattern;
+    if (config.communications !== undefined) this.communications = config.communications;
   }
 }
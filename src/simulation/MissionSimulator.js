@@ -4,9 +4,11 @@
  * 45-Day HERA Mission Simulator with daily time-step psychological modeling
  *
  * Integrates:
- * - PsychModel (HERA + UND baseline psychological trends)
- * - SleepModel (Mars-Sim inspired sleep quality calculation)
+ * - Psych model (ModelRegistry; default PsychModel: HERA + UND baseline trends)
+ * - Sleep model (ModelRegistry; default SleepModel: Mars-Sim inspired sleep quality)
  * - Performance degradation (Mars-Sim inspired, NASA BHP validated)
+ * - RelationshipModel (pairwise crew affinity → team cohesion)
+ * - AtmosphereModel (cabin CO2 / heat from crew agent occupancy → performance)
  *
  * NASA Sources:
  * - HERA Facility Documentation: 45-day mission protocol
@@ -14,16 +16,39 @@
  * - NASA-TM-2016-218603: Behavioral Health and Performance
  */
 
-import { PsychModel } from './PsychModel.js';
-import { SleepModel } from './SleepModel.js';
+import { ModelRegistry } from './ModelRegistry.js';
+import { RelationshipModel } from './RelationshipModel.js';
+import { CommunicationModel } from './CommunicationModel.js';
+import { ObservedBehaviorModel } from './ObservedBehaviorModel.js';
+import { CircadianLightingModel } from './CircadianLightingModel.js';
+import { AtmosphereModel } from './AtmosphereModel.js';
+import { DataLoader } from '../data/DataLoader.js';
 
 export class MissionSimulator {
-  constructor(layout, crewConfig, constraints, psychParams, moduleImpacts = null) {
+  /**
+   * @param {Object} layout - Layout from getLayoutForValidation()
+   * @param {Object} crewConfig - { crewSize, missionDays, names, roles, genders, traits }
+   * @param {Object} constraints - NASA constraints (nasa-constraints.json)
+   * @param {Object} psychParams - Psych model parameters (psych-model-params.json)
+   * @param {Object} moduleImpacts - Module impact data (optional, fetched if null)
+   * @param {Object} options - { rng, verbose, eventSchedule, psychModel, sleepModel, observedBehavior, atmosphereModel }
+   *                           rng (SeededRandom) enables stochastic mode; eventSchedule (EventSchedule)
+   *                           injects discrete mission events; psychModel / sleepModel are ModelRegistry
+   *                           ids; observedBehavior (AgentDaySimulator result) replaces layout constants
+   *                           with what the crew agents did each day; atmosphereModel is a prebuilt
+   *                           AtmosphereModel for the same layout and observations
+   */
+  constructor(layout, crewConfig, constraints, psychParams, moduleImpacts = null, options = {}) {
     this.layout = layout;
     this.constraints = constraints;
     this.psychParams = psychParams;
     this.moduleImpacts = moduleImpacts;
 
+    // Stochastic mode (Monte Carlo replicates) - deterministic when no RNG is given
+    this.rng = options.rng || null;
+    this.verbose = options.verbose !== false;
+    this.eventSchedule = options.eventSchedule || null;
+
     // Initialize mission parameters (HERA baseline)
     this.crewSize = crewConfig.crewSize || 4;
     this.missionDays = crewConfig.missionDays || 45;
@@ -32,13 +57,68 @@ export class MissionSimulator {
     // Storage for daily metrics (must be before initializeCrew)
     this.metrics = [];
     this.sleepHistory = {}; // Track sleep history per crew member
+    this.modelState = {}; // Psych model output per member, before events and the relationship matrix
 
     // Initialize crew members (uses sleepHistory)
     this.crew = this.initializeCrew(crewConfig);
 
-    // Initialize models
-    this.psychModel = new PsychModel(psychParams);
-    this.sleepModel = new SleepModel(constraints);
+    // Initialize models (registry ids from the mission config, defaults otherwise)
+    const psych = ModelRegistry.create('psych', options.psychModel, psychParams, { missionDays: this.missionDays });
+    const sleep = ModelRegistry.create('sleep', options.sleepModel, constraints);
+    this.psychModel = psych.model;
+    this.sleepModel = sleep.model;
+    this.modelInfo = { psych: psych.info, sleep: sleep.info };
+
+    // Calibrated sleep trend (ModelCalibrator): the sleep model replaces the psych model's sleep
+    // score, so carry the fitted q0 / q1 shift over the uncalibrated trend onto it
+    const sleepReference = psychParams.calibration?.sleep_reference;
+    const sleepTrend = psychParams.baseline_trends.sleep_quality;
+    this.sleepCalibration = sleepReference ?
+      { q0: sleepTrend.q0 - sleepReference.q0, q1: sleepTrend.q1 - sleepReference.q1 } : null;
+
+    // Per-member psych models: individualized by traits, plus jittered weights when stochastic
+    // (models without trait / perturbation support are shared as-is)
+    this.crewModels = {};
+    for (const member of this.crew) {
+      const traitModel = typeof this.psychModel.withTraits === 'function' ?
+        this.psychModel.withTraits(member.traits) : this.psychModel;
+      this.crewModels[member.id] = this.rng && typeof traitModel.perturb === 'function' ?
+        traitModel.perturb(this.rng.fork()) : traitModel;
+    }
+
+    // Pairwise relationship matrix (team cohesion is derived from it)
+    this.relationshipModel = psychParams.relationship_model ?
+      new RelationshipModel(psychParams.relationship_model, constraints) : null;
+    if (this.relationshipModel) {
+      this.relationshipModel.initialize(this.crew);
+    }
+
+    // Earth communication: opt-in through a scenario profile carried on the layout
+    this.communicationModel = psychParams.communication_model && layout.communications ?
+      new CommunicationModel(psychParams.communication_model, psychParams.hera_context, layout.communications) : null;
+    if (this.communicationModel) {
+      this.communicationModel.calculateCallQuality(layout, this.crewSize);
+    }
+
+    // Per-module lighting schedules (layout.lighting): each member's lighting compliance
+    // comes from the light they get along the crew timeline instead of the global L
+    this.lightingModel = layout.lighting && constraints.sleep_quality_factors.circadian_lighting ?
+      new CircadianLightingModel(constraints.sleep_quality_factors.circadian_lighting, layout.lighting) : null;
+    if (this.lightingModel) {
+      for (const member of this.crew) {
+        member.lightingCompliance = this.lightingModel.evaluate(layout, member.id).compliance;
+      }
+    }
+
+    // Crew agent observations (exercise, meals, sleep, shared time, waits)
+    this.observedBehavior = options.observedBehavior && psychParams.observed_behavior ?
+      new ObservedBehaviorModel(psychParams.observed_behavior, options.observedBehavior) : null;
+
+    // Cabin atmosphere per module (layout.atmosphere), driven by the agents' occupancy
+    // (prebuilt by MonteCarloSimulator and shared across replicates)
+    const atmosphereModel = options.atmosphereModel || (layout.atmosphere && options.observedBehavior ?
+      new AtmosphereModel(layout.atmosphere, options.observedBehavior) : null);
+    this.atmosphereModel = atmosphereModel?.days.length > 0 ? atmosphereModel : null;
 
     // Load module impact data if not provided
     if (!this.moduleImpacts) {
@@ -51,8 +131,7 @@ export class MissionSimulator {
    */
   async loadModuleImpacts() {
     try {
-      const response = await fetch('/src/data/module-psychological-impacts.json');
-      this.moduleImpacts = await response.json();
+      this.moduleImpacts = await DataLoader.load('module-psychological-impacts.json');
     } catch (error) {
       console.warn('Could not load module impacts, using defaults:', error);
       this.moduleImpacts = { module_impacts: {}, absence_penalties: {}, proximity_effects: {} };
@@ -61,6 +140,8 @@ export class MissionSimulator {
 
   /**
    * Initialize crew with simple profiles (no MBTI, NASA-compliant only)
+   * Optional trait profiles (resilience, sleepNeed, chronotype, sociability) individualize
+   * each member's PsychModel; missing traits fall back to population averages
    * @param {Object} config - Crew configuration
    * @returns {Array} - Array of crew member objects
    */
@@ -73,6 +154,7 @@ export class MissionSimulator {
         name: config.names?.[i] || `Crew Member ${i + 1}`,
         role: config.roles?.[i] || 'Crew Member',
         gender: config.genders?.[i] || (i % 2 === 0 ? 'M' : 'F'),
+        traits: { ...(config.traits?.[i] || {}) },
 
         // Initial psychological state (from HERA baseline)
         state: {
@@ -156,10 +238,13 @@ export class MissionSimulator {
           const distance = this.calculateModuleDistance(module1, module2);
 
           if (effect.distance_threshold_m && distance < effect.distance_threshold_m) {
-            // Penalty for too close
-            totalStressReduction -= effect.stress_penalty || 0;
-            totalMoodBonus -= effect.mood_penalty || 0;
-            totalSleepBonus -= effect.sleep_quality_penalty || 0;
+            // Penalty for too close (odor-borne effects are cut by closed doors)
+            const exposure = effect.isolated_by_closed_doors
+              ? 1 - Math.max(this.getOdorIsolation(module1), this.getOdorIsolation(module2))
+              : 1;
+            totalStressReduction -= (effect.stress_penalty || 0) * exposure;
+            totalMoodBonus -= (effect.mood_penalty || 0) * exposure;
+            totalSleepBonus -= (effect.sleep_quality_penalty || 0) * exposure;
           } else if (effect.distance_bonus_m && distance <= effect.distance_bonus_m) {
             // Bonus for optimal proximity
             totalStressReduction += effect.stress_reduction || 0;
@@ -179,6 +264,21 @@ export class MissionSimulator {
     };
   }
 
+  /**
+   * Odor isolation of a module's doors (0 = open to the cabin, 1 = sealed)
+   * Only a module whose doors are all closed / locked is isolated; the leakiest
+   * door type sets the isolation (module_doors.door_types.closed_odor_isolation)
+   * @param {Object} module - Layout module with doors: [{ type, state }]
+   * @returns {Number}
+   */
+  getOdorIsolation(module) {
+    const doorTypes = this.constraints?.module_doors?.door_types;
+    if (!doorTypes || !module.doors?.length) return 0;
+    if (module.doors.some(door => door.state === 'open')) return 0;
+
+    return Math.min(...module.doors.map(door => doorTypes[door.type]?.closed_odor_isolation ?? 0));
+  }
+
   /**
    * Calculate distance between two modules
    * @param {Object} m1 - First module
@@ -244,7 +344,7 @@ export class MissionSimulator {
     };
 
     // Debug logging
-    console.log('🧮 Design Variables Calculated:', {
+    if (this.verbose) console.log('🧮 Design Variables Calculated:', {
       privacy: `${(privateQuartersFraction * 100).toFixed(0)}%`,
       window: windowType,
       visualOrder: `${(visualOrder * 100).toFixed(0)}%`,
@@ -418,35 +518,155 @@ export class MissionSimulator {
       crew: []
     };
 
-    for (const member of this.crew) {
-      // Get previous day's metrics for damping
-      const previousMetrics = this.currentDay > 1 ?
+    // Earth contact is shared by the whole crew
+    const commsEffects = this.communicationModel ?
+      this.communicationModel.getDailyEffects(this.currentDay) : null;
+    if (commsEffects) {
+      dailyMetrics.communications = {
+        delaySeconds: commsEffects.delaySeconds,
+        contactHours: commsEffects.contactHours,
+        blackout: commsEffects.blackout,
+        conference: commsEffects.conference
+      };
+    }
+
+    // First pass: individual psych + sleep metrics
+    const memberStates = {};
+
+    for (const [memberIndex, member] of this.crew.entries()) {
+      // Get previous day's metrics for damping (damps on the model state, not the
+      // event- or matrix-adjusted values, so their offsets are not compounded daily)
+      let previousMetrics = this.currentDay > 1 ?
         this.metrics[this.currentDay - 2].crew.find(c => c.id === member.id) : null;
+      if (previousMetrics && this.modelState[member.id]) {
+        previousMetrics = { ...previousMetrics, ...this.modelState[member.id] };
+      }
+
+      // Observed agent behavior: the member's own exercise adherence replaces E
+      const behavior = this.observedBehavior ?
+        this.observedBehavior.getMemberEffects(this.currentDay, memberIndex) : null;
+      const memberDesignVariables = { ...designVariables };
+      if (behavior) {
+        memberDesignVariables.exerciseCompliance = behavior.exerciseCompliance;
+      }
+      // Light exposure from the module lighting schedules replaces L
+      if (member.lightingCompliance !== undefined) {
+        memberDesignVariables.lightingCompliance = member.lightingCompliance;
+      }
 
-      // Calculate psychological metrics using PsychModel
-      const psychMetrics = this.psychModel.simulateDay(
-        designVariables,
+      // Calculate psychological metrics using the member's psych model
+      const memberModel = this.crewModels[member.id];
+      const psychMetrics = memberModel.simulateDay(
+        memberDesignVariables,
         this.currentDay,
         previousMetrics
       );
 
-      // Calculate enhanced sleep quality using SleepModel
-      const sleepQuality = this.sleepModel.calculateSleepQuality(
+      // Calculate enhanced sleep quality using the sleep model
+      let sleepQuality = this.sleepModel.calculateSleepQuality(
         this.layout,
         member,
         this.currentDay,
         this.sleepHistory[member.id]
       );
 
+      // Calibrated trend shift (same τ as the psych model)
+      if (this.sleepCalibration) {
+        const tau = (this.currentDay - 1) / this.missionDays;
+        sleepQuality = Math.max(0, Math.min(100,
+          sleepQuality + this.sleepCalibration.q0 - this.sleepCalibration.q1 * tau
+        ));
+      }
+
+      // Individual sleep need / chronotype shift the layout-driven sleep score
+      sleepQuality = Math.max(0, Math.min(100, sleepQuality + (memberModel.traitSleepOffset || 0)));
+
+      // Observed hours in a sleep pod below the sleep need
+      if (behavior) {
+        sleepQuality = Math.max(0, Math.min(100, sleepQuality + behavior.sleepQuality));
+      }
+
+      // Stochastic mode: SleepModel is deterministic, so re-apply nightly variation
+      if (this.rng && memberModel.driftSD) {
+        sleepQuality = Math.max(0, Math.min(100,
+          sleepQuality + this.rng.gaussian(0, memberModel.driftSD.sleepQuality)
+        ));
+      }
+
       // Override sleep quality with enhanced calculation
       psychMetrics.sleepQuality = sleepQuality;
 
+      // Full model output (alternative models carry extra state, e.g. stress compartments)
+      this.modelState[member.id] = { ...psychMetrics };
+
+      // Apply active mission events (equipment failures, EVA days, ...)
+      if (this.eventSchedule) {
+        const effects = this.eventSchedule.getEffects(this.currentDay, memberIndex, memberDesignVariables);
+        for (const metric of ['stress', 'mood', 'sleepQuality', 'cohesion']) {
+          psychMetrics[metric] = Math.max(0, Math.min(100, psychMetrics[metric] + effects[metric]));
+        }
+      }
+
+      // Apply communication latency, contact gaps and family conference relief
+      if (commsEffects) {
+        psychMetrics.stress = Math.max(0, Math.min(100, psychMetrics.stress + commsEffects.stress));
+        psychMetrics.mood = Math.max(0, Math.min(100, psychMetrics.mood + commsEffects.mood));
+      }
+
+      // Apply observed missed meals and waits for occupied equipment
+      if (behavior) {
+        psychMetrics.stress = Math.max(0, Math.min(100, psychMetrics.stress + behavior.stress));
+      }
+
       // Track sleep history for debt calculation
-      this.sleepHistory[member.id].push(sleepQuality);
+      this.sleepHistory[member.id].push(psychMetrics.sleepQuality);
+
+      memberStates[member.id] = { ...psychMetrics, traits: member.traits };
+    }
+
+    // Update pairwise relationships; each member's cohesion becomes their mean pair affinity
+    if (this.relationshipModel && this.crew.length > 1) {
+      const context = this.relationshipModel.calculateLayoutContext(this.layout, this.crewSize, this.crew);
+
+      // Observed time each pair spent in the same module replaces the layout estimate
+      const sharedHours = this.observedBehavior?.getSharedHours(
+        this.currentDay,
+        this.crew.map(m => m.id),
+        (a, b) => this.relationshipModel.pairKey(a, b)
+      );
+      if (sharedHours) {
+        context.sharedHours = sharedHours;
+      }
+      const pairCohesion = this.relationshipModel.update(memberStates, context);
+
+      for (const member of this.crew) {
+        memberStates[member.id].cohesion = pairCohesion[member.id];
+      }
+      dailyMetrics.relationships = this.relationshipModel.snapshot();
+    }
+
+    // Observed crew behavior (team averages)
+    if (this.observedBehavior) {
+      dailyMetrics.behavior = this.observedBehavior.getDaySummary(this.currentDay);
+    }
 
-      // Calculate performance (Mars-Sim inspired)
-      const performance = this.psychModel.calculatePerformance(
-        psychMetrics,
+    // Cabin air: worst module of the day
+    if (this.atmosphereModel) {
+      dailyMetrics.atmosphere = this.atmosphereModel.getDaySummary(this.currentDay);
+    }
+
+    // Timeline markers for events starting today
+    if (this.eventSchedule) {
+      dailyMetrics.events = this.eventSchedule.getEventsOnDay(this.currentDay);
+    }
+
+    for (const [memberIndex, member] of this.crew.entries()) {
+      const { traits, ...psychMetrics } = memberStates[member.id];
+
+      // Calculate performance (Mars-Sim inspired), with the member's cabin air exposure when modelled
+      const airExposure = this.atmosphereModel?.getMemberExposure(this.currentDay, memberIndex);
+      const performance = this.crewModels[member.id].calculatePerformance(
+        airExposure ? { ...psychMetrics, ...airExposure } : psychMetrics,
         performanceThresholds
       );
 
@@ -501,7 +721,7 @@ export class MissionSimulator {
    * @returns {Object} - Simulation results with metrics and summary
    */
   run() {
-    console.log(`Starting ${this.missionDays}-day HERA mission simulation...`);
+    if (this.verbose) console.log(`Starting ${this.missionDays}-day HERA mission simulation...`);
 
     for (let day = 1; day <= this.missionDays; day++) {
       this.simulateDay();
@@ -521,11 +741,17 @@ export class MissionSimulator {
       missionConfig: {
         crewSize: this.crewSize,
         missionDays: this.missionDays,
+        seed: this.rng ? this.rng.seed : null,
+        models: {
+          ...this.modelInfo,
+          paramsVersion: this.psychParams.version || null
+        },
         crew: this.crew.map(m => ({
           id: m.id,
           name: m.name,
           role: m.role,
-          gender: m.gender
+          gender: m.gender,
+          traits: m.traits
         }))
       },
       layoutConfig: {
@@ -534,6 +760,15 @@ export class MissionSimulator {
         designVariables: this.calculateDesignVariables()
       },
       dailyMetrics: this.metrics,
+      relationships: this.relationshipModel && this.crew.length > 1 ?
+        this.relationshipModel.generateReport(this.crew) : null,
+      communications: this.communicationModel ? this.communicationModel.generateReport() : null,
+      behavior: this.observedBehavior ? this.observedBehavior.generateReport() : null,
+      lighting: this.lightingModel ? this.lightingModel.generateReport(this.layout, this.crew) : null,
+      acoustics: this.layout.acoustics || null,
+      atmosphere: this.atmosphereModel ? this.atmosphereModel.generateReport() : null,
+      logistics: this.layout.logistics || null,
+      events: this.metrics.flatMap(m => (m.events || []).map(event => ({ day: m.day, ...event }))),
       summary: summary,
       recommendations: this.generateRecommendations(summary)
     };
@@ -618,6 +853,48 @@ export class MissionSimulator {
       recommendations.push('Sleep quality declining: Implement sleep hygiene protocols and lighting adjustments');
     }
 
+    if (this.relationshipModel && this.crew.length > 1) {
+      const relationships = this.relationshipModel.generateReport(this.crew);
+      for (const pair of relationships.driftingPairs) {
+        recommendations.push(`Crew pair drifting apart: ${pair.names[0]} & ${pair.names[1]} (${pair.relativeChange.toFixed(1)} points vs team)`);
+      }
+
+      const context = this.relationshipModel.calculateLayoutContext(this.layout, this.crewSize);
+      const contact = this.psychParams.relationship_model.contact;
+      if (context.baseSharedHours <= contact.incidental_shared_hours) {
+        recommendations.push('Too little crew contact: Add a Ward/Dining or recreation module for shared meals');
+      } else if (context.crowding > 0.3) {
+        recommendations.push('Crowded layout forces contact: Enlarge common areas or add private retreat space');
+      }
+    }
+
+    if (this.communicationModel?.callQuality) {
+      const { stations, privacy, capacity } = this.communicationModel.callQuality;
+      if (stations === 0) {
+        recommendations.push('No Communications module: Add one for private family calls');
+      } else if (privacy < 0.5) {
+        recommendations.push('Communications module near common areas: Relocate it for private family calls');
+      } else if (capacity < 1) {
+        recommendations.push('Contact windows too short for all crew calls: Add a second Communications station');
+      }
+    }
+
+    if (this.atmosphereModel) {
+      const { modules, limits } = this.atmosphereModel.generateReport();
+      for (const module of modules.filter(m => m.hoursOverCo2 > 0 || m.hoursOverTemperature > 0)) {
+        const problem = module.hoursOverCo2 > 0 ?
+          `CO2 up to ${module.peakCo2.toFixed(1)} mmHg (limit ${limits.co2_mmhg})` :
+          `temperature up to ${module.peakTemperature.toFixed(1)} °C (limit ${limits.temperature_c.max})`;
+        recommendations.push(`${module.name}: ${problem} - increase ventilation or reduce occupancy`);
+      }
+    }
+
+    const logistics = this.layout.logistics;
+    if (logistics?.depletionDay !== null && logistics?.depletionDay !== undefined) {
+      recommendations.push(`Stowage runs out on day ${logistics.depletionDay}: ` +
+        `add ${logistics.additionalCtbs} CTBs of stowage (Stowage module or resupply racks)`);
+    }
+
     return recommendations;
   }
 
@@ -0,0 +1,358 @@
+/**
+ * ModelCalibrator.js
+ *
+ * Fits psych-model baseline trends and damping factors to observed data
+ *
+ * Input: CSV of daily per-crew questionnaire scores (stress, mood, sleep, cohesion)
+ * from an analog mission. Observations are averaged per day across the crew and
+ * compared with PsychModel.simulateDay under the habitat's design variables.
+ *
+ * Each metric is fitted independently (its trend and damping do not affect the
+ * other metrics) with a bounded Nelder-Mead search over [x0, x1, λ]:
+ * - x0 within validation_ranges, x0 ± x1 (mission-end value) kept within range
+ * - λ within [0, 0.95]
+ *
+ * Sources:
+ * - Nelder & Mead (1965), A simplex method for function minimization
+ * - HERA Facility Documentation (2019): daily crew questionnaires
+ */
+
+import { PsychModel } from './PsychModel.js';
+
+// Per-metric parameter locations in psych-model-params.json
+const METRIC_FIELDS = {
+  stress: { trend: 'stress', x0: 's0', x1: 's1', lambda: 'lambda_stress', range: 'stress', sign: 1 },
+  mood: { trend: 'mood', x0: 'm0', x1: 'm1', lambda: 'lambda_mood', range: 'mood', sign: -1 },
+  sleepQuality: { trend: 'sleep_quality', x0: 'q0', x1: 'q1', lambda: 'lambda_sleep', range: 'sleep_quality', sign: -1 },
+  cohesion: { trend: 'cohesion', x0: 'c0', x1: 'c1', lambda: 'lambda_cohesion', range: 'cohesion', sign: -1 }
+};
+
+// CSV header aliases (lowercase) → observation field
+const COLUMN_ALIASES = {
+  day: ['day', 'mission_day'],
+  crewId: ['crew_id', 'crew', 'crewid', 'name', 'participant'],
+  stress: ['stress'],
+  mood: ['mood'],
+  sleepQuality: ['sleep_quality', 'sleep', 'sleepquality'],
+  cohesion: ['cohesion', 'team_cohesion']
+};
+
+const MAX_LAMBDA = 0.95;
+const MAX_ITERATIONS = 400;
+
+export class ModelCalibrator {
+  /**
+   * @param {Object} psychParams - Starting parameters (psych-model-params.json)
+   * @param {Object} designVariables - Design variables of the analog habitat
+   */
+  constructor(psychParams, designVariables) {
+    this.psychParams = psychParams;
+    this.designVariables = designVariables;
+  }
+
+  /**
+   * Parse observed data CSV
+   * Requires a header row with a day column and at least one metric column;
+   * lines starting with '#' and empty cells are skipped
+   * @param {String} csvText - CSV file contents
+   * @returns {Array} - [{ day, crewId, stress, mood, sleepQuality, cohesion }]
+   */
+  static parseObservedCSV(csvText) {
+    const lines = csvText.split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'));
+
+    if (lines.length < 2) {
+      throw new Error('CSV needs a header row and at least one data row');
+    }
+
+    const header = lines[0].split(',').map(h => h.trim().toLowerCase().replace(/\s+/g, '_'));
+    const columns = {};
+    for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+      const index = header.findIndex(h => aliases.includes(h));
+      if (index >= 0) columns[field] = index;
+    }
+
+    if (columns.day === undefined) {
+      throw new Error('CSV is missing a "day" column');
+    }
+    if (!Object.keys(METRIC_FIELDS).some(metric => columns[metric] !== undefined)) {
+      throw new Error('CSV has no stress, mood, sleep_quality or cohesion column');
+    }
+
+    const rows = [];
+    for (const line of lines.slice(1)) {
+      const cells = line.split(',').map(c => c.trim());
+      const day = parseInt(cells[columns.day]);
+      if (!Number.isFinite(day) || day < 1) continue;
+
+      const row = {
+        day,
+        crewId: columns.crewId !== undefined ? cells[columns.crewId] : null
+      };
+      for (const metric of Object.keys(METRIC_FIELDS)) {
+        const value = columns[metric] !== undefined ? parseFloat(cells[columns[metric]]) : NaN;
+        row[metric] = Number.isFinite(value) ? value : null;
+      }
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Average observations per day across the crew
+   * @param {Array} observations - Parsed CSV rows
+   * @returns {Object} - { [metric]: Map(day -> mean) }
+   */
+  aggregateByDay(observations) {
+    const series = {};
+
+    for (const metric of Object.keys(METRIC_FIELDS)) {
+      const sums = new Map();
+      for (const row of observations) {
+        if (row[metric] === null) continue;
+        const entry = sums.get(row.day) || { sum: 0, n: 0 };
+        entry.sum += row[metric];
+        entry.n++;
+        sums.set(row.day, entry);
+      }
+
+      series[metric] = new Map(
+        [...sums.entries()]
+          .sort((a, b) => a[0] - b[0])
+          .map(([day, { sum, n }]) => [day, sum / n])
+      );
+    }
+
+    return series;
+  }
+
+  /**
+   * Simulate daily metrics with a parameter set
+   * @param {Object} params - Psych model parameters
+   * @param {Number} days - Number of days to simulate
+   * @returns {Array} - Daily { stress, mood, sleepQuality, cohesion } (index 0 = day 1)
+   */
+  simulate(params, days) {
+    // Trends run over the observed mission length
+    const model = new PsychModel(params, { missionDays: days });
+    const results = [];
+    let previousMetrics = null;
+
+    for (let day = 1; day <= days; day++) {
+      previousMetrics = model.simulateDay(this.designVariables, day, previousMetrics);
+      results.push(previousMetrics);
+    }
+
+    return results;
+  }
+
+  /**
+   * Copy of params with one metric's [x0, x1, λ] replaced
+   */
+  withMetricParams(params, metric, [x0, x1, lambda]) {
+    const fields = METRIC_FIELDS[metric];
+    const next = JSON.parse(JSON.stringify(params));
+    next.baseline_trends[fields.trend][fields.x0] = x0;
+    next.baseline_trends[fields.trend][fields.x1] = x1;
+    next.damping_factors[fields.lambda] = lambda;
+    return next;
+  }
+
+  /**
+   * Project [x0, x1, λ] onto the feasible region
+   */
+  constrain(metric, [x0, x1, lambda]) {
+    const fields = METRIC_FIELDS[metric];
+    const { min, max } = this.psychParams.validation_ranges[fields.range];
+
+    const start = Math.max(min, Math.min(max, x0));
+    // Mission-end value: x0 + x1 for stress, x0 - x1 for the others
+    const end = Math.max(min, Math.min(max, start + fields.sign * x1));
+
+    return [start, fields.sign * (end - start), Math.max(0, Math.min(MAX_LAMBDA, lambda))];
+  }
+
+  /**
+   * Bounded Nelder-Mead minimization
+   * @param {Function} objective - f(point) → number
+   * @param {Array<Number>} start - Starting point
+   * @param {Array<Number>} steps - Initial simplex step per dimension
+   * @param {Function} project - Maps a point into the feasible region
+   * @returns {Object} - { point, value, iterations }
+   */
+  nelderMead(objective, start, steps, project) {
+    const n = start.length;
+    const evaluate = (point) => {
+      const p = project(point);
+      return { point: p, value: objective(p) };
+    };
+
+    let simplex = [evaluate(start)];
+    for (let i = 0; i < n; i++) {
+      const point = [...start];
+      point[i] += steps[i];
+      simplex.push(evaluate(point));
+    }
+
+    let iterations = 0;
+    for (; iterations < MAX_ITERATIONS; iterations++) {
+      simplex.sort((a, b) => a.value - b.value);
+      const best = simplex[0];
+      const worst = simplex[n];
+
+      if (Math.abs(worst.value - best.value) < 1e-8 * (1 + Math.abs(best.value))) break;
+
+      // Centroid of all points except the worst
+      const centroid = new Array(n).fill(0);
+      for (let i = 0; i < n; i++) {
+        for (let d = 0; d < n; d++) centroid[d] += simplex[i].point[d] / n;
+      }
+      const along = (t) => centroid.map((c, d) => c + t * (worst.point[d] - c));
+
+      const reflected = evaluate(along(-1));
+      if (reflected.value < best.value) {
+        const expanded = evaluate(along(-2));
+        simplex[n] = expanded.value < reflected.value ? expanded : reflected;
+      } else if (reflected.value < simplex[n - 1].value) {
+        simplex[n] = reflected;
+      } else {
+        const contracted = evaluate(along(reflected.value < worst.value ? -0.5 : 0.5));
+        if (contracted.value < Math.min(reflected.value, worst.value)) {
+          simplex[n] = contracted;
+        } else {
+          // Shrink toward the best point
+          simplex = simplex.map((vertex, i) => i === 0 ? vertex :
+            evaluate(vertex.point.map((v, d) => best.point[d] + 0.5 * (v - best.point[d]))));
+        }
+      }
+    }
+
+    simplex.sort((a, b) => a.value - b.value);
+    return { point: simplex[0].point, value: simplex[0].value, iterations };
+  }
+
+  /**
+   * Goodness of fit between observed and simulated series
+   * @param {Map} observed - day -> observed mean
+   * @param {Array} simulated - Daily simulated values (index 0 = day 1)
+   * @returns {Object} - { n, rmse, mae, bias, r2 }
+   */
+  goodnessOfFit(observed, simulated) {
+    const pairs = [...observed.entries()]
+      .filter(([day]) => day <= simulated.length)
+      .map(([day, value]) => [value, simulated[day - 1]]);
+    const n = pairs.length;
+    if (n === 0) return { n: 0, rmse: null, mae: null, bias: null, r2: null };
+
+    const mean = pairs.reduce((sum, [o]) => sum + o, 0) / n;
+    let sse = 0;
+    let sae = 0;
+    let bias = 0;
+    let sst = 0;
+    for (const [o, s] of pairs) {
+      sse += (s - o) ** 2;
+      sae += Math.abs(s - o);
+      bias += s - o;
+      sst += (o - mean) ** 2;
+    }
+
+    return {
+      n,
+      rmse: Math.sqrt(sse / n),
+      mae: sae / n,
+      bias: bias / n,
+      r2: sst > 0 ? 1 - sse / sst : null
+    };
+  }
+
+  /**
+   * Fit baseline trends and damping factors to observed data
+   * @param {Array} observations - Parsed CSV rows (parseObservedCSV)
+   * @param {String} sourceName - Data file name, recorded in the output params
+   * @returns {Object} - { params, fit, series, days }
+   */
+  calibrate(observations, sourceName = 'observed data') {
+    console.log(`🎯 Calibrating psych model against ${observations.length} observations...`);
+
+    const series = this.aggregateByDay(observations);
+    const days = Math.max(...observations.map(row => row.day));
+    const before = this.simulate(this.psychParams, days);
+
+    let params = JSON.parse(JSON.stringify(this.psychParams));
+    const fit = {};
+
+    for (const [metric, fields] of Object.entries(METRIC_FIELDS)) {
+      const observed = series[metric];
+      const original = this.goodnessOfFit(observed, before.map(m => m[metric]));
+
+      if (observed.size < 3) {
+        fit[metric] = { fitted: false, before: original, after: original };
+        continue;
+      }
+
+      const objective = (point) => {
+        const simulated = this.simulate(this.withMetricParams(params, metric, point), days);
+        let sse = 0;
+        for (const [day, value] of observed) sse += (simulated[day - 1][metric] - value) ** 2;
+        return sse;
+      };
+
+      const start = [
+        params.baseline_trends[fields.trend][fields.x0],
+        params.baseline_trends[fields.trend][fields.x1],
+        params.damping_factors[fields.lambda]
+      ];
+      const result = this.nelderMead(objective, start, [5, 5, 0.1], (p) => this.constrain(metric, p));
+      params = this.withMetricParams(params, metric, result.point);
+
+      const [x0, x1] = result.point;
+      params.baseline_trends[fields.trend].notes =
+        `Calibrated to ${sourceName}: ${x0.toFixed(1)} → ${(x0 + fields.sign * x1).toFixed(1)} over the mission (${days} days observed)`;
+
+      const after = this.goodnessOfFit(observed, this.simulate(params, days).map(m => m[metric]));
+      fit[metric] = {
+        fitted: true,
+        [fields.x0]: result.point[0],
+        [fields.x1]: result.point[1],
+        [fields.lambda]: result.point[2],
+        iterations: result.iterations,
+        before: original,
+        after
+      };
+
+      console.log(`  - ${metric}: RMSE ${original.rmse.toFixed(2)} → ${after.rmse.toFixed(2)}`);
+    }
+
+    // Uncalibrated sleep trend: the sleep model (MissionSimulator) is shifted by the calibrated difference
+    const sleepReference = this.psychParams.calibration?.sleep_reference ?? {
+      q0: this.psychParams.baseline_trends.sleep_quality.q0,
+      q1: this.psychParams.baseline_trends.sleep_quality.q1
+    };
+
+    params.calibration = {
+      description: 'Baseline trends and damping factors fitted to observed data (ModelCalibrator)',
+      source: sourceName,
+      date: new Date().toISOString(),
+      observations: observations.length,
+      days,
+      crew: new Set(observations.map(row => row.crewId).filter(Boolean)).size,
+      fit,
+      sleep_reference: sleepReference
+    };
+
+    console.log('✅ Calibration complete');
+
+    return {
+      params,
+      fit,
+      days,
+      series,
+      simulated: {
+        before,
+        after: this.simulate(params, days)
+      }
+    };
+  }
+}
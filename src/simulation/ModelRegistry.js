@@ -0,0 +1,120 @@
+/**
+ * ModelRegistry.js
+ *
+ * Registry of interchangeable psychological and sleep models
+ *
+ * MissionSimulator looks models up here by id (chosen per run in the mission
+ * config) instead of constructing PsychModel / SleepModel directly, so an
+ * alternative model only has to be registered, not wired into the simulator.
+ *
+ * Psych model interface (see PsychModel):
+ * - simulateDay(designVariables, day, previousMetrics) → { stress, mood, sleepQuality, cohesion, ... }
+ *   Extra fields are carried into the next day's previousMetrics
+ * - calculatePHI(metrics) → Number
+ * - calculatePerformance(metrics, thresholds) → Number
+ * - withTraits(traits), perturb(rng) (optional) - per-member / stochastic copies
+ *
+ * Sleep model interface (see SleepModel):
+ * - calculateSleepQuality(layout, crewMember, day, sleepHistory) → Number
+ */
+
+import { PsychModel } from './PsychModel.js';
+import { CompartmentalStressModel } from './CompartmentalStressModel.js';
+import { SleepModel } from './SleepModel.js';
+
+const registry = {
+  psych: new Map(),
+  sleep: new Map()
+};
+
+export const DEFAULT_MODELS = {
+  psych: 'hera-und',
+  sleep: 'mars-sim-sleep'
+};
+
+export class ModelRegistry {
+  /**
+   * Register a model
+   * @param {String} kind - 'psych' | 'sleep'
+   * @param {Object} entry - { id, name, version, description, create(...args) }
+   *                         psych: create(psychParams, options); sleep: create(constraints)
+   */
+  static register(kind, entry) {
+    if (!registry[kind]) {
+      throw new Error(`Unknown model kind: ${kind}`);
+    }
+    if (!entry?.id || typeof entry.create !== 'function') {
+      throw new Error(`Model registration needs an id and a create() factory`);
+    }
+    registry[kind].set(entry.id, entry);
+  }
+
+  /**
+   * Look up a model entry, falling back to the default for its kind
+   * @param {String} kind - 'psych' | 'sleep'
+   * @param {String} id - Model id (optional)
+   * @returns {Object} - Registry entry
+   */
+  static get(kind, id = null) {
+    const models = registry[kind];
+    if (!models) {
+      throw new Error(`Unknown model kind: ${kind}`);
+    }
+
+    if (id && !models.has(id)) {
+      console.warn(`⚠️ Unknown ${kind} model "${id}", using ${DEFAULT_MODELS[kind]}`);
+    }
+    return models.get(id) || models.get(DEFAULT_MODELS[kind]);
+  }
+
+  /**
+   * List registered models (for UI selects)
+   * @param {String} kind - 'psych' | 'sleep'
+   * @returns {Array} - [{ id, name, version, description }]
+   */
+  static list(kind) {
+    return Array.from(registry[kind]?.values() || []).map(({ id, name, version, description }) => ({
+      id, name, version, description
+    }));
+  }
+
+  /**
+   * Instantiate a registered model
+   * @param {String} kind - 'psych' | 'sleep'
+   * @param {String} id - Model id (default model when null / unknown)
+   * @param {...*} args - Passed to the entry's create()
+   * @returns {Object} - { model, info: { id, name, version } }
+   */
+  static create(kind, id, ...args) {
+    const entry = ModelRegistry.get(kind, id);
+    return {
+      model: entry.create(...args),
+      info: { id: entry.id, name: entry.name, version: entry.version }
+    };
+  }
+}
+
+// Built-in models
+ModelRegistry.register('psych', {
+  id: 'hera-und',
+  name: 'HERA + UND Baseline',
+  version: '1.0.0',
+  description: 'Damped daily targets from HERA trends and UND design variable weights',
+  create: (params, options) => new PsychModel(params, options)
+});
+
+ModelRegistry.register('psych', {
+  id: 'compartmental-stress',
+  name: 'Compartmental Stress',
+  version: '1.0.0',
+  description: 'Acute and chronic stress pools; chronic load spills over into mood and sleep',
+  create: (params, options) => new CompartmentalStressModel(params, options)
+});
+
+ModelRegistry.register('sleep', {
+  id: 'mars-sim-sleep',
+  name: 'Mars-Sim Sleep',
+  version: '1.0.0',
+  description: 'Private quarters, noise adjacency and sleep debt (Mars-Sim inspired)',
+  create: (constraints) => new SleepModel(constraints)
+});
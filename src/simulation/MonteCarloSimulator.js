@@ -0,0 +1,237 @@
+/**
+ * MonteCarloSimulator.js
+ *
+ * Stochastic replicate runner for MissionSimulator
+ *
+ * Runs N seeded replicates of the mission with noise on the PsychModel
+ * baseline drift and design variable weights, then summarizes:
+ * - Per-day mean and percentile bands (P5/P50/P95) for every metric
+ * - Probability of crossing the NASA performance thresholds
+ * - Distribution of mission PHI for layout-vs-layout comparison
+ *
+ * Replicate i always uses the same seed for a given base seed, so two layouts
+ * run with the same seed are compared under identical random conditions.
+ *
+ * NASA Sources:
+ * - NASA-TM-2016-218603: Behavioral Health and Performance (thresholds)
+ * - HERA Facility Documentation: inter-individual variability in analog crews
+ */
+
+import { MissionSimulator } from './MissionSimulator.js';
+import { SeededRandom } from './SeededRandom.js';
+import { AtmosphereModel } from './AtmosphereModel.js';
+
+const METRICS = ['stress', 'mood', 'sleepQuality', 'cohesion', 'performance', 'phi'];
+
+export class MonteCarloSimulator {
+  /**
+   * @param {Object} layout - Layout from getLayoutForValidation()
+   * @param {Object} crewConfig - Crew configuration passed to each MissionSimulator
+   * @param {Object} constraints - NASA constraints (nasa-constraints.json)
+   * @param {Object} psychParams - Psych model parameters (psych-model-params.json)
+   * @param {Object} moduleImpacts - Module impact data
+   * @param {Object} options - { replicates, seed, eventSchedule, psychModel, sleepModel, observedBehavior }
+   */
+  constructor(layout, crewConfig, constraints, psychParams, moduleImpacts = null, options = {}) {
+    this.layout = layout;
+    this.crewConfig = crewConfig;
+    this.constraints = constraints;
+    this.psychParams = psychParams;
+    this.moduleImpacts = moduleImpacts;
+
+    this.replicates = options.replicates || 100;
+    this.seed = options.seed !== undefined ? options.seed : 1;
+    this.eventSchedule = options.eventSchedule || null;
+    this.psychModel = options.psychModel || null;
+    this.sleepModel = options.sleepModel || null;
+    this.observedBehavior = options.observedBehavior || null;
+
+    // Cabin air depends only on layout and agent occupancy: compute once for all replicates
+    this.atmosphereModel = layout.atmosphere && this.observedBehavior ?
+      new AtmosphereModel(layout.atmosphere, this.observedBehavior) : null;
+
+    this.replicateResults = [];
+    this.models = null;
+    this.phiModel = null;   // Replicates' psych model: PHI of the daily bands, same formula as the per-run PHI
+  }
+
+  /**
+   * Run all replicates
+   * @returns {Object} - Monte Carlo report
+   */
+  run() {
+    console.log(`🎲 Starting Monte Carlo simulation: ${this.replicates} replicates (seed ${this.seed})...`);
+
+    this.replicateResults = [];
+
+    for (let i = 0; i < this.replicates; i++) {
+      this.runReplicate(i);
+    }
+
+    return this.generateReport();
+  }
+
+  /**
+   * Run a single seeded replicate and store its results
+   * (the simulation worker calls this directly so it can report progress and stop early)
+   * @param {Number} i - Replicate index (selects the seed)
+   */
+  runReplicate(i) {
+    const simulator = new MissionSimulator(
+      this.layout,
+      this.crewConfig,
+      this.constraints,
+      this.psychParams,
+      this.moduleImpacts,
+      {
+        rng: new SeededRandom(`${this.seed}-${i}`),
+        verbose: false,
+        eventSchedule: this.eventSchedule,
+        psychModel: this.psychModel,
+        sleepModel: this.sleepModel,
+        observedBehavior: this.observedBehavior,
+        atmosphereModel: this.atmosphereModel
+      }
+    );
+
+    const report = simulator.run();
+    this.models = report.missionConfig.models;
+    this.phiModel = simulator.psychModel;
+    this.replicateResults.push({
+      replicate: i,
+      dailyMetrics: report.dailyMetrics,
+      phi: report.summary.phi,
+      crossings: this.detectThresholdCrossings(report.dailyMetrics)
+    });
+  }
+
+  /**
+   * Check whether any crew member crossed a performance threshold during a replicate
+   * @param {Array} dailyMetrics - MissionSimulator daily metrics
+   * @returns {Object} - { stressModerate, stressHigh, sleepQuality } booleans
+   */
+  detectThresholdCrossings(dailyMetrics) {
+    const thresholds = this.constraints.performance_thresholds;
+    const crossings = { stressModerate: false, stressHigh: false, sleepQuality: false };
+
+    for (const day of dailyMetrics) {
+      for (const member of day.crew) {
+        if (member.stress > thresholds.stress_moderate_threshold) crossings.stressModerate = true;
+        if (member.stress > thresholds.stress_high_threshold) crossings.stressHigh = true;
+        if (member.sleepQuality < thresholds.sleep_quality_threshold) crossings.sleepQuality = true;
+      }
+    }
+
+    return crossings;
+  }
+
+  /**
+   * Summarize replicates into percentile bands and probabilities
+   * @returns {Object} - Monte Carlo report
+   */
+  generateReport() {
+    const missionDays = this.replicateResults[0]?.dailyMetrics.length || 0;
+    const dailyBands = [];
+
+    for (let d = 0; d < missionDays; d++) {
+      const band = { day: d + 1 };
+
+      for (const metric of METRICS) {
+        const values = this.replicateResults.map(r => {
+          const avg = r.dailyMetrics[d].teamAverage;
+          return metric === 'phi' ? this.phiModel.calculatePHI(avg) : avg[metric];
+        });
+        band[metric] = MonteCarloSimulator.summarize(values);
+      }
+
+      dailyBands.push(band);
+    }
+
+    const phiValues = this.replicateResults.map(r => r.phi);
+    const probability = (key) =>
+      this.replicateResults.filter(r => r.crossings[key]).length / this.replicateResults.length;
+
+    return {
+      replicates: this.replicateResults.length,
+      seed: this.seed,
+      models: this.models,
+      missionDays,
+      dailyBands,
+      phi: {
+        ...MonteCarloSimulator.summarize(phiValues),
+        values: phiValues
+      },
+      thresholdCrossingProbability: {
+        stressModerate: probability('stressModerate'),
+        stressHigh: probability('stressHigh'),
+        sleepQuality: probability('sleepQuality')
+      }
+    };
+  }
+
+  /**
+   * Compare two Monte Carlo reports replicate-by-replicate
+   * Both reports should share seed and replicate count (common random numbers)
+   * @param {Object} reportA - Monte Carlo report for layout A
+   * @param {Object} reportB - Monte Carlo report for layout B
+   * @returns {Object} - { probabilityABetter, meanDifference, replicates, paired }
+   */
+  static compare(reportA, reportB) {
+    const a = reportA.phi.values;
+    const b = reportB.phi.values;
+    const n = Math.min(a.length, b.length);
+
+    if (n === 0) {
+      return { probabilityABetter: 0, meanDifference: 0, replicates: 0, paired: false };
+    }
+
+    let wins = 0;
+    let totalDifference = 0;
+    for (let i = 0; i < n; i++) {
+      if (a[i] > b[i]) wins++;
+      totalDifference += a[i] - b[i];
+    }
+
+    return {
+      probabilityABetter: wins / n,
+      meanDifference: totalDifference / n,
+      replicates: n,
+      paired: reportA.seed === reportB.seed
+    };
+  }
+
+  /**
+   * Mean and percentile summary of a sample
+   * @param {Array<Number>} values
+   * @returns {Object} - { mean, p5, p50, p95 }
+   */
+  static summarize(values) {
+    const sorted = [...values].sort((x, y) => x - y);
+    const mean = values.reduce((sum, v) => sum + v, 0) / Math.max(1, values.length);
+
+    return {
+      mean,
+      p5: MonteCarloSimulator.percentile(sorted, 5),
+      p50: MonteCarloSimulator.percentile(sorted, 50),
+      p95: MonteCarloSimulator.percentile(sorted, 95)
+    };
+  }
+
+  /**
+   * Linear-interpolated percentile of a sorted sample
+   * @param {Array<Number>} sorted - Ascending values
+   * @param {Number} p - Percentile (0-100)
+   * @returns {Number}
+   */
+  static percentile(sorted, p) {
+    if (sorted.length === 0) return 0;
+    if (sorted.length === 1) return sorted[0];
+
+    const rank = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    const weight = rank - lower;
+
+    return sorted[lower] * (1 - weight) + sorted[upper] * weight;
+  }
+}
@@ -0,0 +1,129 @@
+/**
+ * ObservedBehaviorModel.js
+ *
+ * Daily MissionSimulator inputs from the crew agent simulation
+ *
+ * AgentDaySimulator runs the CorsixTH-style agents (CrewMember, CrewSchedule,
+ * CrewAI) through each mission day in the current layout and records what
+ * actually happened. This model turns those observations into:
+ * - Exercise adherence → design variable E, per crew member
+ * - Hours in a sleep pod → sleep quality offset below the sleep need
+ * - Missed meals and minutes waiting for occupied equipment → stress offset
+ * - Hours each crew pair spent awake near each other → relationship contact hours
+ *
+ * Observations are plain data (they cross the worker boundary):
+ * { days: [{ day, crew: [{ exerciseAdherence, mealsTaken, mealsScheduled,
+ *   sleepHours, socialMinutes, waitMinutes }], pairHours: [[i, j, hours]],
+ *   occupancy: { startHour, intervalMinutes, slots: [[[moduleId, activity], ...]] } }] }
+ * (occupancy is read by AtmosphereModel)
+ * Crew entries are matched to simulator crew members by index. Mission days
+ * past the observed days repeat the observed days in order.
+ *
+ * Sources:
+ * - NASA-STD-3001 Vol. 1: 8-hour sleep period, exercise countermeasures
+ * - Barger et al. (2014), Lancet Neurology: sleep deficiency in spaceflight
+ */
+
+export class ObservedBehaviorModel {
+  /**
+   * @param {Object} params - observed_behavior section of psych-model-params.json
+   * @param {Object} observations - AgentDaySimulator.run() result ({ days })
+   */
+  constructor(params, observations) {
+    this.params = params;
+    this.days = observations?.days || [];
+  }
+
+  /**
+   * Observation for a mission day (observed days repeat past the last one)
+   * @param {Number} day - Mission day (1-based)
+   * @returns {Object|null}
+   */
+  getDay(day) {
+    if (this.days.length === 0) return null;
+    return this.days[(day - 1) % this.days.length];
+  }
+
+  /**
+   * Design variable override and metric offsets for one crew member
+   * @param {Number} day - Mission day (1-based)
+   * @param {Number} memberIndex - Crew member index
+   * @returns {Object|null} - { exerciseCompliance, sleepQuality, stress } (offsets in points)
+   */
+  getMemberEffects(day, memberIndex) {
+    const observed = this.getDay(day)?.crew[memberIndex];
+    if (!observed) return null;
+
+    const missingSleep = Math.max(0, this.params.sleep_need_hours - observed.sleepHours);
+    const missedMeals = Math.max(0, observed.mealsScheduled - observed.mealsTaken);
+    const waitStress = Math.min(
+      this.params.wait_stress_max,
+      this.params.stress_per_wait_minute * observed.waitMinutes
+    );
+
+    return {
+      exerciseCompliance: Math.max(0, Math.min(1, observed.exerciseAdherence)),
+      sleepQuality: -this.params.sleep_quality_per_missing_hour * missingSleep,
+      stress: this.params.stress_per_missed_meal * missedMeals + waitStress
+    };
+  }
+
+  /**
+   * Observed shared hours per crew pair, keyed like RelationshipModel pairs
+   * @param {Number} day - Mission day (1-based)
+   * @param {Array<String>} crewIds - Simulator crew ids, in crew index order
+   * @param {Function} pairKey - (idA, idB) => key
+   * @returns {Object|null} - pairKey → hours
+   */
+  getSharedHours(day, crewIds, pairKey) {
+    const observed = this.getDay(day);
+    if (!observed) return null;
+
+    const hours = {};
+    for (const [i, j, pairHours] of observed.pairHours) {
+      if (crewIds[i] && crewIds[j]) {
+        hours[pairKey(crewIds[i], crewIds[j])] = pairHours;
+      }
+    }
+    return hours;
+  }
+
+  /**
+   * Team averages for a day (daily metrics / charts)
+   * @param {Number} day - Mission day (1-based)
+   * @returns {Object|null}
+   */
+  getDaySummary(day) {
+    const observed = this.getDay(day);
+    if (!observed || observed.crew.length === 0) return null;
+
+    const mean = (key) => observed.crew.reduce((sum, c) => sum + c[key], 0) / observed.crew.length;
+    return {
+      observedDay: observed.day,
+      exerciseAdherence: mean('exerciseAdherence'),
+      mealsTaken: mean('mealsTaken'),
+      sleepHours: mean('sleepHours'),
+      socialMinutes: mean('socialMinutes'),
+      waitMinutes: mean('waitMinutes')
+    };
+  }
+
+  /**
+   * Averages over all observed days
+   * @returns {Object}
+   */
+  generateReport() {
+    const summaries = this.days.map(d => this.getDaySummary(d.day)).filter(Boolean);
+    const mean = (key) => summaries.length > 0 ?
+      summaries.reduce((sum, s) => sum + s[key], 0) / summaries.length : 0;
+
+    return {
+      observedDays: this.days.length,
+      exerciseAdherence: mean('exerciseAdherence'),
+      mealsTakenPerDay: mean('mealsTaken'),
+      sleepHours: mean('sleepHours'),
+      socialMinutes: mean('socialMinutes'),
+      waitMinutes: mean('waitMinutes')
+    };
+  }
+}
@@ -4,10 +4,19 @@
  * A* pathfinding algorithm for crew navigation
  * Inspired by CorsixTH's th_pathfind.cpp
  *
- * Finds optimal paths through the tile-based habitat grid
+ * Finds optimal paths through the tile-based habitat grid.
+ * In multi-level habitats paths climb between floors through ladders and
+ * hatches (TileSystem vertical links) at the link's path cost.
+ * Given a HabitatAssembly in place of the TileSystem, paths also cross between
+ * elements through docking-node and tunnel hatches at the connection's path cost.
+ * Module doors cost their state's path cost (a closed pressure hatch costs its
+ * cycle time); locked doors are impassable.
  */
 
 class Pathfinder {
+  /**
+   * @param {TileSystem|HabitatAssembly} tileSystem - Tile grid, or an assembly of element grids
+   */
   constructor(tileSystem) {
     this.tileSystem = tileSystem;
   }
@@ -18,11 +27,15 @@ class Pathfinder {
    * @param {number} startY - Starting tile Y
    * @param {number} endX - Target tile X
    * @param {number} endY - Target tile Y
-   * @returns {Array<{x, y}>|null} - Array of tiles forming path, or null if no path
+   * @param {number} startLevel - Starting floor
+   * @param {number} endLevel - Target floor
+   * @param {string|null} startElement - Starting assembly element (null = standalone habitat)
+   * @param {string|null} endElement - Target assembly element (defaults to the starting one)
+   * @returns {Array<{x, y, level, element?}>|null} - Array of tiles forming path, or null if no path
    */
-  findPath(startX, startY, endX, endY) {
-    const startTile = this.tileSystem.getTile(startX, startY);
-    const endTile = this.tileSystem.getTile(endX, endY);
+  findPath(startX, startY, endX, endY, startLevel = 0, endLevel = 0, startElement = null, endElement = startElement) {
+    const startTile = this.tileSystem.getTile(startX, startY, startLevel, startElement);
+    const endTile = this.tileSystem.getTile(endX, endY, endLevel, endElement);
 
     // Validate tiles
     if (!startTile || !endTile) {
@@ -30,13 +43,13 @@ class Pathfinder {
       return null;
     }
 
-    if (!endTile.passable && !endTile.doorTile) {
+    if (!this.isPassable(endTile)) {
       console.warn('Target tile is not passable');
       return null;
     }
 
     // Same tile
-    if (startX === endX && startY === endY) {
+    if (startTile === endTile) {
       return [startTile];
     }
 
@@ -65,11 +78,11 @@ class Pathfinder {
       closedSet.add(current);
 
       // Check neighbors
-      const neighbors = this.tileSystem.getNeighbors(current.x, current.y);
+      const neighbors = this.tileSystem.getNeighbors(current.x, current.y, current.level, current.element);
 
       for (const { tile: neighbor } of neighbors) {
         // Skip impassable or closed tiles
-        if ((!neighbor.passable && !neighbor.doorTile) || closedSet.has(neighbor)) {
+        if (!this.isPassable(neighbor) || closedSet.has(neighbor)) {
           continue;
         }
 
@@ -92,18 +105,33 @@ class Pathfinder {
     }
 
     // No path found
-    console.warn(`No path from (${startX},${startY}) to (${endX},${endY})`);
+    console.warn(`No path from (${startX},${startY}) to (${endX},${endY})` +
+      (startLevel !== endLevel ? ` (floor ${startLevel} → ${endLevel})` : '') +
+      (startElement !== endElement ? ` (${startElement} → ${endElement})` : ''));
     return null;
   }
 
   /**
-   * Heuristic function (Manhattan distance)
+   * Heuristic function (Manhattan distance, one per floor change)
+   * Admissible as long as vertical link costs are ≥ 1; tile coordinates of
+   * different assembly elements are not comparable, so it is 0 across elements
    * @param {Object} tile - Current tile
    * @param {Object} goal - Goal tile
    * @returns {number} - Estimated distance
    */
   heuristic(tile, goal) {
-    return Math.abs(tile.x - goal.x) + Math.abs(tile.y - goal.y);
+    if (tile.element !== goal.element) return 0;
+    return Math.abs(tile.x - goal.x) + Math.abs(tile.y - goal.y) + Math.abs(tile.level - goal.level);
+  }
+
+  /**
+   * Crew can stand on / walk through a tile
+   * Door tiles are passable unless the door is locked
+   * @param {Object} tile
+   * @returns {boolean}
+   */
+  isPassable(tile) {
+    return tile.doorTile ? tile.doorState !== 'locked' : tile.passable;
   }
 
   /**
@@ -113,11 +141,21 @@ class Pathfinder {
    * @returns {number} - Cost to move
    */
   getMoveCost(from, to) {
+    // Passing a docking node / tunnel costs the connection's path cost
+    if (from.element !== to.element) {
+      return from.hatch.cost;
+    }
+
+    // Climbing a ladder / hatch costs the link's path cost per floor
+    if (from.level !== to.level) {
+      return from.verticalLink.cost;
+    }
+
     let cost = 1.0;
 
-    // Door tiles have slightly higher cost
+    // Door tiles cost their door's state (open door 0.1, closed hatch its cycle time)
     if (to.doorTile) {
-      cost += 0.1;
+      cost += to.doorCost ?? 0.1;
     }
 
     // Zone transitions have higher cost (prefer staying in same zone)
@@ -142,14 +180,17 @@ class Pathfinder {
   /**
    * Reconstruct path from end tile back to start
    * @param {Object} endTile - Goal tile
-   * @returns {Array<{x, y}>} - Path as array of {x, y} coordinates
+   * @returns {Array<{x, y, level, element?}>} - Path as array of {x, y, level} coordinates
+   *   (plus the element id in assemblies)
    */
   reconstructPath(endTile) {
     const path = [];
     let current = endTile;
 
     while (current) {
-      path.unshift({ x: current.x, y: current.y });
+      path.unshift(current.element ?
+        { x: current.x, y: current.y, level: current.level, element: current.element } :
+        { x: current.x, y: current.y, level: current.level });
       current = current.cameFrom;
     }
 
@@ -161,14 +202,16 @@ class Pathfinder {
    * @param {number} targetX - Target tile X
    * @param {number} targetY - Target tile Y
    * @param {number} maxDistance - Maximum search radius
+   * @param {number} level - Floor to search
+   * @param {string|null} element - Assembly element to search
    * @returns {{x, y}|null} - Nearest passable tile or null
    */
-  findNearestPassableTile(targetX, targetY, maxDistance = 5) {
-    const targetTile = this.tileSystem.getTile(targetX, targetY);
+  findNearestPassableTile(targetX, targetY, maxDistance = 5, level = 0, element = null) {
+    const targetTile = this.tileSystem.getTile(targetX, targetY, level, element);
     if (!targetTile) return null;
 
     // Target is already passable
-    if (targetTile.passable || targetTile.doorTile) {
+    if (this.isPassable(targetTile)) {
       return { x: targetX, y: targetY };
     }
 
@@ -181,8 +224,8 @@ class Pathfinder {
             continue;
           }
 
-          const tile = this.tileSystem.getTile(targetX + dx, targetY + dy);
-          if (tile && (tile.passable || tile.doorTile)) {
+          const tile = this.tileSystem.getTile(targetX + dx, targetY + dy, level, element);
+          if (tile && this.isPassable(tile)) {
             return { x: tile.x, y: tile.y };
           }
         }
@@ -198,9 +241,11 @@ class Pathfinder {
    * @param {number} y1 - Start Y
    * @param {number} x2 - End X
    * @param {number} y2 - End Y
+   * @param {number} level - Floor (line of sight does not cross floors)
+   * @param {string|null} element - Assembly element (line of sight stays within it)
    * @returns {boolean} - True if clear line of sight
    */
-  hasLineOfSight(x1, y1, x2, y2) {
+  hasLineOfSight(x1, y1, x2, y2, level = 0, element = null) {
     // Bresenham's line algorithm
     const dx = Math.abs(x2 - x1);
     const dy = Math.abs(y2 - y1);
@@ -212,8 +257,8 @@ class Pathfinder {
     let currentY = y1;
 
     while (true) {
-      const tile = this.tileSystem.getTile(currentX, currentY);
-      if (!tile || (!tile.passable && !tile.doorTile)) {
+      const tile = this.tileSystem.getTile(currentX, currentY, level, element);
+      if (!tile || !this.isPassable(tile)) {
         return false;
       }
 
@@ -240,10 +285,12 @@ class Pathfinder {
    * @param {number} startX - Start tile X
    * @param {number} startY - Start tile Y
    * @param {number} maxDistance - Maximum path length
+   * @param {number} level - Starting floor
+   * @param {string|null} element - Starting assembly element
    * @returns {Array<Object>} - Array of reachable tiles with distances
    */
-  getReachableTiles(startX, startY, maxDistance = 10) {
-    const startTile = this.tileSystem.getTile(startX, startY);
+  getReachableTiles(startX, startY, maxDistance = 10, level = 0, element = null) {
+    const startTile = this.tileSystem.getTile(startX, startY, level, element);
     if (!startTile) return [];
 
     this.tileSystem.resetPathfindingData();
@@ -258,16 +305,20 @@ class Pathfinder {
       reachable.push({
         x: current.x,
         y: current.y,
+        level: current.level,
+        ...(current.element && { element: current.element }),
         distance: current.gScore
       });
 
       // Explore neighbors
-      const neighbors = this.tileSystem.getNeighbors(current.x, current.y);
+      const neighbors = this.tileSystem.getNeighbors(current.x, current.y, current.level, current.element);
 
       for (const { tile: neighbor } of neighbors) {
-        if (!neighbor.passable && !neighbor.doorTile) continue;
+        if (!this.isPassable(neighbor)) continue;
 
-        const distance = current.gScore + 1;
+        const step = neighbor.element !== current.element ? current.hatch.cost :
+          neighbor.level !== current.level ? current.verticalLink.cost : 1;
+        const distance = current.gScore + step;
 
         if (distance <= maxDistance && distance < neighbor.gScore) {
           neighbor.gScore = distance;
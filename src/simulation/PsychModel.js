@@ -15,8 +15,26 @@
  * - NASA/TP-2020-220505
  */
 
+/**
+ * Design variable letters (psych-model-params.json) → designVariables keys
+ */
+export const DESIGN_VARIABLE_KEYS = {
+  P: 'privateSleepQuarters',
+  W: 'windowType',
+  V: 'visualOrder',
+  L: 'lightingCompliance',
+  A: 'adjacencyCompliance',
+  R: 'recreationArea',
+  E: 'exerciseCompliance'
+};
+
 export class PsychModel {
-  constructor(params) {
+  /**
+   * @param {Object} params - Parameters from psych-model-params.json
+   * @param {Object} options - { rng, missionDays } optional SeededRandom enabling stochastic drift;
+   *                           mission length for the baseline trends (hera_context.mission_days otherwise)
+   */
+  constructor(params, options = {}) {
     this.params = params;
 
     // Extract baseline trends
@@ -61,9 +79,129 @@ export class PsychModel {
     this.deltaV = cohesion.delta_visual_order;
     this.deltaA = cohesion.delta_adjacency;
 
-    // Mission context
-    this.missionDays = params.hera_context.mission_days;
+    // Mission context (τ runs over the configured mission length, HERA baseline otherwise)
+    this.missionDays = options.missionDays || params.hera_context.mission_days;
     this.crewSize = params.hera_context.crew_size;
+
+    // Stochastic mode (Monte Carlo): daily drift noise only applies when an RNG is supplied
+    const noise = params.stochastic_noise || {};
+    this.rng = options.rng || null;
+    this.driftSD = {
+      stress: noise.drift_sd?.stress || 0,
+      mood: noise.drift_sd?.mood || 0,
+      sleepQuality: noise.drift_sd?.sleep_quality || 0,
+      cohesion: noise.drift_sd?.cohesion || 0
+    };
+    this.weightCV = noise.weight_cv || 0;
+
+    // Individual traits (set by withTraits)
+    this.traits = null;
+    this.traitSleepOffset = 0;
+  }
+
+  /**
+   * Create a copy of this model adjusted for an individual crew member's traits
+   * Traits (0-1, 0.5 = average) shift baseline trends and scale design weights
+   * per the crew_traits section of psych-model-params.json
+   * @param {Object} traits - { resilience, sleepNeed, chronotype, sociability }
+   * @returns {PsychModel} - Individualized model (this model if no trait spec exists)
+   */
+  withTraits(traits = {}) {
+    const spec = this.params.crew_traits;
+    if (!spec) return this;
+
+    const params = JSON.parse(JSON.stringify(this.params));
+    const baselineKeys = {
+      s0: ['stress', 's0'], s1: ['stress', 's1'],
+      m0: ['mood', 'm0'], m1: ['mood', 'm1'],
+      q0: ['sleep_quality', 'q0'], q1: ['sleep_quality', 'q1'],
+      c0: ['cohesion', 'c0'], c1: ['cohesion', 'c1']
+    };
+    const traitKeys = {
+      resilience: 'resilience',
+      sleep_need: 'sleepNeed',
+      chronotype: 'chronotype',
+      sociability: 'sociability'
+    };
+
+    let sleepOffset = 0;
+
+    for (const [traitName, effect] of Object.entries(spec.effects)) {
+      const value = traits[traitKeys[traitName]] ?? spec.defaults[traitName] ?? 0.5;
+      const deviation = effect.symmetric ?
+        Math.abs(value - 0.5) * 2 : (value - 0.5) * 2;
+
+      // Baseline trend offsets (points per unit deviation)
+      for (const [key, offset] of Object.entries(effect.baseline_offsets || {})) {
+        const [metric, field] = baselineKeys[key];
+        params.baseline_trends[metric][field] += offset * deviation;
+        if (key === 'q0') sleepOffset += offset * deviation;
+      }
+
+      // Weight scales: a group name scales the whole group, otherwise a single weight
+      for (const [key, scale] of Object.entries(effect.weight_scales || {})) {
+        const factor = Math.max(0, 1 + scale * deviation);
+
+        for (const [groupName, group] of Object.entries(params.design_variable_weights)) {
+          if (!group || typeof group !== 'object') continue;
+
+          for (const [weightName, weight] of Object.entries(group)) {
+            if (typeof weight !== 'number') continue;
+            if (groupName === key || weightName === key) {
+              group[weightName] = weight * factor;
+            }
+          }
+        }
+      }
+    }
+
+    const model = new this.constructor(params, { rng: this.rng, missionDays: this.missionDays });
+    model.traits = traits;
+    model.traitSleepOffset = sleepOffset; // Applied to SleepModel output by MissionSimulator
+    return model;
+  }
+
+  /**
+   * Create a copy of this model with randomly jittered design variable weights
+   * Each weight is scaled by (1 + CV·N(0,1)), floored at zero so signs never flip
+   * @param {SeededRandom} rng - Random source (also used for daily drift by the copy)
+   * @returns {PsychModel} - Perturbed model instance
+   */
+  perturb(rng) {
+    const params = JSON.parse(JSON.stringify(this.params));
+    const weights = params.design_variable_weights;
+
+    for (const group of Object.values(weights)) {
+      if (!group || typeof group !== 'object') continue;
+
+      for (const [key, value] of Object.entries(group)) {
+        if (typeof value === 'number') {
+          group[key] = value * Math.max(0, 1 + this.weightCV * rng.gaussian());
+        }
+      }
+    }
+
+    const model = new this.constructor(params, { rng, missionDays: this.missionDays });
+    model.traits = this.traits;
+    model.traitSleepOffset = this.traitSleepOffset;
+    return model;
+  }
+
+  /**
+   * Sample daily drift noise for each metric (zero when deterministic)
+   * @returns {Object} - { stress, mood, sleepQuality, cohesion } offsets in points
+   */
+  sampleDriftNoise() {
+    if (!this.rng) {
+      return { stress: 0, mood: 0, sleepQuality: 0, cohesion: 0 };
+    }
+
+    return {
+      stress: this.rng.gaussian(0, this.driftSD.stress),
+      mood: this.rng.gaussian(0, this.driftSD.mood),
+      sleepQuality: this.rng.gaussian(0, this.driftSD.sleepQuality),
+      cohesion: this.rng.gaussian(0, this.driftSD.cohesion)
+    };
   }
 
   /**
@@ -75,73 +213,8 @@ export class PsychModel {
    */
   simulateDay(designVariables, currentDay, previousMetrics = null) {
     try {
-      // Extract design variables
-      const P = designVariables.privateSleepQuarters || 0;
-      const W = designVariables.windowType || 0;
-      const V = designVariables.visualOrder || 0;
-      const L = designVariables.lightingCompliance || 0;
-      const A = designVariables.adjacencyCompliance || 0;
-      const R = designVariables.recreationArea || 0;
-      const E = designVariables.exerciseCompliance || 0;
-
-      // Extract module-specific modifiers (NEW)
-      const modStress = designVariables.moduleStressModifier || 0;
-      const modMood = designVariables.moduleMoodModifier || 0;
-      const modSleep = designVariables.moduleSleepModifier || 0;
-      const modCohesion = designVariables.moduleCohesionModifier || 0;
-
-      // Normalized time (τ ∈ [0,1])
-      const tau = (currentDay - 1) / this.missionDays;
-
-      // Calculate baseline trends (HERA isolation drift)
-      const stressBase = this.s0 + this.s1 * tau;
-      const moodBase = this.m0 - this.m1 * tau;
-      const sleepBase = this.q0 - this.q1 * tau;
-      const cohesionBase = this.c0 - this.c1 * tau;
-
-      // Calculate design modifiers (original formula)
-      const deltaStress = -(this.alphaP * P + this.alphaW * W + this.alphaV * V +
-                           this.alphaL * L + this.alphaA * A);
-      const deltaMood = this.betaP * P + this.betaW * W + this.betaV * V +
-                        this.betaR * R + this.betaE * E;
-      const deltaSleep = this.gammaP * P + this.gammaA * A + this.gammaL * L +
-                         this.gammaE * E;
-      const deltaCohesion = this.deltaR * R + this.deltaV * V + this.deltaA * A;
-
-      // Apply module-specific impacts (NEW: NASA module research)
-      // Module modifiers are already normalized to -1 to +1, scale to match design variable range
-      const moduleStressImpact = modStress * 30; // Scale to ~30 point impact
-      const moduleMoodImpact = modMood * 30;
-      const moduleSleepImpact = modSleep * 25;
-      const moduleCohesionImpact = modCohesion * 20;
-
-      // Apply damping with previous day's values
-      let stress, mood, sleepQuality, cohesion;
-
-      if (previousMetrics) {
-        stress = this.lambdaS * previousMetrics.stress +
-                 (1 - this.lambdaS) * (stressBase + deltaStress + moduleStressImpact);
-        mood = this.lambdaM * previousMetrics.mood +
-               (1 - this.lambdaM) * (moodBase + deltaMood + moduleMoodImpact);
-        sleepQuality = this.lambdaQ * previousMetrics.sleepQuality +
-                       (1 - this.lambdaQ) * (sleepBase + deltaSleep + moduleSleepImpact);
-        cohesion = this.lambdaC * previousMetrics.cohesion +
-                   (1 - this.lambdaC) * (cohesionBase + deltaCohesion + moduleCohesionImpact);
-      } else {
-        // First day - no previous metrics
-        stress = stressBase + deltaStress + moduleStressImpact;
-        mood = moodBase + deltaMood + moduleMoodImpact;
-        sleepQuality = sleepBase + deltaSleep + moduleSleepImpact;
-        cohesion = cohesionBase + deltaCohesion + moduleCohesionImpact;
-      }
-
-      // Clip to [0, 100] range
-      stress = this.clip(stress, 0, 100);
-      mood = this.clip(mood, 0, 100);
-      sleepQuality = this.clip(sleepQuality, 0, 100);
-      cohesion = this.clip(cohesion, 0, 100);
-
-      return { stress, mood, sleepQuality, cohesion };
+      const targets = this.calculateTargets(designVariables, currentDay);
+      return this.applyDamping(targets, previousMetrics);
 
     } catch (error) {
       console.error('Error in PsychModel.simulateDay:', error);
@@ -149,6 +222,90 @@ export class PsychModel {
     }
   }
 
+  /**
+   * Undamped daily targets: baseline trend + design modifiers + module impacts
+   * @param {Object} designVariables - Layout design variables (P, W, V, L, A, R, E, C) + module modifiers
+   * @param {Number} currentDay - Current mission day (1-45)
+   * @returns {Object} - { stress, mood, sleepQuality, cohesion }
+   */
+  calculateTargets(designVariables, currentDay) {
+    // Extract design variables
+    const P = designVariables.privateSleepQuarters || 0;
+    const W = designVariables.windowType || 0;
+    const V = designVariables.visualOrder || 0;
+    const L = designVariables.lightingCompliance || 0;
+    const A = designVariables.adjacencyCompliance || 0;
+    const R = designVariables.recreationArea || 0;
+    const E = designVariables.exerciseCompliance || 0;
+
+    // Extract module-specific modifiers (NEW)
+    const modStress = designVariables.moduleStressModifier || 0;
+    const modMood = designVariables.moduleMoodModifier || 0;
+    const modSleep = designVariables.moduleSleepModifier || 0;
+    const modCohesion = designVariables.moduleCohesionModifier || 0;
+
+    // Normalized time (τ ∈ [0,1])
+    const tau = (currentDay - 1) / this.missionDays;
+
+    // Calculate baseline trends (HERA isolation drift, plus noise in stochastic mode)
+    const drift = this.sampleDriftNoise();
+    const stressBase = this.s0 + this.s1 * tau + drift.stress;
+    const moodBase = this.m0 - this.m1 * tau + drift.mood;
+    const sleepBase = this.q0 - this.q1 * tau + drift.sleepQuality;
+    const cohesionBase = this.c0 - this.c1 * tau + drift.cohesion;
+
+    // Calculate design modifiers (original formula)
+    const deltaStress = -(this.alphaP * P + this.alphaW * W + this.alphaV * V +
+                         this.alphaL * L + this.alphaA * A);
+    const deltaMood = this.betaP * P + this.betaW * W + this.betaV * V +
+                      this.betaR * R + this.betaE * E;
+    const deltaSleep = this.gammaP * P + this.gammaA * A + this.gammaL * L +
+                       this.gammaE * E;
+    const deltaCohesion = this.deltaR * R + this.deltaV * V + this.deltaA * A;
+
+    // Apply module-specific impacts (NEW: NASA module research)
+    // Module modifiers are already normalized to -1 to +1, scale to match design variable range
+    const moduleStressImpact = modStress * 30; // Scale to ~30 point impact
+    const moduleMoodImpact = modMood * 30;
+    const moduleSleepImpact = modSleep * 25;
+    const moduleCohesionImpact = modCohesion * 20;
+
+    return {
+      stress: stressBase + deltaStress + moduleStressImpact,
+      mood: moodBase + deltaMood + moduleMoodImpact,
+      sleepQuality: sleepBase + deltaSleep + moduleSleepImpact,
+      cohesion: cohesionBase + deltaCohesion + moduleCohesionImpact
+    };
+  }
+
+  /**
+   * Apply damping with previous day's values, then clip to [0, 100]
+   * @param {Object} targets - Undamped targets from calculateTargets()
+   * @param {Object} previousMetrics - Metrics from previous day (null on day 1)
+   * @returns {Object} - { stress, mood, sleepQuality, cohesion }
+   */
+  applyDamping(targets, previousMetrics = null) {
+    let stress, mood, sleepQuality, cohesion;
+
+    if (previousMetrics) {
+      stress = this.lambdaS * previousMetrics.stress + (1 - this.lambdaS) * targets.stress;
+      mood = this.lambdaM * previousMetrics.mood + (1 - this.lambdaM) * targets.mood;
+      sleepQuality = this.lambdaQ * previousMetrics.sleepQuality + (1 - this.lambdaQ) * targets.sleepQuality;
+      cohesion = this.lambdaC * previousMetrics.cohesion + (1 - this.lambdaC) * targets.cohesion;
+    } else {
+      // First day - no previous metrics
+      ({ stress, mood, sleepQuality, cohesion } = targets);
+    }
+
+    // Clip to [0, 100] range
+    stress = this.clip(stress, 0, 100);
+    mood = this.clip(mood, 0, 100);
+    sleepQuality = this.clip(sleepQuality, 0, 100);
+    cohesion = this.clip(cohesion, 0, 100);
+
+    return { stress, mood, sleepQuality, cohesion };
+  }
+
   /**
    * Run full mission simulation (all 45 days)
    * @param {Object} designVariables - Layout design variables
@@ -205,7 +362,8 @@ export class PsychModel {
    *
    * NASA Source: NASA-TM-2016-218603 Behavioral Health and Performance
    *
-   * @param {Object} metrics - { stress, sleepQuality, cohesion }
+   * @param {Object} metrics - { stress, sleepQuality, cohesion }, plus optional cabin air exposure
+   *                           { co2Exposure (mmHg), temperatureExposure (°C) } from AtmosphereModel
    * @param {Object} performanceThresholds - Thresholds from nasa-constraints.json
    * @returns {Number} - Performance factor (0-1, higher is better)
    */
@@ -222,7 +380,11 @@ export class PsychModel {
         sleep_quality_threshold: 60,
         sleep_quality_performance_modifier: 0.005,
         cohesion_bonus_threshold: 70,
-        cohesion_performance_modifier: 0.003
+        cohesion_performance_modifier: 0.003,
+        co2_threshold_mmhg: 3.0,
+        co2_performance_modifier: 0.05,
+        temperature_threshold_c: 27,
+        temperature_performance_modifier: 0.02
       };
 
       // Mars-Sim Tiered Stress Impact (NASA BHP-aligned)
@@ -249,6 +411,15 @@ export class PsychModel {
         performance += (cohesion - thresholds.cohesion_bonus_threshold) * thresholds.cohesion_performance_modifier;
       }
 
+      // Cabin air (NASA-STD-3001: CO2 ≤ 3 mmHg, temperature ≤ 27 °C; Law et al. 2014)
+      if (metrics.co2Exposure > thresholds.co2_threshold_mmhg) {
+        performance -= (metrics.co2Exposure - thresholds.co2_threshold_mmhg) * thresholds.co2_performance_modifier;
+      }
+      if (metrics.temperatureExposure > thresholds.temperature_threshold_c) {
+        performance -= (metrics.temperatureExposure - thresholds.temperature_threshold_c) *
+          thresholds.temperature_performance_modifier;
+      }
+
       // Clip to valid range [0.1, 1.0] (always maintain minimum 10% performance)
       return Math.max(0.1, Math.min(1.0, performance));
 
@@ -0,0 +1,311 @@
+/**
+ * RelationshipModel.js
+ *
+ * Pairwise crew relationship matrix and interpersonal friction model
+ *
+ * Each crew pair carries an affinity score (0-100) updated once per mission day:
+ * - Shared time in social modules (Ward/Dining, Recreation, Galley) builds affinity,
+ *   but forced contact beyond the optimum erodes it; without agent observations
+ *   each pair's time comes from the layout and schedule (shared or nearby quarters,
+ *   common nearest social module, chronotype overlap)
+ * - Crowding (habitable area per crew member) adds friction
+ * - Elevated pair stress adds friction
+ *
+ * Team cohesion is derived from the matrix (mean pair affinity) instead of a
+ * single layout scalar, so reports can show which pair is drifting apart.
+ *
+ * NASA Sources:
+ * - HERA Facility Documentation (2019): communal dining and crew conflict
+ * - NASA-TM-2016-218603: Team cohesion and interpersonal conflict in isolation
+ * - AIAA-2022: Social space requirements per crew member
+ */
+
+export class RelationshipModel {
+  /**
+   * @param {Object} params - relationship_model section of psych-model-params.json
+   * @param {Object} constraints - NASA constraints (recreation_requirements)
+   */
+  constructor(params, constraints) {
+    this.params = params;
+    this.constraints = constraints;
+
+    this.crewIds = [];
+    this.affinity = {};        // pairKey -> current affinity
+    this.initialAffinity = {}; // pairKey -> affinity after day 1
+    this.minAffinity = {};     // pairKey -> lowest affinity observed
+    this.lastContactHours = {}; // pairKey -> shared hours on latest day
+  }
+
+  /**
+   * Canonical key for an unordered crew pair
+   * @param {String} a - Crew ID
+   * @param {String} b - Crew ID
+   * @returns {String}
+   */
+  pairKey(a, b) {
+    return this.crewIds.indexOf(a) < this.crewIds.indexOf(b) ? `${a}|${b}` : `${b}|${a}`;
+  }
+
+  /**
+   * All unordered crew pairs
+   * @returns {Array<Array<String>>}
+   */
+  getPairs() {
+    const pairs = [];
+    for (let i = 0; i < this.crewIds.length; i++) {
+      for (let j = i + 1; j < this.crewIds.length; j++) {
+        pairs.push([this.crewIds[i], this.crewIds[j]]);
+      }
+    }
+    return pairs;
+  }
+
+  /**
+   * Initialize the matrix for a crew
+   * @param {Array} crew - Crew member objects ({ id })
+   */
+  initialize(crew) {
+    this.crewIds = crew.map(m => m.id);
+    this.affinity = {};
+    this.initialAffinity = {};
+    this.minAffinity = {};
+    this.lastContactHours = {};
+
+    for (const [a, b] of this.getPairs()) {
+      const key = this.pairKey(a, b);
+      this.affinity[key] = this.params.initial_affinity;
+      this.minAffinity[key] = this.params.initial_affinity;
+    }
+  }
+
+  /**
+   * Estimate daily contact conditions from the layout
+   * @param {Object} layout - Layout from getLayoutForValidation()
+   * @param {Number} crewSize - Number of crew
+   * @param {Array} crew - Crew member objects ({ id, traits }); gives per-pair shared hours
+   * @returns {Object} - { sharedHours, baseSharedHours, capacityRatio, crowding }
+   *   (sharedHours is a pairKey map when crew is given, else baseSharedHours)
+   */
+  calculateLayoutContext(layout, crewSize, crew = null) {
+    const modules = layout.modules || [];
+    const contact = this.params.contact;
+    const area = (m) => (m.dimensions?.w || 0) * (m.dimensions?.d || 0);
+
+    const socialArea = modules
+      .filter(m => this.params.social_modules.includes(m.name || m.moduleName))
+      .reduce((sum, m) => sum + area(m), 0);
+    const totalArea = modules.reduce((sum, m) => sum + area(m), 0);
+
+    // Social space capacity: can the whole crew gather at once?
+    const recommendedPerCrew = this.constraints?.recreation_requirements?.recommended_area_per_crew_m2 || 2.0;
+    const capacityRatio = crewSize > 0 ? socialArea / (crewSize * recommendedPerCrew) : 0;
+
+    const scheduledHours = socialArea > 0 ? contact.scheduled_shared_hours * Math.min(1, capacityRatio) : 0;
+    const baseSharedHours = contact.incidental_shared_hours + scheduledHours;
+
+    // Crowding: habitat-wide area per person plus an undersized social space
+    const areaPerCrew = crewSize > 0 ? totalArea / crewSize : 0;
+    const habitatCrowding = Math.max(0, 1 - areaPerCrew / this.params.crowding.comfortable_area_per_crew_m2);
+    const socialCrowding = socialArea > 0 ? Math.max(0, 1 - capacityRatio) : 0;
+    const crowding = Math.min(1, habitatCrowding + 0.5 * socialCrowding);
+
+    const sharedHours = crew && this.params.pair_contact ?
+      this.calculatePairHours(layout, crew, scheduledHours) : baseSharedHours;
+
+    return { sharedHours, baseSharedHours, capacityRatio, crowding };
+  }
+
+  /**
+   * Daily shared hours per crew pair from the layout and schedule
+   * @param {Object} layout - Layout ({ modules, crewAssignments })
+   * @param {Array} crew - Crew member objects ({ id, traits })
+   * @param {Number} scheduledHours - Scheduled shared hours the social space allows
+   * @returns {Object} - pairKey -> shared hours
+   */
+  calculatePairHours(layout, crew, scheduledHours) {
+    const { contact, pair_contact: pairContact } = this.params;
+    const modules = layout.modules || [];
+    const socialModules = modules.filter(m => this.params.social_modules.includes(m.name || m.moduleName));
+
+    const distance = (a, b) => {
+      // Quarters on another floor or element are out of incidental reach
+      if ((a.level ?? 0) !== (b.level ?? 0) || (a.element ?? null) !== (b.element ?? null)) return Infinity;
+      return Math.hypot((a.position?.x ?? 0) - (b.position?.x ?? 0), (a.position?.z ?? 0) - (b.position?.z ?? 0));
+    };
+    const quartersOf = (id) => modules.find(m => m.id === layout.crewAssignments?.[id]?.moduleId) || null;
+    const nearestSocial = (quarters) => {
+      let nearest = null;
+      for (const module of socialModules) {
+        if (!nearest || distance(quarters, module) < distance(quarters, nearest)) nearest = module;
+      }
+      return nearest;
+    };
+
+    const traitsOf = Object.fromEntries(crew.map(m => [m.id, m.traits || {}]));
+    const hours = {};
+
+    for (const [a, b] of this.getPairs()) {
+      const quartersA = quartersOf(a);
+      const quartersB = quartersOf(b);
+
+      // Incidental contact: shared quarters, or quarters close to each other
+      let incidental = contact.incidental_shared_hours;
+      let quartersHours = 0;
+      let socialHours = 0;
+      if (quartersA && quartersB) {
+        if (quartersA === quartersB) {
+          incidental *= 1 + pairContact.proximity_factor;
+          quartersHours = pairContact.shared_quarters_hours;
+        } else {
+          const closeness = Math.max(0, 1 - distance(quartersA, quartersB) / pairContact.proximity_range_m);
+          incidental *= 1 + pairContact.proximity_factor * closeness;
+        }
+
+        const socialA = nearestSocial(quartersA);
+        if (socialA && socialA === nearestSocial(quartersB)) {
+          socialHours = pairContact.shared_social_module_hours;
+        }
+      }
+
+      // Scheduled meals / social time overlap less for different chronotypes
+      const chronotypeGap = Math.abs((traitsOf[a]?.chronotype ?? 0.5) - (traitsOf[b]?.chronotype ?? 0.5));
+      const overlap = Math.max(0, 1 - pairContact.chronotype_overlap_scale * chronotypeGap);
+
+      hours[this.pairKey(a, b)] = incidental + quartersHours + socialHours + scheduledHours * overlap;
+    }
+
+    return hours;
+  }
+
+  /**
+   * Advance the matrix by one day
+   * @param {Object} memberStates - crewId -> { stress, cohesion, traits }
+   * @param {Object} context - { sharedHours, crowding } (sharedHours may be a number or pairKey map)
+   * @returns {Object} - crewId -> cohesion derived from that member's pair affinities
+   */
+  update(memberStates, context) {
+    const { contact, crowding, stress, lambda } = this.params;
+    const isFirstDay = Object.keys(this.initialAffinity).length === 0;
+
+    for (const [a, b] of this.getPairs()) {
+      const key = this.pairKey(a, b);
+      const stateA = memberStates[a];
+      const stateB = memberStates[b];
+
+      // Shared time, adjusted for the pair's sociability
+      const baseHours = typeof context.sharedHours === 'object' ?
+        (context.sharedHours[key] ?? 0) : context.sharedHours;
+      const sociability = ((stateA.traits?.sociability ?? 0.5) + (stateB.traits?.sociability ?? 0.5)) / 2;
+      const hours = baseHours * (1 + contact.sociability_scale * (sociability - 0.5) * 2);
+
+      const contactEffect = contact.bonding_per_hour * Math.min(hours, contact.optimal_shared_hours) -
+        contact.overexposure_penalty_per_hour * Math.max(0, hours - contact.optimal_shared_hours) * (0.5 + context.crowding);
+
+      const crowdingFriction = crowding.friction_points * context.crowding;
+
+      const pairStress = (stateA.stress + stateB.stress) / 2;
+      const stressFriction = stress.friction_per_point * Math.max(0, pairStress - stress.threshold);
+
+      const target = (stateA.cohesion + stateB.cohesion) / 2 +
+        contactEffect - crowdingFriction - stressFriction;
+
+      const next = lambda * this.affinity[key] + (1 - lambda) * target;
+      this.affinity[key] = Math.max(0, Math.min(100, next));
+      this.minAffinity[key] = Math.min(this.minAffinity[key], this.affinity[key]);
+      this.lastContactHours[key] = hours;
+
+      if (isFirstDay) {
+        this.initialAffinity[key] = this.affinity[key];
+      }
+    }
+
+    const cohesion = {};
+    for (const id of this.crewIds) {
+      cohesion[id] = this.getMemberCohesion(id);
+    }
+    return cohesion;
+  }
+
+  /**
+   * Mean affinity of one member toward the rest of the crew
+   * @param {String} crewId
+   * @returns {Number|null} - null for a crew of one
+   */
+  getMemberCohesion(crewId) {
+    const others = this.crewIds.filter(id => id !== crewId);
+    if (others.length === 0) return null;
+
+    const total = others.reduce((sum, id) => sum + this.affinity[this.pairKey(crewId, id)], 0);
+    return total / others.length;
+  }
+
+  /**
+   * Team cohesion: mean affinity over all pairs
+   * @returns {Number|null}
+   */
+  getTeamCohesion() {
+    const values = Object.values(this.affinity);
+    if (values.length === 0) return null;
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+  }
+
+  /**
+   * Snapshot of the matrix for daily metrics
+   * @returns {Array} - [{ a, b, affinity, contactHours }]
+   */
+  snapshot() {
+    return this.getPairs().map(([a, b]) => {
+      const key = this.pairKey(a, b);
+      return { a, b, affinity: this.affinity[key], contactHours: this.lastContactHours[key] };
+    });
+  }
+
+  /**
+   * Full symmetric matrix (diagonal = 100)
+   * @returns {Array<Array<Number>>}
+   */
+  getMatrix() {
+    return this.crewIds.map(a => this.crewIds.map(b =>
+      a === b ? 100 : this.affinity[this.pairKey(a, b)]
+    ));
+  }
+
+  /**
+   * Relationship summary for mission reports
+   * A pair is "drifting apart" when its affinity change trails the team's mean
+   * change by more than drift_alert_points (the mission-wide drift is expected)
+   * @param {Array} crew - Crew member objects ({ id, name })
+   * @returns {Object} - { crewIds, matrix, pairs, driftingPairs, teamCohesion }
+   */
+  generateReport(crew) {
+    const nameOf = (id) => crew.find(m => m.id === id)?.name || id;
+
+    const pairs = this.getPairs().map(([a, b]) => {
+      const key = this.pairKey(a, b);
+      const initial = this.initialAffinity[key] ?? this.params.initial_affinity;
+      return {
+        a,
+        b,
+        names: [nameOf(a), nameOf(b)],
+        initial,
+        final: this.affinity[key],
+        min: this.minAffinity[key],
+        change: this.affinity[key] - initial
+      };
+    });
+
+    const meanChange = pairs.reduce((sum, p) => sum + p.change, 0) / Math.max(1, pairs.length);
+    for (const pair of pairs) {
+      pair.relativeChange = pair.change - meanChange;
+    }
+    pairs.sort((x, y) => x.relativeChange - y.relativeChange);
+
+    return {
+      crewIds: [...this.crewIds],
+      matrix: this.getMatrix(),
+      pairs,
+      driftingPairs: pairs.filter(p => p.relativeChange <= this.params.drift_alert_points),
+      teamCohesion: this.getTeamCohesion()
+    };
+  }
+}
@@ -0,0 +1,94 @@
+/**
+ * SeededRandom.js
+ *
+ * Deterministic pseudo-random number generator for stochastic simulation
+ *
+ * Uses the Mulberry32 generator so Monte Carlo runs are reproducible:
+ * the same seed always yields the same sequence of draws, which lets two
+ * layouts be compared under identical random conditions (common random numbers).
+ */
+
+export class SeededRandom {
+  /**
+   * @param {Number|String} seed - Integer seed or string (hashed to an integer)
+   */
+  constructor(seed = 1) {
+    this.seed = SeededRandom.hashSeed(seed);
+    this.state = this.seed;
+    this.spareGaussian = null;
+  }
+
+  /**
+   * Convert a number or string seed into a 32-bit unsigned integer
+   * @param {Number|String} seed
+   * @returns {Number}
+   */
+  static hashSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+      return seed >>> 0;
+    }
+
+    // FNV-1a hash for string seeds
+    const text = String(seed);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Next uniform draw in [0, 1)
+   * @returns {Number}
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Uniform draw in [min, max)
+   * @param {Number} min
+   * @param {Number} max
+   * @returns {Number}
+   */
+  uniform(min = 0, max = 1) {
+    return min + (max - min) * this.next();
+  }
+
+  /**
+   * Normally distributed draw (Box-Muller transform)
+   * @param {Number} mean
+   * @param {Number} stdDev
+   * @returns {Number}
+   */
+  gaussian(mean = 0, stdDev = 1) {
+    if (this.spareGaussian !== null) {
+      const spare = this.spareGaussian;
+      this.spareGaussian = null;
+      return mean + stdDev * spare;
+    }
+
+    let u = 0;
+    while (u === 0) u = this.next(); // Avoid log(0)
+    const v = this.next();
+
+    const radius = Math.sqrt(-2 * Math.log(u));
+    const theta = 2 * Math.PI * v;
+
+    this.spareGaussian = radius * Math.sin(theta);
+    return mean + stdDev * radius * Math.cos(theta);
+  }
+
+  /**
+   * Create an independent generator derived from this one
+   * @returns {SeededRandom}
+   */
+  fork() {
+    return new SeededRandom(Math.floor(this.next() * 4294967296));
+  }
+}
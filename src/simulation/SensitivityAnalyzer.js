@@ -0,0 +1,315 @@
+/**
+ * SensitivityAnalyzer.js
+ *
+ * Global sensitivity analysis of the psych model
+ *
+ * Inputs: layout design variables (P, W, V, L, A, R, E) and every
+ * design_variable_weights coefficient, sampled over their validation_ranges
+ * (weights as nominal × [min_factor, max_factor]).
+ * Outputs: final-day stress, mood, sleep quality, cohesion and PHI from
+ * PsychModel.simulateMission / calculatePHI over the configured mission length.
+ *
+ * Reports per input:
+ * - One-at-a-time (OAT): elasticity at nominal and the output swing across the input range
+ * - Variance-based (Sobol): first-order and total indices (Saltelli sampling and estimators)
+ *
+ * Thousands of model runs: run() is async and reports progress per run so
+ * SimulationWorker can keep it off the UI thread and cancel it.
+ *
+ * Sources:
+ * - Saltelli et al. (2010), Variance based sensitivity analysis of model output
+ * - UND Lunar Daytime Behavioral Study (2020): design variable weights
+ */
+
+import { PsychModel, DESIGN_VARIABLE_KEYS } from './PsychModel.js';
+import { SeededRandom } from './SeededRandom.js';
+
+const OUTPUTS = ['stress', 'mood', 'sleepQuality', 'cohesion', 'phi'];
+
+// Thrown out of the run loops when the caller cancels
+const CANCELLED = Symbol('cancelled');
+
+export class SensitivityAnalyzer {
+  /**
+   * @param {Object} psychParams - Psych model parameters (psych-model-params.json)
+   * @param {Object} designVariables - Nominal design variables (MissionParams.computeDesignVariables)
+   * @param {Object} options - { samples, seed } overrides for the sensitivity_analysis section,
+   *   { missionDays } mission length (default: the HERA baseline)
+   */
+  constructor(psychParams, designVariables, options = {}) {
+    this.psychParams = psychParams;
+    this.designVariables = designVariables;
+
+    const config = psychParams.sensitivity_analysis || {};
+    this.ranges = psychParams.validation_ranges || {};
+    this.oatStep = config.oat_step || 0.1;
+    this.samples = options.samples || config.sobol_samples || 128;
+    this.seed = options.seed !== undefined ? options.seed : (config.seed ?? 1);
+    this.missionDays = options.missionDays || null;
+
+    this.inputs = this.buildInputs();
+    this.modelRuns = 0;
+    this.totalRuns = 0;
+    this.hooks = {};
+  }
+
+  /**
+   * Input definitions with nominal value and sweep range (validation_ranges)
+   * @returns {Array} - [{ id, label, kind, group, key, nominal, min, max }]
+   */
+  buildInputs() {
+    const inputs = [];
+    const mappingNames = Object.keys(this.psychParams.design_variable_mappings || {});
+
+    // Layout design variables
+    for (const [letter, range] of Object.entries(this.ranges.design_variables || {})) {
+      const key = DESIGN_VARIABLE_KEYS[letter];
+      if (!key) continue;
+
+      const name = mappingNames.find(n => n.startsWith(`${letter}_`));
+      inputs.push({
+        id: letter,
+        label: name ? `${letter}: ${name.slice(2).replace(/_/g, ' ')}` : `${letter}: ${key}`,
+        kind: 'design',
+        key,
+        nominal: this.designVariables[key] ?? (range.min + range.max) / 2,
+        min: range.min,
+        max: range.max
+      });
+    }
+
+    // Design variable weights
+    const weightRange = this.ranges.design_variable_weights || { min_factor: 0.5, max_factor: 1.5 };
+    for (const [group, weights] of Object.entries(this.psychParams.design_variable_weights)) {
+      if (!weights || typeof weights !== 'object') continue;
+
+      for (const [key, weight] of Object.entries(weights)) {
+        if (typeof weight !== 'number') continue;
+        inputs.push({
+          id: key,
+          label: key,
+          kind: 'weight',
+          group,
+          key,
+          nominal: weight,
+          min: weight * weightRange.min_factor,
+          max: weight * weightRange.max_factor
+        });
+      }
+    }
+
+    return inputs;
+  }
+
+  /**
+   * Run the model for one input vector
+   * @param {Array<Number>} values - One value per input (same order as this.inputs)
+   * @returns {Object} - Final-day { stress, mood, sleepQuality, cohesion, phi }
+   */
+  evaluate(values) {
+    const params = JSON.parse(JSON.stringify(this.psychParams));
+    const designVariables = { ...this.designVariables };
+
+    this.inputs.forEach((input, i) => {
+      if (input.kind === 'design') {
+        designVariables[input.key] = values[i];
+      } else {
+        params.design_variable_weights[input.group][input.key] = values[i];
+      }
+    });
+
+    this.modelRuns++;
+    const model = new PsychModel(params, { missionDays: this.missionDays });
+    const results = model.simulateMission(designVariables);
+    const finalDay = results[results.length - 1];
+
+    return {
+      stress: finalDay.stress,
+      mood: finalDay.mood,
+      sleepQuality: finalDay.sleepQuality,
+      cohesion: finalDay.cohesion,
+      phi: model.calculatePHI(finalDay)
+    };
+  }
+
+  /**
+   * Total model runs of run(): OAT (baseline, range ends, elasticity steps) + Sobol
+   * @returns {Number}
+   */
+  countRuns() {
+    const oat = 1 + this.inputs.reduce((sum, input) => sum + (input.nominal !== 0 ? 4 : 2), 0);
+    return oat + this.samples * (this.inputs.length + 2);
+  }
+
+  /**
+   * Evaluate, then report progress and let the caller yield / cancel
+   * @param {Array<Number>} values - One value per input
+   * @returns {Promise<Object>} - evaluate() result
+   */
+  async step(values) {
+    const result = this.evaluate(values);
+    const { onProgress, yieldIfBusy, isCancelled } = this.hooks;
+
+    if (onProgress) onProgress({ completed: this.modelRuns, total: this.totalRuns });
+    if (yieldIfBusy) await yieldIfBusy();
+    if (isCancelled && isCancelled()) throw CANCELLED;
+    return result;
+  }
+
+  /**
+   * One-at-a-time analysis around the nominal point
+   * @returns {Promise<Object>} - { baseline, inputs: { [id]: { low, high, elasticity } } }
+   */
+  async runOneAtATime() {
+    const nominal = this.inputs.map(input => input.nominal);
+    const baseline = await this.step(nominal);
+    const results = {};
+
+    for (const [i, input] of this.inputs.entries()) {
+      const at = (value) => {
+        const values = [...nominal];
+        values[i] = value;
+        return this.step(values);
+      };
+
+      // Swing across the full input range (tornado bars)
+      const low = await at(input.min);
+      const high = await at(input.max);
+
+      // Elasticity: % output change per % input change (central difference)
+      const elasticity = {};
+      if (input.nominal !== 0) {
+        const step = input.nominal * this.oatStep;
+        const down = await at(input.nominal - step);
+        const up = await at(input.nominal + step);
+        for (const output of OUTPUTS) {
+          elasticity[output] = baseline[output] !== 0 ?
+            ((up[output] - down[output]) / baseline[output]) / (2 * this.oatStep) : null;
+        }
+      } else {
+        for (const output of OUTPUTS) elasticity[output] = null;
+      }
+
+      results[input.id] = { low, high, elasticity };
+    }
+
+    return { baseline, inputs: results };
+  }
+
+  /**
+   * Variance-based (Sobol) indices
+   * Cost: samples × (inputs + 2) model runs
+   * @returns {Promise<Object>} - { [id]: { [output]: { first, total } } }
+   */
+  async runSobol() {
+    const rng = new SeededRandom(this.seed);
+    const k = this.inputs.length;
+    const N = this.samples;
+
+    const sample = () => this.inputs.map(input => rng.uniform(input.min, input.max));
+    const A = Array.from({ length: N }, sample);
+    const B = Array.from({ length: N }, sample);
+
+    const fA = [];
+    const fB = [];
+    for (const row of A) fA.push(await this.step(row));
+    for (const row of B) fB.push(await this.step(row));
+
+    const means = {};
+    const variances = {};
+    for (const output of OUTPUTS) {
+      const all = [...fA, ...fB].map(r => r[output]);
+      means[output] = all.reduce((sum, v) => sum + v, 0) / all.length;
+      variances[output] = all.reduce((sum, v) => sum + (v - means[output]) ** 2, 0) / all.length;
+    }
+
+    const indices = {};
+
+    for (let i = 0; i < k; i++) {
+      // A with column i taken from B
+      const fAB = [];
+      for (const [n, row] of A.entries()) {
+        const mixed = [...row];
+        mixed[i] = B[n][i];
+        fAB.push(await this.step(mixed));
+      }
+
+      const id = this.inputs[i].id;
+      indices[id] = {};
+
+      for (const output of OUTPUTS) {
+        const variance = variances[output];
+        let firstSum = 0;
+        let totalSum = 0;
+
+        for (let n = 0; n < N; n++) {
+          const a = fA[n][output];
+          const b = fB[n][output] - means[output]; // centered to reduce estimator variance
+          const ab = fAB[n][output];
+          firstSum += b * (ab - a);
+          totalSum += (a - ab) ** 2;
+        }
+
+        // Saltelli (2010): S_i = E[f(B)·(f(A_B) - f(A))] / V; Jansen (1999): ST_i = E[(f(A) - f(A_B))²] / 2V
+        indices[id][output] = variance > 0 ? {
+          first: Math.max(0, firstSum / (N * variance)),
+          total: totalSum / (2 * N * variance)
+        } : { first: 0, total: 0 };
+      }
+    }
+
+    return indices;
+  }
+
+  /**
+   * Full analysis, ranked by total Sobol index for each output
+   * @param {Object} hooks - { onProgress({ completed, total }), yieldIfBusy(), isCancelled() } (all optional)
+   * @returns {Promise<Object|null>} - { baseline, samples, modelRuns, rankings: { [output]: [...] } },
+   *   null when cancelled
+   */
+  async run(hooks = {}) {
+    console.log(`🔬 Starting sensitivity analysis: ${this.inputs.length} inputs, ${this.samples} Sobol samples...`);
+
+    this.hooks = hooks;
+    this.modelRuns = 0;
+    this.totalRuns = this.countRuns();
+
+    let oat;
+    let sobol;
+    try {
+      oat = await this.runOneAtATime();
+      sobol = await this.runSobol();
+    } catch (error) {
+      if (error !== CANCELLED) throw error;
+      console.log(`⏹️ Sensitivity analysis cancelled after ${this.modelRuns} model runs`);
+      return null;
+    }
+
+    const rankings = {};
+    for (const output of OUTPUTS) {
+      rankings[output] = this.inputs.map(input => ({
+        id: input.id,
+        label: input.label,
+        kind: input.kind,
+        nominal: input.nominal,
+        min: input.min,
+        max: input.max,
+        low: oat.inputs[input.id].low[output],
+        high: oat.inputs[input.id].high[output],
+        elasticity: oat.inputs[input.id].elasticity[output],
+        firstOrder: sobol[input.id][output].first,
+        totalOrder: sobol[input.id][output].total
+      })).sort((a, b) => b.totalOrder - a.totalOrder);
+    }
+
+    console.log(`✅ Sensitivity analysis complete (${this.modelRuns} model runs)`);
+
+    return {
+      baseline: oat.baseline,
+      samples: this.samples,
+      seed: this.seed,
+      modelRuns: this.modelRuns,
+      rankings
+    };
+  }
+}
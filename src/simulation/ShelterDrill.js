@@ -0,0 +1,385 @@
+/**
+ * ShelterDrill.js
+ *
+ * Solar particle event (SPE) storm shelter drill with the live crew agents
+ *
+ * Triggering the drill interrupts every CrewMember action queue, pauses their
+ * schedule / AI and sends each member (EnterModuleAction) to the nearest
+ * module designated as storm shelter that still has room; when every shelter
+ * is full, crew go to the nearest one anyway. update() follows the agents each
+ * frame and records when each member has gone through a shelter door. Once every
+ * member has arrived (or has no route / gives up) the report lists:
+ * - Arrival time per crew member vs. spe_shelter.max_gather_time_s
+ * - Shelter area per person vs. min_area_per_person_m2, and shielding vs.
+ *   min_shielding_g_cm2
+ * - Psychological cost of confinement for the event duration from the psych
+ *   model: the design-variable benefits left behind in the habitat (privacy,
+ *   window, recreation, exercise) plus the visual order lost to crowding
+ *   (relationship_model.crowding) in each shelter
+ *
+ * Crew stay in the shelters until end() restores their autonomy.
+ *
+ * NASA Sources:
+ * - NASA-STD-3001 Vol. 2 Rev. B: Radiation protection, storm shelter
+ * - NASA-TP-2020-220505: Shelter sizing for the full crew
+ * - NASA-TM-2016-218603: Acute stressors in isolated, confined environments
+ */
+
+// Crew still walking after this multiple of the gather time target are counted as not sheltered
+const GIVE_UP_FACTOR = 4;
+
+export class ShelterDrill {
+  /**
+   * @param {Object} config - spe_shelter (nasa-constraints.json)
+   * @param {Object} world - App world (tileSystem / assembly, pathfinder, EnterModuleAction)
+   * @param {Object} psychParams - Psych model parameters (design_variable_weights, relationship_model.crowding)
+   */
+  constructor(config, world, psychParams) {
+    this.config = config;
+    this.world = world;
+    this.psychParams = psychParams;
+    this.designVariables = null; // Habitat design variables the crew leave behind
+
+    this.running = false;
+    this.elapsed = 0;       // Drill clock (s, crew agent time)
+    this.shelters = [];     // [{ module, areaM2, shieldingGCm2, capacity, assigned }]
+    this.entries = [];      // [{ crewMember, shelter, action, timeS, status, autonomousMode }]
+    this.report = null;
+  }
+
+  /**
+   * Interrupt the crew and send them to shelter
+   * @param {Array<CrewMember>} crewMembers - Live crew agents
+   * @param {Array<HabitatModule>} modules - Placed modules (shelters have module.shelter set)
+   * @param {Object} designVariables - Current habitat design variables (MissionParams.computeDesignVariables)
+   * @returns {Boolean} - true if the drill started; false leaves the report (no shelter / no crew) in this.report
+   */
+  start(crewMembers, modules, designVariables) {
+    const minArea = this.config.min_area_per_person_m2;
+
+    this.designVariables = designVariables;
+    this.elapsed = 0;
+    this.report = null;
+    this.shelters = modules
+      .filter(m => m.shelter && m.isPlaced)
+      .map(module => ({
+        module,
+        areaM2: module.getFootprint(),
+        shieldingGCm2: module.shelter.shieldingGCm2,
+        capacity: Math.floor(module.getFootprint() / minArea),
+        assigned: 0
+      }));
+
+    this.entries = crewMembers.map(crewMember => ({
+      crewMember,
+      shelter: null,
+      action: null,
+      timeS: null,
+      status: 'moving',
+      autonomousMode: crewMember.autonomousMode
+    }));
+
+    if (this.shelters.length === 0 || this.entries.length === 0) {
+      this.entries.forEach(entry => { entry.status = 'no_shelter'; });
+      this.report = this.buildReport();
+      return false;
+    }
+
+    for (const entry of this.entries) {
+      const { crewMember } = entry;
+
+      // Drop whatever the crew member was doing and stop the schedule / AI from queuing more
+      crewMember.clearActionQueue();
+      crewMember.autonomousMode = false;
+      crewMember.isMoving = false;
+      crewMember.animationState = 'idle';
+
+      entry.shelter = this.chooseShelter(crewMember);
+      if (!entry.shelter) {
+        entry.status = 'no_route';
+        continue;
+      }
+      entry.shelter.assigned++;
+
+      entry.action = new this.world.EnterModuleAction(entry.shelter.module.moduleId);
+      crewMember.queueAction(entry.action);
+    }
+
+    this.running = true;
+    console.log(`☢️ SPE drill: ${this.entries.length} crew heading to ${this.shelters.map(s => s.module.moduleName).join(', ')}`);
+    return true;
+  }
+
+  /**
+   * Follow the crew (call after the crew agents update each frame)
+   * @param {Number} deltaTime - Seconds since the last frame
+   * @returns {Object|null} - The report on the frame the last crew member is resolved, else null
+   */
+  update(deltaTime) {
+    if (!this.running) return null;
+
+    this.elapsed += deltaTime;
+    const giveUpS = this.config.max_gather_time_s * GIVE_UP_FACTOR;
+
+    for (const entry of this.entries) {
+      if (entry.status !== 'moving') continue;
+
+      if (entry.action.isComplete && this.hasEntered(entry.crewMember, entry.shelter.module)) {
+        entry.status = 'sheltered';
+        entry.timeS = this.elapsed;
+      } else if (entry.action.isComplete) {
+        // EnterModuleAction gave up away from the shelter: no usable door or no path to it
+        entry.status = 'no_route';
+      } else if (this.elapsed > giveUpS) {
+        // Stop walking; the crew member waits where they are until the drill ends
+        entry.status = 'timed_out';
+        entry.crewMember.clearActionQueue();
+        entry.crewMember.isMoving = false;
+        entry.crewMember.animationState = 'idle';
+      }
+    }
+
+    if (this.entries.some(entry => entry.status === 'moving')) return null;
+
+    this.running = false;
+    this.report = this.buildReport();
+    console.log(`☢️ SPE drill complete: ${this.report.metrics.sheltered}/${this.report.metrics.crew} crew sheltered`);
+    return this.report;
+  }
+
+  /**
+   * End the drill: stop any crew still walking and give them back their schedule / AI
+   */
+  end() {
+    for (const { crewMember, autonomousMode } of this.entries) {
+      crewMember.clearActionQueue();
+      crewMember.autonomousMode = autonomousMode;
+    }
+
+    if (this.running) {
+      this.running = false;
+      this.entries.forEach(entry => {
+        if (entry.status === 'moving') entry.status = 'timed_out';
+      });
+      this.report = this.buildReport();
+    }
+    this.entries = [];
+  }
+
+  /**
+   * Nearest shelter by walking path with room left, else the nearest shelter
+   * @param {CrewMember} crewMember
+   * @returns {Object|null} - Shelter entry, null if no shelter can be reached
+   */
+  chooseShelter(crewMember) {
+    const reachable = [];
+
+    for (const shelter of this.shelters) {
+      const distance = this.getDistance(crewMember, shelter.module);
+      if (distance !== null) reachable.push({ shelter, distance });
+    }
+    if (reachable.length === 0) return null;
+
+    reachable.sort((a, b) => a.distance - b.distance);
+    const withRoom = reachable.find(({ shelter }) => shelter.assigned < shelter.capacity);
+    return (withRoom ?? reachable[0]).shelter;
+  }
+
+  /**
+   * Walking path length (tile steps) from a crew member to a shelter door
+   * @returns {Number|null} - null if there is no door or no path
+   */
+  getDistance(crewMember, module) {
+    const door = module.getDoorFor(crewMember.tileX, crewMember.tileY);
+    if (!door) return null;
+
+    const outside = door.getOutsideTile();
+    const path = this.world.pathfinder.findPath(
+      crewMember.tileX,
+      crewMember.tileY,
+      outside.x,
+      outside.y,
+      crewMember.tileLevel,
+      module.level ?? 0,
+      crewMember.tileElement,
+      module.element ?? null
+    );
+    return path ? path.length : null;
+  }
+
+  /**
+   * Whether a crew member went through a shelter door: counted in the module
+   * (EnterModuleAction) and standing at one of its doors or on its footprint
+   */
+  hasEntered(crewMember, module) {
+    if (crewMember.currentModule !== module) return false;
+    if ((crewMember.tileElement ?? null) !== (module.element ?? null)) return false;
+    if (crewMember.tileLevel !== (module.level ?? 0)) return false;
+
+    const grid = this.world.assembly ?? this.world.tileSystem;
+    const tile = grid.getTile(crewMember.tileX, crewMember.tileY, crewMember.tileLevel, crewMember.tileElement);
+    return tile?.moduleId === module.moduleId ||
+      module.doors.some(door => door.canUse(crewMember.tileX, crewMember.tileY));
+  }
+
+  /**
+   * Psych target shift for a crew member confined in a shelter
+   * In the shelter P, W, R and E drop to 0 and visual order to 1 - crowding; the
+   * UND design variable weights turn the drop into stress / mood points, applied
+   * for the share of the day the event lasts (PsychModel.calculateTargets)
+   * @param {Number} crowding - Shelter crowding (0-1)
+   * @param {Number} durationH - Event duration
+   * @returns {Object} - { stress, mood } (stress ≥ 0 added, mood ≤ 0)
+   */
+  confinementCost(crowding, durationH) {
+    const weights = this.psychParams.design_variable_weights;
+    const { stress_modifiers: alpha, mood_modifiers: beta } = weights;
+    const dv = this.designVariables || {};
+    const share = Math.min(1, durationH / 24);
+    const lostOrder = Math.max(0, (dv.visualOrder ?? 1) - (1 - crowding));
+
+    const stress = alpha.alpha_privacy * (dv.privateSleepQuarters ?? 0) +
+      alpha.alpha_window * (dv.windowType ?? 0) +
+      alpha.alpha_visual_order * lostOrder;
+    const mood = beta.beta_privacy * (dv.privateSleepQuarters ?? 0) +
+      beta.beta_window * (dv.windowType ?? 0) +
+      beta.beta_visual_order * lostOrder +
+      beta.beta_recreation * (dv.recreationArea ?? 0) +
+      beta.beta_exercise * (dv.exerciseCompliance ?? 0);
+
+    return { stress: stress * share, mood: -mood * share };
+  }
+
+  /**
+   * Drill report
+   * @returns {Object} - { compliance, violations, arrivals, shelters, confinement, metrics }
+   */
+  buildReport() {
+    const { config } = this;
+    const minArea = config.min_area_per_person_m2;
+    const minShielding = config.min_shielding_g_cm2;
+    const limitS = config.max_gather_time_s;
+    const durationH = config.event_duration_h;
+    const comfortableArea = this.psychParams.relationship_model?.crowding?.comfortable_area_per_crew_m2;
+    const violations = [];
+
+    const shelters = this.shelters.map(shelter => {
+      const occupants = this.entries.filter(e => e.shelter === shelter && e.status === 'sheltered').length;
+      const areaPerPersonM2 = occupants > 0 ? shelter.areaM2 / occupants : null;
+      // Same crowding measure as the relationship model (0 = comfortable, 1 = no room)
+      const crowding = areaPerPersonM2 === null || !comfortableArea ? 0 :
+        Math.max(0, 1 - areaPerPersonM2 / comfortableArea);
+
+      return {
+        id: shelter.module.moduleId,
+        name: shelter.module.moduleName,
+        shieldingGCm2: shelter.shieldingGCm2,
+        areaM2: shelter.areaM2,
+        capacity: shelter.capacity,
+        occupants,
+        areaPerPersonM2,
+        crowding
+      };
+    });
+
+    const arrivals = this.entries.map(entry => ({
+      name: entry.crewMember.name,
+      shelter: entry.shelter?.module.moduleName ?? null,
+      timeS: entry.timeS,
+      status: entry.status
+    }));
+
+    const sheltered = arrivals.filter(a => a.status === 'sheltered');
+    const gatherTimeS = sheltered.length > 0 ? Math.max(...sheltered.map(a => a.timeS)) : null;
+
+    // Confinement cost per sheltered crew member: psych target shift in their shelter
+    const costs = this.entries
+      .filter(entry => entry.status === 'sheltered')
+      .map(entry => this.confinementCost(shelters[this.shelters.indexOf(entry.shelter)].crowding, durationH));
+    const mean = key => costs.length > 0 ? costs.reduce((sum, c) => sum + c[key], 0) / costs.length : 0;
+
+    if (this.shelters.length === 0) {
+      violations.push({
+        type: 'no_shelter',
+        severity: 'critical',
+        source: 'NASA-STD-3001 Vol. 2 Rev. B',
+        message: 'No storm shelter designated: crew have nowhere to go in a solar particle event',
+        recommendation: 'Designate a Storm Shelter, Stowage or Crew Quarters module as shelter'
+      });
+    }
+
+    const notSheltered = arrivals.filter(a => a.status !== 'sheltered');
+    if (this.shelters.length > 0 && notSheltered.length > 0) {
+      violations.push({
+        type: 'crew_not_sheltered',
+        severity: 'critical',
+        crew: notSheltered.map(a => a.name),
+        source: 'NASA-STD-3001 Vol. 2 Rev. B',
+        message: `${notSheltered.map(a => a.name).join(', ')} did not reach a shelter`,
+        recommendation: 'Open a route to the shelter door, or designate a shelter closer to these crew'
+      });
+    }
+
+    if (gatherTimeS !== null && gatherTimeS > limitS) {
+      violations.push({
+        type: 'gather_time',
+        severity: 'high',
+        timeS: gatherTimeS,
+        limitS,
+        source: 'NASA-STD-3001 Vol. 2 Rev. B',
+        message: `Last crew member sheltered after ${gatherTimeS.toFixed(0)}s (target ${limitS}s)`,
+        recommendation: 'Move the shelter to the center of the habitat or designate a second shelter'
+      });
+    }
+
+    for (const shelter of shelters) {
+      if (shelter.areaPerPersonM2 !== null && shelter.areaPerPersonM2 < minArea) {
+        violations.push({
+          type: 'shelter_area',
+          severity: 'high',
+          moduleId: shelter.id,
+          moduleName: shelter.name,
+          areaPerPersonM2: shelter.areaPerPersonM2,
+          minAreaM2: minArea,
+          source: 'NASA-TP-2020-220505',
+          message: `${shelter.name}: ${shelter.areaPerPersonM2.toFixed(2)} m² per person for ${shelter.occupants} crew ` +
+            `(guidance ${minArea} m²)`,
+          recommendation: `Enlarge the shelter or designate another; it holds ${shelter.capacity} crew at guidance`
+        });
+      }
+
+      if (shelter.shieldingGCm2 < minShielding) {
+        violations.push({
+          type: 'shelter_shielding',
+          severity: 'high',
+          moduleId: shelter.id,
+          moduleName: shelter.name,
+          shieldingGCm2: shelter.shieldingGCm2,
+          minShieldingGCm2: minShielding,
+          source: 'NASA-STD-3001 Vol. 2 Rev. B',
+          message: `${shelter.name}: ${shelter.shieldingGCm2} g/cm² shielding (guidance ${minShielding} g/cm²)`,
+          recommendation: 'Line the shelter with water or stowed consumables'
+        });
+      }
+    }
+
+    return {
+      compliance: violations.length === 0,
+      violations,
+      arrivals,
+      shelters,
+      confinement: {
+        durationH,
+        stress: mean('stress'),
+        mood: mean('mood'),
+        worstStress: costs.length > 0 ? Math.max(...costs.map(c => c.stress)) : 0
+      },
+      metrics: {
+        crew: arrivals.length,
+        sheltered: sheltered.length,
+        gatherTimeS,
+        limitS
+      }
+    };
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * SimulationRunner.js
+ *
+ * Main-thread handle for SimulationWorker
+ *
+ * Keeps long runs (multi-hundred-day missions, Monte Carlo batches, sensitivity sweeps) off the UI
+ * thread so the Three.js view stays responsive. One run at a time; each run
+ * gets a fresh worker that is terminated when the run settles.
+ *
+ * Payload (plain data, structured-cloned into the worker):
+ * { layout, crewConfig, constraints, psychParams, moduleImpacts,
+ *   options: { eventSchedule: { events, schedule } | null, psychModel, sleepModel, replicates, seed } }
+ * or, for 'sensitivity': { psychParams, designVariables, options: { samples, seed, missionDays } }
+ */
+
+export class SimulationRunner {
+  constructor() {
+    this.worker = null;
+  }
+
+  /**
+   * @returns {Boolean} - True while a run is in progress
+   */
+  get running() {
+    return this.worker !== null;
+  }
+
+  /**
+   * Run a simulation in the worker
+   * @param {String} kind - 'mission' | 'monteCarlo' | 'sensitivity'
+   * @param {Object} payload - Serializable simulation inputs (see header)
+   * @param {Object} callbacks - { onProgress({ completed, total }) }
+   * @returns {Promise<Object>} - { report, cancelled } (report is partial when cancelled)
+   */
+  run(kind, payload, callbacks = {}) {
+    if (this.running) {
+      return Promise.reject(new Error('A simulation is already running'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(new URL('./SimulationWorker.js', import.meta.url), { type: 'module' });
+      this.worker = worker;
+
+      const finish = () => {
+        worker.terminate();
+        if (this.worker === worker) this.worker = null;
+      };
+
+      worker.onmessage = (event) => {
+        const message = event.data;
+
+        if (message.type === 'progress') {
+          if (callbacks.onProgress) callbacks.onProgress(message);
+        } else if (message.type === 'done') {
+          finish();
+          resolve({ report: message.report, cancelled: message.cancelled });
+        } else if (message.type === 'error') {
+          finish();
+          reject(new Error(message.message));
+        }
+      };
+
+      worker.onerror = (event) => {
+        finish();
+        reject(new Error(event.message || 'Simulation worker failed'));
+      };
+
+      // Payloads that cannot be structured-cloned throw here; release the worker so later runs can start
+      try {
+        worker.postMessage({ type: 'run', kind, payload });
+      } catch (error) {
+        finish();
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * Ask the running simulation to stop; its promise resolves with partial results
+   */
+  cancel() {
+    if (this.worker) {
+      this.worker.postMessage({ type: 'cancel' });
+    }
+  }
+}
@@ -0,0 +1,134 @@
+/**
+ * SimulationWorker.js
+ *
+ * Web Worker that runs MissionSimulator / MonteCarloSimulator / SensitivityAnalyzer off the UI thread
+ *
+ * Messages in:
+ * - { type: 'run', kind: 'mission' | 'monteCarlo' | 'sensitivity', payload } - start a run (one per worker)
+ * - { type: 'cancel' } - stop after the current day / replicate / model run
+ *
+ * Messages out:
+ * - { type: 'progress', completed, total } - after each day (mission), replicate (Monte Carlo)
+ *   or model run (sensitivity)
+ * - { type: 'done', report, cancelled } - final report; partial when cancelled (null for sensitivity)
+ * - { type: 'error', message }
+ *
+ * The payload is plain data (see SimulationRunner): the event schedule travels
+ * as { events, schedule } and is rebuilt here; psych / sleep models are picked
+ * by ModelRegistry id, so only built-in registrations are available.
+ */
+
+import { MissionSimulator } from './MissionSimulator.js';
+import { MonteCarloSimulator } from './MonteCarloSimulator.js';
+import { EventSchedule } from './EventSchedule.js';
+import { SensitivityAnalyzer } from './SensitivityAnalyzer.js';
+
+// Yield to the message queue this often so a cancel request can be received
+const YIELD_INTERVAL_MS = 50;
+
+let cancelled = false;
+let lastYield = Date.now();
+
+/**
+ * Let queued messages (cancel) run if the loop has been busy for a while
+ */
+async function yieldIfBusy() {
+  if (Date.now() - lastYield < YIELD_INTERVAL_MS) return;
+  await new Promise(resolve => setTimeout(resolve, 0));
+  lastYield = Date.now();
+}
+
+/**
+ * Simulator options from the serializable payload options
+ * @param {Object} options - { eventSchedule: { events, schedule } | null, psychModel, sleepModel, ... }
+ * @returns {Object}
+ */
+function buildOptions(options = {}) {
+  const { eventSchedule, ...rest } = options;
+  return {
+    ...rest,
+    eventSchedule: eventSchedule ? new EventSchedule(eventSchedule.events, eventSchedule.schedule) : null
+  };
+}
+
+/**
+ * Deterministic mission, one day at a time
+ */
+async function runMission(payload) {
+  const { layout, crewConfig, constraints, psychParams, moduleImpacts, options } = payload;
+  const simulator = new MissionSimulator(layout, crewConfig, constraints, psychParams, moduleImpacts, {
+    ...buildOptions(options),
+    verbose: false
+  });
+
+  for (let day = 1; day <= simulator.missionDays; day++) {
+    if (cancelled) break;
+    simulator.simulateDay();
+    self.postMessage({ type: 'progress', completed: day, total: simulator.missionDays });
+    await yieldIfBusy();
+  }
+
+  return simulator.generateReport();
+}
+
+/**
+ * Monte Carlo replicates, one replicate at a time
+ */
+async function runMonteCarlo(payload) {
+  const { layout, crewConfig, constraints, psychParams, moduleImpacts, options } = payload;
+  const monteCarlo = new MonteCarloSimulator(layout, crewConfig, constraints, psychParams, moduleImpacts,
+    buildOptions(options));
+
+  for (let i = 0; i < monteCarlo.replicates; i++) {
+    if (cancelled) break;
+    monteCarlo.runReplicate(i);
+    self.postMessage({ type: 'progress', completed: i + 1, total: monteCarlo.replicates });
+    await yieldIfBusy();
+  }
+
+  return monteCarlo.replicateResults.length > 0 ? monteCarlo.generateReport() : null;
+}
+
+/**
+ * Sensitivity analysis (OAT + Sobol), progress after each model run
+ */
+async function runSensitivity(payload) {
+  const { psychParams, designVariables, options } = payload;
+  const analyzer = new SensitivityAnalyzer(psychParams, designVariables, options);
+
+  return analyzer.run({
+    onProgress: ({ completed, total }) => self.postMessage({ type: 'progress', completed, total }),
+    yieldIfBusy,
+    isCancelled: () => cancelled
+  });
+}
+
+self.onmessage = async (event) => {
+  const message = event.data;
+
+  if (message.type === 'cancel') {
+    cancelled = true;
+    return;
+  }
+
+  if (message.type !== 'run') return;
+
+  try {
+    cancelled = false;
+    lastYield = Date.now();
+
+    let report;
+    if (message.kind === 'monteCarlo') {
+      report = await runMonteCarlo(message.payload);
+    } else if (message.kind === 'sensitivity') {
+      report = await runSensitivity(message.payload);
+    } else {
+      report = await runMission(message.payload);
+    }
+
+    self.postMessage({ type: 'done', report, cancelled });
+  } catch (error) {
+    console.error('Error in simulation worker:', error);
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
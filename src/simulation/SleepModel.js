@@ -5,7 +5,8 @@
  *
  * NASA-Compliant Implementation:
  * - Privacy factors (TP-2020-220505)
- * - Noise adjacency penalties (NASA adjacency rules)
+ * - Noise adjacency penalties (NASA adjacency rules), or sleep-period noise
+ *   levels from the acoustic model (AcousticModel) when available
  * - Lighting schedule compliance (HERA adjustable LEDs)
  * - Cumulative sleep debt tracking (Mars-Sim inspired, NASA sleep research validated)
  *
@@ -27,6 +28,8 @@ export class SleepModel {
     this.lightingComplianceWeight = factors.lighting_compliance_weight;
     this.sleepDebtThreshold = factors.sleep_debt_threshold_days;
     this.sleepDebtPenalty = factors.sleep_debt_penalty;
+    this.noisePenaltyPerDb = factors.noise_penalty_per_db;
+    this.noisePenaltyMax = factors.noise_penalty_max;
   }
 
   /**
@@ -49,9 +52,13 @@ export class SleepModel {
       sleepQuality -= 20;
     }
 
-    // 2. Noise Adjacency (NASA adjacency rules - Exercise near sleep)
+    // 2. Noise (NASA-STD-3001 sleep-period limit when acoustics are modelled,
+    //    else NASA adjacency rules - Exercise near sleep)
     const sleepModule = this.getCrewQuartersModule(layout, crewMember.id);
-    if (sleepModule) {
+    const quartersNoise = sleepModule ? layout.acoustics?.quarters?.[sleepModule.id] : null;
+    if (quartersNoise) {
+      sleepQuality -= this.calculateNoisePenalty(quartersNoise);
+    } else if (sleepModule) {
       const adjacentToExercise = this.checkAdjacentToExercise(layout, sleepModule);
       if (adjacentToExercise) {
         sleepQuality -= this.exerciseAdjacencyPenalty; // -30 points
@@ -59,7 +66,9 @@ export class SleepModel {
     }
 
     // 3. Lighting Schedule Compliance (HERA adjustable LEDs)
-    const lightingCompliance = layout.lightingScheduleCompliance || 0.5;
+    // Per-member value when per-module lighting schedules are evaluated (CircadianLightingModel)
+    const lightingCompliance = crewMember.lightingCompliance !== undefined ?
+      crewMember.lightingCompliance : (layout.lightingScheduleCompliance || 0.5);
     const lightingAdjustment = (lightingCompliance - 0.5) * this.lightingComplianceWeight;
     sleepQuality += lightingAdjustment; // ±10 points
 
@@ -118,6 +127,16 @@ export class SleepModel {
     return layout.modules.find(m => m.id === assignment.moduleId);
   }
 
+  /**
+   * Sleep penalty from the quarters' sleep-period noise level
+   * @param {Object} quartersNoise - layout.acoustics.quarters entry ({ sleepLeq, limit })
+   * @returns {Number} - Points removed from sleep quality
+   */
+  calculateNoisePenalty(quartersNoise) {
+    const excess = Math.max(0, quartersNoise.sleepLeq - quartersNoise.limit);
+    return Math.min(this.noisePenaltyMax, excess * this.noisePenaltyPerDb);
+  }
+
   /**
    * Check if sleep module is adjacent to exercise module
    * @param {Object} layout - Habitat layout
@@ -0,0 +1,167 @@
+/**
+ * Door Editor
+ *
+ * Doors and hatches of the selected module:
+ * - One row per door: wall, tile along the wall, type (door / pressure hatch), state
+ * - Add a door on any wall, remove doors (a module may have none)
+ *
+ * Edits go through HabitatModule.addDoor / removeDoor / setDoorState / setDoorType,
+ * which re-mark the door tiles used by the pathfinder and noise model, and are
+ * exported with the layout. Read-only while locked (isolation scenario in force).
+ * Sources: nasa-constraints.json module_doors.
+ */
+
+const WALLS = ['north', 'east', 'south', 'west'];
+const STATE_ICONS = { open: '🟢', closed: '🟡', locked: '🔒' };
+
+export default class DoorEditor {
+  /**
+   * @param {String} containerId - ID of the element to render into
+   * @param {Object} config - module_doors (nasa-constraints.json)
+   * @param {Function} onChange - Called with the module after its doors change
+   */
+  constructor(containerId, config, onChange) {
+    this.containerId = containerId;
+    this.config = config;
+    this.onChange = onChange;
+    this.module = null;
+    this.locked = false; // Read-only (setLocked)
+  }
+
+  /**
+   * Make the editor read-only or editable again
+   * @param {boolean} locked
+   */
+  setLocked(locked) {
+    this.locked = locked;
+    this.render();
+  }
+
+  /**
+   * Show a module's doors (null clears the editor)
+   * @param {HabitatModule|null} module
+   */
+  setModule(module) {
+    this.module = module;
+    this.render();
+  }
+
+  /**
+   * Render the editor for the current module
+   */
+  render() {
+    try {
+      const container = document.getElementById(this.containerId);
+      if (!container) return;
+
+      if (!this.module) {
+        container.innerHTML = `
+          <div style="font-size: 11px; color: #64748b;">Select a module to edit its doors.</div>
+        `;
+        return;
+      }
+
+      const types = this.config?.door_types || { door: { name: 'Door' } };
+      const states = this.config?.states || ['open', 'closed', 'locked'];
+      const layout = this.module.getDoorLayout();
+      const disabled = this.locked ? 'disabled' : '';
+
+      container.innerHTML = `
+        <div style="font-size: 12px; font-weight: 600; color: #334155; margin-bottom: 6px;">
+          🚪 ${this.module.moduleName} doors
+        </div>
+        ${this.module.doors.length === 0 ? `
+          <div style="font-size: 11px; color: #b45309; margin-bottom: 4px;">No doors: crew cannot enter this module.</div>
+        ` : ''}
+        ${this.locked ? `
+          <div style="font-size: 11px; color: #b45309; margin-bottom: 4px;">🔒 Isolation in force: clear it to edit doors.</div>
+        ` : ''}
+        <table style="width: 100%; font-size: 11px; border-collapse: collapse;">
+          ${this.module.doors.map((door, i) => `
+            <tr>
+              <td title="Tile ${door.tileX}, ${door.tileY}">${STATE_ICONS[door.state] || ''} ${door.direction} ${this.getOffset(layout[i]) + 1}</td>
+              <td>
+                <select data-index="${i}" data-field="type" style="font-size: 11px;" ${disabled}>
+                  ${Object.entries(types).map(([id, type]) => `
+                    <option value="${id}" ${door.type === id ? 'selected' : ''}>${type.name}</option>
+                  `).join('')}
+                </select>
+              </td>
+              <td>
+                <select data-index="${i}" data-field="state" style="font-size: 11px;" ${disabled}>
+                  ${states.map(state => `
+                    <option value="${state}" ${door.state === state ? 'selected' : ''}>${state}</option>
+                  `).join('')}
+                </select>
+              </td>
+              <td><button data-remove="${i}" class="btn secondary" style="padding: 0 6px; font-size: 11px;" ${disabled}>✕</button></td>
+            </tr>
+          `).join('')}
+        </table>
+        <div style="display: flex; gap: 4px; margin-top: 4px;">
+          <select data-role="wall" class="input-control" style="flex: 1; font-size: 11px;">
+            ${WALLS.map(wall => `<option value="${wall}" ${wall === 'south' ? 'selected' : ''}>${wall} wall</option>`).join('')}
+          </select>
+          <input data-role="offset" type="number" min="1" placeholder="mid" style="width: 44px; font-size: 11px;">
+          <button data-role="add" class="btn secondary" style="font-size: 11px;" ${disabled}>+ Door</button>
+        </div>
+      `;
+
+      if (!this.locked) this.attachListeners(container);
+
+    } catch (error) {
+      console.error('Error rendering door editor:', error);
+    }
+  }
+
+  /**
+   * Wire the type / state selects and add / remove buttons
+   */
+  attachListeners(container) {
+    container.querySelectorAll('select[data-field]').forEach(select => {
+      select.addEventListener('change', (e) => {
+        const index = parseInt(e.target.dataset.index);
+        if (e.target.dataset.field === 'state') {
+          this.module.setDoorState(index, e.target.value);
+        } else {
+          this.module.setDoorType(index, e.target.value);
+        }
+        this.changed();
+      });
+    });
+
+    container.querySelectorAll('[data-remove]').forEach(button => {
+      button.addEventListener('click', () => {
+        this.module.removeDoor(parseInt(button.dataset.remove));
+        this.changed();
+      });
+    });
+
+    container.querySelector('[data-role="add"]').addEventListener('click', () => {
+      const wall = container.querySelector('[data-role="wall"]').value;
+      const offset = parseInt(container.querySelector('[data-role="offset"]').value);
+
+      if (!this.module.addDoor(wall, Number.isNaN(offset) ? null : offset - 1)) {
+        console.warn(`⚠️ No door added: ${wall} wall tile taken or off the wall`);
+        return;
+      }
+      this.changed();
+    });
+  }
+
+  /**
+   * Re-render and notify
+   */
+  changed() {
+    this.render();
+    this.onChange?.(this.module);
+  }
+
+  /**
+   * Tile of a door along its wall (0 = west / north end)
+   */
+  getOffset(spec) {
+    if (!spec) return 0;
+    return spec.direction === 'north' || spec.direction === 'south' ? spec.dx : spec.dy;
+  }
+}
@@ -10,9 +10,24 @@
  * NASA Space Apps Challenge 2024
  */
 
+import { DataLoader } from '../data/DataLoader.js';
+
+// Shell cross-sections (habitat-types.json shell_cross_sections); '' = habitat type default
+const CROSS_SECTIONS = [
+  { id: '', name: 'Default for habitat type' },
+  { id: 'box', name: 'Box (flat walls)' },
+  { id: 'horizontal_cylinder', name: 'Horizontal Cylinder' },
+  { id: 'vertical_cylinder', name: 'Vertical Cylinder' },
+  { id: 'torus', name: 'Torus' },
+  { id: 'transhab', name: 'TransHab (core + inflatable)' }
+];
+
 export default class HabitatConfigurator {
-  constructor(onConfigChange) {
+  constructor(onConfigChange, onLaunchVehicleChange) {
     this.onConfigChange = onConfigChange;
+    this.onLaunchVehicleChange = onLaunchVehicleChange;
+    this.launchManifest = null;   // Last LaunchManifestValidator result
+    this.crossSections = null;    // habitat-types.json shell_cross_sections
 
     // Embedded habitat types (no async loading needed)
     this.habitatTypes = [
@@ -75,6 +90,7 @@ export default class HabitatConfigurator {
       depth: 8.0,
       height: 3.0,
       levels: 1,
+      crossSection: null,         // Cross-section id, null = habitat type default
       launchVehicle: 'sls_block_1'
     };
 
@@ -122,6 +138,20 @@ export default class HabitatConfigurator {
         </div>
       </div>
 
+      <!-- Shell Cross-Section Selector -->
+      <div style="margin-bottom: 14px;">
+        <label style="display: block; font-size: 11px; font-weight: 500; color: #64748b; margin-bottom: 6px;">
+          Shell Cross-Section
+        </label>
+        <select id="habitat-cross-section" style="width: 100%; padding: 6px 8px; border: 1px solid #cbd5e1; border-radius: 6px; font-size: 12px; background: white; cursor: pointer;">
+          ${CROSS_SECTIONS.map(section => `
+            <option value="${section.id}" ${section.id === (this.currentConfig.crossSection || '') ? 'selected' : ''}>
+              ${section.name}
+            </option>
+          `).join('')}
+        </select>
+      </div>
+
       <!-- Dimensions Panel -->
       <div id="dimensions-panel" style="margin-bottom: 14px;">
         <!-- Width/Diameter -->
@@ -219,6 +249,11 @@ export default class HabitatConfigurator {
         </div>
       </div>
 
+      <!-- Launch Manifest (shell + outfitting + objects) -->
+      <div id="launch-manifest" style="margin-top: 10px; padding: 10px; background: rgba(15, 23, 42, 0.03); border-radius: 6px; border-left: 3px solid #8b5cf6; font-size: 10px; color: #475569;">
+        <!-- Populated by renderLaunchManifest -->
+      </div>
+
       <!-- NASA Source Citation -->
       <div style="margin-top: 12px; padding: 8px; background: rgba(59, 130, 246, 0.05); border-radius: 6px; border: 1px solid rgba(59, 130, 246, 0.2);">
         <div style="font-size: 9px; color: #64748b; line-height: 1.4;">
@@ -229,6 +264,7 @@ export default class HabitatConfigurator {
 
     this.setupEventListeners(panel);
     this.updateMetrics();
+    this.renderLaunchManifest(this.launchManifest, panel);
 
     return panel;
   }
@@ -243,6 +279,14 @@ export default class HabitatConfigurator {
       this.handleTypeChange(e.target.value);
     });
 
+    // Shell cross-section selector
+    const crossSectionSelect = panel.querySelector('#habitat-cross-section');
+    crossSectionSelect.addEventListener('change', (e) => {
+      this.currentConfig.crossSection = e.target.value || null;
+      this.updateMetrics();
+      this.notifyConfigChange();
+    });
+
     // Dimension sliders
     const widthSlider = panel.querySelector('#habitat-width');
     const depthSlider = panel.querySelector('#habitat-depth');
@@ -286,6 +330,9 @@ export default class HabitatConfigurator {
     launchSelect.addEventListener('change', (e) => {
       this.currentConfig.launchVehicle = e.target.value;
       this.updateMetrics();
+      if (this.onLaunchVehicleChange) {
+        this.onLaunchVehicleChange(e.target.value);
+      }
     });
   }
 
@@ -297,6 +344,10 @@ export default class HabitatConfigurator {
 
     this.selectedType = this.habitatTypes.find(t => t.id === typeId);
     this.currentConfig.type = typeId;
+    this.currentConfig.crossSection = null;
+
+    const crossSectionSelect = document.getElementById('habitat-cross-section');
+    if (crossSectionSelect) crossSectionSelect.value = '';
 
     // Update description
     const descEl = document.getElementById('habitat-type-description');
@@ -305,8 +356,7 @@ export default class HabitatConfigurator {
     }
 
     // Load customization limits
-    fetch('/src/data/habitat-types.json')
-      .then(res => res.json())
+    DataLoader.load('habitat-types.json')
       .then(data => {
         const customLimits = data.habitat_customization_limits[typeId];
     if (customLimits) {
@@ -459,6 +509,45 @@ export default class HabitatConfigurator {
     }
   }
 
+  /**
+   * Show the launch manifest check (mass margin per vehicle, top contributors)
+   * @param {Object|null} manifest - LaunchManifestValidator.validateManifest() result
+   * @param {HTMLElement} root - Panel to render into (defaults to the document)
+   */
+  renderLaunchManifest(manifest, root = document) {
+    this.launchManifest = manifest;
+    const el = root.querySelector('#launch-manifest');
+    if (!el) return;
+
+    if (!manifest) {
+      el.style.display = 'none';
+      return;
+    }
+
+    const { metrics, vehicles, topContributors } = manifest;
+    const formatKg = kg => Math.round(kg).toLocaleString() + ' kg';
+
+    el.style.display = 'block';
+    el.innerHTML = `
+      <div style="font-weight: 600; margin-bottom: 6px; text-transform: uppercase; letter-spacing: 0.05em;">
+        Launch Manifest: ${formatKg(metrics.totalMassKg)}
+      </div>
+      <div style="color: #64748b; margin-bottom: 6px;">
+        Shell ${formatKg(metrics.breakdown.shellKg)} · outfitting ${formatKg(metrics.breakdown.outfittingKg)} ·
+        objects ${formatKg(metrics.breakdown.objectsKg)} · growth ${formatKg(metrics.growthKg)}
+      </div>
+      ${vehicles.map(v => `
+        <div style="display: flex; justify-content: space-between; color: ${v.canFly ? '#059669' : '#dc2626'};${v.id === this.currentConfig.launchVehicle ? ' font-weight: 600;' : ''}">
+          <span>${v.canFly ? '✅' : '❌'} ${v.name}</span>
+          <span>${v.marginKg >= 0 ? '+' : ''}${formatKg(v.marginKg)}${v.fitsFairing ? '' : ' · fairing'}</span>
+        </div>
+      `).join('')}
+      <div style="margin-top: 6px; color: #64748b;">
+        Largest: ${topContributors.map(c => `${c.name}${c.count > 1 ? ` ×${c.count}` : ''} ${(c.fraction * 100).toFixed(0)}%`).join(', ')}
+      </div>
+    `;
+  }
+
   /**
    * Notify parent application of configuration change
    */
@@ -474,12 +563,38 @@ export default class HabitatConfigurator {
   getCurrentConfig() {
     return {
       ...this.currentConfig,
+      crossSection: this.getCrossSection(),
       habitatType: this.selectedType,
       volume: this.calculateVolume(),
       estimatedMass: this.calculateMass()
     };
   }
 
+  /**
+   * Set the shell cross-section definitions
+   * @param {Object} data - habitat-types.json shell_cross_sections
+   */
+  setCrossSections(data) {
+    this.crossSections = data || null;
+  }
+
+  /**
+   * Resolve the shell cross-section for ShellGeometry
+   * @param {Object} config - Habitat configuration (defaults to the current one)
+   * @returns {Object} - { shape, ...numeric shape parameters, sample_spacing_m }
+   */
+  getCrossSection(config = this.currentConfig) {
+    const shape = config.crossSection ||
+      this.crossSections?.by_habitat_type?.[config.type] || 'box';
+
+    const params = {};
+    for (const [key, value] of Object.entries(this.crossSections?.shapes?.[shape] || {})) {
+      if (typeof value === 'number') params[key] = value;
+    }
+
+    return { shape, ...params, sample_spacing_m: this.crossSections?.sample_spacing_m };
+  }
+
   /**
    * Calculate current volume
    */
@@ -553,6 +668,7 @@ export default class HabitatConfigurator {
     if (config.depth !== undefined) this.currentConfig.depth = config.depth;
     if (config.height !== undefined) this.currentConfig.height = config.height;
     if (config.levels !== undefined) this.currentConfig.levels = config.levels;
+    if (config.crossSection !== undefined) this.currentConfig.crossSection = config.crossSection;
 
     this.updateMetrics();
     this.notifyConfigChange();
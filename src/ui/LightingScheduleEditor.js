@@ -0,0 +1,223 @@
+/**
+ * Lighting Schedule Editor
+ *
+ * Per-module circadian lighting schedule for the selected module:
+ * - Preset picker (type default, circadian, general illumination, always on)
+ * - 24-hour strip coloured by colour temperature, shaded by intensity
+ * - Editable segments (from / to hour, lux, colour temperature)
+ * - Morning / pre-sleep / night checks against sleep_quality_factors.circadian_lighting
+ *
+ * Edits are stored on the module (HabitatModule.lightingSchedule) and exported
+ * with the layout. Sources: NASA-STD-3001 Vol. 2 Rev. B, ISS SSLA lighting modes.
+ */
+
+import { CircadianLightingModel } from '../simulation/CircadianLightingModel.js';
+
+// Colour of light by temperature: amber (2700 K) → neutral (4500 K) → blue-white (6500 K)
+const CCT_COLORS = [
+  { k: 2700, rgb: [255, 180, 107] },
+  { k: 4500, rgb: [255, 241, 224] },
+  { k: 6500, rgb: [207, 224, 255] }
+];
+
+export default class LightingScheduleEditor {
+  /**
+   * @param {String} containerId - ID of the element to render into
+   * @param {Object} config - circadian-lighting.json
+   * @param {Object} thresholds - sleep_quality_factors.circadian_lighting (nasa-constraints.json)
+   * @param {Function} onChange - Called with the module after its schedule changes
+   */
+  constructor(containerId, config, thresholds, onChange) {
+    this.containerId = containerId;
+    this.config = config;
+    this.onChange = onChange;
+    this.module = null;
+
+    this.model = new CircadianLightingModel(thresholds, { timeline: config.crew_timeline.activities });
+  }
+
+  /**
+   * Show a module's schedule (null clears the editor)
+   * @param {HabitatModule|null} module
+   */
+  setModule(module) {
+    this.module = module;
+    this.render();
+  }
+
+  /**
+   * Render the editor for the current module
+   */
+  render() {
+    try {
+      const container = document.getElementById(this.containerId);
+      if (!container) return;
+
+      if (!this.module) {
+        container.innerHTML = `
+          <div style="font-size: 11px; color: #64748b;">Select a module to edit its lighting schedule.</div>
+        `;
+        return;
+      }
+
+      const segments = this.getSegments();
+      const score = this.model.evaluateSchedule(segments);
+      const selected = this.getSelectedPreset();
+      const defaultPreset = this.config.module_defaults[this.module.moduleName] || this.config.module_defaults.default;
+
+      container.innerHTML = `
+        <div style="font-size: 12px; font-weight: 600; color: #334155; margin-bottom: 6px;">
+          💡 ${this.module.moduleName} lighting
+        </div>
+        <select data-role="preset" class="input-control" style="width: 100%; margin-bottom: 6px;">
+          <option value="" ${selected === '' ? 'selected' : ''}>Type default (${this.config.presets[defaultPreset].name})</option>
+          ${Object.entries(this.config.presets).map(([id, preset]) => `
+            <option value="${id}" ${selected === id ? 'selected' : ''}>${preset.name}</option>
+          `).join('')}
+          <option value="custom" ${selected === 'custom' ? 'selected' : ''} disabled>Custom</option>
+        </select>
+        <div style="display: flex; height: 18px; border: 1px solid #cbd5e1; border-radius: 4px; overflow: hidden;">
+          ${Array.from({ length: 24 }, (_, hour) => this.renderHour(segments, hour)).join('')}
+        </div>
+        <div style="display: flex; justify-content: space-between; font-size: 9px; color: #94a3b8; margin-bottom: 6px;">
+          <span>0h</span><span>6h</span><span>12h</span><span>18h</span><span>24h</span>
+        </div>
+        <table style="width: 100%; font-size: 11px; border-collapse: collapse;">
+          <tr style="color: #64748b;"><th>From</th><th>To</th><th>Lux</th><th>K</th><th></th></tr>
+          ${segments.map((segment, i) => `
+            <tr>
+              <td><input data-index="${i}" data-field="from" type="number" min="0" max="24" value="${segment.from}" style="width: 40px;"></td>
+              <td><input data-index="${i}" data-field="to" type="number" min="0" max="24" value="${segment.to}" style="width: 40px;"></td>
+              <td><input data-index="${i}" data-field="lux" type="number" min="0" step="10" value="${segment.lux}" style="width: 50px;"></td>
+              <td><input data-index="${i}" data-field="cct_k" type="number" min="1800" max="8000" step="100" value="${segment.cct_k}" style="width: 55px;"></td>
+              <td><button data-remove="${i}" class="btn secondary" style="padding: 0 6px; font-size: 11px;" ${segments.length <= 1 ? 'disabled' : ''}>✕</button></td>
+            </tr>
+          `).join('')}
+        </table>
+        <button data-role="add" class="btn secondary" style="width: 100%; margin-top: 4px; font-size: 11px;">+ Segment</button>
+        <div style="font-size: 11px; color: #334155; margin-top: 6px;">
+          ${this.renderCheck('Morning', score.morning)} ·
+          ${this.renderCheck('Pre-sleep', score.presleep)} ·
+          ${this.renderCheck('Night', score.sleep)}
+        </div>
+      `;
+
+      this.attachListeners(container, segments);
+
+    } catch (error) {
+      console.error('Error rendering lighting schedule editor:', error);
+    }
+  }
+
+  /**
+   * Wire the preset select, segment inputs and add / remove buttons
+   */
+  attachListeners(container, segments) {
+    container.querySelector('[data-role="preset"]').addEventListener('change', (e) => {
+      const preset = this.config.presets[e.target.value];
+      this.applySchedule(preset ? preset.segments.map(s => ({ ...s })) : null);
+    });
+
+    container.querySelectorAll('input[data-field]').forEach(input => {
+      input.addEventListener('change', (e) => {
+        const edited = segments.map(s => ({ ...s }));
+        const value = parseFloat(e.target.value);
+        if (Number.isNaN(value)) return;
+
+        edited[parseInt(e.target.dataset.index)][e.target.dataset.field] = value;
+        this.applySchedule(this.normalize(edited));
+      });
+    });
+
+    container.querySelectorAll('[data-remove]').forEach(button => {
+      button.addEventListener('click', () => {
+        const index = parseInt(button.dataset.remove);
+        this.applySchedule(segments.filter((_, i) => i !== index).map(s => ({ ...s })));
+      });
+    });
+
+    container.querySelector('[data-role="add"]').addEventListener('click', () => {
+      const last = segments[segments.length - 1];
+      const from = Math.min(23, last ? last.to : 0);
+      this.applySchedule([...segments.map(s => ({ ...s })), { from, to: 24, lux: 0, cct_k: 2700 }]);
+    });
+  }
+
+  /**
+   * Store a schedule on the module (null = type default) and notify
+   */
+  applySchedule(segments) {
+    this.module.lightingSchedule = segments;
+    this.render();
+    this.onChange?.(this.module);
+  }
+
+  /**
+   * Effective schedule of the current module
+   */
+  getSegments() {
+    return CircadianLightingModel.resolveSchedule(this.config, this.module.moduleName, this.module.lightingSchedule);
+  }
+
+  /**
+   * Preset id matching the module's own schedule ('' = type default, 'custom' = edited)
+   */
+  getSelectedPreset() {
+    if (!this.module.lightingSchedule) return '';
+
+    const own = JSON.stringify(this.module.lightingSchedule);
+    const match = Object.entries(this.config.presets).find(([, preset]) => JSON.stringify(preset.segments) === own);
+    return match ? match[0] : 'custom';
+  }
+
+  /**
+   * Clamp hours to 0-24 and sort segments by start hour
+   */
+  normalize(segments) {
+    return segments
+      .map(s => ({
+        from: Math.max(0, Math.min(24, s.from)),
+        to: Math.max(0, Math.min(24, s.to)),
+        lux: Math.max(0, s.lux),
+        cct_k: s.cct_k
+      }))
+      .sort((a, b) => a.from - b.from);
+  }
+
+  /**
+   * One hour cell of the 24-hour strip
+   */
+  renderHour(segments, hour) {
+    const light = CircadianLightingModel.lightAt(segments, hour);
+    const [r, g, b] = this.cctToRgb(light.cct_k);
+    const alpha = Math.min(1, light.lux / 500);
+    return `<div title="${hour}:00 · ${light.lux} lux · ${light.cct_k} K" ` +
+      `style="flex: 1; background: ${light.lux > 0 ? `rgba(${r}, ${g}, ${b}, ${Math.max(0.15, alpha)})` : '#1e293b'};"></div>`;
+  }
+
+  /**
+   * Pass / fail label for a circadian window
+   */
+  renderCheck(label, fraction) {
+    const color = fraction >= 1 ? '#16a34a' : fraction > 0 ? '#d97706' : '#dc2626';
+    return `<span style="color: ${color};">${fraction >= 1 ? '✓' : '✗'} ${label} ${(fraction * 100).toFixed(0)}%</span>`;
+  }
+
+  /**
+   * Approximate light colour for a colour temperature
+   */
+  cctToRgb(cct) {
+    if (cct <= CCT_COLORS[0].k) return CCT_COLORS[0].rgb;
+
+    for (let i = 1; i < CCT_COLORS.length; i++) {
+      const lo = CCT_COLORS[i - 1];
+      const hi = CCT_COLORS[i];
+      if (cct <= hi.k) {
+        const t = (cct - lo.k) / (hi.k - lo.k);
+        return lo.rgb.map((c, j) => Math.round(c + (hi.rgb[j] - c) * t));
+      }
+    }
+
+    return CCT_COLORS[CCT_COLORS.length - 1].rgb;
+  }
+}
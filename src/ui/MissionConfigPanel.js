@@ -6,27 +6,121 @@
  * Features:
  * - Mission duration selection (HERA standard: 45 days)
  * - Crew size and composition
+ * - Individual crew trait profiles (resilience, sleep need, chronotype, sociability)
  * - Design parameters (windows, lighting, exercise)
  * - Preset configurations
+ * - Save/load of the full mission config (including crew traits) as JSON
  *
  * NASA Sources:
  * - HERA Facility: 45-day mission baseline
  * - TP-2020-220505: Crew configuration guidelines
  */
 
+const DEFAULT_TRAITS = { resilience: 0.5, sleepNeed: 0.5, chronotype: 0.5, sociability: 0.5 };
+
+const TRAIT_FIELDS = [
+  { key: 'resilience', label: 'Resil.', hint: 'Stress resilience' },
+  { key: 'sleepNeed', label: 'Sleep', hint: 'Sleep need' },
+  { key: 'chronotype', label: 'Chrono', hint: 'Chronotype (0 = morning, 1 = evening)' },
+  { key: 'sociability', label: 'Social', hint: 'Sociability (0 = introvert, 1 = extravert)' }
+];
+
+// Crew roster styles (shared by render() and renderCrewRoster())
+const ROSTER_STYLES = `
+        .crew-roster {
+          border: 1px solid #e5e7eb;
+          border-radius: 6px;
+          padding: 8px;
+          background: white;
+        }
+
+        .crew-item {
+          display: grid;
+          grid-template-columns: 1fr 1fr 60px;
+          gap: 6px;
+          margin-bottom: 6px;
+          padding-bottom: 6px;
+          border-bottom: 1px solid #f3f4f6;
+        }
+
+        .crew-traits {
+          grid-column: 1 / -1;
+          display: grid;
+          grid-template-columns: repeat(4, 1fr);
+          gap: 6px;
+        }
+
+        .crew-trait {
+          display: flex;
+          flex-direction: column;
+          font-size: 10px;
+          color: #6b7280;
+        }
+
+        .crew-trait input {
+          width: 100%;
+        }
+
+        .config-file-buttons {
+          display: grid;
+          grid-template-columns: 1fr 1fr;
+          gap: 6px;
+          margin-top: 6px;
+        }
+
+        .config-load-label {
+          display: block;
+          text-align: center;
+        }
+
+        .crew-item:last-child {
+          border-bottom: none;
+          margin-bottom: 0;
+          padding-bottom: 0;
+        }
+
+        .crew-input {
+          padding: 4px 6px;
+          border: 1px solid #d1d5db;
+          border-radius: 4px;
+          font-size: 12px;
+        }
+
+        .btn-secondary {
+          width: 100%;
+          padding: 8px;
+          background: #f3f4f6;
+          color: #374151;
+          border: 1px solid #d1d5db;
+          border-radius: 8px;
+          font-size: 12px;
+          cursor: pointer;
+          transition: all 0.2s;
+        }
+
+        .btn-secondary:hover {
+          background: #e5e7eb;
+        }
+`;
+
 export class MissionConfigPanel {
-  constructor(constraints) {
+  /**
+   * @param {Object} constraints - NASA constraints
+   * @param {Object} traitDefaults - Population-average traits (crew_traits.defaults, camelCase keys)
+   */
+  constructor(constraints, traitDefaults = {}) {
     this.constraints = constraints;
+    this.traitDefaults = { ...DEFAULT_TRAITS, ...traitDefaults };
 
     // Default configuration (HERA baseline)
     this.config = {
       missionDays: 45,
       crewSize: 4,
       crewProfiles: [
-        { id: 'crew-1', name: 'Commander', role: 'Leadership', gender: 'M' },
-        { id: 'crew-2', name: 'Engineer', role: 'Technical', gender: 'F' },
-        { id: 'crew-3', name: 'Scientist', role: 'Research', gender: 'M' },
-        { id: 'crew-4', name: 'Medical Officer', role: 'Health', gender: 'F' }
+        { id: 'crew-1', name: 'Commander', role: 'Leadership', gender: 'M', traits: { ...this.traitDefaults } },
+        { id: 'crew-2', name: 'Engineer', role: 'Technical', gender: 'F', traits: { ...this.traitDefaults } },
+        { id: 'crew-3', name: 'Scientist', role: 'Research', gender: 'M', traits: { ...this.traitDefaults } },
+        { id: 'crew-4', name: 'Medical Officer', role: 'Health', gender: 'F', traits: { ...this.traitDefaults } }
       ],
 
       // Design parameters
@@ -38,9 +132,12 @@ export class MissionConfigPanel {
     };
 
     this.container = null;
+    this.rosterOnly = false; // renderCrewRoster(): the app's own controls hold the other parameters
     this.callbacks = {
       onConfigChange: null,
-      onRunSimulation: null
+      onConfigLoad: null,
+      onRunSimulation: null,
+      onCancelSimulation: null
     };
   }
 
@@ -53,10 +150,43 @@ export class MissionConfigPanel {
     this.container = container;
     this.callbacks = callbacks;
 
+    this.rosterOnly = false;
+
     container.innerHTML = this.generateHTML();
     this.attachEventListeners();
   }
 
+  /**
+   * Render only the crew roster (names, roles, trait sliders) and config save/load,
+   * for pages that already have their own mission parameter controls
+   * @param {HTMLElement} container - Container element
+   * @param {Object} callbacks - Event callbacks (onConfigChange, onConfigLoad)
+   */
+  renderCrewRoster(container, callbacks = {}) {
+    this.container = container;
+    this.callbacks = callbacks;
+    this.rosterOnly = true;
+
+    container.innerHTML = `
+      <div id="crewRoster" class="crew-roster">
+        ${this.generateCrewRosterHTML()}
+      </div>
+      <div class="config-file-buttons">
+        <button id="saveConfigBtn" class="btn-secondary">Save Config</button>
+        <label class="btn-secondary config-load-label">
+          Load Config
+          <input id="loadConfigFile" type="file" accept=".json" style="display:none" />
+        </label>
+      </div>
+
+      <style>
+        ${ROSTER_STYLES}
+      </style>
+    `;
+    this.attachRosterListeners();
+    this.attachConfigFileListeners();
+  }
+
   /**
    * Generate HTML for the configuration panel
    * @returns {String} - HTML string
@@ -157,14 +287,22 @@ export class MissionConfigPanel {
           <button id="resetConfigBtn" class="btn-secondary">
             Reset to Default
           </button>
+          <div class="config-file-buttons">
+            <button id="saveConfigBtn" class="btn-secondary">Save Config</button>
+            <label class="btn-secondary config-load-label">
+              Load Config
+              <input id="loadConfigFile" type="file" accept=".json" style="display:none" />
+            </label>
+          </div>
         </div>
 
         <!-- Status Display -->
         <div id="simStatus" class="sim-status" style="display:none;">
-          <div class="status-text">Simulation running...</div>
+          <div class="status-text" id="simStatusText">Simulation running...</div>
           <div class="status-progress">
             <div class="progress-bar" id="simProgress" style="width:0%"></div>
           </div>
+          <button id="cancelSimBtn" class="btn-secondary" style="margin-top:8px;">Cancel</button>
         </div>
       </div>
 
@@ -208,34 +346,7 @@ export class MissionConfigPanel {
           margin-top: 2px;
         }
 
-        .crew-roster {
-          border: 1px solid #e5e7eb;
-          border-radius: 6px;
-          padding: 8px;
-          background: white;
-        }
-
-        .crew-item {
-          display: grid;
-          grid-template-columns: 1fr 1fr 60px;
-          gap: 6px;
-          margin-bottom: 6px;
-          padding-bottom: 6px;
-          border-bottom: 1px solid #f3f4f6;
-        }
-
-        .crew-item:last-child {
-          border-bottom: none;
-          margin-bottom: 0;
-          padding-bottom: 0;
-        }
-
-        .crew-input {
-          padding: 4px 6px;
-          border: 1px solid #d1d5db;
-          border-radius: 4px;
-          font-size: 12px;
-        }
+        ${ROSTER_STYLES}
 
         .preset-buttons {
           display: grid;
@@ -277,22 +388,6 @@ export class MissionConfigPanel {
           background: #1d4ed8;
         }
 
-        .btn-secondary {
-          width: 100%;
-          padding: 8px;
-          background: #f3f4f6;
-          color: #374151;
-          border: 1px solid #d1d5db;
-          border-radius: 8px;
-          font-size: 12px;
-          cursor: pointer;
-          transition: all 0.2s;
-        }
-
-        .btn-secondary:hover {
-          background: #e5e7eb;
-        }
-
         .sim-status {
           margin-top: 12px;
           padding: 10px;
@@ -348,10 +443,53 @@ export class MissionConfigPanel {
           <option value="M" ${member.gender === 'M' ? 'selected' : ''}>M</option>
           <option value="F" ${member.gender === 'F' ? 'selected' : ''}>F</option>
         </select>
+        <div class="crew-traits">
+          ${TRAIT_FIELDS.map(trait => `
+            <label class="crew-trait" title="${trait.hint}">
+              ${trait.label} <span data-trait-value="${trait.key}">${Math.round((member.traits?.[trait.key] ?? 0.5) * 100)}</span>
+              <input
+                type="range"
+                class="crew-trait-input"
+                min="0"
+                max="100"
+                value="${Math.round((member.traits?.[trait.key] ?? 0.5) * 100)}"
+                data-trait="${trait.key}"
+              />
+            </label>
+          `).join('')}
+        </div>
       </div>
     `).join('');
   }
 
+  /**
+   * Attach listeners to crew roster inputs (name/role/gender and trait sliders)
+   */
+  attachRosterListeners() {
+    this.container.querySelectorAll('.crew-input').forEach(input => {
+      input.addEventListener('change', (e) => {
+        const index = parseInt(e.target.closest('.crew-item').dataset.crewIndex);
+        const field = e.target.dataset.field;
+        this.config.crewProfiles[index][field] = e.target.value;
+        this.notifyConfigChange();
+      });
+    });
+
+    this.container.querySelectorAll('.crew-trait-input').forEach(input => {
+      input.addEventListener('input', (e) => {
+        const item = e.target.closest('.crew-item');
+        const index = parseInt(item.dataset.crewIndex);
+        const trait = e.target.dataset.trait;
+        const value = parseInt(e.target.value);
+
+        const profile = this.config.crewProfiles[index];
+        profile.traits = { ...this.traitDefaults, ...profile.traits, [trait]: value / 100 };
+        item.querySelector(`[data-trait-value="${trait}"]`).textContent = value;
+        this.notifyConfigChange();
+      });
+    });
+  }
+
   /**
    * Attach event listeners to UI elements
    */
@@ -390,14 +528,7 @@ export class MissionConfigPanel {
     });
 
     // Crew roster inputs
-    this.container.querySelectorAll('.crew-input').forEach(input => {
-      input.addEventListener('change', (e) => {
-        const index = parseInt(e.target.closest('.crew-item').dataset.crewIndex);
-        const field = e.target.dataset.field;
-        this.config.crewProfiles[index][field] = e.target.value;
-        this.notifyConfigChange();
-      });
-    });
+    this.attachRosterListeners();
 
     // Preset buttons
     this.container.querySelectorAll('.btn-preset').forEach(btn => {
@@ -414,9 +545,44 @@ export class MissionConfigPanel {
       }
     });
 
+    document.getElementById('cancelSimBtn').addEventListener('click', () => {
+      if (this.callbacks.onCancelSimulation) {
+        this.callbacks.onCancelSimulation();
+      }
+    });
+
     document.getElementById('resetConfigBtn').addEventListener('click', () => {
       this.resetToDefault();
     });
+
+    this.attachConfigFileListeners();
+  }
+
+  /**
+   * Attach listeners to the config save / load buttons
+   */
+  attachConfigFileListeners() {
+    document.getElementById('saveConfigBtn').addEventListener('click', () => {
+      this.downloadConfig();
+    });
+
+    document.getElementById('loadConfigFile').addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+
+      const reader = new FileReader();
+      reader.onload = () => {
+        try {
+          this.loadConfig(JSON.parse(reader.result));
+        } catch (error) {
+          console.error('Failed to load mission config:', error);
+        }
+      };
+      reader.readAsText(file);
+
+      // Reset input so same file can be loaded again
+      e.target.value = '';
+    });
   }
 
   /**
@@ -433,7 +599,8 @@ export class MissionConfigPanel {
         id: `crew-${index + 1}`,
         name: defaultNames[index] || `Crew ${index + 1}`,
         role: defaultRoles[index] || 'Crew Member',
-        gender: index % 2 === 0 ? 'M' : 'F'
+        gender: index % 2 === 0 ? 'M' : 'F',
+        traits: { ...this.traitDefaults }
       });
     }
 
@@ -441,18 +608,40 @@ export class MissionConfigPanel {
       this.config.crewProfiles.pop();
     }
 
+    if (!this.container) return;
+
     // Re-render crew roster
     document.getElementById('crewRoster').innerHTML = this.generateCrewRosterHTML();
 
     // Re-attach listeners for new inputs
-    this.container.querySelectorAll('.crew-input').forEach(input => {
-      input.addEventListener('change', (e) => {
-        const index = parseInt(e.target.closest('.crew-item').dataset.crewIndex);
-        const field = e.target.dataset.field;
-        this.config.crewProfiles[index][field] = e.target.value;
-        this.notifyConfigChange();
-      });
-    });
+    this.attachRosterListeners();
+  }
+
+  /**
+   * Replace the crew roster (e.g. with the app's crew) and re-render it
+   * @param {Array<Object>} profiles - [{ id, name, role, gender, traits }]
+   */
+  setCrewProfiles(profiles) {
+    this.config.crewProfiles = profiles.map(profile => ({
+      id: profile.id,
+      name: profile.name,
+      role: profile.role,
+      gender: profile.gender,
+      traits: { ...this.traitDefaults, ...profile.traits }
+    }));
+    this.config.crewSize = this.config.crewProfiles.length;
+    this.updateCrewRoster();
+  }
+
+  /**
+   * Merge parameters edited outside the panel (roster-only mode) into the config,
+   * resizing the roster when the crew size changes
+   * @param {Object} partial - Config fields (missionDays, crewSize, windowType, ...)
+   */
+  syncConfig(partial) {
+    const resize = partial.crewSize !== undefined && partial.crewSize !== this.config.crewSize;
+    Object.assign(this.config, partial);
+    if (resize) this.updateCrewRoster();
   }
 
   /**
@@ -501,10 +690,10 @@ export class MissionConfigPanel {
       missionDays: 45,
       crewSize: 4,
       crewProfiles: [
-        { id: 'crew-1', name: 'Commander', role: 'Leadership', gender: 'M' },
-        { id: 'crew-2', name: 'Engineer', role: 'Technical', gender: 'F' },
-        { id: 'crew-3', name: 'Scientist', role: 'Research', gender: 'M' },
-        { id: 'crew-4', name: 'Medical Officer', role: 'Health', gender: 'F' }
+        { id: 'crew-1', name: 'Commander', role: 'Leadership', gender: 'M', traits: { ...this.traitDefaults } },
+        { id: 'crew-2', name: 'Engineer', role: 'Technical', gender: 'F', traits: { ...this.traitDefaults } },
+        { id: 'crew-3', name: 'Scientist', role: 'Research', gender: 'M', traits: { ...this.traitDefaults } },
+        { id: 'crew-4', name: 'Medical Officer', role: 'Health', gender: 'F', traits: { ...this.traitDefaults } }
       ],
       windowType: 0.5,
       visualOrder: 0.8,
@@ -530,15 +719,20 @@ export class MissionConfigPanel {
   /**
    * Show simulation progress
    * @param {Number} progress - Progress percentage (0-100)
+   * @param {String} label - Status text (optional, e.g. "Day 12 / 45")
    */
-  showProgress(progress) {
+  showProgress(progress, label = null) {
     const statusEl = document.getElementById('simStatus');
     const progressBar = document.getElementById('simProgress');
+    const textEl = document.getElementById('simStatusText');
 
     if (statusEl && progressBar) {
       statusEl.style.display = 'block';
       progressBar.style.width = `${progress}%`;
     }
+    if (textEl && label) {
+      textEl.textContent = label;
+    }
   }
 
   /**
@@ -567,4 +761,75 @@ export class MissionConfigPanel {
   getConfig() {
     return { ...this.config };
   }
+
+  /**
+   * Serialize mission configuration (including crew traits) for saving
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      version: '1.0',
+      savedAt: new Date().toISOString(),
+      config: JSON.parse(JSON.stringify(this.config))
+    };
+  }
+
+  /**
+   * Download mission configuration as a JSON file
+   */
+  downloadConfig() {
+    const blob = new Blob([JSON.stringify(this.toJSON(), null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `mission-config-${new Date().toISOString().split('T')[0]}.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Load a saved mission configuration and re-render the panel
+   * @param {Object} data - Output of toJSON() (or a bare config object)
+   */
+  loadConfig(data) {
+    const saved = data.config || data;
+
+    this.config = {
+      ...this.config,
+      ...saved,
+      crewProfiles: (saved.crewProfiles || this.config.crewProfiles).map(profile => ({
+        ...profile,
+        traits: { ...this.traitDefaults, ...profile.traits }
+      }))
+    };
+    this.config.crewSize = this.config.crewProfiles.length;
+
+    if (this.rosterOnly) {
+      // The page's own controls take the mission parameters
+      this.renderCrewRoster(this.container, this.callbacks);
+      if (this.callbacks.onConfigLoad) {
+        this.callbacks.onConfigLoad(this.config);
+      }
+      this.notifyConfigChange();
+      return;
+    }
+
+    this.render(this.container, this.callbacks);
+
+    // Sync controls whose markup has hard-coded defaults
+    document.getElementById('missionDays').value = this.config.missionDays;
+    document.getElementById('crewSize').value = this.config.crewSize;
+    document.getElementById('windowType').value = this.config.windowType;
+    document.getElementById('lightingCompliance').value = Math.round(this.config.lightingScheduleCompliance * 100);
+    document.getElementById('lightingValue').textContent = `${Math.round(this.config.lightingScheduleCompliance * 100)}%`;
+    document.getElementById('exerciseCompliance').value = Math.round(this.config.exerciseCompliance * 100);
+    document.getElementById('exerciseValue').textContent = `${Math.round(this.config.exerciseCompliance * 100)}%`;
+    this.updateRunButtonText();
+
+    this.notifyConfigChange();
+  }
 }
@@ -10,6 +10,8 @@
  * NASA Space Apps Challenge 2024 - Gap #3: Object Placement
  */
 
+import { DataLoader } from '../data/DataLoader.js';
+
 export default class ObjectCatalog {
   constructor(onObjectAdd) {
     this.onObjectAdd = onObjectAdd;
@@ -28,12 +30,7 @@ export default class ObjectCatalog {
    */
   async loadObjectCatalog() {
     try {
-      const response = await fetch('/src/data/object-catalog.json');
-      if (!response.ok) {
-        throw new Error(`Failed to load object catalog: ${response.status}`);
-      }
-
-      const data = await response.json();
+      const data = await DataLoader.load('object-catalog.json');
       this.categories = data.object_categories;
       this.massLimit = data.mass_budget_guidelines.total_equipment_mass_reference_kg;
 
@@ -7,9 +7,17 @@
  * NASA Space Apps Challenge 2024 - Gap #5: Mission Scenarios
  */
 
+import { DataLoader } from '../data/DataLoader.js';
+
 export default class ScenarioLoader {
-  constructor(onScenarioLoad) {
+  /**
+   * @param {Function} onScenarioLoad - Called with the selected scenario
+   * @param {Function} onGenerateLayout - Called with the selected scenario to place its required modules
+   */
+  constructor(onScenarioLoad, onGenerateLayout = null) {
     this.onScenarioLoad = onScenarioLoad;
+    this.onGenerateLayout = onGenerateLayout;
+    this.currentScenario = null;
     this.scenarios = [];
     this.isLoaded = false;
 
@@ -22,12 +30,7 @@ export default class ScenarioLoader {
    */
   async loadScenarios() {
     try {
-      const response = await fetch('/src/data/mission-scenarios.json');
-      if (!response.ok) {
-        throw new Error(`Failed to load scenarios: ${response.status}`);
-      }
-
-      const data = await response.json();
+      const data = await DataLoader.load('mission-scenarios.json');
       this.scenarios = data.scenarios;
       this.isLoaded = true;
 
@@ -63,6 +66,9 @@ export default class ScenarioLoader {
         `).join('')}
       </select>
       <div id="scenario-description" style="font-size: 10px; color: #64748b; line-height: 1.4; padding: 8px; background: #f8fafc; border-radius: 4px; display: none;"></div>
+      <button id="generate-layout-btn" class="btn secondary" style="width: 100%; margin-top: 6px; font-size: 12px; display: none;">
+        Generate Starter Layout
+      </button>
     `;
 
     // Insert at top of mission section
@@ -78,7 +84,16 @@ export default class ScenarioLoader {
       if (scenarioId) {
         this.loadScenario(scenarioId);
       } else {
+        this.currentScenario = null;
         document.getElementById('scenario-description').style.display = 'none';
+        document.getElementById('generate-layout-btn').style.display = 'none';
+      }
+    });
+
+    const generateBtn = document.getElementById('generate-layout-btn');
+    generateBtn.addEventListener('click', () => {
+      if (this.currentScenario && this.onGenerateLayout) {
+        this.onGenerateLayout(this.currentScenario);
       }
     });
   }
@@ -94,6 +109,7 @@ export default class ScenarioLoader {
     }
 
     console.log('📋 Loading scenario:', scenario.name);
+    this.currentScenario = scenario;
 
     // Show description
     const descEl = document.getElementById('scenario-description');
@@ -111,6 +127,11 @@ export default class ScenarioLoader {
       `;
     }
 
+    const generateBtn = document.getElementById('generate-layout-btn');
+    if (generateBtn && this.onGenerateLayout) {
+      generateBtn.style.display = 'block';
+    }
+
     // Call callback with scenario data
     if (this.onScenarioLoad) {
       this.onScenarioLoad(scenario);
@@ -0,0 +1,247 @@
+/**
+ * AssemblyValidator.js
+ *
+ * Validation of multi-element habitat assemblies (HabitatAssembly)
+ *
+ * Validates:
+ * - Each element on its own: ConstraintValidator.validateLayout with the
+ *   element's modules and shell (areas, bounds, overlaps, adjacency, paths, floors)
+ * - Across the assembly:
+ *   - Every module belongs to an element of the assembly
+ *   - All elements are joined into one pressurized volume by nodes / tunnels
+ *   - No module covers a hatch
+ *   - Crew can walk between the hatches of each element (through-traffic)
+ *   - Hatch widths against the crew translation path width (warning)
+ *
+ * Returns the same report shape as ConstraintValidator.validateLayout, so the
+ * HUD and exporter can use either, plus a per-element summary.
+ *
+ * NASA Sources:
+ * - NASA-TP-2020-220505: Modular assemblies, translation paths between modules
+ * - AIAA-2022: 1.0 m crew translation path width
+ * - ISS heritage: Common Berthing Mechanism hatches between modules
+ */
+
+import Pathfinder from '../simulation/Pathfinder.js';
+
+export class AssemblyValidator {
+  /**
+   * @param {ConstraintValidator} validator - Per-element validator
+   * @param {HabitatAssembly} assembly - Elements and connections
+   */
+  constructor(validator, assembly) {
+    this.validator = validator;
+    this.assembly = assembly;
+    this.minPathWidth = validator.pathMinWidth ?? 1.0;
+  }
+
+  /**
+   * Validate every element and the assembly as a whole
+   * @param {Array<HabitatModule>} modules - All modules (module.element = element id)
+   * @returns {Object} - validateLayout report plus elements: [{ id, name, moduleCount, compliancePercentage, violations, warnings }]
+   */
+  validateLayout(modules) {
+    const report = {
+      valid: true,
+      timestamp: new Date().toISOString(),
+      moduleCount: modules.length,
+      violations: [],
+      warnings: [],
+      compliancePercentage: 100,
+      totalFootprint: 0,
+      metrics: {},
+      elements: []
+    };
+
+    let totalChecks = 0;
+    let failedChecks = 0;
+
+    // 1. Each element with its own modules and shell
+    for (const element of this.assembly.getElements()) {
+      const elementModules = modules.filter(m => m.element === element.id);
+      const elementReport = this.validator.validateLayout(elementModules, this.assembly.getShellDimensions(element.id));
+      const label = (issue) => ({ ...issue, element: element.id, message: `${element.name}: ${issue.message}` });
+
+      report.violations.push(...elementReport.violations.map(label));
+      report.warnings.push(...elementReport.warnings.map(label));
+      report.totalFootprint += elementReport.totalFootprint;
+      totalChecks += elementReport.metrics.totalChecks || 0;
+      failedChecks += elementReport.metrics.failedChecks || 0;
+
+      report.elements.push({
+        id: element.id,
+        name: element.name,
+        moduleCount: elementModules.length,
+        compliancePercentage: elementReport.compliancePercentage,
+        violations: elementReport.violations.length,
+        warnings: elementReport.warnings.length
+      });
+    }
+
+    // 2. Modules outside every element
+    for (const module of modules.filter(m => !this.assembly.getElement(m.element))) {
+      totalChecks++;
+      failedChecks++;
+      report.violations.push({
+        type: 'module_outside_assembly',
+        moduleA: module.moduleName,
+        severity: 'critical',
+        message: `${module.moduleName}: Not inside any element of the assembly ✗`
+      });
+    }
+
+    // 3. Assembly-wide checks
+    const assemblyViolations = [
+      ...this.validateConnectivity(),
+      ...this.validateHatchClearance(modules),
+      ...this.validateThroughPaths()
+    ];
+    totalChecks += 1 + this.assembly.connections.length * 2 + this.countThroughPathChecks();
+    failedChecks += assemblyViolations.length;
+    report.violations.push(...assemblyViolations);
+    report.warnings.push(...this.validateHatchWidths());
+
+    if (totalChecks > 0) {
+      report.compliancePercentage = Math.round(((totalChecks - failedChecks) / totalChecks) * 100);
+    }
+    report.valid = failedChecks === 0;
+
+    report.metrics = {
+      totalChecks,
+      failedChecks,
+      elementCount: this.assembly.elements.size,
+      connectionCount: this.assembly.connections.length,
+      cleanModules: modules.filter(m => m.zone === 'clean').length,
+      dirtyModules: modules.filter(m => m.zone === 'dirty').length,
+      averageFootprint: modules.length > 0 ? report.totalFootprint / modules.length : 0
+    };
+
+    return report;
+  }
+
+  /**
+   * All elements must form one pressurized volume
+   * @returns {Array} - One violation per group cut off from the first element
+   */
+  validateConnectivity() {
+    const [main, ...isolated] = this.assembly.getConnectedGroups();
+    const name = (id) => this.assembly.getElement(id).name;
+
+    return isolated.map(group => ({
+      type: 'assembly_disconnected',
+      severity: 'critical',
+      source: 'NASA-TP-2020-220505',
+      message: `${group.map(name).join(', ')} not connected to ${name(main[0])} by a node or tunnel`
+    }));
+  }
+
+  /**
+   * Hatches at both ends of each connection must stay clear of modules
+   * @param {Array<HabitatModule>} modules
+   * @returns {Array} - Violations
+   */
+  validateHatchClearance(modules) {
+    const violations = [];
+
+    for (const connection of this.assembly.getConnections()) {
+      for (const [end, world] of [[connection.from, connection.fromWorld], [connection.to, connection.toWorld]]) {
+        const blocking = modules.filter(m => {
+          if (m.element !== end.element || (m.level ?? 0) !== end.level) return false;
+
+          const rect = m.getFloorRectangle();
+          return world.x > rect.minX && world.x < rect.maxX && world.z > rect.minZ && world.z < rect.maxZ;
+        });
+
+        for (const module of blocking) {
+          violations.push({
+            type: 'hatch_blocked',
+            moduleA: module.moduleName,
+            element: end.element,
+            severity: 'critical',
+            source: 'NASA-TP-2020-220505',
+            message: `${this.assembly.getElement(end.element).name}: ${module.moduleName} covers the ${connection.type} hatch ✗`
+          });
+        }
+      }
+    }
+
+    return violations;
+  }
+
+  /**
+   * Hatch ends per element
+   * @returns {Map<string, Array<Object>>} - element id → [{ tileX, tileY, level }]
+   */
+  getHatchesByElement() {
+    const hatches = new Map();
+
+    for (const { from, to } of this.assembly.connections) {
+      for (const end of [from, to]) {
+        if (!hatches.has(end.element)) hatches.set(end.element, []);
+        hatches.get(end.element).push(end);
+      }
+    }
+
+    return hatches;
+  }
+
+  /**
+   * Number of hatch-to-hatch paths checked by validateThroughPaths
+   */
+  countThroughPathChecks() {
+    let count = 0;
+    for (const ends of this.getHatchesByElement().values()) {
+      count += Math.max(0, ends.length - 1);
+    }
+    return count;
+  }
+
+  /**
+   * Crew passing through an element must be able to walk from hatch to hatch
+   * (uses the tile occupancy of the element's own grid, so routes through
+   * neighbouring elements do not count)
+   * @returns {Array} - Violations
+   */
+  validateThroughPaths() {
+    const violations = [];
+
+    for (const [elementId, ends] of this.getHatchesByElement()) {
+      const [first, ...others] = ends;
+      const pathfinder = new Pathfinder(this.assembly.getElement(elementId).tileSystem);
+
+      for (const end of others) {
+        const path = pathfinder.findPath(first.tileX, first.tileY, end.tileX, end.tileY, first.level, end.level);
+        if (path) continue;
+
+        violations.push({
+          type: 'assembly_through_path',
+          element: elementId,
+          severity: 'critical',
+          source: 'NASA-TP-2020-220505',
+          message: `${this.assembly.getElement(elementId).name}: No crew path between its hatches ` +
+            `(tiles ${first.tileX},${first.tileY} and ${end.tileX},${end.tileY})`
+        });
+      }
+    }
+
+    return violations;
+  }
+
+  /**
+   * Hatches narrower than the crew translation path (warnings)
+   * @returns {Array} - Warnings
+   */
+  validateHatchWidths() {
+    return this.assembly.connections
+      .filter(c => c.hatchWidthM !== null && c.hatchWidthM < this.minPathWidth)
+      .map(c => ({
+        type: 'hatch_width',
+        severity: 'medium',
+        source: 'AIAA-2022',
+        message: `${c.type} hatch between ${this.assembly.getElement(c.from.element).name} and ` +
+          `${this.assembly.getElement(c.to.element).name} is ${c.hatchWidthM.toFixed(2)}m wide ` +
+          `(translation path ${this.minPathWidth.toFixed(2)}m)`,
+        rationale: 'Suited crew and cargo transfer bags pass through the hatch'
+      }));
+  }
+}
@@ -6,19 +6,30 @@
  * - Adjacency rules (NASA TP-2020-220505)
  * - Translation path widths (≥1.0m)
  * - Clean/dirty zone separation
- * - Habitat shell boundaries
+ * - Habitat shell boundaries, and headroom under curved shells (ShellGeometry):
+ *   each module's height against the local ceiling over its footprint
+ * - Multi-level habitats: overlaps and path widths per floor, noise through
+ *   the floor between stacked modules, ladder / hatch access to every floor
  *
  * All validation rules are traceable to NASA source documents.
  */
 
+import ShellGeometry from '../habitat/ShellGeometry.js';
+
 export default class ConstraintValidator {
-  constructor(constraints) {
+  /**
+   * @param {Object} constraints - NASA constraints (nasa-constraints.json)
+   * @param {Object} options - { verbose } (false = no setup logs, e.g. the CLI)
+   */
+  constructor(constraints, options = {}) {
     this.constraints = constraints;
+    this.verbose = options.verbose !== false;
 
     // Parse constraint data
     this.pathMinWidth = constraints.global_circulation.crew_translation_path_min_width_m;
     this.adjacencyRules = constraints.adjacency_rules;
     this.zones = constraints.zones;
+    this.verticalTranslation = constraints.vertical_translation || null;
     this.combinedSpaces = new Map();
 
     // Build minimum area lookup
@@ -29,9 +40,11 @@ export default class ConstraintValidator {
       });
     });
 
-    console.log('✅ ConstraintValidator initialized');
-    console.log(`   Path width requirement: ≥${this.pathMinWidth}m`);
-    console.log(`   Adjacency rules: ${this.adjacencyRules.length}`);
+    if (this.verbose) {
+      console.log('✅ ConstraintValidator initialized');
+      console.log(`   Path width requirement: ≥${this.pathMinWidth}m`);
+      console.log(`   Adjacency rules: ${this.adjacencyRules.length}`);
+    }
   }
 
   /**
@@ -124,7 +137,22 @@ export default class ConstraintValidator {
               const distance = moduleA.getDistanceTo(moduleB);
               const minDistance = rule.min_distance_m || 2.0; // Default 2m for noise isolation
 
-              if (distance < minDistance) {
+              if (this.isStacked(moduleA, moduleB)) {
+                // Structure-borne noise through the deck: distance does not help
+                violations.push({
+                  type: 'noise_through_floor',
+                  rule: rule.rule,
+                  moduleA: moduleA.moduleName,
+                  moduleB: moduleB.moduleName,
+                  severity: rule.severity,
+                  rationale: rule.rationale,
+                  actualDistance: distance.toFixed(2),
+                  requiredDistance: minDistance,
+                  source: rule.source,
+                  message: `${moduleA.moduleName} is directly ${(moduleA.level ?? 0) > (moduleB.level ?? 0) ? 'above' : 'below'} ` +
+                    `${moduleB.moduleName}: noise carries through the floor`
+                });
+              } else if (distance < minDistance) {
                 violations.push({
                   type: 'noise_isolation',
                   rule: rule.rule,
@@ -161,6 +189,9 @@ export default class ConstraintValidator {
         const moduleA = modules[i];
         const moduleB = modules[j];
 
+        // Paths are checked per floor
+        if ((moduleA.level ?? 0) !== (moduleB.level ?? 0)) continue;
+
         const rectA = moduleA.getFloorRectangle();
         const rectB = moduleB.getFloorRectangle();
 
@@ -242,25 +273,144 @@ export default class ConstraintValidator {
 
   /**
    * Validate module is within habitat shell bounds
+   * With a cross-section, the whole footprint also needs floor under it and
+   * headroom for the module's height (curved walls, TransHab core)
    * @param {HabitatModule} module - Module to validate
-   * @param {Object} shellDimensions - {width, depth}
-   * @returns {Object} {valid: boolean, message: string}
+   * @param {Object} shellDimensions - {width, depth, height?, levels, floorHeight?, crossSection?, originX?, originZ?}
+   * @returns {Object} {valid: boolean, message: string, clearHeight?: number}
    */
   validateBounds(module, shellDimensions) {
-    const valid = module.isWithinBounds(shellDimensions.width, shellDimensions.depth);
-
-    const message = valid
-      ? `${module.moduleName}: Within ${shellDimensions.width}m × ${shellDimensions.depth}m habitat shell ✓`
-      : `${module.moduleName}: Outside habitat shell boundaries ✗`;
+    const levels = shellDimensions.levels || 1;
+    const level = module.level ?? 0;
+    const originX = shellDimensions.originX || 0;
+    const originZ = shellDimensions.originZ || 0;
+    const onFloor = level < levels;
+    const inPlan = onFloor && module.isWithinBounds(shellDimensions.width, shellDimensions.depth, originX, originZ);
+
+    let clearance = null;
+    if (inPlan && shellDimensions.crossSection) {
+      const rect = module.getFloorRectangle();
+      clearance = new ShellGeometry(shellDimensions).getMinClearHeight({
+        minX: rect.minX - originX,
+        maxX: rect.maxX - originX,
+        minZ: rect.minZ - originZ,
+        maxZ: rect.maxZ - originZ
+      }, level);
+    }
+    const valid = inPlan && (!clearance || clearance.clearHeight >= module.dimensions.h);
+
+    let message;
+    if (valid) {
+      message = `${module.moduleName}: Within ${shellDimensions.width}m × ${shellDimensions.depth}m habitat shell ✓`;
+    } else if (!onFloor) {
+      message = `${module.moduleName}: On floor ${level + 1} of a ${levels}-level habitat ✗`;
+    } else if (!inPlan) {
+      message = `${module.moduleName}: Outside habitat shell boundaries ✗`;
+    } else if (clearance.clearHeight <= 0) {
+      message = `${module.moduleName}: Extends past the curved shell wall or into the core ✗`;
+    } else {
+      message = `${module.moduleName}: ${module.dimensions.h.toFixed(1)}m tall under a ` +
+        `${clearance.clearHeight.toFixed(2)}m ceiling near the shell wall ✗`;
+    }
 
     return {
       valid,
       message,
       moduleId: module.moduleId,
-      moduleName: module.moduleName
+      moduleName: module.moduleName,
+      ...(clearance && { clearHeight: clearance.clearHeight })
     };
   }
 
+  /**
+   * Modules on adjacent floors whose footprints overlap in plan
+   * @returns {boolean}
+   */
+  isStacked(moduleA, moduleB) {
+    if (Math.abs((moduleA.level ?? 0) - (moduleB.level ?? 0)) !== 1) return false;
+
+    const rectA = moduleA.getFloorRectangle();
+    const rectB = moduleB.getFloorRectangle();
+    return rectA.minX < rectB.maxX && rectA.maxX > rectB.minX &&
+      rectA.minZ < rectB.maxZ && rectA.maxZ > rectB.minZ;
+  }
+
+  /**
+   * Validate vertical translation in multi-level habitats:
+   * every floor with modules is reachable from the ground floor through
+   * ladders / hatches, and no module covers a ladder or hatch opening
+   * @param {Array<HabitatModule>} modules - All modules in layout
+   * @param {Object} shellDimensions - {levels, verticalLinks: [{ id, type, fromLevel, toLevel, x, z }]}
+   * @returns {Array} Array of violations
+   */
+  validateVerticalTranslation(modules, shellDimensions) {
+    const violations = [];
+    const links = shellDimensions.verticalLinks || [];
+    const source = this.verticalTranslation?.source || 'NASA-TP-2020-220505';
+
+    // Floors reachable from the ground floor
+    const reachable = new Set([0]);
+    let grew = true;
+    while (grew) {
+      grew = false;
+      for (const link of links) {
+        if (!this.linkReaches(link, reachable)) continue;
+
+        for (let level = link.fromLevel; level <= link.toLevel; level++) {
+          if (reachable.has(level)) continue;
+          reachable.add(level);
+          grew = true;
+        }
+      }
+    }
+
+    const occupiedLevels = [...new Set(modules.map(m => m.level ?? 0))].sort((a, b) => a - b);
+    for (const level of occupiedLevels) {
+      if (reachable.has(level)) continue;
+
+      violations.push({
+        type: 'vertical_access',
+        level,
+        severity: 'critical',
+        source,
+        message: `Floor ${level + 1} has modules but no ladder or hatch connects it to the ground floor`
+      });
+    }
+
+    for (const link of links) {
+      const blocking = modules.filter(m => {
+        const level = m.level ?? 0;
+        if (level < link.fromLevel || level > link.toLevel) return false;
+
+        const rect = m.getFloorRectangle();
+        return link.x > rect.minX && link.x < rect.maxX && link.z > rect.minZ && link.z < rect.maxZ;
+      });
+
+      for (const module of blocking) {
+        violations.push({
+          type: 'vertical_link_blocked',
+          moduleA: module.moduleName,
+          level: module.level ?? 0,
+          severity: 'critical',
+          source,
+          message: `${module.moduleName} covers the ${link.type} opening between floors ${link.fromLevel + 1} and ${link.toLevel + 1}`
+        });
+      }
+    }
+
+    return violations;
+  }
+
+  /**
+   * A link reaches a set of floors when any floor it spans is in the set
+   */
+  linkReaches(link, levels) {
+    for (let level = link.fromLevel; level <= link.toLevel; level++) {
+      if (levels.has(level)) return true;
+    }
+    return false;
+  }
+
   /**
    * Check for module overlaps
    * @param {Array<HabitatModule>} modules - All modules in layout
@@ -297,7 +447,7 @@ export default class ConstraintValidator {
   /**
    * Validate complete layout
    * @param {Array<HabitatModule>} modules - All modules in layout
-   * @param {Object} shellDimensions - {width, depth}
+   * @param {Object} shellDimensions - {width, depth, levels, verticalLinks}
    * @returns {Object} Comprehensive validation report
    */
   validateLayout(modules, shellDimensions) {
@@ -410,7 +560,15 @@ export default class ConstraintValidator {
       report.violations.push(...pathCheck.violations);
     }
 
-    // 6. Validate zone separation (warnings only)
+    // 6. Validate vertical translation between floors (multi-level habitats only)
+    if ((shellDimensions.levels || 1) > 1 || modules.some(m => (m.level ?? 0) > 0)) {
+      const verticalViolations = this.validateVerticalTranslation(modules, shellDimensions);
+      totalChecks += Math.max(1, verticalViolations.length);
+      failedChecks += verticalViolations.length;
+      report.violations.push(...verticalViolations);
+    }
+
+    // 7. Validate zone separation (warnings only)
     const zoneViolations = this.validateZoneSeparation(modules);
     if (zoneViolations.length > 0) {
       report.warnings.push(...zoneViolations);
@@ -0,0 +1,185 @@
+/**
+ * LaunchManifestValidator.js
+ *
+ * Launch vehicle fit of the outfitted habitat
+ *
+ * Validates:
+ * - Total launch mass (shell + module outfitting + placed catalog objects,
+ *   plus the mass growth allowance) against each vehicle's payload capacity
+ * - Stowed shell envelope against each vehicle's fairing diameter and height
+ *
+ * Reports the margin per vehicle, which vehicles can fly the habitat and the
+ * largest mass contributors (modules and objects grouped by type).
+ *
+ * NASA Sources:
+ * - IEEE-TH-2023: Transit Habitat Master Equipment List (outfitting masses)
+ * - habitat-types.json: SLS Block 1, Falcon Heavy, Starship HLS payload and fairing limits
+ * - AIAA S-120A: Mass growth allowance for conceptual designs
+ */
+
+export class LaunchManifestValidator {
+  /**
+   * @param {Object} manifest - launch-manifest.json
+   * @param {Object} vehicles - habitat-types.json launch_vehicle_constraints
+   */
+  constructor(manifest, vehicles) {
+    this.manifest = manifest;
+    this.vehicles = vehicles;
+  }
+
+  /**
+   * Validate the habitat against every launch vehicle
+   * @param {Object} shell - { type, structure, width, depth, height, massKg } (HabitatConfigurator config)
+   * @param {Array} modules - [{ name, dimensions: { w, d, h } }]
+   * @param {Array} objects - [{ name, mass_kg }] (placed catalog objects)
+   * @param {String} selectedVehicle - launch_vehicle_constraints key chosen in the configurator
+   * @returns {Object} - Validation result with per-vehicle margins and contributors
+   */
+  validateManifest(shell, modules, objects, selectedVehicle) {
+    const contributors = this.getContributors(shell, modules, objects);
+
+    const breakdown = { shellKg: 0, outfittingKg: 0, objectsKg: 0 };
+    for (const item of contributors) {
+      breakdown[`${item.category}Kg`] += item.massKg;
+    }
+
+    const basicMassKg = breakdown.shellKg + breakdown.outfittingKg + breakdown.objectsKg;
+    const growthKg = basicMassKg * this.manifest.mass_growth_allowance;
+    const totalMassKg = basicMassKg + growthKg;
+    const envelope = this.getStowedEnvelope(shell);
+
+    const vehicles = Object.entries(this.vehicles).map(([id, vehicle]) => {
+      const marginKg = vehicle.max_payload_mass_kg - totalMassKg;
+      const fitsMass = marginKg >= 0;
+      const fitsFairing = this.fitsFairing(envelope, vehicle.payload_fairing);
+
+      return {
+        id,
+        name: vehicle.name,
+        capacityKg: vehicle.max_payload_mass_kg,
+        marginKg,
+        marginPercent: (marginKg / vehicle.max_payload_mass_kg) * 100,
+        fitsMass,
+        fitsFairing,
+        canFly: fitsMass && fitsFairing
+      };
+    });
+
+    const selected = vehicles.find(v => v.id === selectedVehicle) || null;
+    const violations = [];
+
+    if (selected && !selected.fitsMass) {
+      violations.push({
+        type: 'launch_mass_exceeded',
+        severity: 'critical',
+        current: Math.round(totalMassKg),
+        required: selected.capacityKg,
+        message: `Launch mass (${Math.round(totalMassKg).toLocaleString()} kg) exceeds ${selected.name} ` +
+          `capacity (${selected.capacityKg.toLocaleString()} kg) by ${Math.round(-selected.marginKg).toLocaleString()} kg`,
+        source: 'habitat-types.json launch_vehicle_constraints'
+      });
+    }
+
+    if (selected && !selected.fitsFairing) {
+      violations.push({
+        type: 'fairing_envelope_exceeded',
+        severity: 'critical',
+        message: `Stowed shell (${envelope.shape === 'cylinder' ?
+          `Ø${envelope.diameterM.toFixed(1)} × ${envelope.lengthM.toFixed(1)} m` :
+          envelope.dimensionsM.map(d => d.toFixed(1)).join(' × ') + ' m'}) does not fit the ${selected.name} fairing`,
+        source: 'habitat-types.json launch_vehicle_constraints'
+      });
+    }
+
+    return {
+      compliance: violations.length === 0,
+      metrics: {
+        basicMassKg,
+        growthKg,
+        totalMassKg,
+        breakdown,
+        envelope
+      },
+      selectedVehicle: selected,
+      vehicles,
+      flyableVehicles: vehicles.filter(v => v.canFly).map(v => v.id),
+      topContributors: contributors
+        .sort((a, b) => b.massKg - a.massKg)
+        .slice(0, this.manifest.top_contributors)
+        .map(item => ({ ...item, fraction: basicMassKg > 0 ? item.massKg / basicMassKg : 0 })),
+      violations
+    };
+  }
+
+  /**
+   * Mass items: the shell, modules grouped by type and objects grouped by name
+   * @returns {Array} - [{ name, category: 'shell' | 'outfitting' | 'objects', count, massKg }]
+   */
+  getContributors(shell, modules, objects) {
+    const items = [{ name: 'Habitat shell', category: 'shell', count: 1, massKg: shell.massKg }];
+    const groups = new Map();
+
+    const add = (name, category, massKg) => {
+      const key = `${category}:${name}`;
+      if (!groups.has(key)) groups.set(key, { name, category, count: 0, massKg: 0 });
+      const group = groups.get(key);
+      group.count++;
+      group.massKg += massKg;
+    };
+
+    for (const module of modules) {
+      add(module.name, 'outfitting', this.getOutfittingMass(module));
+    }
+    for (const object of objects) {
+      add(object.name, 'objects', object.mass_kg || 0);
+    }
+
+    return items.concat([...groups.values()]);
+  }
+
+  /**
+   * Outfitting mass of one module (catalog value, else scaled by module volume)
+   */
+  getOutfittingMass(module) {
+    const mass = this.manifest.module_outfitting_kg[module.name];
+    if (typeof mass === 'number') return mass;
+
+    const { w, d, h } = module.dimensions;
+    return w * d * h * this.manifest.default_outfitting_kg_per_m3;
+  }
+
+  /**
+   * Launch envelope of the shell (inflatables packed to a smaller diameter)
+   * @returns {Object} - { shape: 'cylinder', diameterM, lengthM } or { shape: 'box', dimensionsM }
+   */
+  getStowedEnvelope(shell) {
+    const packing = this.manifest.stowed_shell[shell.structure] || this.manifest.stowed_shell.rigid;
+
+    if (this.manifest.cylindrical_habitat_types.includes(shell.type)) {
+      return {
+        shape: 'cylinder',
+        diameterM: shell.width * packing.diameter_fraction,
+        lengthM: shell.depth * packing.length_fraction
+      };
+    }
+
+    return { shape: 'box', dimensionsM: [shell.width, shell.depth, shell.height] };
+  }
+
+  /**
+   * Cylinders fly upright; boxes may fly in any of their three orientations
+   * @param {Object} envelope - getStowedEnvelope()
+   * @param {Object} fairing - { diameter_m, height_m }
+   * @returns {Boolean}
+   */
+  fitsFairing(envelope, fairing) {
+    if (envelope.shape === 'cylinder') {
+      return envelope.diameterM <= fairing.diameter_m && envelope.lengthM <= fairing.height_m;
+    }
+
+    const [a, b, c] = envelope.dimensionsM;
+    return [[a, b, c], [a, c, b], [b, c, a]].some(([x, y, axial]) =>
+      Math.hypot(x, y) <= fairing.diameter_m && axial <= fairing.height_m
+    );
+  }
+}
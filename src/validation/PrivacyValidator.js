@@ -7,6 +7,7 @@
  * - Minimum sleep area per person (1.82 m²)
  * - Gender segregation in shared quarters (Mars-Sim logic)
  * - Privacy preference compliance
+ * - Quarters doors: a quarters module with an open door is open to the cabin
  *
  * NASA Sources:
  * - TP-2020-220505: Crew quarters privacy requirements
@@ -116,6 +117,19 @@ export class PrivacyValidator {
           recommendation: 'Provide individual quarters for optimal crew performance'
         });
       }
+
+      // Check 4b: Quarters doors closed (modules without door data are not checked)
+      if (occupants.length > 0 && this.isOpenToCabin(quarters)) {
+        warnings.push({
+          type: 'quarters_open_to_cabin',
+          severity: 'medium',
+          moduleId: quarters.id,
+          moduleName: quarters.name,
+          message: 'Crew quarters door left open: no visual or acoustic privacy',
+          source: 'TP-2020-220505',
+          recommendation: 'Close the quarters door (open it only to pass)'
+        });
+      }
     }
 
     // Check 5: Crew without quarters assignment
@@ -153,6 +167,15 @@ export class PrivacyValidator {
     return layout.modules.filter(m => m.name === 'Crew Quarters');
   }
 
+  /**
+   * A module with an open door (layout doors: [{ type, state }])
+   * @param {Object} quarters - Quarters module
+   * @returns {Boolean}
+   */
+  isOpenToCabin(quarters) {
+    return (quarters.doors || []).some(door => door.state === 'open');
+  }
+
   /**
    * Get occupants of a specific quarters module
    * @param {Object} quarters - Quarters module
@@ -207,6 +230,7 @@ export class PrivacyValidator {
 
     let privateCount = 0;
     let sharedCount = 0;
+    let openCount = 0;
     let totalArea = 0;
 
     for (const q of quarters) {
@@ -219,6 +243,7 @@ export class PrivacyValidator {
         sharedCount += occupants.length;
       }
 
+      if (this.isOpenToCabin(q)) openCount++;
       totalArea += area;
     }
 
@@ -230,6 +255,7 @@ export class PrivacyValidator {
       totalQuarters: quarters.length,
       privateQuarters: privateCount,
       sharedQuarters: Math.ceil(sharedCount / 2),
+      quartersOpenToCabin: openCount,
       privacyFraction: privacyFraction.toFixed(2),
       averageAreaPerCrew: avgAreaPerCrew.toFixed(2),
       assignedCrew: assignedCrew,
@@ -283,8 +309,19 @@ export class PrivacyValidator {
       });
     }
 
+    // Medium: Quarters doors left open
+    const openWarnings = warnings.filter(w => w.type === 'quarters_open_to_cabin');
+    if (openWarnings.length > 0) {
+      recommendations.push({
+        priority: 'medium',
+        action: 'Close crew quarters doors',
+        details: `${openWarnings.length} occupied quarters module(s) have an open door`,
+        benefit: 'Closed doors block sight lines and cabin noise during sleep'
+      });
+    }
+
     // Medium: Optimization for private quarters
-    if (warnings.length > 0) {
+    if (warnings.some(w => w.type === 'shared_quarters_suboptimal')) {
       recommendations.push({
         priority: 'medium',
         action: 'Optimize for individual privacy',
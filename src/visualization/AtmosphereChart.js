@@ -0,0 +1,119 @@
+/**
+ * AtmosphereChart.js
+ *
+ * SVG time series of the cabin atmosphere (AtmosphereModel report)
+ *
+ * One line per air volume over the mean observed day (0-24 h):
+ * - CO2 (mmHg), temperature (°C) or relative humidity (%)
+ * - Dashed red line = NASA-STD-3001 limit for the metric
+ * - Volumes over the limit are drawn red, the rest in slate
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const METRICS = {
+  co2: { label: 'CO2 (mmHg)', limit: limits => limits.co2_mmhg },
+  temperature: { label: 'Temperature (°C)', limit: limits => limits.temperature_c.max },
+  humidity: { label: 'Humidity (% RH)', limit: limits => limits.humidity_pct.max }
+};
+
+export class AtmosphereChart {
+  /**
+   * @param {String} containerId - ID of the element to render into
+   */
+  constructor(containerId) {
+    this.containerId = containerId;
+    this.width = 280;
+    this.height = 150;
+    this.margin = { left: 30, right: 8, top: 16, bottom: 18 };
+  }
+
+  /**
+   * Render one metric
+   * @param {Object} report - MissionSimulator report.atmosphere
+   * @param {String} metric - 'co2' | 'temperature' | 'humidity'
+   */
+  render(report, metric = 'co2') {
+    try {
+      const container = document.getElementById(this.containerId);
+      if (!container) return;
+
+      container.innerHTML = '';
+      if (!report?.modules?.length || !METRICS[metric]) return;
+
+      const { label, limit: getLimit } = METRICS[metric];
+      const limit = getLimit(report.limits);
+      const values = report.modules.flatMap(m => m.hourly.map(h => h[metric]));
+      const min = Math.min(...values, limit) * 0.95;
+      const max = Math.max(...values, limit) * 1.05;
+
+      const { left, right, top, bottom } = this.margin;
+      const plotWidth = this.width - left - right;
+      const plotHeight = this.height - top - bottom;
+      const x = hour => left + (hour / 23) * plotWidth;
+      const y = value => top + plotHeight * (1 - (value - min) / (max - min));
+
+      const svg = document.createElementNS(SVG_NS, 'svg');
+      svg.setAttribute('viewBox', `0 0 ${this.width} ${this.height}`);
+      svg.setAttribute('width', '100%');
+
+      svg.appendChild(this.text(left, 10, `${label} · mean observed day`, { 'font-weight': '600' }));
+
+      // Axes labels
+      for (const hour of [0, 6, 12, 18, 23]) {
+        svg.appendChild(this.text(x(hour), this.height - 4, `${hour}h`, { 'text-anchor': 'middle' }));
+      }
+      for (const value of [min, (min + max) / 2, max]) {
+        svg.appendChild(this.text(left - 3, y(value) + 3, value.toFixed(1), { 'text-anchor': 'end' }));
+      }
+
+      // Limit
+      const limitLine = document.createElementNS(SVG_NS, 'line');
+      limitLine.setAttribute('x1', left);
+      limitLine.setAttribute('x2', this.width - right);
+      limitLine.setAttribute('y1', y(limit));
+      limitLine.setAttribute('y2', y(limit));
+      limitLine.setAttribute('stroke', '#dc2626');
+      limitLine.setAttribute('stroke-dasharray', '4 3');
+      svg.appendChild(limitLine);
+
+      // One line per air volume
+      for (const module of report.modules) {
+        const over = module.hourly.some(h => h[metric] > limit);
+        const line = document.createElementNS(SVG_NS, 'polyline');
+        line.setAttribute('points', module.hourly.map((h, hour) => `${x(hour)},${y(h[metric])}`).join(' '));
+        line.setAttribute('fill', 'none');
+        line.setAttribute('stroke', over ? '#ef4444' : '#64748b');
+        line.setAttribute('stroke-width', over ? '1.5' : '1');
+        line.setAttribute('opacity', over ? '1' : '0.6');
+
+        const title = document.createElementNS(SVG_NS, 'title');
+        const peak = Math.max(...module.hourly.map(h => h[metric]));
+        title.textContent = `${module.name}: peak ${peak.toFixed(1)}`;
+        line.appendChild(title);
+        svg.appendChild(line);
+      }
+
+      container.appendChild(svg);
+
+    } catch (error) {
+      console.error('Error rendering atmosphere chart:', error);
+    }
+  }
+
+  /**
+   * Small label
+   */
+  text(x, y, content, attributes = {}) {
+    const text = document.createElementNS(SVG_NS, 'text');
+    text.setAttribute('x', x);
+    text.setAttribute('y', y);
+    text.setAttribute('font-size', '8');
+    text.setAttribute('fill', '#475569');
+    for (const [name, value] of Object.entries(attributes)) {
+      text.setAttribute(name, value);
+    }
+    text.textContent = content;
+    return text;
+  }
+}
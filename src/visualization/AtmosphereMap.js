@@ -0,0 +1,78 @@
+/**
+ * AtmosphereMap.js
+ *
+ * Module heatmap of cabin air quality (AtmosphereModel report)
+ *
+ * Colors each module by its peak hourly value against the NASA limit:
+ * - Green: well below the limit
+ * - Amber: approaching the limit
+ * - Red: over the limit (CO2 mmHg or temperature °C)
+ */
+
+import * as THREE from 'three';
+
+export class AtmosphereMap {
+  constructor() {
+    this.enabled = false;
+  }
+
+  /**
+   * Color modules by peak CO2 or temperature
+   * @param {Object} report - MissionSimulator report.atmosphere
+   * @param {Array} modules - Habitat modules (matched to report modules by id)
+   * @param {String} metric - 'co2' | 'temperature'
+   */
+  update(report, modules, metric = 'co2') {
+    try {
+      if (!this.enabled || !report) return;
+
+      const limit = metric === 'co2' ? report.limits.co2_mmhg : report.limits.temperature_c.max;
+      const baseline = metric === 'co2' ? 0 : report.limits.temperature_c.min;
+
+      for (const module of modules) {
+        const entry = report.modules.find(m => m.id === module.id);
+        if (!entry || !module.mesh?.material) continue;
+
+        const peak = metric === 'co2' ? entry.peakCo2 : entry.peakTemperature;
+        const ratio = Math.max(0, (peak - baseline) / (limit - baseline));
+
+        module.mesh.material.emissive = new THREE.Color(this.ratioToColor(ratio));
+        module.mesh.material.emissiveIntensity = 0.35;
+      }
+
+    } catch (error) {
+      console.error('Error updating atmosphere map:', error);
+    }
+  }
+
+  /**
+   * Green → amber (at 80 % of the limit) → red (at the limit)
+   * @param {Number} ratio - Value / limit (from the baseline)
+   * @returns {Number} - THREE.js color hex
+   */
+  ratioToColor(ratio) {
+    if (ratio >= 1) return 0xef4444;
+    if (ratio <= 0.8) {
+      return new THREE.Color(0x10b981).lerp(new THREE.Color(0xfbbf24), ratio / 0.8).getHex();
+    }
+    return new THREE.Color(0xfbbf24).lerp(new THREE.Color(0xef4444), (ratio - 0.8) / 0.2).getHex();
+  }
+
+  /**
+   * Toggle heatmap on/off (clears module colors when switching off)
+   */
+  toggle(modules) {
+    this.enabled = !this.enabled;
+
+    if (!this.enabled) {
+      for (const module of modules) {
+        if (module.mesh && module.mesh.material) {
+          module.mesh.material.emissive = new THREE.Color(0x000000);
+          module.mesh.material.emissiveIntensity = 0;
+        }
+      }
+    }
+
+    return this.enabled;
+  }
+}
@@ -0,0 +1,144 @@
+/**
+ * CalibrationPlot.js
+ *
+ * SVG overlay plots of observed vs simulated psych metrics
+ *
+ * One small panel per metric (stress, mood, sleep quality, cohesion):
+ * - Dots: observed daily crew mean
+ * - Dashed line: simulation with the original parameters
+ * - Solid line: simulation with the calibrated parameters
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const PANELS = [
+  { metric: 'stress', label: 'Stress', color: '#dc2626' },
+  { metric: 'mood', label: 'Mood', color: '#2563eb' },
+  { metric: 'sleepQuality', label: 'Sleep Quality', color: '#7c3aed' },
+  { metric: 'cohesion', label: 'Cohesion', color: '#059669' }
+];
+
+export class CalibrationPlot {
+  /**
+   * @param {String} containerId - ID of the element to render into
+   */
+  constructor(containerId) {
+    this.containerId = containerId;
+    this.panelWidth = 136;
+    this.panelHeight = 92;
+    this.padding = 14;
+  }
+
+  /**
+   * Render all metric panels
+   * @param {Object} result - ModelCalibrator.calibrate() result
+   */
+  render(result) {
+    try {
+      const container = document.getElementById(this.containerId);
+      if (!container) return;
+
+      container.innerHTML = '';
+      if (!result) return;
+
+      const width = this.panelWidth * 2 + 8;
+      const height = this.panelHeight * 2 + 8;
+
+      const svg = document.createElementNS(SVG_NS, 'svg');
+      svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+      svg.setAttribute('width', '100%');
+
+      PANELS.forEach((panel, i) => {
+        const x = (i % 2) * (this.panelWidth + 8);
+        const y = Math.floor(i / 2) * (this.panelHeight + 8);
+        svg.appendChild(this.renderPanel(panel, result, x, y));
+      });
+
+      container.appendChild(svg);
+
+    } catch (error) {
+      console.error('Error rendering calibration plot:', error);
+    }
+  }
+
+  /**
+   * Render a single metric panel
+   * @returns {SVGGElement}
+   */
+  renderPanel(panel, result, x, y) {
+    const group = document.createElementNS(SVG_NS, 'g');
+    group.setAttribute('transform', `translate(${x}, ${y})`);
+
+    const { metric, label, color } = panel;
+    const observed = result.series[metric];
+    const before = result.simulated.before.map(m => m[metric]);
+    const after = result.simulated.after.map(m => m[metric]);
+    const fit = result.fit[metric];
+
+    // Shared y-scale for all three series, padded
+    const values = [...observed.values(), ...before, ...after];
+    const min = Math.floor(Math.min(...values) - 2);
+    const max = Math.ceil(Math.max(...values) + 2);
+    const plotW = this.panelWidth - this.padding - 2;
+    const plotH = this.panelHeight - this.padding * 2;
+    const sx = (day) => this.padding + ((day - 1) / Math.max(1, result.days - 1)) * plotW;
+    const sy = (value) => this.padding + (1 - (value - min) / Math.max(1, max - min)) * plotH;
+
+    const frame = document.createElementNS(SVG_NS, 'rect');
+    frame.setAttribute('x', this.padding);
+    frame.setAttribute('y', this.padding);
+    frame.setAttribute('width', plotW);
+    frame.setAttribute('height', plotH);
+    frame.setAttribute('fill', '#f8fafc');
+    frame.setAttribute('stroke', '#e2e8f0');
+    group.appendChild(frame);
+
+    const title = document.createElementNS(SVG_NS, 'text');
+    title.setAttribute('x', this.padding);
+    title.setAttribute('y', 10);
+    title.setAttribute('font-size', '9');
+    title.setAttribute('font-weight', '600');
+    title.setAttribute('fill', '#0f172a');
+    title.textContent = fit?.after?.rmse !== null && fit?.after?.rmse !== undefined ?
+      `${label} (RMSE ${fit.after.rmse.toFixed(1)})` : label;
+    group.appendChild(title);
+
+    // Observed points
+    for (const [day, value] of observed) {
+      const dot = document.createElementNS(SVG_NS, 'circle');
+      dot.setAttribute('cx', sx(day));
+      dot.setAttribute('cy', sy(value));
+      dot.setAttribute('r', 1.5);
+      dot.setAttribute('fill', '#64748b');
+      group.appendChild(dot);
+    }
+
+    // Simulated lines: original (dashed) and calibrated (solid)
+    for (const [series, dashed] of [[before, true], [after, false]]) {
+      const line = document.createElementNS(SVG_NS, 'polyline');
+      line.setAttribute('points', series.map((v, d) => `${sx(d + 1).toFixed(1)},${sy(v).toFixed(1)}`).join(' '));
+      line.setAttribute('fill', 'none');
+      line.setAttribute('stroke', color);
+      line.setAttribute('stroke-width', dashed ? '1' : '1.5');
+      if (dashed) {
+        line.setAttribute('stroke-dasharray', '3 2');
+        line.setAttribute('opacity', '0.6');
+      }
+      group.appendChild(line);
+    }
+
+    // Axis range labels
+    for (const [value, yPos] of [[max, this.padding + 3], [min, this.padding + plotH]]) {
+      const tick = document.createElementNS(SVG_NS, 'text');
+      tick.setAttribute('x', this.padding - 2);
+      tick.setAttribute('y', yPos);
+      tick.setAttribute('text-anchor', 'end');
+      tick.setAttribute('font-size', '7');
+      tick.setAttribute('fill', '#94a3b8');
+      tick.textContent = value;
+      group.appendChild(tick);
+    }
+
+    return group;
+  }
+}
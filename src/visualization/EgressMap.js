@@ -0,0 +1,102 @@
+/**
+ * EgressMap.js
+ *
+ * Per-tile emergency egress time overlay (EgressAnalyzer time field)
+ *
+ * Crew positions are coloured by the time to the nearest Airlock / safe haven:
+ * - Green: within half the egress time target
+ * - Amber: within the target
+ * - Red: over the target
+ * - Dark grey: no route to any exit
+ * Module footprints are left uncovered. Drawn above the module roofs like the
+ * noise map; multi-level habitats show the floor selected in the level switcher.
+ */
+
+import * as THREE from 'three';
+
+const OVERLAY_HEIGHT = 3.25; // m, just above the noise map
+
+export class EgressMap {
+  constructor(sceneManager) {
+    this.sceneManager = sceneManager;
+    this.enabled = false;
+    this.group = null;
+    this.floor = 0;
+  }
+
+  /**
+   * Redraw the overlay from an egress analysis
+   * @param {EgressAnalyzer} analyzer - Analyzer after analyze()
+   */
+  update(analyzer) {
+    try {
+      this.clear();
+      if (!this.enabled || !analyzer?.tiles.length) return;
+
+      const { tileSystem, tileSize } = analyzer;
+      const limit = analyzer.config.max_egress_time_s;
+      const geometry = new THREE.PlaneGeometry(tileSize * 0.95, tileSize * 0.95);
+      geometry.rotateX(-Math.PI / 2);
+
+      this.group = new THREE.Group();
+      for (const tile of analyzer.tiles) {
+        if (tile.level !== this.floor) continue;
+
+        const time = analyzer.getTime(tile.x, tile.y, tile.level, tile.element);
+        const material = new THREE.MeshBasicMaterial({
+          color: this.timeToColor(time, limit),
+          transparent: true,
+          opacity: 0.5,
+          depthWrite: false,
+          side: THREE.DoubleSide
+        });
+
+        const mesh = new THREE.Mesh(geometry, material);
+        const worldPos = tileSystem.tileToWorld(tile.x, tile.y, tile.level, tile.element);
+        mesh.position.set(worldPos.x, worldPos.y + OVERLAY_HEIGHT, worldPos.z);
+        mesh.userData.egressTimeS = time;
+        this.group.add(mesh);
+      }
+
+      this.sceneManager.addObject(this.group);
+
+    } catch (error) {
+      console.error('Error updating egress map:', error);
+    }
+  }
+
+  /**
+   * Map an egress time to green → amber → red against the target
+   */
+  timeToColor(time, limit) {
+    if (!Number.isFinite(time)) return 0x334155;
+    if (time <= limit / 2) return 0x10b981;
+    if (time <= limit) return 0xf59e0b;
+    return 0xef4444;
+  }
+
+  /**
+   * Remove the overlay from the scene
+   */
+  clear() {
+    if (!this.group) return;
+
+    this.sceneManager.removeObject(this.group);
+    this.group.traverse(child => {
+      if (child.material) child.material.dispose();
+    });
+    this.group.children[0]?.geometry.dispose();
+    this.group = null;
+  }
+
+  /**
+   * Toggle overlay on/off
+   * @param {EgressAnalyzer} analyzer - Analysis to draw when enabling
+   * @returns {Boolean} - New enabled state
+   */
+  toggle(analyzer) {
+    this.enabled = !this.enabled;
+    this.update(analyzer);
+    return this.enabled;
+  }
+}
@@ -0,0 +1,158 @@
+/**
+ * LayoutCandidatesView.js
+ *
+ * Mini floor plans of LayoutOptimizer candidates
+ *
+ * One card per candidate:
+ * - SVG plan on the tile grid (clean zone = blue, dirty zone = orange, doors = dark ticks)
+ * - PHI, adjacency compliance, path-width violations, traffic distance
+ * - "Accept" button that applies the candidate to the scene
+ */
+
+import HabitatModule from '../habitat/Module.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const ZONE_COLORS = {
+  clean: '#93c5fd',
+  dirty: '#fdba74'
+};
+
+export class LayoutCandidatesView {
+  /**
+   * @param {String} containerId - ID of the element to render into
+   * @param {Function} onAccept - Called with the accepted candidate
+   */
+  constructor(containerId, onAccept) {
+    this.containerId = containerId;
+    this.onAccept = onAccept;
+    this.width = 280;
+  }
+
+  /**
+   * Render the candidates
+   * @param {Object} result - LayoutOptimizer.run() result
+   * @param {Object} problem - { modules (specs), grid } passed to the optimizer
+   */
+  render(result, problem) {
+    try {
+      const container = document.getElementById(this.containerId);
+      if (!container) return;
+
+      container.innerHTML = '';
+      if (!result) return;
+
+      if (result.candidates.length === 0) {
+        container.textContent = 'No layout without overlaps, bounds, door-access or ladder / hatch violations was found.';
+        return;
+      }
+
+      const baseline = result.initial;
+      result.candidates.forEach((candidate, i) => {
+        const card = document.createElement('div');
+        card.style.cssText = 'margin-top: 8px; padding: 6px; border: 1px solid #e2e8f0; border-radius: 6px;';
+
+        card.appendChild(this.renderPlan(candidate, problem));
+
+        const { metrics } = candidate;
+        const phiDelta = metrics.phi - baseline.phi;
+        const summary = document.createElement('div');
+        summary.style.cssText = 'font-size: 11px; color: #334155; margin-top: 4px;';
+        summary.textContent =
+          `#${i + 1} · PHI ${metrics.phi.toFixed(1)} (${phiDelta >= 0 ? '+' : ''}${phiDelta.toFixed(1)}) · ` +
+          `Adjacency ${(metrics.adjacencyCompliance * 100).toFixed(0)}% · ` +
+          `Path issues ${metrics.pathViolations} · ` +
+          `Traffic ${(metrics.trafficDistance * 100).toFixed(0)}%`;
+        card.appendChild(summary);
+
+        const accept = document.createElement('button');
+        accept.className = 'btn secondary';
+        accept.style.cssText = 'margin-top: 4px; width: 100%; font-size: 12px;';
+        accept.textContent = `Accept Layout #${i + 1}`;
+        accept.addEventListener('click', () => this.onAccept?.(candidate));
+        card.appendChild(accept);
+
+        container.appendChild(card);
+      });
+
+    } catch (error) {
+      console.error('Error rendering layout candidates:', error);
+    }
+  }
+
+  /**
+   * SVG floor plan of one candidate
+   */
+  renderPlan(candidate, problem) {
+    const { grid, modules } = problem;
+    const scale = this.width / grid.width;
+    const height = grid.height * scale;
+
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${this.width} ${height}`);
+    svg.setAttribute('width', '100%');
+
+    const floor = document.createElementNS(SVG_NS, 'rect');
+    floor.setAttribute('width', this.width);
+    floor.setAttribute('height', height);
+    floor.setAttribute('fill', '#f8fafc');
+    floor.setAttribute('stroke', '#94a3b8');
+    svg.appendChild(floor);
+
+    candidate.placements.forEach((placement, i) => {
+      const spec = modules[i];
+      const swapped = placement.rotation === 90 || placement.rotation === 270;
+      const tileWidth = Math.ceil((swapped ? spec.d : spec.w) / grid.tileSize);
+      const tileHeight = Math.ceil((swapped ? spec.w : spec.d) / grid.tileSize);
+
+      const rect = document.createElementNS(SVG_NS, 'rect');
+      rect.setAttribute('x', placement.tileX * scale + 1);
+      rect.setAttribute('y', placement.tileY * scale + 1);
+      rect.setAttribute('width', tileWidth * scale - 2);
+      rect.setAttribute('height', tileHeight * scale - 2);
+      rect.setAttribute('fill', ZONE_COLORS[spec.zone] || '#cbd5e1');
+      rect.setAttribute('stroke', '#475569');
+      rect.setAttribute('stroke-width', '0.5');
+
+      const title = document.createElementNS(SVG_NS, 'title');
+      title.textContent = `${spec.name} (${placement.tileX}, ${placement.tileY}) ${placement.rotation}°`;
+      rect.appendChild(title);
+      svg.appendChild(rect);
+
+      // Doors: tick on each door tile's outer edge (locked doors faded)
+      const doors = placement.doors || [HabitatModule.computeDoorPosition(
+        placement.tileX, placement.tileY, tileWidth, tileHeight, placement.rotation
+      )];
+      for (const door of doors) {
+        const x = door.tileX * scale;
+        const y = door.tileY * scale;
+        const tick = document.createElementNS(SVG_NS, 'line');
+        const edges = {
+          north: [x + 2, y + 1, x + scale - 2, y + 1],
+          south: [x + 2, y + scale - 1, x + scale - 2, y + scale - 1],
+          east: [x + scale - 1, y + 2, x + scale - 1, y + scale - 2],
+          west: [x + 1, y + 2, x + 1, y + scale - 2]
+        };
+        const [x1, y1, x2, y2] = edges[door.direction];
+        tick.setAttribute('x1', x1);
+        tick.setAttribute('y1', y1);
+        tick.setAttribute('x2', x2);
+        tick.setAttribute('y2', y2);
+        tick.setAttribute('stroke', door.state === 'locked' ? '#94a3b8' : '#0f172a');
+        tick.setAttribute('stroke-width', '2');
+        svg.appendChild(tick);
+      }
+
+      const label = document.createElementNS(SVG_NS, 'text');
+      label.setAttribute('x', (placement.tileX + tileWidth / 2) * scale);
+      label.setAttribute('y', (placement.tileY + tileHeight / 2) * scale + 3);
+      label.setAttribute('text-anchor', 'middle');
+      label.setAttribute('font-size', '8');
+      label.setAttribute('fill', '#0f172a');
+      label.textContent = spec.name.slice(0, Math.max(2, tileWidth * 3));
+      svg.appendChild(label);
+    });
+
+    return svg;
+  }
+}
@@ -0,0 +1,103 @@
+/**
+ * NoiseMap.js
+ *
+ * Per-tile sound level overlay for one hour of the day (AcousticModel levels)
+ *
+ * Tiles are coloured by A-weighted level against the NASA limits:
+ * - Green: at or below the sleep-period limit
+ * - Amber: between the sleep and work-period limits
+ * - Red: above the work-period limit
+ * Drawn above the module roofs so levels inside modules stay visible from the top view.
+ * In multi-level habitats the overlay shows the floor selected in the level switcher.
+ */
+
+import * as THREE from 'three';
+
+const OVERLAY_HEIGHT = 3.2; // m, above the tallest catalog module
+
+export class NoiseMap {
+  constructor(sceneManager) {
+    this.sceneManager = sceneManager;
+    this.enabled = false;
+    this.group = null;
+    this.hour = 23;
+    this.floor = 0;
+  }
+
+  /**
+   * Redraw the overlay from an acoustic model
+   * @param {AcousticModel} acousticModel - Model after compute()
+   * @param {Number} hour - Hour of the day (0-23)
+   */
+  update(acousticModel, hour = this.hour) {
+    try {
+      this.hour = hour;
+      this.clear();
+      if (!this.enabled || !acousticModel?.levels) return;
+
+      const { tileSystem, config } = acousticModel;
+      const { sleep_period, work_period } = config.limits;
+      const geometry = new THREE.PlaneGeometry(tileSystem.tileSize * 0.95, tileSystem.tileSize * 0.95);
+      geometry.rotateX(-Math.PI / 2);
+
+      this.group = new THREE.Group();
+      for (let y = 0; y < tileSystem.height; y++) {
+        for (let x = 0; x < tileSystem.width; x++) {
+          const level = acousticModel.getLevel(hour, x, y, this.floor);
+          const material = new THREE.MeshBasicMaterial({
+            color: this.levelToColor(level, sleep_period.limit_dba, work_period.limit_dba),
+            transparent: true,
+            opacity: 0.45,
+            depthWrite: false,
+            side: THREE.DoubleSide
+          });
+
+          const mesh = new THREE.Mesh(geometry, material);
+          const worldPos = tileSystem.tileToWorld(x, y, this.floor);
+          mesh.position.set(worldPos.x, worldPos.y + OVERLAY_HEIGHT, worldPos.z);
+          mesh.userData.level = level;
+          this.group.add(mesh);
+        }
+      }
+
+      this.sceneManager.addObject(this.group);
+
+    } catch (error) {
+      console.error('Error updating noise map:', error);
+    }
+  }
+
+  /**
+   * Map a level to green → amber → red between the sleep and work limits
+   */
+  levelToColor(level, sleepLimit, workLimit) {
+    if (level <= sleepLimit) return 0x10b981;
+    if (level <= workLimit) return 0xf59e0b;
+    return 0xef4444;
+  }
+
+  /**
+   * Remove the overlay from the scene
+   */
+  clear() {
+    if (!this.group) return;
+
+    this.sceneManager.removeObject(this.group);
+    this.group.traverse(child => {
+      if (child.material) child.material.dispose();
+    });
+    this.group.children[0]?.geometry.dispose();
+    this.group = null;
+  }
+
+  /**
+   * Toggle overlay on/off
+   * @param {AcousticModel} acousticModel - Model to draw when enabling
+   * @returns {Boolean} - New enabled state
+   */
+  toggle(acousticModel) {
+    this.enabled = !this.enabled;
+    this.update(acousticModel);
+    return this.enabled;
+  }
+}
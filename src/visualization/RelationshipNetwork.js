@@ -0,0 +1,126 @@
+/**
+ * RelationshipNetwork.js
+ *
+ * SVG network view of the crew-pair relationship matrix
+ *
+ * Crew members are placed on a circle; each edge is one pair:
+ * - Color: affinity (red = low → amber → green = high)
+ * - Width: affinity strength
+ * - Dashed: pair flagged as drifting apart in the mission report
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+export class RelationshipNetwork {
+  /**
+   * @param {String} containerId - ID of the element to render into
+   */
+  constructor(containerId) {
+    this.containerId = containerId;
+    this.size = 240;
+  }
+
+  /**
+   * Render the network from a MissionSimulator relationship report
+   * @param {Object} relationshipReport - report.relationships ({ crewIds, pairs, driftingPairs, teamCohesion })
+   * @param {Array} crew - Crew member objects ({ id, name })
+   */
+  render(relationshipReport, crew) {
+    try {
+      const container = document.getElementById(this.containerId);
+      if (!container) return;
+
+      container.innerHTML = '';
+      if (!relationshipReport || relationshipReport.pairs.length === 0) return;
+
+      const { crewIds, pairs, driftingPairs } = relationshipReport;
+      const center = this.size / 2;
+      const radius = this.size / 2 - 36;
+
+      // Node positions on a circle, first crew member at the top
+      const positions = {};
+      crewIds.forEach((id, i) => {
+        const angle = (2 * Math.PI * i) / crewIds.length - Math.PI / 2;
+        positions[id] = {
+          x: center + radius * Math.cos(angle),
+          y: center + radius * Math.sin(angle)
+        };
+      });
+
+      const svg = document.createElementNS(SVG_NS, 'svg');
+      svg.setAttribute('viewBox', `0 0 ${this.size} ${this.size}`);
+      svg.setAttribute('width', '100%');
+
+      const drifting = new Set(driftingPairs.map(p => `${p.a}|${p.b}`));
+
+      // Edges
+      for (const pair of pairs) {
+        const from = positions[pair.a];
+        const to = positions[pair.b];
+
+        const line = document.createElementNS(SVG_NS, 'line');
+        line.setAttribute('x1', from.x);
+        line.setAttribute('y1', from.y);
+        line.setAttribute('x2', to.x);
+        line.setAttribute('y2', to.y);
+        line.setAttribute('stroke', this.affinityToColor(pair.final));
+        line.setAttribute('stroke-width', (1 + 5 * pair.final / 100).toFixed(1));
+        line.setAttribute('stroke-linecap', 'round');
+        if (drifting.has(`${pair.a}|${pair.b}`)) {
+          line.setAttribute('stroke-dasharray', '4 3');
+        }
+
+        const title = document.createElementNS(SVG_NS, 'title');
+        title.textContent = `${pair.names[0]} ↔ ${pair.names[1]}: ${pair.final.toFixed(1)} (${pair.change >= 0 ? '+' : ''}${pair.change.toFixed(1)})`;
+        line.appendChild(title);
+        svg.appendChild(line);
+      }
+
+      // Nodes
+      for (const id of crewIds) {
+        const { x, y } = positions[id];
+        const member = crew.find(m => m.id === id);
+
+        const circle = document.createElementNS(SVG_NS, 'circle');
+        circle.setAttribute('cx', x);
+        circle.setAttribute('cy', y);
+        circle.setAttribute('r', 9);
+        circle.setAttribute('fill', '#0f172a');
+        svg.appendChild(circle);
+
+        const label = document.createElementNS(SVG_NS, 'text');
+        label.setAttribute('x', x);
+        label.setAttribute('y', y < center ? y - 14 : y + 22);
+        label.setAttribute('text-anchor', 'middle');
+        label.setAttribute('font-size', '10');
+        label.setAttribute('fill', '#334155');
+        label.textContent = member?.name || id;
+        svg.appendChild(label);
+      }
+
+      container.appendChild(svg);
+
+      // Drifting pair summary
+      const summary = document.createElement('div');
+      summary.style.cssText = 'font-size: 11px; color: #64748b; margin-top: 6px;';
+      summary.textContent = driftingPairs.length > 0 ?
+        `Drifting apart: ${driftingPairs.map(p => p.names.join(' & ')).join(', ')}` :
+        'No pair drifting apart from the team';
+      container.appendChild(summary);
+
+    } catch (error) {
+      console.error('Error rendering relationship network:', error);
+    }
+  }
+
+  /**
+   * Map affinity (0-100) to edge color (red → amber → green)
+   * @param {Number} affinity
+   * @returns {String} - hex color
+   */
+  affinityToColor(affinity) {
+    if (affinity >= 65) return '#059669';
+    if (affinity >= 50) return '#d97706';
+    return '#dc2626';
+  }
+}
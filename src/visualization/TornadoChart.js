@@ -0,0 +1,133 @@
+/**
+ * TornadoChart.js
+ *
+ * SVG tornado chart of sensitivity-analysis results
+ *
+ * One row per input, ranked by total Sobol index:
+ * - Bars span the output at the input's range minimum and maximum (OAT swing)
+ * - Blue = input at minimum, orange = input at maximum
+ * - Vertical line = baseline output at nominal inputs
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const OUTPUT_LABELS = {
+  phi: 'PHI',
+  stress: 'Stress',
+  mood: 'Mood',
+  sleepQuality: 'Sleep Quality',
+  cohesion: 'Cohesion'
+};
+
+export class TornadoChart {
+  /**
+   * @param {String} containerId - ID of the element to render into
+   * @param {Number} maxRows - Number of top-ranked inputs to show
+   */
+  constructor(containerId, maxRows = 10) {
+    this.containerId = containerId;
+    this.maxRows = maxRows;
+    this.width = 280;
+    this.rowHeight = 18;
+    this.labelWidth = 96;
+  }
+
+  /**
+   * Render the chart for one output
+   * @param {Object} report - SensitivityAnalyzer.run() result
+   * @param {String} output - 'phi' | 'stress' | 'mood' | 'sleepQuality' | 'cohesion'
+   */
+  render(report, output = 'phi') {
+    try {
+      const container = document.getElementById(this.containerId);
+      if (!container) return;
+
+      container.innerHTML = '';
+      if (!report?.rankings?.[output]) return;
+
+      const rows = report.rankings[output].slice(0, this.maxRows);
+      const baseline = report.baseline[output];
+
+      // Symmetric scale around the baseline
+      const maxSwing = Math.max(0.01, ...rows.map(r =>
+        Math.max(Math.abs(r.low - baseline), Math.abs(r.high - baseline))
+      ));
+      const plotWidth = this.width - this.labelWidth - 44;
+      const center = this.labelWidth + plotWidth / 2;
+      const scale = (plotWidth / 2) / maxSwing;
+      const height = rows.length * this.rowHeight + 24;
+
+      const svg = document.createElementNS(SVG_NS, 'svg');
+      svg.setAttribute('viewBox', `0 0 ${this.width} ${height}`);
+      svg.setAttribute('width', '100%');
+
+      rows.forEach((row, i) => {
+        const y = i * this.rowHeight + 4;
+        const group = document.createElementNS(SVG_NS, 'g');
+
+        const label = document.createElementNS(SVG_NS, 'text');
+        label.setAttribute('x', this.labelWidth - 4);
+        label.setAttribute('y', y + 11);
+        label.setAttribute('text-anchor', 'end');
+        label.setAttribute('font-size', '9');
+        label.setAttribute('fill', '#334155');
+        label.textContent = row.label.length > 18 ? `${row.label.slice(0, 17)}…` : row.label;
+        group.appendChild(label);
+
+        // One segment per end of the input range
+        for (const [value, color] of [[row.low, '#3b82f6'], [row.high, '#f97316']]) {
+          const delta = value - baseline;
+          const rect = document.createElementNS(SVG_NS, 'rect');
+          rect.setAttribute('x', delta >= 0 ? center : center + delta * scale);
+          rect.setAttribute('y', y + 2);
+          rect.setAttribute('width', Math.max(0.5, Math.abs(delta) * scale));
+          rect.setAttribute('height', this.rowHeight - 6);
+          rect.setAttribute('fill', color);
+          rect.setAttribute('opacity', '0.85');
+          group.appendChild(rect);
+        }
+
+        const title = document.createElementNS(SVG_NS, 'title');
+        title.textContent = `${row.label}: ${row.low.toFixed(2)} → ${row.high.toFixed(2)} ` +
+          `(S1 ${row.firstOrder.toFixed(3)}, ST ${row.totalOrder.toFixed(3)}` +
+          `${row.elasticity !== null ? `, elasticity ${row.elasticity.toFixed(3)}` : ''})`;
+        group.appendChild(title);
+
+        const index = document.createElementNS(SVG_NS, 'text');
+        index.setAttribute('x', this.width - 2);
+        index.setAttribute('y', y + 11);
+        index.setAttribute('text-anchor', 'end');
+        index.setAttribute('font-size', '8');
+        index.setAttribute('fill', '#64748b');
+        index.textContent = row.totalOrder.toFixed(2);
+        group.appendChild(index);
+
+        svg.appendChild(group);
+      });
+
+      // Baseline line and axis label
+      const axis = document.createElementNS(SVG_NS, 'line');
+      axis.setAttribute('x1', center);
+      axis.setAttribute('y1', 2);
+      axis.setAttribute('x2', center);
+      axis.setAttribute('y2', rows.length * this.rowHeight + 6);
+      axis.setAttribute('stroke', '#0f172a');
+      axis.setAttribute('stroke-width', '1');
+      svg.appendChild(axis);
+
+      const caption = document.createElementNS(SVG_NS, 'text');
+      caption.setAttribute('x', center);
+      caption.setAttribute('y', height - 4);
+      caption.setAttribute('text-anchor', 'middle');
+      caption.setAttribute('font-size', '9');
+      caption.setAttribute('fill', '#64748b');
+      caption.textContent = `Final ${OUTPUT_LABELS[output]} (baseline ${baseline.toFixed(1)}, ±${maxSwing.toFixed(1)}) · ST right`;
+      svg.appendChild(caption);
+
+      container.appendChild(svg);
+
+    } catch (error) {
+      console.error('Error rendering tornado chart:', error);
+    }
+  }
+}